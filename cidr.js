@@ -0,0 +1,314 @@
+// cidr.js
+// This file contains helpers for parsing, normalizing and aggregating ip4/ip6 ranges.
+const net = require('net');
+const { createMechanism } = require('./spf-tokenizer');
+
+const ADDRESS_BITS = { 4: 32, 6: 128 };
+
+/**
+ * Converts an IPv4 or IPv6 address into its numeric value.
+ * @param {string} address The address to convert.
+ * @returns {{version: number, value: bigint}|null} The IP version and numeric value, or null if the address is invalid.
+ */
+function parseAddress(address) {
+    if (net.isIPv4(address)) {
+        const value = address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+        return { version: 4, value };
+    }
+    if (net.isIPv6(address)) {
+        let text = address;
+        // Replace a trailing embedded IPv4 address with its two hex groups
+        const embedded = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+        if (embedded) {
+            const { value } = parseAddress(embedded[1]);
+            text = text.substring(0, embedded.index) + `${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+        }
+
+        const [head, tail] = text.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const missing = 8 - headGroups.length - tailGroups.length;
+        const groups = tail === undefined
+            ? headGroups
+            : [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+
+        const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+        return { version: 6, value };
+    }
+    return null;
+}
+
+/**
+ * Converts a numeric address back into its textual form.
+ * IPv6 addresses use the compressed RFC 5952 representation.
+ * @param {number} version The IP version (4 or 6).
+ * @param {bigint} value The numeric address.
+ * @returns {string} The textual address.
+ */
+function formatAddress(version, value) {
+    if (version === 4) {
+        return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(((value >> shift) & 0xffffn).toString(16));
+    }
+
+    // Find the longest run of zero groups (at least two long) to compress with '::'
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < groups.length; i++) {
+        let length = 0;
+        while (i + length < groups.length && groups[i + length] === '0') {
+            length++;
+        }
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    if (bestStart === -1) {
+        return groups.join(':');
+    }
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Parses an address with an optional prefix length into a normalized range.
+ * Host bits are cleared, so '192.0.2.10/24' becomes the network 192.0.2.0/24.
+ * @param {string} text The range, e.g. '192.0.2.0/24' or '2001:db8::1'.
+ * @param {number} [version] The expected IP version; ranges of another version are rejected.
+ * @returns {{version: number, start: bigint, prefix: number}|null} The normalized range, or null if it is invalid.
+ */
+function parseCidr(text, version) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+    const [address, prefixText, ...rest] = text.split('/');
+    if (rest.length > 0) {
+        return null;
+    }
+    const parsed = parseAddress(address);
+    if (!parsed || (version && parsed.version !== version)) {
+        return null;
+    }
+
+    const bits = ADDRESS_BITS[parsed.version];
+    let prefix = bits;
+    if (prefixText !== undefined) {
+        if (!/^\d+$/.test(prefixText) || parseInt(prefixText, 10) > bits) {
+            return null;
+        }
+        prefix = parseInt(prefixText, 10);
+    }
+
+    const hostBits = BigInt(bits - prefix);
+    const start = (parsed.value >> hostBits) << hostBits;
+    return { version: parsed.version, start, prefix };
+}
+
+/**
+ * Formats a range, omitting the prefix length for single addresses.
+ * @param {{version: number, start: bigint, prefix: number}} range The range to format.
+ * @returns {string} The textual range.
+ */
+function formatCidr(range) {
+    const address = formatAddress(range.version, range.start);
+    return range.prefix === ADDRESS_BITS[range.version] ? address : `${address}/${range.prefix}`;
+}
+
+/**
+ * Returns the last address covered by a range.
+ * @param {{version: number, start: bigint, prefix: number}} range The range.
+ * @returns {bigint} The numeric value of the last address.
+ */
+function rangeEnd(range) {
+    return range.start + (1n << BigInt(ADDRESS_BITS[range.version] - range.prefix)) - 1n;
+}
+
+/**
+ * Checks whether one range fully covers another.
+ * @param {Object} outer The candidate covering range.
+ * @param {Object} inner The candidate covered range.
+ * @returns {boolean} True if every address of `inner` is also in `outer`.
+ */
+function cidrCovers(outer, inner) {
+    return outer.version === inner.version &&
+        outer.prefix <= inner.prefix &&
+        inner.start >= outer.start &&
+        rangeEnd(inner) <= rangeEnd(outer);
+}
+
+/**
+ * Checks whether two ranges share at least one address.
+ * @param {Object} a The first range.
+ * @param {Object} b The second range.
+ * @returns {boolean} True if the ranges overlap.
+ */
+function cidrsOverlap(a, b) {
+    return a.version === b.version && a.start <= rangeEnd(b) && b.start <= rangeEnd(a);
+}
+
+/**
+ * Checks whether an address falls inside a range.
+ * @param {Object} range The range.
+ * @param {string} address The address to test.
+ * @returns {boolean} True if the address is covered by the range.
+ */
+function cidrContainsAddress(range, address) {
+    const parsed = parseAddress(address);
+    return Boolean(parsed) && parsed.version === range.version &&
+        parsed.value >= range.start && parsed.value <= rangeEnd(range);
+}
+
+/**
+ * Splits an inclusive address interval into the smallest list of CIDR ranges covering it exactly.
+ * @param {number} version The IP version.
+ * @param {bigint} start The first address of the interval.
+ * @param {bigint} end The last address of the interval.
+ * @returns {Array<Object>} The covering ranges, in address order.
+ */
+function intervalToCidrs(version, start, end) {
+    const bits = ADDRESS_BITS[version];
+    const ranges = [];
+    let current = start;
+    while (current <= end) {
+        // The largest block aligned at `current` that does not run past `end`
+        let prefix = 0;
+        while (prefix < bits) {
+            const hostBits = BigInt(bits - prefix);
+            const aligned = ((current >> hostBits) << hostBits) === current;
+            if (aligned && current + (1n << hostBits) - 1n <= end) {
+                break;
+            }
+            prefix++;
+        }
+        ranges.push({ version, start: current, prefix });
+        current += 1n << BigInt(bits - prefix);
+    }
+    return ranges;
+}
+
+/**
+ * Merges ranges into the smallest equivalent set of CIDR ranges.
+ * Ranges covered by broader ones are dropped and adjacent ranges are combined.
+ * @param {Array<Object>} ranges The ranges to aggregate (IPv4 and IPv6 may be mixed).
+ * @returns {Array<Object>} The aggregated ranges, IPv4 first, each version in address order.
+ */
+function aggregateCidrs(ranges) {
+    const aggregated = [];
+    for (const version of [4, 6]) {
+        const intervals = ranges
+            .filter(range => range.version === version)
+            .map(range => ({ start: range.start, end: rangeEnd(range) }))
+            .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+        const merged = [];
+        for (const interval of intervals) {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end + 1n) {
+                if (interval.end > last.end) {
+                    last.end = interval.end;
+                }
+            } else {
+                merged.push({ ...interval });
+            }
+        }
+
+        merged.forEach(interval => aggregated.push(...intervalToCidrs(version, interval.start, interval.end)));
+    }
+    return aggregated;
+}
+
+/**
+ * Aggregates a run of ip4/ip6 mechanisms that contains no other mechanisms.
+ * Ranges are grouped by qualifier when no two qualifiers overlap, since match order
+ * then cannot change the result. Otherwise only consecutive same-qualifier ranges are merged.
+ * Provenance is kept: an aggregated mechanism lists the `sources` of every mechanism it covers.
+ * @param {Array<{mechanism: Object, range: Object}>} entries The mechanisms with their parsed ranges.
+ * @returns {Array<Object>} The aggregated mechanisms.
+ */
+function aggregateSegment(entries) {
+    const conflicting = entries.some((a, i) => entries.slice(i + 1).some(b =>
+        a.mechanism.qualifier !== b.mechanism.qualifier && cidrsOverlap(a.range, b.range)));
+
+    const groups = [];
+    for (const entry of entries) {
+        const qualifier = entry.mechanism.qualifier;
+        let group = conflicting
+            ? groups[groups.length - 1]
+            : groups.find(g => g.qualifier === qualifier);
+        if (!group || group.qualifier !== qualifier) {
+            group = { qualifier, entries: [] };
+            groups.push(group);
+        }
+        group.entries.push(entry);
+    }
+
+    const mechanisms = [];
+    for (const group of groups) {
+        aggregateCidrs(group.entries.map(entry => entry.range)).forEach(range => {
+            const mechanism = createMechanism(group.qualifier, `ip${range.version}`, formatCidr(range));
+            const sources = group.entries
+                .filter(entry => entry.mechanism.sources && cidrsOverlap(entry.range, range))
+                .flatMap(entry => entry.mechanism.sources);
+            mechanisms.push(sources.length > 0 ? { ...mechanism, sources } : mechanism);
+        });
+    }
+    return mechanisms;
+}
+
+/**
+ * Normalizes and aggregates the ip4/ip6 mechanisms of a flattened SPF record.
+ * Ranges already covered by an earlier range are dropped, and runs of ranges between
+ * other mechanisms are merged into the smallest set of CIDRs. Other mechanisms keep their position.
+ * @param {Array<Object>} mechanisms The parsed SPF mechanisms.
+ * @returns {Array<Object>} The optimized mechanisms.
+ */
+function optimizeIpMechanisms(mechanisms) {
+    const optimized = [];
+    const seenRanges = [];
+    let segment = [];
+
+    const flushSegment = () => {
+        optimized.push(...aggregateSegment(segment));
+        segment = [];
+    };
+
+    for (const mechanism of mechanisms) {
+        const version = mechanism.type === 'ip4' ? 4 : mechanism.type === 'ip6' ? 6 : null;
+        const range = version ? parseCidr(mechanism.value, version) : null;
+        if (!range) {
+            flushSegment();
+            optimized.push(mechanism);
+            continue;
+        }
+        // A range covered by an earlier one can never be the first match
+        if (seenRanges.some(seen => cidrCovers(seen, range))) {
+            continue;
+        }
+        seenRanges.push(range);
+        segment.push({ mechanism, range });
+    }
+    flushSegment();
+
+    return optimized;
+}
+
+module.exports = {
+    parseAddress,
+    formatAddress,
+    parseCidr,
+    formatCidr,
+    cidrCovers,
+    cidrsOverlap,
+    cidrContainsAddress,
+    rangeEnd,
+    intervalToCidrs,
+    aggregateCidrs,
+    optimizeIpMechanisms,
+};
@@ -1,36 +1,415 @@
 #!/usr/bin/env node
-const { parseSpf, flattenSpf, resolveSpfTxtRecord } = require('./spfParser');
-const { verifySpf } = require('./spf-validator');
+const { SpfFlattener } = require('./spf-flattener');
+const { createDnsResolver } = require('./spfParser');
+const { formatZoneFragment } = require('./spf-splitter');
+const { formatTree, treeToDot } = require('./spf-tree');
+const { diffSnapshots, readSnapshot, writeSnapshot } = require('./spf-drift');
+const { parseDomainList, formatBatchTable, formatBatchCsv } = require('./spf-batch');
+const { createSpfServer } = require('./spf-server');
+const { SpfDnsResponder } = require('./spf-dns-server');
+const { formatProvenance, formatSource } = require('./spf-provenance');
+const { RecordingResolver, ReplayResolver } = require('./dns-fixture');
+const { loadConfig, runConfig } = require('./spf-config');
+const { EXPORT_FORMATS, exportChanges, parseTsigKey, sendDnsUpdate } = require('./spf-export');
+const path = require('path');
 const fs = require('fs').promises;
 
+// Exit codes of --watch and --diff, so cron jobs can alert on drift
+const DRIFT_EXIT_CODES = { unchanged: 0, error: 1, changed: 2 };
+
+// Exit codes of --verify and flattening, so CI pipelines can tell policy warnings from errors and DNS failures
+const RESULT_EXIT_CODES = { valid: 0, error: 1, warnings: 2, dnsFailure: 3 };
+const DNS_FAILURE_CODES = ['TEMPERROR', 'DNS_ERROR'];
+const JSON_REPORT_VERSION = 1;
+
+/**
+ * Prints diagnostics to stderr.
+ * @param {Array<Object>} diagnostics The diagnostics of a result.
+ */
+function printDiagnostics(diagnostics) {
+    diagnostics.forEach(diagnostic => console.error(`${diagnostic.severity === 'error' ? 'Error' : 'Warning'}: ${diagnostic.message}`));
+}
+
+/**
+ * Classifies the outcome of a verification or flattening by its diagnostics.
+ * A DNS failure takes precedence, since the other errors may only be consequences of it.
+ * @param {Array<Object>} diagnostics The diagnostics of the result.
+ * @returns {string} A key of RESULT_EXIT_CODES.
+ */
+function resultStatus(diagnostics) {
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    if (errors.some(diagnostic => DNS_FAILURE_CODES.includes(diagnostic.code))) {
+        return 'dnsFailure';
+    }
+    if (errors.length > 0) {
+        return 'error';
+    }
+    return diagnostics.length > 0 ? 'warnings' : 'valid';
+}
+
+/**
+ * Builds the document printed by --json for --verify and flattening (see "JSON Output" in the README).
+ * @param {string} command 'verify' or 'flatten'.
+ * @param {string} domain The domain.
+ * @param {Object} result The result of SpfFlattener#verify or SpfFlattener#flatten.
+ * @returns {Object} The document.
+ */
+function buildJsonReport(command, domain, result) {
+    const status = resultStatus(result.diagnostics);
+    return {
+        version: JSON_REPORT_VERSION,
+        command,
+        domain,
+        status,
+        exitCode: RESULT_EXIT_CODES[status],
+        record: result.record,
+        parsed: result.parsed,
+        flattened: result.flattened || null,
+        flattenedRecord: result.flattenedRecord || null,
+        flattenedLookups: result.flattenedLookups === undefined ? null : result.flattenedLookups,
+        plan: result.plan || null,
+        records: result.records || null,
+        dmarc: result.dmarc || null,
+        lookups: command === 'verify' ? result.dnsLookups : result.lookups,
+        voidLookups: result.voidLookups,
+        errors: result.diagnostics.filter(diagnostic => diagnostic.severity === 'error'),
+        warnings: result.diagnostics.filter(diagnostic => diagnostic.severity !== 'error'),
+    };
+}
+
+/**
+ * Removes a flag from the argument list.
+ * @param {Array<string>} args The command-line arguments (modified in place).
+ * @param {string} name The flag name, e.g. '--split'.
+ * @returns {boolean} True if the flag was present.
+ */
+function takeFlag(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return false;
+    }
+    args.splice(index, 1);
+    return true;
+}
+
+/**
+ * Removes an option and its value from the argument list.
+ * @param {Array<string>} args The command-line arguments (modified in place).
+ * @param {string} name The option name, e.g. '--max-length'.
+ * @returns {string|undefined} The option value, or undefined if the option was not given.
+ */
+function takeOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return undefined;
+    }
+    const [, value] = args.splice(index, 2);
+    if (value === undefined) {
+        console.error(`Missing value for ${name}.`);
+        process.exit(1);
+    }
+    return value;
+}
+
+/**
+ * Removes every occurrence of a repeatable option and its value from the argument list.
+ * @param {Array<string>} args The command-line arguments (modified in place).
+ * @param {string} name The option name, e.g. '--keep'.
+ * @returns {Array<string>} The values, in the order they were given.
+ */
+function takeOptionList(args, name) {
+    const values = [];
+    while (args.includes(name)) {
+        values.push(takeOption(args, name));
+    }
+    return values;
+}
+
+/**
+ * Parses the value of a numeric option, and exits with a usage error if it is not a whole number.
+ * @param {string} flag The option name, e.g. '--timeout'.
+ * @param {string|undefined} value The option value.
+ * @param {number} [minimum] The smallest allowed value. Defaults to 1.
+ * @returns {number|undefined} The number, or undefined if the option was not given.
+ */
+function parsePositiveInt(flag, value, minimum = 1) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    if (!(number >= minimum)) {
+        console.error(`Invalid value for ${flag}: '${value}'. Expected a whole number of at least ${minimum}.`);
+        process.exit(RESULT_EXIT_CODES.error);
+    }
+    return number;
+}
+
+/**
+ * Parses --rule options into the rule configuration of lintSpf.
+ * @param {Array<string>} values The option values, e.g. 'no-ptr=off'.
+ * @returns {Object<string, string>|null} The severity of each rule, or null if a value is malformed.
+ */
+function parseRuleOptions(values) {
+    const rules = {};
+    for (const value of values) {
+        const match = /^([a-z-]+)=([a-z]+)$/.exec(value);
+        if (!match) {
+            return null;
+        }
+        rules[match[1]] = match[2];
+    }
+    return rules;
+}
+
 async function main() {
     const args = process.argv.slice(2);
+    const split = takeFlag(args, '--split');
+    const safe = takeFlag(args, '--safe');
+    const json = takeFlag(args, '--json');
+    const dmarc = takeFlag(args, '--dmarc');
+    const annotate = takeFlag(args, '--annotate');
+    const maxLength = parsePositiveInt('--max-length', takeOption(args, '--max-length'));
+    const ttl = parsePositiveInt('--ttl', takeOption(args, '--ttl'));
+    const sender = takeOption(args, '--sender');
+    const helo = takeOption(args, '--helo');
+    const ip = takeOption(args, '--ip');
+    const format = takeOption(args, '--format');
+    const cacheFile = takeOption(args, '--cache');
+    const resolverServers = takeOption(args, '--resolver');
+    const timeout = parsePositiveInt('--timeout', takeOption(args, '--timeout'));
+    const retries = parsePositiveInt('--retries', takeOption(args, '--retries'), 0);
+    const mode = takeOption(args, '--mode');
+    const concurrency = parsePositiveInt('--concurrency', takeOption(args, '--concurrency'));
+    const keep = takeOptionList(args, '--keep');
+    const budget = parsePositiveInt('--budget', takeOption(args, '--budget'), 0);
+    const ruleOptions = takeOptionList(args, '--rule');
+    const serve = takeFlag(args, '--serve');
+    const port = parsePositiveInt('--port', takeOption(args, '--port'));
+    const host = takeOption(args, '--host');
+    const requestTimeout = parsePositiveInt('--request-timeout', takeOption(args, '--request-timeout'));
+    const serveDns = takeOption(args, '--serve-dns');
+    const zone = takeOption(args, '--zone');
+    const refresh = parsePositiveInt('--refresh', takeOption(args, '--refresh'));
+    const explainIp = takeOption(args, '--explain');
+    const recordFile = takeOption(args, '--record');
+    const replayFile = takeOption(args, '--replay');
+    const configFile = takeOption(args, '--run');
+    const exportFormat = takeOption(args, '--export');
+    const updateServer = takeOption(args, '--update');
+    const tsigKey = takeOption(args, '--tsig');
+    const checkIndex = args.indexOf('--check');
     const verifyIndex = args.indexOf('--verify');
+    const treeIndex = args.indexOf('--tree');
+    const watchIndex = args.indexOf('--watch');
+    const diffIndex = args.indexOf('--diff');
+    const batchIndex = args.indexOf('--batch');
+    const lintIndex = args.indexOf('--lint');
     let domain, outputFile;
 
-    if (verifyIndex > -1) {
-        args.splice(verifyIndex, 1);
-        if (args.length < 1) {
-            console.error('Usage: spf-flatting --verify <domain>');
-            process.exit(1);
-        }
-        domain = args[0];
-        await runVerification(domain);
+    if ((recordFile && replayFile) || (cacheFile && (recordFile || replayFile))) {
+        console.error('--record, --replay and --cache cannot be combined: a fixture has to see every query of the run.');
+        process.exit(1);
+    }
+    let resolver;
+    if (replayFile) {
+        resolver = await ReplayResolver.load(replayFile);
+        process.on('exit', () => reportUnrecorded(resolver, replayFile));
     } else {
-        if (args.length < 1) {
-            console.error('Usage: spf-flatting <domain> [output-file]');
-            process.exit(1);
+        resolver = createDnsResolver({
+            servers: resolverServers ? resolverServers.split(',') : undefined,
+            timeout,
+            retries,
+        });
+    }
+    if (recordFile) {
+        // Written on exit, so the fixture is complete even when the command fails
+        resolver = new RecordingResolver(resolver);
+        process.on('exit', () => resolver.save(recordFile));
+    }
+
+    // Every command queries the same names more than once, so answers are cached for the whole run
+    const flattener = new SpfFlattener({ resolver });
+    if (cacheFile) {
+        await flattener.resolver.load(cacheFile);
+    }
+
+    // Saved however the command ends, so a failed run still leaves the answers it got for the next one
+    try {
+        if (configFile !== undefined) {
+            // A fixture has to see every query, so it overrides the resolver settings of the config
+            const createFlattener = recordFile || replayFile ? () => flattener : undefined;
+            await runConfigFile(flattener, configFile, createFlattener, json);
+        } else if (serveDns !== undefined) {
+            if (!zone) {
+                console.error('Usage: spf-flatting --serve-dns <source-domain> --zone <name> [--port <n>] [--host <address>] [--refresh <seconds>] [--ttl <seconds>]');
+                process.exit(1);
+            }
+            // The resolver without the run's cache, so every refresh sees current answers
+            await runDnsResponder(resolver, serveDns, zone, {
+                port: port || 53,
+                host: host || '127.0.0.1',
+                refreshInterval: refresh || 300,
+                ttl: ttl || 60,
+            });
+        } else if (serve) {
+            await runServer(flattener, {
+                port: port || 8080,
+                host: host || '127.0.0.1',
+                concurrency: concurrency || 4,
+                timeout: requestTimeout || 10000,
+            });
+        } else if (explainIp !== undefined) {
+            if (args.length < 1) {
+                console.error('Usage: spf-flatting --explain <ip> <domain> [--keep <include>]... [--budget <lookups>] [--json]');
+                process.exit(1);
+            }
+            const partialOptions = keep.length > 0 || budget !== undefined ? { keep, budget } : {};
+            await runExplain(flattener, explainIp, args[0], partialOptions, json);
+        } else if (checkIndex > -1) {
+            args.splice(checkIndex, 1);
+            if (args.length < 2) {
+                console.error('Usage: spf-flatting --check <ip> <domain> [--sender <address>] [--helo <name>]');
+                process.exit(1);
+            }
+            await runCheck(flattener, args[0], args[1], sender, helo);
+        } else if (batchIndex > -1) {
+            args.splice(batchIndex, 1);
+            if (args.length < 1 || (mode && !['verify', 'flatten'].includes(mode)) ||
+                (format && !['table', 'csv', 'json'].includes(format))) {
+                console.error('Usage: spf-flatting --batch <file|-> [--mode verify|flatten] [--concurrency <n>] [--format table|csv|json]');
+                process.exit(1);
+            }
+            await runBatchCommand(flattener, args[0], mode || 'verify', concurrency || 4, format || 'table');
+        } else if (watchIndex > -1 || diffIndex > -1) {
+            const update = watchIndex > -1;
+            args.splice(update ? watchIndex : diffIndex, 1);
+            if (args.length < 2) {
+                console.error(`Usage: spf-flatting ${update ? '--watch' : '--diff'} <domain> <snapshot-file>`);
+                process.exit(DRIFT_EXIT_CODES.error);
+            }
+            await runDrift(flattener, args[0], args[1], update);
+        } else if (treeIndex > -1) {
+            args.splice(treeIndex, 1);
+            if (args.length < 1 || (format && !['text', 'json', 'dot'].includes(format))) {
+                console.error('Usage: spf-flatting --tree <domain> [--format text|json|dot]');
+                process.exit(1);
+            }
+            await runTree(flattener, args[0], format || 'text');
+        } else if (lintIndex > -1) {
+            args.splice(lintIndex, 1);
+            const rules = parseRuleOptions(ruleOptions);
+            if (args.length < 1 || !rules) {
+                console.error('Usage: spf-flatting --lint <domain> [--rule <rule>=<error|warning|info|off>]... [--json]');
+                process.exit(1);
+            }
+            await runLint(flattener, args[0], rules, json);
+        } else if (verifyIndex > -1) {
+            args.splice(verifyIndex, 1);
+            if (args.length < 1) {
+                console.error('Usage: spf-flatting --verify <domain> [--dmarc] [--ip <ip> [--sender <address>]] [--json]');
+                process.exit(1);
+            }
+            domain = args[0];
+            await runVerification(flattener, domain, { dmarc, ip, sender }, json);
+        } else {
+            if (args.length < 1) {
+                console.error('Usage: spf-flatting <domain> [output-file] [--safe] [--json] [--annotate] [--keep <include>]... [--budget <lookups>] [--split [--max-length <bytes>] [--ttl <seconds>]]');
+                console.error(`       [--export ${EXPORT_FORMATS.join('|')}] [--update <server> [--port <n>] [--zone <name>] [--tsig [<algorithm>:]<name>:<secret>]]`);
+                process.exit(1);
+            }
+            if ((exportFormat || updateServer) && json) {
+                console.error('--export and --update cannot be combined with --json.');
+                process.exit(1);
+            }
+            if (exportFormat && !EXPORT_FORMATS.includes(exportFormat)) {
+                console.error(`Unknown export format '${exportFormat}'. Expected one of ${EXPORT_FORMATS.join(', ')}.`);
+                process.exit(1);
+            }
+            domain = args[0];
+            outputFile = args[1];
+            let publish = null;
+            if (exportFormat || updateServer) {
+                publish = { format: exportFormat, ttl, update: null };
+            }
+            if (updateServer) {
+                // The key can come from the environment, so the secret does not show up in the process list
+                const key = tsigKey || process.env.SPF_TSIG_KEY;
+                try {
+                    publish.update = {
+                        server: updateServer,
+                        port: port || 53,
+                        zone: zone || domain,
+                        tsig: key ? parseTsigKey(key) : null,
+                    };
+                } catch (error) {
+                    console.error('Error:', error.message);
+                    process.exit(1);
+                }
+            }
+            const splitOptions = split ? { maxLength, ttl } : null;
+            const partialOptions = keep.length > 0 || budget !== undefined ? { keep, budget } : {};
+            await runFlattening(flattener, domain, outputFile, { split: splitOptions, safe, ...partialOptions }, { json, annotate, publish });
+        }
+    } finally {
+        if (cacheFile) {
+            await flattener.resolver.save(cacheFile);
         }
-        domain = args[0];
-        outputFile = args[1];
-        await runFlattening(domain, outputFile);
     }
 }
 
-async function runVerification(domain) {
+/**
+ * Reports the queries a replayed run needed but its fixture has no answer for, and makes the run fail.
+ * @param {ReplayResolver} resolver The replay resolver of the run.
+ * @param {string} file The path of the fixture file.
+ */
+function reportUnrecorded(resolver, file) {
+    if (resolver.unrecorded.length === 0) {
+        return;
+    }
+    console.error(`Error: ${file} has no answers for these queries, so the replay does not match the recorded run:`);
+    resolver.unrecorded.forEach(key => console.error(`- ${key}`));
+    if (!process.exitCode) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Prints the DMARC part of a verification.
+ * @param {Object} dmarc The DMARC report from SpfFlattener#verify.
+ */
+function printDmarc(dmarc) {
+    console.log('\n--- DMARC ---');
+    console.log(`DMARC Record: ${dmarc.record === null ? 'none' : `${dmarc.record} (at _dmarc.${dmarc.recordDomain})`}`);
+    if (dmarc.policy) {
+        const { p, sp, adkim, aspf, rua, pct } = dmarc.policy;
+        console.log(`Policy: p=${p || '-'}, sp=${sp || '-'}, pct=${pct}`);
+        console.log(`Alignment Modes: adkim=${adkim}, aspf=${aspf}`);
+        console.log(`Aggregate Reports: ${rua.length > 0 ? rua.join(', ') : 'none'}`);
+    }
+    if (dmarc.errors.length > 0) {
+        console.log('\nDMARC Errors:');
+        dmarc.errors.forEach(err => console.log(`- ${err}`));
+    }
+    if (dmarc.alignment) {
+        const { ip, mailFromDomain, spfResult, mode, aligned, reason } = dmarc.alignment;
+        console.log(`\nSPF Alignment for ${ip} (MAIL FROM domain ${mailFromDomain}):`);
+        console.log(`SPF Result: ${spfResult}`);
+        console.log(`Aligned Pass (${mode}): ${aligned}`);
+        console.log(reason);
+    }
+}
+
+async function runVerification(flattener, domain, options, json) {
     try {
+        if (json) {
+            const report = buildJsonReport('verify', domain, await flattener.verify(domain, options));
+            console.log(JSON.stringify(report, null, 2));
+            process.exitCode = report.exitCode;
+            return;
+        }
+
         console.log(`Verifying SPF record for ${domain}...`);
-        const results = await verifySpf(domain);
+        const results = await flattener.verify(domain, options);
 
         console.log('\n--- SPF Verification Results ---');
         console.log(`Domain: ${domain}`);
@@ -39,6 +418,19 @@ async function runVerification(domain) {
         if (results.hasSpfRecord) {
             console.log(`DNS Lookups: ${results.dnsLookups}`);
             console.log(`Lookup Limit Exceeded: ${results.lookupLimitExceeded}`);
+            console.log(`Void Lookups: ${results.voidLookups}`);
+            console.log(`Void Lookup Limit Exceeded: ${results.voidLookupLimitExceeded}`);
+        }
+
+        if (results.lookupBreakdown.length > 0) {
+            console.log('\nLookup Breakdown:');
+            results.lookupBreakdown.forEach(entry => {
+                const indent = '  '.repeat(entry.depth);
+                const total = entry.totalLookups > 1 ? ` (${entry.totalLookups} including nested)` : '';
+                const voidNote = entry.voidLookups > 0 ? ', void' : '';
+                const errorNote = entry.error ? ', failed' : '';
+                console.log(`${indent}- ${entry.term} [${entry.domain}]: ${entry.lookups}${total}${voidNote}${errorNote}`);
+            });
         }
 
         if (results.errors.length > 0) {
@@ -51,61 +443,454 @@ async function runVerification(domain) {
             results.syntaxErrors.forEach(err => console.log(`- ${err}`));
         }
 
+        // Errors are listed above; warnings only appear among the diagnostics
+        printDiagnostics(results.diagnostics.filter(diagnostic => diagnostic.severity !== 'error'));
+
         if (results.errors.length === 0 && results.syntaxErrors.length === 0) {
             console.log('\nSPF record appears to be valid.');
         }
+        if (results.dmarc) {
+            printDmarc(results.dmarc);
+        }
+        process.exitCode = RESULT_EXIT_CODES[resultStatus(results.diagnostics)];
 
     } catch (error) {
         console.error('Error:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
+    }
+}
+
+async function runLint(flattener, domain, rules, json) {
+    try {
+        const result = await flattener.lint(domain, { rules });
+        const status = resultStatus(result.diagnostics);
+        if (json) {
+            console.log(JSON.stringify({
+                version: JSON_REPORT_VERSION,
+                command: 'lint',
+                domain,
+                status,
+                exitCode: RESULT_EXIT_CODES[status],
+                record: result.record,
+                findings: result.findings,
+                fixedRecord: result.fixedRecord,
+                errors: result.diagnostics.filter(diagnostic => diagnostic.severity === 'error'),
+                warnings: result.diagnostics.filter(diagnostic => diagnostic.severity !== 'error'),
+            }, null, 2));
+            process.exitCode = RESULT_EXIT_CODES[status];
+            return;
+        }
+
+        if (result.record === null) {
+            printDiagnostics(result.diagnostics);
+            process.exitCode = RESULT_EXIT_CODES[status];
+            return;
+        }
+        console.log(`SPF record of ${domain}: ${result.record}`);
+        if (result.findings.length === 0) {
+            console.log('\nNo lint findings.');
+        } else {
+            console.log('');
+            result.findings.forEach(finding => {
+                console.log(`${finding.severity.padEnd(7)} ${finding.rule.padEnd(19)} ${finding.message}`);
+                if (finding.suggestion) {
+                    console.log(`${' '.repeat(28)}Suggested: ${finding.suggestion}`);
+                }
+            });
+        }
+        if (result.fixedRecord) {
+            console.log(`\nRecord with every suggested fix applied:\n${result.fixedRecord}`);
+        }
+        process.exitCode = RESULT_EXIT_CODES[status];
+
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+async function runServer(flattener, { port, host, concurrency, timeout }) {
+    const server = createSpfServer({ flattener, concurrency, timeout });
+    try {
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, resolve);
+        });
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`Serving /flatten, /verify, /check and /tree on http://${host}:${server.address().port}`);
+
+    // Stop on Ctrl-C or SIGTERM, so the DNS cache can still be saved
+    await new Promise(resolve => {
+        const stop = () => {
+            server.closeAllConnections();
+            server.close(resolve);
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+async function runDnsResponder(resolver, source, zone, { port, host, refreshInterval, ttl }) {
+    const responder = new SpfDnsResponder({
+        source,
+        zone,
+        flattener: new SpfFlattener({ resolver, cache: false }),
+        refreshInterval,
+        ttl,
+        logger: {
+            error: message => console.error(`Error: ${message}`),
+            warn: message => console.error(`Warning: ${message}`),
+            info: message => console.log(`${new Date().toISOString()} ${message}`),
+        },
+    });
+    let address;
+    try {
+        address = await responder.start({ port, host });
+    } catch (error) {
+        console.error('Error:', error.message);
+        // The UDP socket may already be bound when the TCP port is taken
+        await responder.stop();
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`Answering TXT queries for <ip>.${zone} on ${address.host}:${address.port} (UDP and TCP).`);
+    console.log(`Publish: v=spf1 include:%{i}.${zone} -all`);
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    await responder.stop();
+}
+
+/**
+ * Reads all of standard input.
+ * @returns {Promise<string>} A promise that resolves to the text.
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function runBatchCommand(flattener, listFile, mode, concurrency, format) {
+    try {
+        const text = listFile === '-' ? await readStdin() : await fs.readFile(listFile, 'utf8');
+        const domains = parseDomainList(text);
+        if (domains.length === 0) {
+            console.error('No domains found in the list.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const { ok, rows } = await flattener.batch(domains, { mode, concurrency });
+        if (format === 'json') {
+            console.log(JSON.stringify(rows, null, 2));
+        } else if (format === 'csv') {
+            console.log(formatBatchCsv(rows));
+        } else {
+            console.log(formatBatchTable(rows));
+            const failed = rows.filter(row => !row.ok).length;
+            console.log(`\n${rows.length - failed} of ${rows.length} domains passed.`);
+        }
+        // Any failed domain fails the whole batch
+        process.exitCode = ok ? 0 : 1;
+
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
     }
 }
 
-async function runFlattening(domain, outputFile) {
+async function runDrift(flattener, domain, snapshotFile, update) {
     try {
-        console.log(`Fetching SPF record for ${domain}...`);
-        const { spfRecords } = await resolveSpfTxtRecord(domain, 0);
+        const previous = await readSnapshot(snapshotFile);
+        const { snapshot: current, diagnostics } = await flattener.snapshot(domain);
+        if (!current) {
+            printDiagnostics(diagnostics);
+            process.exitCode = DRIFT_EXIT_CODES.error;
+            return;
+        }
 
-        if (spfRecords.length === 0) {
-            console.error(`No SPF record found for ${domain}.`);
-            process.exit(1);
+        if (!previous) {
+            await writeSnapshot(snapshotFile, current);
+            console.log(`No snapshot found. Saved the current flattened record of ${domain} to ${snapshotFile}.`);
+            process.exitCode = DRIFT_EXIT_CODES.unchanged;
+            return;
         }
 
-        const spfRecordString = spfRecords[0];
-        if (spfRecords.length > 1) {
-            console.warn(`Multiple SPF records found for ${domain}. Using the first one: ${spfRecordString}`);
+        const { changed, recordChanged, sources } = diffSnapshots(previous, current);
+        if (!changed) {
+            console.log(`No changes for ${domain} since ${previous.createdAt}.`);
+            process.exitCode = DRIFT_EXIT_CODES.unchanged;
+            return;
         }
 
-        console.log(`Found SPF record: ${spfRecordString}`);
+        console.log(`The flattened record of ${domain} changed since ${previous.createdAt}:`);
+        sources.forEach(({ source, added, removed }) => {
+            console.log(`\n${source}:`);
+            added.forEach(range => console.log(`  + ${range}`));
+            removed.forEach(range => console.log(`  - ${range}`));
+        });
+        if (recordChanged) {
+            console.log(`\nOld record: ${previous.record}`);
+            console.log(`New record: ${current.record}`);
+        }
+        if (update) {
+            await writeSnapshot(snapshotFile, current);
+            console.log(`\nSnapshot updated: ${snapshotFile}`);
+        }
+        process.exitCode = DRIFT_EXIT_CODES.changed;
 
-        console.log(`\nParsing SPF record for domain: ${domain}`);
-        const parsed = parseSpf(spfRecordString);
-        console.log('Parsed SPF:', JSON.stringify(parsed, null, 2));
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = DRIFT_EXIT_CODES.error;
+    }
+}
 
-        console.log('\nFlattening SPF record...');
-        const flattened = await flattenSpf(parsed, domain);
-        
-        const flattenedSpfString = flattened.map(mech => {
-            let output = mech.qualifier === '+' ? '' : mech.qualifier;
-            output += mech.type;
-            if (mech.value && mech.value !== 'all') {
-                output += ':' + mech.value;
+async function runTree(flattener, domain, format) {
+    try {
+        const { tree } = await flattener.tree(domain);
+        if (format === 'json') {
+            console.log(JSON.stringify(tree, null, 2));
+        } else if (format === 'dot') {
+            console.log(treeToDot(tree));
+        } else {
+            console.log(formatTree(tree));
+        }
+
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+async function runCheck(flattener, ip, domain, sender, helo) {
+    try {
+        console.log(`Checking SPF for ${ip} against ${domain}...`);
+        const result = await flattener.check(ip, domain, { sender, helo });
+
+        console.log('\n--- SPF Check Result ---');
+        console.log(`IP: ${ip}`);
+        console.log(`Domain: ${domain}`);
+        if (sender) {
+            console.log(`Sender: ${sender}`);
+        }
+        console.log(`Result: ${result.result}`);
+        if (result.mechanism) {
+            console.log(`Matched Mechanism: ${result.mechanism} (in the record of ${result.domain})`);
+        }
+        if (result.error) {
+            console.log(`Reason: ${result.error}`);
+        }
+
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+async function runConfigFile(flattener, file, createFlattener, json) {
+    try {
+        const settings = await loadConfig(file);
+        const report = await runConfig(settings, { baseDir: path.dirname(path.resolve(file)), flattener, createFlattener });
+        const status = resultStatus(report.domains.flatMap(domain => domain.diagnostics));
+        if (json) {
+            console.log(JSON.stringify(report, null, 2));
+            process.exitCode = RESULT_EXIT_CODES[status];
+            return;
+        }
+
+        report.domains.forEach(domain => {
+            console.log(`${domain.domain}: ${domain.ok ? domain.flattenedRecord : 'failed'}`);
+            printDiagnostics(domain.diagnostics);
+            domain.outputs.forEach(output => console.log(`  Wrote ${output.path} (${output.type})`));
+        });
+        const written = report.domains.filter(domain => domain.ok).length;
+        console.log(`\n${written} of ${report.domains.length} domains written.`);
+        process.exitCode = RESULT_EXIT_CODES[status];
+
+    } catch (error) {
+        console.error(error.name === 'SpfConfigError' ? error.message : `Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+async function runExplain(flattener, ip, domain, options, json) {
+    try {
+        const result = await flattener.explain(ip, domain, options);
+        if (json) {
+            console.log(JSON.stringify({ ip, domain, ...result }, null, 2));
+            process.exitCode = result.ok ? 0 : 1;
+            return;
+        }
+
+        printDiagnostics(result.diagnostics);
+        if (!result.explanation) {
+            process.exitCode = 1;
+            return;
+        }
+        const { explanation } = result;
+        console.log(`Flattened SPF: ${result.flattenedRecord}`);
+        console.log(`\nResult for ${ip}: ${explanation.result}`);
+        if (explanation.mechanism) {
+            console.log(`Matched Mechanism: ${explanation.mechanism}`);
+        } else {
+            console.log('No mechanism matches, so the result is neutral.');
+        }
+        explanation.sources.forEach(source => console.log(`    from ${formatSource(source)}`));
+        if (explanation.unresolved.length > 0) {
+            console.log(`\nThese earlier terms are evaluated by the receiver and may match first: ${explanation.unresolved.join(' ')}`);
+        }
+        process.exitCode = result.ok ? 0 : 1;
+
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Prints the decision taken for every include by partial flattening.
+ * @param {Array<Object>} plan The plan from SpfFlattener#flatten.
+ * @param {number} flattenedLookups The lookups the resulting record needs.
+ */
+function printPlan(plan, flattenedLookups) {
+    console.log(`\nPartial flattening plan (the result needs ${flattenedLookups} lookups):`);
+    const width = Math.max(...plan.map(entry => entry.term.length));
+    plan.forEach(entry => {
+        const details = entry.action === 'flatten'
+            ? `saves ${entry.savings} lookups, ${entry.ranges} ranges, TTL ${entry.ttl === null ? '-' : entry.ttl}`
+            : entry.reason;
+        console.log(`  ${entry.action.padEnd(7)} ${entry.term.padEnd(width)}  ${details}`);
+    });
+}
+
+/**
+ * Prints what an update changes at every name.
+ * @param {Array<Object>} changes The changes from SpfFlattener#changes.
+ */
+function printChanges(changes) {
+    console.log('\nChanges:');
+    const width = Math.max(...changes.map(change => change.action.length));
+    changes.forEach(change => console.log(`  ${change.action.padEnd(width)} ${change.name}`));
+}
+
+/**
+ * Sends changes to a DNS server as an RFC 2136 UPDATE and reports the response code. A refused update or an
+ * unreachable server makes the run fail.
+ * @param {Array<Object>} changes The changes from SpfFlattener#changes.
+ * @param {Object} options The options of sendDnsUpdate.
+ */
+async function runUpdate(changes, options) {
+    if (changes.every(change => change.action === 'unchanged')) {
+        console.log(`\nThe records published for ${changes[0].name} are up to date; nothing to send to ${options.server}.`);
+        return;
+    }
+    const result = await sendDnsUpdate(changes, options);
+    if (!result.ok) {
+        throw new Error(`${options.server} refused the update of ${options.zone}: ${result.rcodeName}.`);
+    }
+    console.log(`\nSent ${result.updates} record changes to ${options.server}${options.tsig ? ` signed with ${options.tsig.name}` : ''}: ${result.rcodeName}.`);
+}
+
+async function runFlattening(flattener, domain, outputFile, options, { json, annotate, publish }) {
+    try {
+        if (json) {
+            const result = await flattener.flatten(domain, options);
+            const report = buildJsonReport('flatten', domain, result);
+            if (outputFile && result.ok) {
+                await fs.writeFile(outputFile, result.records ? formatZoneFragment(result.records, options.split) : result.flattenedRecord);
             }
-            return output;
-        }).join(' ');
+            console.log(JSON.stringify(report, null, 2));
+            process.exitCode = report.exitCode;
+            return;
+        }
+
+        console.log(`Flattening SPF record for ${domain}...`);
+        const result = await flattener.flatten(domain, options);
+        const exitCode = RESULT_EXIT_CODES[resultStatus(result.diagnostics)];
+        printDiagnostics(result.diagnostics);
+
+        if (result.record) {
+            console.log(`Found SPF record: ${result.record}`);
+        }
+        if (result.parsed) {
+            console.log('Parsed SPF:', JSON.stringify(result.parsed, null, 2));
+        }
+        if (result.plan) {
+            printPlan(result.plan, result.flattenedLookups);
+        }
+
+        if (result.differences.length > 0) {
+            console.error('\nThe flattened record does not match the original for these ranges:');
+            result.differences.forEach(d => console.error(`- ${d.range}: original ${d.original}, flattened ${d.flattened}`));
+            console.error('\nRefusing to write the flattened record.');
+            process.exitCode = exitCode;
+            return;
+        }
+        if (!result.ok) {
+            process.exitCode = exitCode;
+            return;
+        }
+        if (options.safe) {
+            console.log('\nThe flattened record is equivalent to the original.');
+        }
+
+        let changes = null;
+        if (publish) {
+            const planned = await flattener.changes(domain, result.records || [{ name: domain, value: result.flattenedRecord }]);
+            printDiagnostics(planned.diagnostics);
+            if (!planned.ok) {
+                process.exitCode = RESULT_EXIT_CODES[resultStatus(planned.diagnostics)];
+                return;
+            }
+            changes = planned.changes;
+        }
+
+        let flattenedSpfString;
+        if (publish && publish.format) {
+            flattenedSpfString = exportChanges(publish.format, changes, { ttl: publish.ttl });
+        } else {
+            flattenedSpfString = result.records
+                ? formatZoneFragment(result.records, options.split)
+                : result.flattenedRecord;
+        }
 
         if (outputFile) {
             await fs.writeFile(outputFile, flattenedSpfString);
             console.log(`\nFlattened SPF record written to: ${outputFile}`);
         } else {
-            console.log('\nFlattened SPF:');
+            console.log(publish && publish.format ? `\nChanges (${publish.format}):` : '\nFlattened SPF:');
             console.log(flattenedSpfString);
         }
+        if (publish && publish.update) {
+            printChanges(changes);
+            await runUpdate(changes, { ...publish.update, ttl: publish.ttl });
+        }
+        if (annotate) {
+            console.log('\nWhere each term comes from:');
+            console.log(formatProvenance(result.flattened));
+        }
+
+        if (result.refreshInterval !== null) {
+            console.log(`\nRecommended refresh interval: ${result.refreshInterval} seconds (the lowest TTL in the include tree).`);
+        }
+        process.exitCode = exitCode;
 
     } catch (error) {
         console.error('Error:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
     }
 }
 
-main();
+main().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(RESULT_EXIT_CODES.error);
+});
@@ -0,0 +1,135 @@
+// dns-cache.js
+// This file contains a TTL-aware caching layer for the DNS resolver used by the SPF tools.
+const fs = require('fs').promises;
+const { ADDRESS_METHODS, ResolverWrapper, queryKey, shapeAnswers } = require('./dns-wrapper');
+
+const NEGATIVE_CODES = ['ENOTFOUND', 'ENODATA']; // "No such name" and "no data" answers are cached too
+const CACHE_FILE_VERSION = 1;
+
+/**
+ * Wraps a resolver (anything with the methods of dns.promises.Resolver, see setDnsResolver) so that repeated
+ * queries are answered from memory until their TTL runs out. A and AAAA records are always queried with
+ * `{ttl: true}` so their real TTL is known; other record types do not report a TTL in Node.js and are kept
+ * for `defaultTtl` seconds. The lowest TTL seen is available as `minimumTtl`.
+ */
+class CachingResolver extends ResolverWrapper {
+    /**
+     * @param {Object} resolver The resolver to wrap.
+     * @param {Object} [options] Cache options.
+     * @param {number} [options.defaultTtl] How long, in seconds, to keep answers without a known TTL. Defaults to 300.
+     * @param {Function} [options.now] Returns the current time in milliseconds (for tests).
+     */
+    constructor(resolver, { defaultTtl = 300, now = Date.now } = {}) {
+        super(resolver);
+        this.defaultTtl = defaultTtl;
+        this.now = now;
+        this.entries = new Map();
+        this.pending = new Map();
+        this.minimumTtl = null;
+    }
+
+    /**
+     * Answers a query from the cache, or from the wrapped resolver if there is no fresh entry.
+     * @param {string} method The resolver method.
+     * @param {string} name The name to query.
+     * @param {Object} [options] The query options; `{ttl: true}` returns A/AAAA answers with their TTL.
+     * @returns {Promise<Array>} A promise that resolves to the answers, in the shape the wrapped resolver uses.
+     */
+    async query(method, name, options) {
+        const key = queryKey(method, name);
+        let entry = this.entries.get(key);
+        if (!entry || entry.expires <= this.now()) {
+            // Concurrent queries for the same name share one request
+            if (!this.pending.has(key)) {
+                this.pending.set(key, this.fetch(method, name).finally(() => this.pending.delete(key)));
+            }
+            entry = await this.pending.get(key);
+            this.entries.set(key, entry);
+        }
+
+        if (entry.ttl !== null && (this.minimumTtl === null || entry.ttl < this.minimumTtl)) {
+            this.minimumTtl = entry.ttl;
+        }
+        if (entry.error) {
+            throw Object.assign(new Error(entry.error.message), { code: entry.error.code });
+        }
+        return shapeAnswers(method, entry.answers, options);
+    }
+
+    /**
+     * Queries the wrapped resolver and turns the answer into a cache entry.
+     * @param {string} method The resolver method.
+     * @param {string} name The name to query.
+     * @returns {Promise<{answers: Array|null, error: Object|null, ttl: number|null, expires: number}>} A promise that
+     * resolves to the cache entry.
+     * @throws {Error} Any resolver error other than "no such name" or "no data", which is not cached.
+     */
+    async fetch(method, name) {
+        let answers;
+        try {
+            answers = await this.fetchAnswers(method, name);
+        } catch (error) {
+            if (!NEGATIVE_CODES.includes(error.code)) {
+                throw error;
+            }
+            return {
+                answers: null,
+                error: { code: error.code, message: error.message },
+                ttl: null,
+                expires: this.now() + this.defaultTtl * 1000,
+            };
+        }
+
+        let ttl = null;
+        if (ADDRESS_METHODS.includes(method)) {
+            const ttls = answers.map(answer => answer.ttl).filter(value => typeof value === 'number');
+            ttl = ttls.length > 0 ? Math.min(...ttls) : null;
+        }
+        return { answers, error: null, ttl, expires: this.now() + (ttl === null ? this.defaultTtl : ttl) * 1000 };
+    }
+
+    /**
+     * Loads cache entries saved by a previous run. Expired entries are skipped.
+     * @param {string} file The path of the cache file; a missing file leaves the cache empty.
+     * @returns {Promise<void>}
+     */
+    async load(file) {
+        let content;
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        let saved;
+        try {
+            saved = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${file} is not a valid DNS cache file: ${error.message}`);
+        }
+        if (saved.version !== CACHE_FILE_VERSION) {
+            throw new Error(`${file} is not a version ${CACHE_FILE_VERSION} DNS cache file.`);
+        }
+        const now = this.now();
+        Object.entries(saved.entries)
+            .filter(([, entry]) => entry.expires > now)
+            .forEach(([key, entry]) => this.entries.set(key, entry));
+    }
+
+    /**
+     * Saves the unexpired cache entries so the next run can reuse them.
+     * @param {string} file The path of the cache file.
+     * @returns {Promise<void>}
+     */
+    async save(file) {
+        const now = this.now();
+        const entries = Object.fromEntries([...this.entries].filter(([, entry]) => entry.expires > now));
+        await fs.writeFile(file, `${JSON.stringify({ version: CACHE_FILE_VERSION, entries }, null, 2)}\n`);
+    }
+}
+
+module.exports = {
+    CachingResolver,
+};
@@ -0,0 +1,120 @@
+// dns-fixture.js
+// This file contains the resolvers that record DNS answers into a fixture file and replay them offline.
+const fs = require('fs');
+const { ResolverWrapper, queryKey, shapeAnswers } = require('./dns-wrapper');
+
+const FIXTURE_FILE_VERSION = 1;
+
+/**
+ * Wraps a resolver (anything with the methods of dns.promises.Resolver, see setDnsResolver) and records every
+ * query it answers, including failures, so the run can be reproduced later with a ReplayResolver.
+ * A and AAAA records are always queried with `{ttl: true}` so the fixture keeps their TTL.
+ */
+class RecordingResolver extends ResolverWrapper {
+    /**
+     * @param {Object} resolver The resolver to wrap.
+     */
+    constructor(resolver) {
+        super(resolver);
+        this.queries = new Map();
+    }
+
+    /**
+     * Queries the wrapped resolver and records the answer or the error.
+     * @param {string} method The resolver method.
+     * @param {string} name The name to query.
+     * @param {Object} [options] The query options; `{ttl: true}` returns A/AAAA answers with their TTL.
+     * @returns {Promise<Array>} A promise that resolves to the answers of the wrapped resolver.
+     * @throws {Error} The error of the wrapped resolver, after recording it.
+     */
+    async query(method, name, options) {
+        const key = queryKey(method, name);
+        let answers;
+        try {
+            answers = await this.fetchAnswers(method, name);
+        } catch (error) {
+            this.queries.set(key, { error: { code: error.code || null, message: error.message } });
+            throw error;
+        }
+        this.queries.set(key, { answers });
+        return shapeAnswers(method, answers, options);
+    }
+
+    /**
+     * Writes the recorded queries to a fixture file. The write is synchronous, so it also works from an
+     * 'exit' handler.
+     * @param {string} file The path of the fixture file.
+     */
+    save(file) {
+        const queries = Object.fromEntries([...this.queries].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+        const fixture = { version: FIXTURE_FILE_VERSION, recordedAt: new Date().toISOString(), queries };
+        fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    }
+}
+
+/**
+ * A resolver that answers only from a fixture written by RecordingResolver, without any network access.
+ * A query the fixture has no answer for fails with the code 'ENOTRECORDED' and is listed in `unrecorded`,
+ * so callers can tell a replay that went off script from a real DNS failure.
+ */
+class ReplayResolver extends ResolverWrapper {
+    /**
+     * @param {Object} fixture The parsed fixture, `{version, recordedAt, queries}`.
+     * @throws {Error} If the fixture is not in the current format.
+     */
+    constructor(fixture) {
+        super(null);
+        if (!fixture || fixture.version !== FIXTURE_FILE_VERSION || typeof fixture.queries !== 'object') {
+            throw new Error(`Not a version ${FIXTURE_FILE_VERSION} DNS fixture.`);
+        }
+        this.recordedAt = fixture.recordedAt || null;
+        this.queries = new Map(Object.entries(fixture.queries));
+        this.unrecorded = [];
+    }
+
+    /**
+     * Reads a fixture file.
+     * @param {string} file The path of the fixture file.
+     * @returns {Promise<ReplayResolver>} A promise that resolves to the resolver.
+     * @throws {Error} If the file cannot be read or is not a fixture.
+     */
+    static async load(file) {
+        const content = await fs.promises.readFile(file, 'utf8');
+        try {
+            return new ReplayResolver(JSON.parse(content));
+        } catch (error) {
+            throw new Error(`${file} is not a version ${FIXTURE_FILE_VERSION} DNS fixture.`);
+        }
+    }
+
+    // Replayed answers do not depend on the nameservers
+    setServers() {}
+
+    /**
+     * Answers a query from the fixture.
+     * @param {string} method The resolver method.
+     * @param {string} name The name to query.
+     * @param {Object} [options] The query options; `{ttl: true}` returns A/AAAA answers with their TTL.
+     * @returns {Promise<Array>} A promise that resolves to the recorded answers.
+     * @throws {Error} The recorded error, or an 'ENOTRECORDED' error if the query is not in the fixture.
+     */
+    async query(method, name, options) {
+        const key = queryKey(method, name);
+        const entry = this.queries.get(key);
+        if (!entry) {
+            if (!this.unrecorded.includes(key)) {
+                this.unrecorded.push(key);
+            }
+            throw Object.assign(new Error(`The DNS fixture has no answer for ${method} ${name}.`), { code: 'ENOTRECORDED' });
+        }
+        if (entry.error) {
+            throw Object.assign(new Error(entry.error.message), { code: entry.error.code });
+        }
+        return shapeAnswers(method, entry.answers, options);
+    }
+}
+
+module.exports = {
+    RecordingResolver,
+    ReplayResolver,
+};
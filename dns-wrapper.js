@@ -0,0 +1,98 @@
+// dns-wrapper.js
+// This file contains the base class of the resolvers that wrap another resolver: the cache and the fixtures.
+
+const ADDRESS_METHODS = ['resolve4', 'resolve6'];
+
+/**
+ * Builds the key of a query, e.g. 'resolveTxt:example.com'. Names are compared case-insensitively and
+ * without a trailing dot.
+ * @param {string} method The resolver method.
+ * @param {string} name The name queried.
+ * @returns {string} The key.
+ */
+function queryKey(method, name) {
+    return `${method}:${name.toLowerCase().replace(/\.$/, '')}`;
+}
+
+/**
+ * Returns stored answers in the shape the caller asked for: A and AAAA answers are stored with their TTL and
+ * returned as plain addresses unless the query was made with `{ttl: true}`.
+ * @param {string} method The resolver method.
+ * @param {Array} answers The stored answers.
+ * @param {Object} [options] The query options.
+ * @returns {Array} The answers.
+ */
+function shapeAnswers(method, answers, options) {
+    if (ADDRESS_METHODS.includes(method)) {
+        return options && options.ttl
+            ? answers.map(answer => ({ ...answer }))
+            : answers.map(answer => answer.address);
+    }
+    return answers;
+}
+
+/**
+ * A resolver (with the methods of dns.promises.Resolver used by the SPF tools, see setDnsResolver) that
+ * answers every query through its `query(method, name, options)` method, which subclasses implement.
+ */
+class ResolverWrapper {
+    /**
+     * @param {Object|null} resolver The resolver to wrap, or null if the subclass answers on its own.
+     */
+    constructor(resolver) {
+        this.resolver = resolver;
+    }
+
+    /**
+     * Passes the nameservers on to the wrapped resolver.
+     * @param {Array<string>} servers The nameserver addresses.
+     */
+    setServers(servers) {
+        this.resolver.setServers(servers);
+    }
+
+    // The resolver methods used by the SPF tools, all answered through query()
+    resolveTxt(hostname) {
+        return this.query('resolveTxt', hostname);
+    }
+
+    resolve4(hostname, options) {
+        return this.query('resolve4', hostname, options);
+    }
+
+    resolve6(hostname, options) {
+        return this.query('resolve6', hostname, options);
+    }
+
+    resolveMx(hostname) {
+        return this.query('resolveMx', hostname);
+    }
+
+    reverse(ip) {
+        return this.query('reverse', ip);
+    }
+
+    /**
+     * Queries the wrapped resolver. A and AAAA records are always queried with `{ttl: true}` so their TTL is
+     * known, and come back as `{address, ttl}` objects even from resolvers without TTL support.
+     * @param {string} method The resolver method.
+     * @param {string} name The name to query.
+     * @returns {Promise<Array>} A promise that resolves to the answers, to be shaped with shapeAnswers.
+     * @throws {Error} The error of the wrapped resolver.
+     */
+    async fetchAnswers(method, name) {
+        if (!ADDRESS_METHODS.includes(method)) {
+            return this.resolver[method](name);
+        }
+        const answers = await this.resolver[method](name, { ttl: true });
+        // Resolvers without TTL support answer with plain address strings
+        return answers.map(answer => (typeof answer === 'string' ? { address: answer, ttl: null } : answer));
+    }
+}
+
+module.exports = {
+    ADDRESS_METHODS,
+    ResolverWrapper,
+    queryKey,
+    shapeAnswers,
+};
@@ -1,2 +1,36 @@
 // This is the main entry point for the SPF_Flatting project.
-const spfParser = require('./spfParser');
\ No newline at end of file
+const { SpfFlattener } = require('./spf-flattener');
+const { SpfLoopError, SpfTempError, createDnsResolver, parseSpf, stringifySpf, flattenSpf } = require('./spfParser');
+const { checkHost } = require('./spf-check');
+const { lintSpf } = require('./spf-validator');
+const { compareFlattenedSpf } = require('./spf-equivalence');
+const { SpfParseError } = require('./spf-tokenizer');
+const { createDiagnostic } = require('./spf-session');
+const { CachingResolver } = require('./dns-cache');
+const { RecordingResolver, ReplayResolver } = require('./dns-fixture');
+const { SpfConfigError, loadConfig, runConfig } = require('./spf-config');
+const { exportChanges, parseTsigKey, sendDnsUpdate } = require('./spf-export');
+
+module.exports = {
+    SpfFlattener,
+    SpfLoopError,
+    SpfTempError,
+    SpfParseError,
+    SpfConfigError,
+    CachingResolver,
+    RecordingResolver,
+    ReplayResolver,
+    createDnsResolver,
+    createDiagnostic,
+    parseSpf,
+    stringifySpf,
+    flattenSpf,
+    checkHost,
+    lintSpf,
+    compareFlattenedSpf,
+    loadConfig,
+    runConfig,
+    exportChanges,
+    parseTsigKey,
+    sendDnsUpdate,
+};
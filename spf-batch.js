@@ -0,0 +1,154 @@
+// spf-batch.js
+// This file contains batch verification and flattening of many domains, with table, CSV and JSON reports.
+const { parseSpf, flattenSpf, stringifySpf, resolveSpfTxtRecord } = require('./spfParser');
+const { verifySpf } = require('./spf-validator');
+const { countSpfLookups } = require('./spf-lookups');
+
+const REPORT_COLUMNS = ['domain', 'ok', 'lookups', 'recordLength', 'flattenedLength', 'errors', 'flattened'];
+
+/**
+ * Reads a list of domains, one per line. Blank lines and '#' comments are ignored.
+ * @param {string} text The list.
+ * @returns {Array<string>} The domains, without duplicates, in their original order.
+ */
+function parseDomainList(text) {
+    const domains = text
+        .split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(line => line !== '');
+    return [...new Set(domains)];
+}
+
+/**
+ * Maps items through an async function, running at most `limit` calls at a time.
+ * @param {Array} items The items.
+ * @param {number} limit The maximum number of concurrent calls.
+ * @param {Function} fn The async function to call for each item.
+ * @returns {Promise<Array>} A promise that resolves to the results, in the order of the items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Verifies the SPF record of one domain for a batch report.
+ * @param {string} domain The domain.
+ * @returns {Promise<Object>} A promise that resolves to the report row (see runBatch).
+ */
+async function verifyDomain(domain) {
+    const results = await verifySpf(domain);
+    return {
+        domain,
+        lookups: results.dnsLookups,
+        recordLength: results.record === null ? null : Buffer.byteLength(results.record),
+        flattenedLength: null,
+        errors: [...results.errors, ...results.syntaxErrors],
+        flattened: null,
+    };
+}
+
+/**
+ * Flattens the SPF record of one domain for a batch report.
+ * @param {string} domain The domain.
+ * @returns {Promise<Object>} A promise that resolves to the report row (see runBatch).
+ */
+async function flattenDomain(domain) {
+    const { spfRecords } = await resolveSpfTxtRecord(domain, 0);
+    if (spfRecords.length !== 1) {
+        throw new Error(spfRecords.length === 0
+            ? `No SPF record found for ${domain}.`
+            : `Multiple SPF records found for ${domain}. Only one is allowed.`);
+    }
+    const parsedSpf = parseSpf(spfRecords[0]);
+    const { lookups, errors } = await countSpfLookups(parsedSpf, domain);
+    const flattened = stringifySpf(await flattenSpf(parsedSpf, domain));
+    return {
+        domain,
+        lookups,
+        recordLength: Buffer.byteLength(spfRecords[0]),
+        flattenedLength: Buffer.byteLength(flattened),
+        errors,
+        flattened,
+    };
+}
+
+/**
+ * Verifies or flattens the SPF records of many domains.
+ * A failure for one domain is recorded in its row and does not stop the others.
+ * @param {Array<string>} domains The domains.
+ * @param {Object} [options] Batch options.
+ * @param {string} [options.mode] 'verify' (the default) or 'flatten'.
+ * @param {number} [options.concurrency] How many domains are processed at once. Defaults to 4.
+ * @returns {Promise<Array<Object>>} A promise that resolves to one row per domain, in input order:
+ * `{domain, ok, lookups, recordLength, flattenedLength, errors, flattened}`. Lengths are in bytes, and
+ * `flattened` and `flattenedLength` are null in verify mode.
+ */
+async function runBatch(domains, { mode = 'verify', concurrency = 4 } = {}) {
+    const processDomain = mode === 'flatten' ? flattenDomain : verifyDomain;
+    return mapWithConcurrency(domains, concurrency, async domain => {
+        let row;
+        try {
+            row = await processDomain(domain);
+        } catch (error) {
+            row = { domain, lookups: null, recordLength: null, flattenedLength: null, errors: [error.message], flattened: null };
+        }
+        return { domain: row.domain, ok: row.errors.length === 0, ...row };
+    });
+}
+
+/**
+ * Formats a report cell as text.
+ * @param {*} value The cell value.
+ * @returns {string} The text, with errors joined by '; ' and missing values as '-'.
+ */
+function cellText(value) {
+    if (Array.isArray(value)) {
+        return value.join('; ');
+    }
+    return value === null || value === undefined ? '-' : String(value);
+}
+
+/**
+ * Formats batch results as an aligned text table.
+ * The flattened records are left out to keep the table readable; use CSV or JSON for them.
+ * @param {Array<Object>} rows The rows from runBatch.
+ * @returns {string} The table.
+ */
+function formatBatchTable(rows) {
+    const columns = REPORT_COLUMNS.filter(column => column !== 'flattened');
+    const cells = [columns, ...rows.map(row => columns.map(column => cellText(row[column])))];
+    const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+    return cells
+        .map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+        .join('\n');
+}
+
+/**
+ * Formats batch results as CSV (RFC 4180), with a header row.
+ * @param {Array<Object>} rows The rows from runBatch.
+ * @returns {string} The CSV text.
+ */
+function formatBatchCsv(rows) {
+    const quote = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [REPORT_COLUMNS, ...rows.map(row => REPORT_COLUMNS.map(column => {
+        const value = row[column];
+        return Array.isArray(value) ? value.join('; ') : value === null ? '' : String(value);
+    }))];
+    return lines.map(line => line.map(quote).join(',')).join('\r\n');
+}
+
+module.exports = {
+    parseDomainList,
+    runBatch,
+    formatBatchTable,
+    formatBatchCsv,
+};
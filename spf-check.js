@@ -0,0 +1,411 @@
+// spf-check.js
+// This file contains the RFC 7208 check_host() evaluator.
+const { parseSpf, stringifyMechanism, getDnsResolver } = require('./spfParser');
+const { SpfParseError } = require('./spf-tokenizer');
+const { parseAddress, formatAddress, parseCidr, cidrContainsAddress } = require('./cidr');
+const { expandMacros } = require('./spf-macro');
+
+const MAX_DNS_LOOKUPS = 10; // RFC 7208 section 4.6.4
+const MAX_VOID_LOOKUPS = 2;
+const MAX_NAME_LOOKUPS = 10; // Per 'mx' and 'ptr' term
+
+const QUALIFIER_RESULTS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+/**
+ * Carries a 'permerror' or 'temperror' result out of a nested evaluation.
+ */
+class SpfResultError extends Error {
+    constructor(result, message) {
+        super(message);
+        this.result = result;
+    }
+}
+
+/**
+ * Checks whether a name is a syntactically valid multi-label domain name.
+ * @param {string} domain The domain name.
+ * @returns {boolean} True if the domain can be queried.
+ */
+function isValidDomain(domain) {
+    const name = domain.endsWith('.') ? domain.slice(0, -1) : domain;
+    const labels = name.split('.');
+    return name.length > 0 && name.length <= 253 && labels.length > 1 &&
+        labels.every(label => label.length > 0 && label.length <= 63);
+}
+
+/**
+ * Runs a DNS query for the evaluation.
+ * "No such name" and "no data" answers give an empty result; any other failure is a temperror.
+ * @param {string} method The resolver method, e.g. 'resolveTxt'.
+ * @param {string} name The name to query.
+ * @returns {Promise<Array>} A promise that resolves to the answers.
+ */
+async function query(method, name) {
+    try {
+        return await getDnsResolver()[method](name);
+    } catch (error) {
+        if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+            return [];
+        }
+        throw new SpfResultError('temperror', `DNS ${method} query for ${name} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Runs the DNS query of a lookup-generating term, counting void answers against the limit.
+ * @param {Object} context The evaluation context.
+ * @param {string} method The resolver method.
+ * @param {string} name The name to query.
+ * @returns {Promise<Array>} A promise that resolves to the answers.
+ */
+async function queryTerm(context, method, name) {
+    const answers = await query(method, name);
+    if (answers.length === 0) {
+        context.voidLookups++;
+        if (context.voidLookups > MAX_VOID_LOOKUPS) {
+            throw new SpfResultError('permerror', `More than ${MAX_VOID_LOOKUPS} void DNS lookups.`);
+        }
+    }
+    return answers;
+}
+
+/**
+ * Counts one lookup-generating term against the limit of 10.
+ * @param {Object} context The evaluation context.
+ */
+function countLookup(context) {
+    context.lookups++;
+    if (context.lookups > MAX_DNS_LOOKUPS) {
+        throw new SpfResultError('permerror', `More than ${MAX_DNS_LOOKUPS} DNS lookups.`);
+    }
+}
+
+/**
+ * Resolves the addresses of a host in the client's address family.
+ * @param {Object} context The evaluation context.
+ * @param {string} hostname The host to resolve.
+ * @param {boolean} countVoid Whether an empty answer counts as a void lookup.
+ * @returns {Promise<string[]>} A promise that resolves to the addresses.
+ */
+function resolveClientFamily(context, hostname, countVoid) {
+    const method = context.version === 4 ? 'resolve4' : 'resolve6';
+    return countVoid ? queryTerm(context, method, hostname) : query(method, hostname);
+}
+
+/**
+ * Checks whether the client address matches an address with a prefix length.
+ * @param {Object} context The evaluation context.
+ * @param {string} address The address from DNS or the record.
+ * @param {number} prefix The prefix length to apply.
+ * @returns {boolean} True if the client is inside the range.
+ */
+function addressMatches(context, address, prefix) {
+    const range = parseCidr(`${address}/${prefix}`, context.version);
+    return Boolean(range) && cidrContainsAddress(range, context.ip);
+}
+
+/**
+ * Returns the prefix length of an 'a' or 'mx' mechanism for the client's address family.
+ * @param {Object} context The evaluation context.
+ * @param {Object} mechanism The parsed mechanism.
+ * @returns {number} The prefix length, defaulting to a single address.
+ */
+function cidrLength(context, mechanism) {
+    const length = context.version === 4 ? mechanism.ip4Cidr : mechanism.ip6Cidr;
+    if (length === null) {
+        return context.version === 4 ? 32 : 128;
+    }
+    return length;
+}
+
+/**
+ * Finds the validated reverse name of the client for the %{p} macro.
+ * A name is validated when it resolves back to the client address; names in `domain` are preferred.
+ * @param {Object} context The evaluation context.
+ * @param {string} domain The current domain.
+ * @returns {Promise<string>} A promise that resolves to the validated name, or 'unknown'.
+ */
+async function resolveValidatedDomain(context, domain) {
+    const names = await query('reverse', context.ip).catch(() => []);
+    const validated = [];
+    for (const name of names.slice(0, MAX_NAME_LOOKUPS)) {
+        const addresses = await resolveClientFamily(context, name, false).catch(() => []);
+        if (addresses.some(address => addressMatches(context, address, context.version === 4 ? 32 : 128))) {
+            validated.push(name.replace(/\.$/, ''));
+        }
+    }
+    const lowerDomain = domain.toLowerCase();
+    const preferred = validated.find(name => name.toLowerCase() === lowerDomain || name.toLowerCase().endsWith(`.${lowerDomain}`));
+    return preferred || validated[0] || 'unknown';
+}
+
+/**
+ * Expands the macros in a domain-spec or explanation string for the current evaluation.
+ * @param {Object} context The evaluation context.
+ * @param {string} text The text to expand.
+ * @param {string} domain The current domain.
+ * @param {boolean} [explanation] Whether the text is an explanation string.
+ * @returns {Promise<string>} A promise that resolves to the expanded text.
+ */
+async function expandForContext(context, text, domain, explanation = false) {
+    if (!text.includes('%')) {
+        return text;
+    }
+    let validatedDomain;
+    if (/%\{p/i.test(text)) {
+        validatedDomain = await resolveValidatedDomain(context, domain);
+    }
+    try {
+        return expandMacros(text, { ...context, domain, validatedDomain }, { explanation });
+    } catch (error) {
+        throw new SpfResultError('permerror', error.message);
+    }
+}
+
+/**
+ * Determines the target domain of a mechanism, expanding macros and defaulting to the current domain.
+ * @param {Object} context The evaluation context.
+ * @param {string} target The domain-spec from the record (may be empty).
+ * @param {string} domain The current domain.
+ * @returns {Promise<string>} A promise that resolves to the domain to query.
+ */
+async function targetDomain(context, target, domain) {
+    const name = target ? await expandForContext(context, target, domain) : domain;
+    if (!isValidDomain(name)) {
+        throw new SpfResultError('permerror', `Invalid domain-spec '${name}'.`);
+    }
+    return name;
+}
+
+/**
+ * Fetches and expands the explanation string of a failing record.
+ * Any problem with the explanation is ignored, as required by RFC 7208 section 6.2.
+ * @param {Object} context The evaluation context.
+ * @param {string} target The domain-spec of the 'exp' modifier.
+ * @param {string} domain The current domain.
+ * @returns {Promise<string|undefined>} A promise that resolves to the explanation, if one could be built.
+ */
+async function fetchExplanation(context, target, domain) {
+    try {
+        const name = await targetDomain(context, target, domain);
+        const records = await query('resolveTxt', name);
+        if (records.length !== 1) {
+            return undefined;
+        }
+        return await expandForContext(context, records[0].join(''), domain, true);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Evaluates whether a single mechanism matches the client.
+ * @param {Object} context The evaluation context.
+ * @param {Object} mechanism The parsed mechanism.
+ * @param {string} domain The domain of the record being evaluated.
+ * @returns {Promise<boolean>} A promise that resolves to true if the mechanism matches.
+ */
+async function matchMechanism(context, mechanism, domain) {
+    switch (mechanism.type) {
+        case 'all':
+            return true;
+
+        case 'ip4':
+        case 'ip6': {
+            const range = parseCidr(mechanism.value, mechanism.type === 'ip4' ? 4 : 6);
+            if (!range) {
+                throw new SpfResultError('permerror', `Invalid ${mechanism.type} range '${mechanism.value}'.`);
+            }
+            return cidrContainsAddress(range, context.ip);
+        }
+
+        case 'a': {
+            countLookup(context);
+            const prefix = cidrLength(context, mechanism);
+            const addresses = await resolveClientFamily(context, await targetDomain(context, mechanism.domainSpec, domain), true);
+            return addresses.some(address => addressMatches(context, address, prefix));
+        }
+
+        case 'mx': {
+            countLookup(context);
+            const prefix = cidrLength(context, mechanism);
+            const mxRecords = await queryTerm(context, 'resolveMx', await targetDomain(context, mechanism.domainSpec, domain));
+            if (mxRecords.length > MAX_NAME_LOOKUPS) {
+                throw new SpfResultError('permerror', `More than ${MAX_NAME_LOOKUPS} MX records for '${mechanism.value || domain}'.`);
+            }
+            for (const record of mxRecords) {
+                const addresses = await resolveClientFamily(context, record.exchange, false);
+                if (addresses.some(address => addressMatches(context, address, prefix))) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        case 'ptr': {
+            countLookup(context);
+            const target = (await targetDomain(context, mechanism.domainSpec, domain)).toLowerCase();
+            let names;
+            try {
+                names = await queryTerm(context, 'reverse', context.ip);
+            } catch (error) {
+                // Failures of the reverse lookup simply mean no match
+                if (error.result === 'temperror') {
+                    return false;
+                }
+                throw error;
+            }
+            for (const name of names.slice(0, MAX_NAME_LOOKUPS)) {
+                const lowerName = name.toLowerCase().replace(/\.$/, '');
+                if (lowerName !== target && !lowerName.endsWith(`.${target}`)) {
+                    continue;
+                }
+                const addresses = await resolveClientFamily(context, name, false).catch(() => []);
+                if (addresses.some(address => addressMatches(context, address, context.version === 4 ? 32 : 128))) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        case 'exists': {
+            countLookup(context);
+            const addresses = await queryTerm(context, 'resolve4', await targetDomain(context, mechanism.domainSpec, domain));
+            return addresses.length > 0;
+        }
+
+        case 'include': {
+            countLookup(context);
+            const target = await targetDomain(context, mechanism.domainSpec, domain);
+            const { result } = await evaluateDomain(context, target);
+            if (result === 'pass') {
+                return true;
+            }
+            if (result === 'none') {
+                throw new SpfResultError('permerror', `Included domain ${target} has no SPF record.`);
+            }
+            // fail, softfail and neutral results of an include are simply "no match"
+            return false;
+        }
+
+        default:
+            throw new SpfResultError('permerror', `Unknown mechanism '${mechanism.type}'.`);
+    }
+}
+
+/**
+ * Fetches, parses and evaluates the SPF record of a domain.
+ * @param {Object} context The evaluation context.
+ * @param {string} domain The domain whose record is evaluated.
+ * @returns {Promise<{result: string, mechanism: string|null, domain: string}>} A promise that resolves to the result.
+ */
+async function evaluateDomain(context, domain) {
+    if (!isValidDomain(domain)) {
+        return { result: 'none', mechanism: null, domain };
+    }
+
+    const records = (await query('resolveTxt', domain))
+        .map(record => record.join(''))
+        .filter(record => /^v=spf1( |$)/i.test(record));
+
+    if (records.length === 0) {
+        return { result: 'none', mechanism: null, domain };
+    }
+    if (records.length > 1) {
+        throw new SpfResultError('permerror', `Multiple SPF records found for ${domain}.`);
+    }
+
+    let parsed;
+    try {
+        parsed = parseSpf(records[0]).filter(term => term.kind !== 'version');
+    } catch (error) {
+        if (error instanceof SpfParseError) {
+            throw new SpfResultError('permerror', `Invalid SPF record for ${domain}: ${error.message}`);
+        }
+        throw error;
+    }
+    const redirects = parsed.filter(term => term.type === 'redirect');
+    if (redirects.length > 1 || parsed.filter(term => term.type === 'exp').length > 1) {
+        throw new SpfResultError('permerror', `Duplicate modifiers in the SPF record of ${domain}.`);
+    }
+
+    for (const mechanism of parsed.filter(term => term.kind === 'mechanism')) {
+        if (await matchMechanism(context, mechanism, domain)) {
+            const evaluation = {
+                result: QUALIFIER_RESULTS[mechanism.qualifier],
+                mechanism: stringifyMechanism(mechanism),
+                domain,
+            };
+            const exp = parsed.find(term => term.type === 'exp');
+            if (evaluation.result === 'fail' && exp) {
+                const explanation = await fetchExplanation(context, exp.domainSpec, domain);
+                if (explanation !== undefined) {
+                    evaluation.explanation = explanation;
+                }
+            }
+            return evaluation;
+        }
+    }
+
+    // 'redirect' is ignored when the record contains an 'all' mechanism
+    if (redirects.length === 1 && !parsed.some(term => term.type === 'all')) {
+        countLookup(context);
+        const target = await targetDomain(context, redirects[0].domainSpec, domain);
+        const redirected = await evaluateDomain(context, target);
+        if (redirected.result === 'none') {
+            throw new SpfResultError('permerror', `Redirect target ${target} has no SPF record.`);
+        }
+        return redirected;
+    }
+
+    return { result: 'neutral', mechanism: null, domain };
+}
+
+/**
+ * Evaluates the SPF policy of a domain for a connecting client, following RFC 7208 check_host().
+ * @param {string} ip The IP address of the SMTP client.
+ * @param {string} domain The domain whose policy is checked (usually the sender's domain).
+ * @param {string} [sender] The envelope sender ("MAIL FROM") address.
+ * @param {string} [helo] The HELO/EHLO name presented by the client.
+ * @returns {Promise<{result: string, mechanism: string|null, domain: string, explanation?: string, error?: string}>} A promise
+ * that resolves to the result (pass, fail, softfail, neutral, none, permerror or temperror), the matched mechanism, the domain
+ * whose record produced it and, for a fail with an 'exp' modifier, the expanded explanation.
+ */
+async function checkHost(ip, domain, sender, helo) {
+    let client = parseAddress(ip);
+    if (!client) {
+        throw new Error(`Invalid IP address: ${ip}`);
+    }
+    // IPv4-mapped IPv6 addresses are evaluated as IPv4
+    if (client.version === 6 && client.value >> 32n === 0xffffn) {
+        client = { version: 4, value: client.value & 0xffffffffn };
+    }
+
+    let envelopeSender = sender || `postmaster@${helo || domain}`;
+    if (!envelopeSender.includes('@')) {
+        envelopeSender = `postmaster@${envelopeSender}`;
+    }
+
+    const context = {
+        ip: formatAddress(client.version, client.value),
+        version: client.version,
+        sender: envelopeSender,
+        helo: helo || '',
+        lookups: 0,
+        voidLookups: 0,
+    };
+
+    try {
+        return await evaluateDomain(context, domain);
+    } catch (error) {
+        if (error instanceof SpfResultError) {
+            return { result: error.result, mechanism: null, domain, error: error.message };
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    checkHost,
+    isValidDomain,
+};
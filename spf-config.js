@@ -0,0 +1,416 @@
+// spf-config.js
+// This file contains the project config file that declares per-domain flattening settings and outputs.
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const { SpfFlattener } = require('./spf-flattener');
+const { createDnsResolver, stringifySpf, stringifyMechanism } = require('./spfParser');
+const { isValidDomainSpec, createMechanism } = require('./spf-tokenizer');
+const { hasMacros } = require('./spf-macro');
+const { isValidDomain } = require('./spf-check');
+const { parseCidr, optimizeIpMechanisms } = require('./cidr');
+const { splitSpfRecord, formatZoneFragment } = require('./spf-splitter');
+const { createDiagnostic } = require('./spf-session');
+
+const CONFIG_FILE_VERSION = 1;
+const ALL_TERMS = ['-all', '~all']; // The lint rules reject '+all' and '?all'
+const OUTPUT_TYPES = ['record', 'zone', 'json'];
+
+/**
+ * Error thrown when a config file is invalid. `errors` lists every problem found, each with the path of
+ * the field it is about, e.g. `domains[1].extraRanges[0]`.
+ */
+class SpfConfigError extends Error {
+    constructor(errors, file = null) {
+        const prefix = file ? `${file}: ` : '';
+        super(errors.map(error => `${prefix}${error.path ? `${error.path}: ` : ''}${error.message}`).join('\n'));
+        this.name = 'SpfConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {*} value The value.
+ * @returns {boolean} True for objects that are not arrays or null.
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is an integer of at least a minimum.
+ * @param {*} value The value.
+ * @param {number} min The minimum.
+ * @returns {boolean} True if the value is such an integer.
+ */
+function isInteger(value, min) {
+    return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Checks a list of strings, reporting the exact item of any problem.
+ * @param {*} value The list.
+ * @param {string} at The path of the list.
+ * @param {Array<Object>} errors Receives the problems.
+ * @param {Function} [check] Returns an error message for an invalid item, or null.
+ */
+function checkStringList(value, at, errors, check = () => null) {
+    if (!Array.isArray(value)) {
+        errors.push({ path: at, message: 'must be a list of strings.' });
+        return;
+    }
+    value.forEach((item, i) => {
+        const message = typeof item === 'string' ? check(item) : 'must be a string.';
+        if (message) {
+            errors.push({ path: `${at}[${i}]`, message });
+        }
+    });
+}
+
+/**
+ * Checks the fields of an object against a set of field checks, reporting unknown fields.
+ * @param {Object} value The object.
+ * @param {string} at The path of the object.
+ * @param {Object<string, Function>} checks The check of each allowed field, called with the value and its path.
+ * @param {Array<Object>} errors Receives the problems.
+ */
+function checkFields(value, at, checks, errors) {
+    Object.keys(value).forEach(key => {
+        const fieldPath = at ? `${at}.${key}` : key;
+        if (!checks[key]) {
+            errors.push({ path: fieldPath, message: `is not a known field. Expected one of ${Object.keys(checks).join(', ')}.` });
+        } else {
+            checks[key](value[key], fieldPath);
+        }
+    });
+}
+
+/**
+ * Builds the checks of the per-domain settings, used for each domain and for `defaults`.
+ * @param {Array<Object>} errors Receives the problems.
+ * @returns {Object<string, Function>} The field checks.
+ */
+function settingChecks(errors) {
+    const integer = (min, description) => (value, at) => {
+        if (!isInteger(value, min)) {
+            errors.push({ path: at, message: `must be ${description}.` });
+        }
+    };
+    return {
+        keep: (value, at) => checkStringList(value, at, errors),
+        extraRanges: (value, at) => checkStringList(value, at, errors, range =>
+            (parseCidr(range, range.includes(':') ? 6 : 4) ? null : `'${range}' is not a valid IPv4 or IPv6 range.`)),
+        all: (value, at) => {
+            if (!ALL_TERMS.includes(value)) {
+                errors.push({ path: at, message: `must be one of ${ALL_TERMS.map(term => `'${term}'`).join(', ')}.` });
+            }
+        },
+        budget: integer(0, 'a non-negative integer'),
+        maxLength: integer(1, 'a positive integer'),
+        ttl: integer(1, 'a positive integer'),
+        resolver: (value, at) => {
+            if (!isObject(value)) {
+                errors.push({ path: at, message: 'must be an object.' });
+                return;
+            }
+            checkFields(value, at, {
+                servers: (servers, serversAt) => checkStringList(servers, serversAt, errors, server =>
+                    (net.isIP(server) ? null : `'${server}' is not an IP address.`)),
+                timeout: integer(1, 'a positive integer'),
+                retries: integer(0, 'a non-negative integer'),
+            }, errors);
+        },
+        outputs: (value, at) => {
+            if (!Array.isArray(value)) {
+                errors.push({ path: at, message: 'must be a list of outputs.' });
+                return;
+            }
+            value.forEach((output, i) => {
+                const outputAt = `${at}[${i}]`;
+                if (!isObject(output)) {
+                    errors.push({ path: outputAt, message: 'must be an object with a type and a path.' });
+                    return;
+                }
+                ['type', 'path'].filter(key => output[key] === undefined)
+                    .forEach(key => errors.push({ path: `${outputAt}.${key}`, message: 'is required.' }));
+                checkFields(output, outputAt, {
+                    type: (type, typeAt) => {
+                        if (!OUTPUT_TYPES.includes(type)) {
+                            errors.push({ path: typeAt, message: `must be one of ${OUTPUT_TYPES.join(', ')}.` });
+                        }
+                    },
+                    path: (file, fileAt) => {
+                        if (typeof file !== 'string' || file === '') {
+                            errors.push({ path: fileAt, message: 'must be a file path.' });
+                        }
+                    },
+                }, errors);
+            });
+        },
+    };
+}
+
+/**
+ * Validates a parsed config and returns the settings of each domain, with the defaults applied.
+ * The config has the shape `{version: 1, defaults, domains: [{domain, keep, extraRanges, all, budget,
+ * maxLength, ttl, resolver, outputs}]}`; see "Config Files" in the README.
+ * @param {*} config The parsed config.
+ * @returns {Array<Object>} The settings of each domain, in config order. A domain's own fields replace the
+ * defaults, and `{domain}` in output paths is replaced with the domain.
+ * @throws {SpfConfigError} If the config is invalid, listing every problem with the path of its field.
+ */
+function validateConfig(config) {
+    const errors = [];
+    if (!isObject(config)) {
+        throw new SpfConfigError([{ path: '', message: 'The config must be a JSON object.' }]);
+    }
+    const checks = settingChecks(errors);
+    checkFields(config, '', {
+        version: value => {
+            if (value !== CONFIG_FILE_VERSION) {
+                errors.push({ path: 'version', message: `must be ${CONFIG_FILE_VERSION}.` });
+            }
+        },
+        defaults: (value, at) => {
+            if (!isObject(value)) {
+                errors.push({ path: at, message: 'must be an object.' });
+            } else {
+                checkFields(value, at, checks, errors);
+            }
+        },
+        domains: (value, at) => {
+            if (!Array.isArray(value) || value.length === 0) {
+                errors.push({ path: at, message: 'must be a non-empty list of domains.' });
+                return;
+            }
+            value.forEach((entry, i) => {
+                const entryAt = `${at}[${i}]`;
+                if (!isObject(entry)) {
+                    errors.push({ path: entryAt, message: 'must be an object with a domain.' });
+                    return;
+                }
+                if (entry.domain === undefined) {
+                    errors.push({ path: `${entryAt}.domain`, message: 'is required.' });
+                }
+                checkFields(entry, entryAt, {
+                    domain: (domain, domainAt) => {
+                        if (typeof domain !== 'string' || !isValidDomain(domain) || !isValidDomainSpec(domain) || hasMacros(domain)) {
+                            errors.push({ path: domainAt, message: `${JSON.stringify(domain)} is not a valid domain name.` });
+                        }
+                    },
+                    ...checks,
+                }, errors);
+            });
+        },
+    }, errors);
+    ['version', 'domains'].filter(key => config[key] === undefined)
+        .forEach(key => errors.push({ path: key, message: 'is required.' }));
+    if (errors.length > 0) {
+        throw new SpfConfigError(errors);
+    }
+
+    const defaults = config.defaults || {};
+    const settings = config.domains.map(entry => {
+        const merged = { keep: [], extraRanges: [], all: null, budget: undefined, maxLength: undefined, ttl: undefined, resolver: null, outputs: [], ...defaults, ...entry };
+        merged.outputs = merged.outputs.map(output => ({ ...output, path: output.path.split('{domain}').join(entry.domain) }));
+        return merged;
+    });
+
+    // Two domains that are the same, or outputs that overwrite each other, are mistakes in the config
+    const domains = new Map();
+    const outputs = new Map();
+    settings.forEach((entry, i) => {
+        const name = entry.domain.toLowerCase().replace(/\.$/, '');
+        if (domains.has(name)) {
+            errors.push({ path: `domains[${i}].domain`, message: `'${entry.domain}' is already listed at domains[${domains.get(name)}].` });
+        }
+        domains.set(name, i);
+        entry.outputs.forEach((output, j) => {
+            const at = `domains[${i}].outputs[${j}].path`;
+            if (outputs.has(output.path)) {
+                errors.push({ path: at, message: `'${output.path}' is also written by ${outputs.get(output.path)}.` });
+            }
+            outputs.set(output.path, at);
+        });
+    });
+    if (errors.length > 0) {
+        throw new SpfConfigError(errors);
+    }
+    return settings;
+}
+
+/**
+ * Reads and validates a config file.
+ * @param {string} file The path of the config file.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the settings of each domain (see validateConfig).
+ * @throws {SpfConfigError} If the file is not valid JSON or not a valid config; the messages start with the file name.
+ */
+async function loadConfig(file) {
+    const content = await fs.readFile(file, 'utf8');
+    let config;
+    try {
+        config = JSON.parse(content);
+    } catch (error) {
+        throw new SpfConfigError([{ path: '', message: `Invalid JSON: ${error.message}` }], file);
+    }
+    try {
+        return validateConfig(config);
+    } catch (error) {
+        throw error instanceof SpfConfigError ? new SpfConfigError(error.errors, file) : error;
+    }
+}
+
+/**
+ * Applies the policy of a domain to its flattened terms: the extra ranges are added before the terminal
+ * 'all' or 'redirect', so they never take precedence over the exclusions of the record, and the 'all' is
+ * set to the configured qualifier.
+ * @param {Array<Object>} flattened The flattened terms.
+ * @param {Object} settings The domain settings.
+ * @returns {{terms: Array<Object>, problem: Object|null}} The resulting terms, or a diagnostic if the policy
+ * cannot be applied.
+ */
+function applyPolicy(flattened, settings) {
+    const trailing = flattened.filter(term => term.type === 'all' || term.type === 'redirect');
+    const terms = flattened.filter(term => !trailing.includes(term));
+    terms.push(...settings.extraRanges.map(range => createMechanism('+', range.includes(':') ? 'ip6' : 'ip4', range)));
+
+    if (settings.all) {
+        const redirect = trailing.find(term => term.type === 'redirect');
+        if (redirect && !trailing.some(term => term.type === 'all')) {
+            return {
+                terms: null,
+                problem: createDiagnostic('POLICY_CONFLICT', 'error',
+                    `The record of ${settings.domain} keeps '${stringifyMechanism(redirect)}', which '${settings.all}' would override.`,
+                    { domain: settings.domain }),
+            };
+        }
+        const all = createMechanism(settings.all[0], 'all', 'all');
+        trailing.splice(0, trailing.length, ...trailing.filter(term => term.type !== 'all'), all);
+    }
+    return { terms: optimizeIpMechanisms([...terms, ...trailing]), problem: null };
+}
+
+/**
+ * Writes one output of a domain.
+ * @param {Object} output The output, `{type, path}`.
+ * @param {Object} result The result of the domain (see runConfig).
+ * @param {Object} settings The domain settings.
+ * @returns {Promise<void>}
+ * @throws {Error} If a 'record' output is asked for a record that had to be split.
+ */
+async function writeOutput(output, result, settings) {
+    let content;
+    if (output.type === 'record') {
+        if (result.records.length > 1) {
+            throw new Error(`The record of ${settings.domain} was split into ${result.records.length} records, which a 'record' output cannot hold. Use a 'zone' output.`);
+        }
+        content = `${result.records[0].value}\n`;
+    } else if (output.type === 'zone') {
+        content = formatZoneFragment(result.records, { ttl: settings.ttl });
+    } else {
+        const { outputs, ...report } = result;
+        content = `${JSON.stringify({ version: CONFIG_FILE_VERSION, ...report }, null, 2)}\n`;
+    }
+    await fs.mkdir(path.dirname(output.path), { recursive: true });
+    await fs.writeFile(output.path, content);
+}
+
+/**
+ * Flattens one domain of a config, applies its policy and writes its outputs.
+ * @param {SpfFlattener} flattener The flattener for the domain.
+ * @param {Object} settings The domain settings.
+ * @param {string} baseDir The directory relative output paths are resolved against.
+ * @returns {Promise<Object>} A promise that resolves to the result of the domain (see runConfig).
+ */
+async function runDomain(flattener, settings, baseDir) {
+    const partial = settings.keep.length > 0 || settings.budget !== undefined;
+    const flattened = await flattener.flatten(settings.domain, partial ? { keep: settings.keep, budget: settings.budget } : {});
+    const result = {
+        domain: settings.domain,
+        ok: false,
+        record: flattened.record,
+        flattenedRecord: null,
+        records: null,
+        lookups: flattened.lookups,
+        flattenedLookups: flattened.flattenedLookups,
+        outputs: [],
+        diagnostics: flattened.diagnostics,
+    };
+
+    if (flattened.flattened) {
+        const { terms, problem } = applyPolicy(flattened.flattened, settings);
+        if (problem) {
+            result.diagnostics.push(problem);
+        } else {
+            result.flattenedRecord = stringifySpf(terms);
+            try {
+                result.records = splitSpfRecord(terms, settings.domain, { maxLength: settings.maxLength, maxLookups: flattener.limits.lookups });
+            } catch (error) {
+                result.diagnostics.push(createDiagnostic('SPLIT_FAILED', 'error', error.message, { domain: settings.domain }));
+            }
+        }
+    }
+
+    result.ok = result.records !== null && result.diagnostics.every(diagnostic => diagnostic.severity !== 'error');
+    if (!result.ok) {
+        return result;
+    }
+    for (const output of settings.outputs) {
+        const file = path.resolve(baseDir, output.path);
+        try {
+            await writeOutput({ ...output, path: file }, result, settings);
+            result.outputs.push({ type: output.type, path: file });
+        } catch (error) {
+            result.ok = false;
+            result.diagnostics.push(createDiagnostic('OUTPUT_FAILED', 'error', `Could not write ${file}: ${error.message}`, { domain: settings.domain }));
+        }
+    }
+    return result;
+}
+
+/**
+ * Runs every domain of a config: flattens it (partially if it keeps includes or has a lookup budget), adds
+ * its extra ranges, enforces its 'all', splits it if it is longer than its size budget, and writes its
+ * outputs. The outputs of a domain with errors are not written. Domains are processed in order, and domains
+ * with the same resolver settings share a flattener, so DNS answers are cached across them.
+ * @param {Array<Object>} settings The domain settings (from validateConfig or loadConfig).
+ * @param {Object} [options] Run options.
+ * @param {string} [options.baseDir] The directory relative output paths are resolved against, usually the
+ * directory of the config file. Defaults to the working directory.
+ * @param {SpfFlattener} [options.flattener] The flattener for domains without resolver settings.
+ * Defaults to a new one.
+ * @param {Function} [options.createFlattener] Creates the flattener for the resolver settings of a domain.
+ * Defaults to a new flattener with a resolver from createDnsResolver.
+ * @returns {Promise<{ok: boolean, domains: Array<Object>}>} A promise that resolves to whether every domain
+ * succeeded, and for each domain `{domain, ok, record, flattenedRecord, records, lookups, flattenedLookups,
+ * outputs, diagnostics}`: the published record, the record after flattening and applying the policy, the
+ * records to publish (more than one if it was split), the written outputs as `{type, path}`, and any problems.
+ */
+async function runConfig(settings, {
+    baseDir = process.cwd(),
+    flattener = new SpfFlattener(),
+    createFlattener = resolver => new SpfFlattener({ resolver: createDnsResolver(resolver) }),
+} = {}) {
+    const flatteners = new Map();
+    const domains = [];
+    for (const entry of settings) {
+        let domainFlattener = flattener;
+        if (entry.resolver) {
+            const key = JSON.stringify(entry.resolver);
+            if (!flatteners.has(key)) {
+                flatteners.set(key, createFlattener(entry.resolver));
+            }
+            domainFlattener = flatteners.get(key);
+        }
+        domains.push(await runDomain(domainFlattener, entry, baseDir));
+    }
+    return { ok: domains.every(domain => domain.ok), domains };
+}
+
+module.exports = {
+    SpfConfigError,
+    validateConfig,
+    loadConfig,
+    runConfig,
+};
@@ -0,0 +1,208 @@
+// spf-dmarc.js
+// This file contains the DMARC (RFC 7489) record lookup and the SPF alignment analysis.
+const { normalizeDomain } = require('./spfParser');
+const { lookup } = require('./spf-lookups');
+const { checkHost } = require('./spf-check');
+const { createDiagnostic } = require('./spf-session');
+
+const POLICIES = ['none', 'quarantine', 'reject'];
+const ALIGNMENT_MODES = ['r', 's'];
+// Second-level labels under which country-code registries hand out names, e.g. example.co.uk
+const SECOND_LEVEL_LABELS = ['ac', 'co', 'com', 'edu', 'gov', 'ltd', 'net', 'or', 'org', 'plc'];
+
+/**
+ * Approximates the organizational domain of a name (RFC 7489 section 3.2): the registered domain, e.g.
+ * example.com for mail.example.com. Without the Public Suffix List this takes the last two labels, or the last
+ * three under a country-code second-level label such as co.uk.
+ * @param {string} domain The domain name.
+ * @returns {string} The organizational domain.
+ */
+function organizationalDomain(domain) {
+    const labels = normalizeDomain(domain).split('.');
+    const [secondLevel, topLevel] = labels.slice(-2);
+    const size = labels.length > 2 && topLevel.length === 2 && SECOND_LEVEL_LABELS.includes(secondLevel) ? 3 : 2;
+    return labels.slice(-size).join('.');
+}
+
+/**
+ * Parses a DMARC record into its policy, applying the RFC 7489 defaults for missing tags.
+ * Unknown tags are ignored, as RFC 7489 requires.
+ * @param {string} record The DMARC record, e.g. 'v=DMARC1; p=reject; rua=mailto:dmarc@example.com'.
+ * @returns {{policy: {p: string|null, sp: string|null, adkim: string, aspf: string, rua: string[], pct: number}, errors: string[]}}
+ * The policy and the syntax errors found. A tag with an invalid value keeps its default.
+ */
+function parseDmarc(record) {
+    const errors = [];
+    const tags = new Map();
+    const parts = record.split(';').map(part => part.trim()).filter(part => part.length > 0);
+    parts.forEach((part, index) => {
+        const match = /^([a-z]+)\s*=\s*(.*)$/i.exec(part);
+        if (!match) {
+            errors.push(`Invalid DMARC tag '${part}'.`);
+            return;
+        }
+        const name = match[1].toLowerCase();
+        if (tags.has(name)) {
+            errors.push(`Duplicate DMARC tag '${name}'.`);
+            return;
+        }
+        if (index === 0 && name !== 'v') {
+            errors.push("The DMARC record must start with 'v=DMARC1'.");
+        }
+        tags.set(name, match[2].trim());
+    });
+    if (parts.length === 0) {
+        errors.push("The DMARC record must start with 'v=DMARC1'.");
+    } else if (tags.has('v') && tags.get('v') !== 'DMARC1') {
+        errors.push(`Invalid DMARC version '${tags.get('v')}'. Expected 'DMARC1'.`);
+    }
+
+    const keyword = (name, allowed, fallback) => {
+        if (!tags.has(name)) {
+            return fallback;
+        }
+        const value = tags.get(name).toLowerCase();
+        if (!allowed.includes(value)) {
+            errors.push(`Invalid value '${tags.get(name)}' for the DMARC tag '${name}'. Expected one of ${allowed.join(', ')}.`);
+            return fallback;
+        }
+        return value;
+    };
+
+    const p = keyword('p', POLICIES, null);
+    if (!tags.has('p')) {
+        errors.push("The DMARC record has no 'p' tag.");
+    }
+    const policy = {
+        p,
+        sp: keyword('sp', POLICIES, p),
+        adkim: keyword('adkim', ALIGNMENT_MODES, 'r'),
+        aspf: keyword('aspf', ALIGNMENT_MODES, 'r'),
+        rua: [],
+        pct: 100,
+    };
+
+    if (tags.has('rua')) {
+        policy.rua = tags.get('rua').split(',').map(uri => uri.trim());
+        policy.rua
+            .filter(uri => !/^[a-z][a-z0-9+.-]*:\S+$/i.test(uri))
+            .forEach(uri => errors.push(`Invalid report URI '${uri}' in the DMARC tag 'rua'.`));
+    }
+    if (tags.has('pct')) {
+        const pct = tags.get('pct');
+        if (/^\d{1,3}$/.test(pct) && Number(pct) <= 100) {
+            policy.pct = Number(pct);
+        } else {
+            errors.push(`Invalid value '${pct}' for the DMARC tag 'pct'. Expected a number from 0 to 100.`);
+        }
+    }
+
+    return { policy, errors };
+}
+
+/**
+ * Fetches the DMARC record that applies to a domain: the one at _dmarc.<domain>, or else the one at the
+ * organizational domain (RFC 7489 section 6.6.3).
+ * @param {string} domain The domain of the RFC 5322 From address.
+ * @returns {Promise<{records: string[], recordDomain: string|null, error: string|null}>} A promise that resolves to the
+ * DMARC records found, the domain they were found at, and any DNS error.
+ */
+async function fetchDmarcRecords(domain) {
+    const candidates = [...new Set([normalizeDomain(domain), organizationalDomain(domain)])];
+    for (const candidate of candidates) {
+        const { answers, error } = await lookup('resolveTxt', `_dmarc.${candidate}`);
+        if (error) {
+            return { records: [], recordDomain: null, error };
+        }
+        const records = answers
+            .map(record => record.join(''))
+            .filter(record => /^v\s*=\s*DMARC1\s*(;|$)/i.test(record));
+        if (records.length > 0) {
+            return { records, recordDomain: candidate, error: null };
+        }
+    }
+    return { records: [], recordDomain: null, error: null };
+}
+
+/**
+ * Checks whether an SPF result is an aligned pass for DMARC (RFC 7489 section 3.1.2): the SPF check must pass
+ * for the envelope-from domain, and that domain must match the From domain exactly (strict) or share its
+ * organizational domain (relaxed).
+ * @param {string} spfResult The SPF result for the envelope-from domain.
+ * @param {string} mailFromDomain The domain of the envelope sender (MAIL FROM).
+ * @param {string} fromDomain The domain of the RFC 5322 From address.
+ * @param {string} aspf The SPF alignment mode, 'r' (relaxed) or 's' (strict).
+ * @returns {{aligned: boolean, reason: string}} Whether the pass is aligned, and why or why not.
+ */
+function checkSpfAlignment(spfResult, mailFromDomain, fromDomain, aspf) {
+    const mode = aspf === 's' ? 'strict' : 'relaxed';
+    if (spfResult !== 'pass') {
+        return { aligned: false, reason: `SPF does not pass (${spfResult}), so it cannot produce an aligned pass.` };
+    }
+    const matches = aspf === 's'
+        ? normalizeDomain(mailFromDomain) === normalizeDomain(fromDomain)
+        : organizationalDomain(mailFromDomain) === organizationalDomain(fromDomain);
+    return matches
+        ? { aligned: true, reason: `SPF passes for ${mailFromDomain}, which is aligned with ${fromDomain} under ${mode} alignment.` }
+        : { aligned: false, reason: `SPF passes for ${mailFromDomain}, which is not aligned with ${fromDomain} under ${mode} alignment.` };
+}
+
+/**
+ * Looks up and validates the DMARC policy of a domain and, given a sending IP, works out whether SPF would
+ * produce an aligned pass for mail from that domain.
+ * @param {string} domain The domain of the RFC 5322 From address.
+ * @param {Object} [options] Analysis options.
+ * @param {string} [options.ip] The IP address of the sending server. Without it, alignment is not analyzed.
+ * @param {string} [options.sender] The envelope sender (MAIL FROM). Defaults to postmaster@<domain>.
+ * @returns {Promise<{record: string|null, recordDomain: string|null, policy: Object|null, errors: string[],
+ * alignment: Object|null, diagnostics: Array<Object>}>} A promise that resolves to the DMARC record and the domain
+ * it was found at, the parsed policy (see parseDmarc), the problems found, and the alignment analysis
+ * (`{ip, mailFromDomain, spfResult, mode, aligned, reason}`, or null without an IP).
+ */
+async function analyzeDmarc(domain, { ip = null, sender = null } = {}) {
+    const report = { record: null, recordDomain: null, policy: null, errors: [], alignment: null, diagnostics: [] };
+    const addProblem = (code, severity, message) => {
+        if (severity === 'error') {
+            report.errors.push(message);
+        }
+        report.diagnostics.push(createDiagnostic(code, severity, message, { domain }));
+    };
+
+    const { records, recordDomain, error } = await fetchDmarcRecords(domain);
+    if (error) {
+        addProblem('DNS_ERROR', 'error', error);
+    } else if (records.length === 0) {
+        addProblem('NO_DMARC_RECORD', 'warning', `No DMARC record found for ${domain}. Receivers apply no DMARC policy to its mail.`);
+    } else {
+        if (records.length > 1) {
+            addProblem('MULTIPLE_DMARC_RECORDS', 'error', `Multiple DMARC records found at _dmarc.${recordDomain}. Receivers ignore them all.`);
+        }
+        report.record = records[0];
+        report.recordDomain = recordDomain;
+        const { policy, errors } = parseDmarc(records[0]);
+        report.policy = policy;
+        errors.forEach(message => addProblem('DMARC_SYNTAX_ERROR', 'error', message));
+    }
+
+    if (ip) {
+        const envelopeSender = sender || `postmaster@${domain}`;
+        const mailFromDomain = envelopeSender.slice(envelopeSender.lastIndexOf('@') + 1);
+        const aspf = report.policy ? report.policy.aspf : 'r';
+        const { result } = await checkHost(ip, mailFromDomain, envelopeSender);
+        const { aligned, reason } = checkSpfAlignment(result, mailFromDomain, domain, aspf);
+        report.alignment = { ip, mailFromDomain, spfResult: result, mode: aspf === 's' ? 'strict' : 'relaxed', aligned, reason };
+        if (!aligned) {
+            addProblem('SPF_NOT_ALIGNED', 'warning', reason);
+        }
+    }
+
+    return report;
+}
+
+module.exports = {
+    analyzeDmarc,
+    checkSpfAlignment,
+    fetchDmarcRecords,
+    organizationalDomain,
+    parseDmarc,
+};
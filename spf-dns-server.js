@@ -0,0 +1,396 @@
+// spf-dns-server.js
+// This file contains an authoritative DNS responder for macro-based dynamic SPF records.
+const dgram = require('dgram');
+const net = require('net');
+const { SpfFlattener } = require('./spf-flattener');
+const { getDnsResolver, normalizeDomain, stringifyMechanism } = require('./spfParser');
+const { parseAddress, formatAddress, parseCidr, cidrContainsAddress } = require('./cidr');
+const { splitTxtValue } = require('./spf-splitter');
+
+const TYPE_SOA = 6;
+const TYPE_TXT = 16;
+const TYPE_ANY = 255;
+const CLASS_IN = 1;
+const RCODES = { noError: 0, nameError: 3, notImplemented: 4, refused: 5 };
+const HEADER_LENGTH = 12;
+const MAX_UDP_LENGTH = 512; // RFC 1035 section 4.2.1, without EDNS
+
+/**
+ * Parses the question of a DNS query (RFC 1035 section 4.1).
+ * @param {Buffer} message The query message.
+ * @returns {{id: number, recursionDesired: boolean, opcode: number, name: string, type: number, queryClass: number, questionEnd: number}|null}
+ * The query, with the offset where its question ends, or null if the message is not a well-formed query with one question.
+ */
+function parseQuery(message) {
+    if (message.length < HEADER_LENGTH) {
+        return null;
+    }
+    const flags = message.readUInt16BE(2);
+    if ((flags & 0x8000) !== 0 || message.readUInt16BE(4) !== 1) {
+        return null;
+    }
+
+    const labels = [];
+    let offset = HEADER_LENGTH;
+    while (offset < message.length && message[offset] !== 0) {
+        const length = message[offset];
+        // Compression pointers are not used in questions by real resolvers
+        if (length > 63 || offset + 1 + length > message.length) {
+            return null;
+        }
+        labels.push(message.toString('latin1', offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+    if (offset + 5 > message.length) {
+        return null;
+    }
+    return {
+        id: message.readUInt16BE(0),
+        recursionDesired: (flags & 0x0100) !== 0,
+        opcode: (flags >> 11) & 0x0f,
+        name: labels.join('.'),
+        type: message.readUInt16BE(offset + 1),
+        queryClass: message.readUInt16BE(offset + 3),
+        questionEnd: offset + 5,
+    };
+}
+
+/**
+ * Encodes a domain name as uncompressed labels.
+ * @param {string} name The domain name.
+ * @returns {Buffer} The encoded name.
+ */
+function encodeName(name) {
+    const labels = name.split('.').filter(Boolean).map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label, 'latin1')]));
+    return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+/**
+ * Encodes a resource record.
+ * @param {Buffer} name The encoded owner name, or a compression pointer.
+ * @param {number} type The record type.
+ * @param {number} ttl The TTL in seconds.
+ * @param {Buffer} rdata The record data.
+ * @returns {Buffer} The encoded record.
+ */
+function encodeRecord(name, type, ttl, rdata) {
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(type, 0);
+    fixed.writeUInt16BE(CLASS_IN, 2);
+    fixed.writeUInt32BE(ttl, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+    return Buffer.concat([name, fixed, rdata]);
+}
+
+/**
+ * Encodes a TXT record for the name in the question of a response.
+ * @param {string} text The record text.
+ * @param {number} ttl The TTL in seconds.
+ * @returns {Buffer} The encoded record.
+ */
+function txtRecord(text, ttl) {
+    // A TXT record is a sequence of character-strings of at most 255 bytes
+    const strings = splitTxtValue(text).map(string => {
+        const bytes = Buffer.from(string, 'utf8');
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    const pointer = Buffer.from([0xc0, HEADER_LENGTH]); // Points to the name in the question
+    return encodeRecord(pointer, TYPE_TXT, ttl, Buffer.concat(strings));
+}
+
+/**
+ * Encodes the SOA record of a zone. Its minimum field is the TTL resolvers cache negative answers for
+ * (RFC 2308 section 4).
+ * @param {string} zone The zone.
+ * @param {number} serial The serial number.
+ * @param {number} ttl The TTL of the record and of negative answers, in seconds.
+ * @returns {Buffer} The encoded record.
+ */
+function soaRecord(zone, serial, ttl) {
+    const timers = Buffer.alloc(20);
+    [serial, 3600, 600, 86400, ttl].forEach((value, i) => timers.writeUInt32BE(value >>> 0, i * 4));
+    const rdata = Buffer.concat([encodeName(zone), encodeName(`hostmaster.${zone}`), timers]);
+    return encodeRecord(encodeName(zone), TYPE_SOA, ttl, rdata);
+}
+
+/**
+ * Builds an authoritative response to a query.
+ * @param {Buffer} message The query message.
+ * @param {Object} query The parsed query.
+ * @param {number} rcode The response code.
+ * @param {Object} [records] The records of the response.
+ * @param {Array<Buffer>} [records.answers] The encoded answer records.
+ * @param {Array<Buffer>} [records.authority] The encoded authority records, e.g. the SOA of a negative answer.
+ * @returns {Buffer} The response message.
+ */
+function buildResponse(message, query, rcode, { answers = [], authority = [] } = {}) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt16BE(query.id, 0);
+    header.writeUInt16BE(0x8000 | (query.opcode << 11) | 0x0400 | (query.recursionDesired ? 0x0100 : 0) | rcode, 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(answers.length, 6);
+    header.writeUInt16BE(authority.length, 8);
+    return Buffer.concat([header, message.subarray(HEADER_LENGTH, query.questionEnd), ...answers, ...authority]);
+}
+
+/**
+ * Marks a UDP response as truncated and drops its answers, so the resolver retries over TCP.
+ * @param {Buffer} response The response message.
+ * @param {Object} query The parsed query.
+ * @returns {Buffer} The truncated response.
+ */
+function truncateResponse(response, query) {
+    const truncated = Buffer.from(response.subarray(0, query.questionEnd));
+    truncated.writeUInt16BE(truncated.readUInt16BE(2) | 0x0200, 2);
+    truncated.writeUInt16BE(0, 6);
+    truncated.writeUInt16BE(0, 8);
+    return truncated;
+}
+
+/**
+ * Reads the client IP address from a macro-expanded name, as `%{i}` expands it: the dotted IPv4 address, or the
+ * 32 dot-separated nibbles of an IPv6 address.
+ * @param {Array<string>} labels The labels of the name in front of the zone.
+ * @returns {string|null} The IP address, or null if the labels are not one.
+ */
+function addressFromLabels(labels) {
+    if (labels.length === 4 && labels.every(label => /^\d{1,3}$/.test(label))) {
+        const address = labels.join('.');
+        return parseAddress(address) ? address : null;
+    }
+    if (labels.length === 32 && labels.every(label => /^[0-9a-f]$/i.test(label))) {
+        const groups = [];
+        for (let i = 0; i < 32; i += 4) {
+            groups.push(labels.slice(i, i + 4).join(''));
+        }
+        const parsed = parseAddress(groups.join(':'));
+        return parsed ? formatAddress(parsed.version, parsed.value) : null;
+    }
+    return null;
+}
+
+/**
+ * Answers TXT queries for macro-expanded names such as `192.0.2.10._spf.example.com` with a pass or fail SPF
+ * record, depending on whether the IP in the name is authorized by the flattened SPF record of a source domain.
+ * The domain publishes `v=spf1 include:%{i}._spf.example.com -all`, so its record never goes stale or exceeds the
+ * lookup limit, and the responder refreshes the flattened ranges on a schedule.
+ */
+class SpfDnsResponder {
+    /**
+     * @param {Object} options Responder options.
+     * @param {string} options.source The domain whose flattened SPF record lists the authorized senders.
+     * @param {string} options.zone The name the responder is authoritative for, e.g. '_spf.example.com'.
+     * @param {SpfFlattener} [options.flattener] The flattener for the source record. Defaults to one using the
+     * resolver set with setDnsResolver, without a cache so every refresh sees current answers.
+     * @param {number} [options.refreshInterval] How often to flatten the source record again, in seconds. Defaults to 300.
+     * @param {number} [options.ttl] The TTL of the answers in seconds. Defaults to 60.
+     * @param {Object} [options.logger] Receives refresh failures through `error`, ignored terms through `warn` and
+     * successful refreshes through `info`.
+     */
+    constructor({ source, zone, flattener = null, refreshInterval = 300, ttl = 60, logger = null }) {
+        this.source = source;
+        this.zone = normalizeDomain(zone);
+        this.flattener = flattener || new SpfFlattener({ resolver: getDnsResolver(), cache: false });
+        this.refreshInterval = refreshInterval;
+        this.ttl = ttl;
+        this.logger = logger;
+        this.ranges = null;
+        this.updatedAt = null;
+        this.udpSocket = null;
+        this.tcpServer = null;
+        this.connections = new Set();
+        this.timer = null;
+    }
+
+    /**
+     * Flattens the source record again and replaces the authorized ranges. If flattening fails, the previous
+     * ranges are kept.
+     * @returns {Promise<Object>} A promise that resolves to the result of SpfFlattener#flatten.
+     */
+    async refresh() {
+        const result = await this.flattener.flatten(this.source);
+        if (!result.ok) {
+            result.diagnostics
+                .filter(diagnostic => diagnostic.severity === 'error')
+                .forEach(diagnostic => this.log('error', `Could not refresh the ranges of ${this.source}: ${diagnostic.message}`, diagnostic));
+            return result;
+        }
+        // Terms that still need DNS (e.g. because of macros) cannot be answered from a fixed set of ranges
+        result.flattened
+            .filter(term => term.kind === 'mechanism' && !['ip4', 'ip6', 'all'].includes(term.type))
+            .forEach(term => this.log('warn', `Ignoring '${stringifyMechanism(term)}' in the flattened record of ${this.source}.`));
+        this.ranges = result.flattened
+            .filter(term => term.type === 'ip4' || term.type === 'ip6')
+            .map(term => ({ qualifier: term.qualifier, range: parseCidr(term.value, term.type === 'ip4' ? 4 : 6) }))
+            .filter(({ range }) => range);
+        this.updatedAt = new Date();
+        this.log('info', `Loaded ${this.ranges.length} ranges from ${this.source}.`);
+        return result;
+    }
+
+    /**
+     * Passes a message to the logger, if there is one.
+     * @param {string} level 'error', 'warn' or 'info'.
+     * @param {string} message The message.
+     * @param {Object} [diagnostic] The diagnostic the message is about.
+     */
+    log(level, message, diagnostic) {
+        if (this.logger && this.logger[level]) {
+            this.logger[level](message, diagnostic);
+        }
+    }
+
+    /**
+     * Checks whether an IP address is authorized: the first range that contains it must have the '+' qualifier.
+     * @param {string} ip The IP address.
+     * @returns {boolean} True if the address may send mail.
+     */
+    authorizes(ip) {
+        const match = (this.ranges || []).find(({ range }) => cidrContainsAddress(range, ip));
+        return Boolean(match) && match.qualifier === '+';
+    }
+
+    /**
+     * Answers a DNS query message.
+     * @param {Buffer} message The query message.
+     * @param {number} [maxLength] The largest response the transport allows.
+     * @returns {Buffer|null} The response message, or null if the message is not a query that can be answered.
+     */
+    answer(message, maxLength = Infinity) {
+        const query = parseQuery(message);
+        if (!query) {
+            return null;
+        }
+        const respond = (rcode, records) => {
+            const response = buildResponse(message, query, rcode, records);
+            return response.length > maxLength ? truncateResponse(response, query) : response;
+        };
+        // Negative answers carry the SOA of the zone, so resolvers know how long to cache them (RFC 2308 section 3)
+        const soa = () => soaRecord(this.zone, this.updatedAt ? Math.floor(this.updatedAt.getTime() / 1000) : 1, this.ttl);
+        const negative = rcode => respond(rcode, { authority: [soa()] });
+        if (query.opcode !== 0) {
+            return respond(RCODES.notImplemented);
+        }
+
+        const name = normalizeDomain(query.name);
+        if (query.queryClass !== CLASS_IN || (name !== this.zone && !name.endsWith(`.${this.zone}`))) {
+            return respond(RCODES.refused);
+        }
+        if (name === this.zone) {
+            return query.type === TYPE_SOA || query.type === TYPE_ANY ? respond(RCODES.noError, { answers: [soa()] }) : negative(RCODES.noError);
+        }
+        const ip = addressFromLabels(name.slice(0, -this.zone.length - 1).split('.'));
+        if (!ip) {
+            return negative(RCODES.nameError);
+        }
+        if (query.type !== TYPE_TXT && query.type !== TYPE_ANY) {
+            return negative(RCODES.noError);
+        }
+        const mechanism = `${ip.includes(':') ? 'ip6' : 'ip4'}:${ip}`;
+        return respond(RCODES.noError, { answers: [txtRecord(this.authorizes(ip) ? `v=spf1 ${mechanism} -all` : 'v=spf1 -all', this.ttl)] });
+    }
+
+    /**
+     * Loads the ranges, then listens for queries over UDP and TCP on the same port and refreshes the ranges on
+     * schedule.
+     * @param {Object} [options] Listen options.
+     * @param {number} [options.port] The port. Defaults to 53; 0 picks a free port.
+     * @param {string} [options.host] The address to listen on. Defaults to '127.0.0.1'.
+     * @returns {Promise<{host: string, port: number}>} A promise that resolves to the address the responder listens on.
+     * @throws {Error} If the ranges cannot be loaded the first time.
+     */
+    async start({ port = 53, host = '127.0.0.1' } = {}) {
+        await this.refresh();
+        if (this.ranges === null) {
+            throw new Error(`Could not load the SPF record of ${this.source}.`);
+        }
+
+        this.udpSocket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+        this.udpSocket.on('message', (message, remote) => {
+            const response = this.answer(message, MAX_UDP_LENGTH);
+            if (response) {
+                this.udpSocket.send(response, remote.port, remote.address);
+            }
+        });
+        await new Promise((resolve, reject) => {
+            this.udpSocket.once('error', reject);
+            this.udpSocket.bind(port, host, () => {
+                this.udpSocket.off('error', reject);
+                resolve();
+            });
+        });
+        // Errors after binding, e.g. from sending to an unreachable client, must not crash the process
+        this.udpSocket.on('error', error => this.log('error', `DNS responder UDP error: ${error.message}`));
+
+        // Over TCP, each message is preceded by its length (RFC 1035 section 4.2.2)
+        this.tcpServer = net.createServer(socket => {
+            this.connections.add(socket);
+            socket.on('close', () => this.connections.delete(socket));
+            let buffered = Buffer.alloc(0);
+            socket.on('data', data => {
+                buffered = Buffer.concat([buffered, data]);
+                while (buffered.length >= 2 && buffered.length >= 2 + buffered.readUInt16BE(0)) {
+                    const message = buffered.subarray(2, 2 + buffered.readUInt16BE(0));
+                    buffered = buffered.subarray(2 + message.length);
+                    const response = this.answer(message);
+                    if (!response) {
+                        socket.destroy();
+                        return;
+                    }
+                    const length = Buffer.alloc(2);
+                    length.writeUInt16BE(response.length, 0);
+                    socket.write(Buffer.concat([length, response]));
+                }
+            });
+            socket.on('error', () => socket.destroy());
+        });
+        const address = this.udpSocket.address();
+        await new Promise((resolve, reject) => {
+            this.tcpServer.once('error', reject);
+            this.tcpServer.listen(address.port, host, () => {
+                this.tcpServer.off('error', reject);
+                resolve();
+            });
+        });
+        this.tcpServer.on('error', error => this.log('error', `DNS responder TCP error: ${error.message}`));
+
+        const scheduleRefresh = () => {
+            this.timer = setTimeout(async () => {
+                try {
+                    await this.refresh();
+                } catch (error) {
+                    this.log('error', `Could not refresh the ranges of ${this.source}: ${error.message}`);
+                }
+                // stop() may have been called while refreshing
+                if (this.timer !== null) {
+                    scheduleRefresh();
+                }
+            }, this.refreshInterval * 1000);
+        };
+        scheduleRefresh();
+        return { host, port: address.port };
+    }
+
+    /**
+     * Stops listening and refreshing, and closes the open TCP connections.
+     * @returns {Promise<void>} A promise that resolves when the sockets are closed.
+     */
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.udpSocket) {
+            await new Promise(resolve => this.udpSocket.close(resolve));
+            this.udpSocket = null;
+        }
+        if (this.tcpServer) {
+            // close() waits for every open connection, and clients may keep theirs open for more queries
+            this.connections.forEach(socket => socket.destroy());
+            await new Promise(resolve => this.tcpServer.close(resolve));
+            this.tcpServer = null;
+        }
+    }
+}
+
+module.exports = {
+    SpfDnsResponder,
+};
@@ -0,0 +1,180 @@
+// spf-drift.js
+// This file contains the snapshots and diffs used to detect when a flattened SPF record goes stale.
+const fs = require('fs').promises;
+const {
+    parseSpf,
+    stringifySpf,
+    stringifyMechanism,
+    recursiveFlattenSpf,
+    normalizeDomain,
+} = require('./spfParser');
+const { fetchSpfRecords } = require('./spf-lookups');
+const { parseCidr, formatCidr, optimizeIpMechanisms } = require('./cidr');
+const { hasMacros } = require('./spf-macro');
+const { currentSession, runInSession, report } = require('./spf-session');
+
+const SNAPSHOT_VERSION = 1;
+// Diagnostics of records in the include tree that could not be read, which would silently drop their ranges
+const UNRESOLVED_CODES = ['DNS_NO_DATA', 'DNS_ERROR', 'INVALID_RECORD'];
+
+/**
+ * Fetches and parses the single SPF record published at a domain.
+ * @param {string} domain The domain to fetch.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the parsed record.
+ * @throws {Error} If the query fails or the domain does not publish exactly one SPF record, so that a
+ * resolution problem is never mistaken for a provider removing all of its ranges.
+ */
+async function fetchParsedSpf(domain) {
+    const { spfRecords, error } = await fetchSpfRecords(domain);
+    if (error) {
+        throw new Error(error);
+    }
+    if (spfRecords.length !== 1) {
+        throw new Error(spfRecords.length === 0
+            ? `No SPF record found for ${domain}.`
+            : `Multiple SPF records found for ${domain}.`);
+    }
+    return parseSpf(spfRecords[0]);
+}
+
+/**
+ * Normalizes the ip4/ip6 mechanisms of a list into sorted, unique CIDR strings.
+ * @param {Array<Object>} mechanisms The mechanisms.
+ * @returns {Array<string>} The ranges, e.g. ['192.0.2.0/24', '2001:db8::/32'].
+ */
+function collectRanges(mechanisms) {
+    const ranges = mechanisms
+        .filter(m => m.type === 'ip4' || m.type === 'ip6')
+        .map(m => parseCidr(m.value, m.type === 'ip4' ? 4 : 6))
+        .filter(Boolean)
+        .map(formatCidr);
+    return [...new Set(ranges)].sort();
+}
+
+/**
+ * Finds the snapshot group of a flattened term's source: the top-level term it came from.
+ * @param {{chain: Array<string>, term: string}} source The source (see recursiveFlattenSpf).
+ * @param {string} domain The domain of the snapshot.
+ * @param {Map<string, string>} targets The top-level include and redirect terms by normalized target.
+ * @returns {string} The group, e.g. 'include:_spf.google.com', 'mx', or the domain for literal ranges.
+ */
+function sourceGroup(source, domain, targets) {
+    if (source.chain.length > 1) {
+        return targets.get(source.chain[1]);
+    }
+    return /^[+\-~?]?ip[46]:/i.test(source.term) ? domain : source.term;
+}
+
+/**
+ * Flattens the SPF record of a domain into a snapshot that remembers where every range came from.
+ * Ranges are grouped by the top-level term that produced them, e.g. 'include:_spf.google.com' or 'mx';
+ * ranges written directly in the record are grouped under the domain itself, and terms with macros and includes
+ * kept as is, which cannot be flattened, are listed under their own text without ranges. The record and the groups come from
+ * the same flattening pass.
+ * @param {string} domain The domain to snapshot.
+ * @returns {Promise<{version: number, domain: string, createdAt: string, record: string, sources: Object<string, Array<string>>}>}
+ * A promise that resolves to the snapshot.
+ * @throws {Error} If a record in the include tree is missing or cannot be read, so that a resolution problem
+ * is never mistaken for a provider removing all of its ranges.
+ */
+async function createSnapshot(domain) {
+    const parsedSpf = await fetchParsedSpf(domain);
+
+    // The diagnostics of the flattening are checked here before they are passed on
+    const outer = currentSession() || {};
+    const session = { resolver: outer.resolver, limits: outer.limits };
+    const { flattenedMechanisms } = await runInSession(session, () => recursiveFlattenSpf(parsedSpf, domain, 0));
+    const failure = session.diagnostics.find(diagnostic => UNRESOLVED_CODES.includes(diagnostic.code));
+    if (failure) {
+        throw new Error(failure.message);
+    }
+    session.diagnostics.forEach(report);
+
+    const targets = new Map(parsedSpf
+        .filter(term => (term.type === 'include' || term.type === 'redirect') && !hasMacros(term.value))
+        .reverse() // The first term for a target wins
+        .map(term => [normalizeDomain(term.domainSpec), stringifyMechanism(term)]));
+    const grouped = new Map();
+    for (const mechanism of flattenedMechanisms) {
+        const isRange = mechanism.type === 'ip4' || mechanism.type === 'ip6';
+        for (const source of mechanism.sources) {
+            if (isRange || (source.chain.length === 1 && (hasMacros(mechanism.value) || mechanism.type === 'include'))) {
+                const group = sourceGroup(source, domain, targets);
+                grouped.set(group, [...(grouped.get(group) || []), ...(isRange ? [mechanism] : [])]);
+            }
+        }
+    }
+
+    const vSpf1 = parsedSpf.find(term => term.kind === 'version');
+    return {
+        version: SNAPSHOT_VERSION,
+        domain,
+        createdAt: new Date().toISOString(),
+        record: stringifySpf([vSpf1, ...optimizeIpMechanisms(flattenedMechanisms)].filter(Boolean)),
+        sources: Object.fromEntries([...grouped].map(([source, mechanisms]) => [source, collectRanges(mechanisms)])),
+    };
+}
+
+/**
+ * Compares two snapshots of the same domain.
+ * @param {Object} previous The saved snapshot.
+ * @param {Object} current The new snapshot.
+ * @returns {{changed: boolean, recordChanged: boolean, sources: Array<{source: string, added: Array<string>, removed: Array<string>}>}}
+ * Whether anything changed, whether the flattened record text changed, and the added and removed ranges of
+ * every source that changed (a source that appeared or disappeared lists all of its ranges).
+ */
+function diffSnapshots(previous, current) {
+    const names = [...new Set([...Object.keys(previous.sources), ...Object.keys(current.sources)])].sort();
+    const sources = [];
+    for (const source of names) {
+        const before = previous.sources[source] || [];
+        const after = current.sources[source] || [];
+        const added = after.filter(range => !before.includes(range));
+        const removed = before.filter(range => !after.includes(range));
+        if (added.length > 0 || removed.length > 0) {
+            sources.push({ source, added, removed });
+        }
+    }
+    const recordChanged = previous.record !== current.record;
+    return { changed: recordChanged || sources.length > 0, recordChanged, sources };
+}
+
+/**
+ * Reads a snapshot file.
+ * @param {string} file The path of the snapshot.
+ * @returns {Promise<Object|null>} A promise that resolves to the snapshot, or null if the file does not exist.
+ * @throws {Error} If the file is not a snapshot this version can read.
+ */
+async function readSnapshot(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+    const snapshot = JSON.parse(content);
+    if (snapshot.version !== SNAPSHOT_VERSION || typeof snapshot.sources !== 'object') {
+        throw new Error(`${file} is not a version ${SNAPSHOT_VERSION} SPF snapshot.`);
+    }
+    return snapshot;
+}
+
+/**
+ * Writes a snapshot file.
+ * @param {string} file The path of the snapshot.
+ * @param {Object} snapshot The snapshot from createSnapshot.
+ * @returns {Promise<void>}
+ */
+async function writeSnapshot(file, snapshot) {
+    await fs.writeFile(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+module.exports = {
+    createSnapshot,
+    diffSnapshots,
+    readSnapshot,
+    writeSnapshot,
+};
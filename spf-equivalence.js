@@ -0,0 +1,264 @@
+// spf-equivalence.js
+// This file contains the semantic equivalence check between an SPF record and its flattened form.
+const { parseSpf, resolveSpfTxtRecord, resolveAddressMechanism, normalizeDomain, dependsOnDomain } = require('./spfParser');
+const { SpfParseError } = require('./spf-tokenizer');
+const { hasMacros } = require('./spf-macro');
+const { parseCidr, formatCidr, rangeEnd, intervalToCidrs } = require('./cidr');
+
+const QUALIFIER_RESULTS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+const MAX_INCLUDE_DEPTH = 20;
+const MAX_ADDRESS = { 4: (1n << 32n) - 1n, 6: (1n << 128n) - 1n };
+
+/**
+ * Fetches and compiles the policy published at a domain.
+ * @param {string} hostname The domain to fetch.
+ * @param {Map} cache Compiled policies by lowercase domain, shared across one comparison; null while compiling.
+ * @param {number} depth The current include/redirect depth.
+ * @returns {Promise<Object>} A promise that resolves to the compiled policy, or `{error}` if there is no usable record.
+ */
+async function compileDomain(hostname, cache, depth) {
+    if (depth > MAX_INCLUDE_DEPTH) {
+        return { error: 'permerror' };
+    }
+    const key = hostname.toLowerCase();
+    if (cache.has(key)) {
+        // A domain still being compiled is one of our own ancestors, so this is an include loop
+        return cache.get(key) || { error: 'permerror' };
+    }
+    cache.set(key, null);
+
+    let policy;
+    const { spfRecords } = await resolveSpfTxtRecord(hostname, 0);
+    if (spfRecords.length === 0) {
+        policy = { error: 'none' };
+    } else if (spfRecords.length > 1) {
+        policy = { error: 'permerror' };
+    } else {
+        try {
+            policy = await compilePolicy(parseSpf(spfRecords[0]), hostname, cache, depth);
+        } catch (error) {
+            if (!(error instanceof SpfParseError)) {
+                throw error;
+            }
+            policy = { error: 'permerror' };
+        }
+    }
+    cache.set(key, policy);
+    return policy;
+}
+
+/**
+ * Names an opaque condition, adding the domain it is evaluated for if its result depends on it.
+ * @param {Object} term The parsed term.
+ * @param {string} text The lowercase term text.
+ * @param {string} domain The domain of the record holding the term.
+ * @returns {string} The name of the condition, e.g. 'exists:%{i}.bl.example.net' or 'ptr for example.com'.
+ */
+function opaqueTerm(term, text, domain) {
+    return dependsOnDomain(term) ? `${text} for ${normalizeDomain(domain)}` : text;
+}
+
+/**
+ * Compiles a parsed SPF record into rules that can be evaluated for any address without DNS.
+ * 'a' and 'mx' become address ranges, includes and redirects are compiled recursively, and terms
+ * whose result depends on the message ('exists', 'ptr' and macros) are kept as opaque conditions. Conditions
+ * that depend on the domain of the record (see dependsOnDomain) name that domain, e.g. 'ptr for example.com',
+ * so the same term moved into another record does not compare as equal.
+ * @param {Array<Object>} parsedSpf The parsed SPF record.
+ * @param {string} domain The domain the record belongs to.
+ * @param {Map} cache Compiled policies by lowercase domain.
+ * @param {number} depth The current include/redirect depth.
+ * @returns {Promise<{rules: Array<Object>, redirect: Object|null}>} A promise that resolves to the compiled policy.
+ */
+async function compilePolicy(parsedSpf, domain, cache, depth) {
+    const rules = [];
+    const mechanisms = parsedSpf.filter(term => term.kind === 'mechanism');
+
+    for (const mechanism of mechanisms) {
+        const { qualifier, type } = mechanism;
+        const term = `${type}${mechanism.value && type !== 'all' ? `:${mechanism.value}` : ''}`.toLowerCase();
+
+        if (hasMacros(mechanism.domainSpec) || type === 'exists' || type === 'ptr') {
+            rules.push({ kind: 'opaque', qualifier, term: opaqueTerm(mechanism, term, domain) });
+        } else if (type === 'all') {
+            rules.push({ kind: 'all', qualifier });
+        } else if (type === 'ip4' || type === 'ip6') {
+            rules.push({ kind: 'range', qualifier, ranges: [parseCidr(mechanism.value, type === 'ip4' ? 4 : 6)] });
+        } else if (type === 'a' || type === 'mx') {
+            const { mechanisms: resolved } = await resolveAddressMechanism(mechanism, domain, 0);
+            const ranges = resolved.map(ip => parseCidr(ip.value, ip.type === 'ip4' ? 4 : 6));
+            rules.push({ kind: 'range', qualifier, ranges });
+        } else if (type === 'include') {
+            const policy = await compileDomain(mechanism.domainSpec, cache, depth + 1);
+            rules.push({ kind: 'include', qualifier, term, policy });
+        }
+    }
+
+    let redirect = null;
+    const redirectModifier = parsedSpf.find(term => term.kind === 'modifier' && term.type === 'redirect');
+    // 'redirect' is ignored when the record contains an 'all' mechanism
+    if (redirectModifier && !mechanisms.some(m => m.type === 'all')) {
+        const term = opaqueTerm(redirectModifier, `redirect=${redirectModifier.domainSpec}`.toLowerCase(), domain);
+        redirect = hasMacros(redirectModifier.domainSpec)
+            ? { rules: [{ kind: 'opaque', qualifier: '+', term }], redirect: null }
+            : await compileDomain(redirectModifier.domainSpec, cache, depth + 1);
+    }
+
+    return { rules, redirect };
+}
+
+/**
+ * Checks whether a numeric address falls inside a range.
+ * @param {Object} range The range.
+ * @param {{version: number, value: bigint}} address The address.
+ * @returns {boolean} True if the address is covered.
+ */
+function rangeContains(range, address) {
+    return range.version === address.version && address.value >= range.start && address.value <= rangeEnd(range);
+}
+
+/**
+ * Evaluates a compiled policy for one address.
+ * Opaque terms met before the result are returned as conditions, in evaluation order.
+ * @param {Object} policy The compiled policy.
+ * @param {{version: number, value: bigint}} address The address.
+ * @returns {{conditions: Array<{term: string, result: string}>, result: string}} The conditions and the final result.
+ */
+function evaluateAt(policy, address) {
+    if (policy.error) {
+        return { conditions: [], result: policy.error };
+    }
+
+    const conditions = [];
+    for (const rule of policy.rules) {
+        const result = QUALIFIER_RESULTS[rule.qualifier];
+        if (rule.kind === 'all') {
+            return { conditions, result };
+        }
+        if (rule.kind === 'range') {
+            if (rule.ranges.some(range => rangeContains(range, address))) {
+                return { conditions, result };
+            }
+        } else if (rule.kind === 'opaque') {
+            conditions.push({ term: rule.term, result });
+        } else if (rule.kind === 'include') {
+            const inner = evaluateAt(rule.policy, address);
+            // A passing condition inside the include matches with the include's qualifier; any other just ends the include
+            inner.conditions.forEach(condition => conditions.push(condition.result === 'pass'
+                ? { term: condition.term, result }
+                : { term: `${rule.term} → ${condition.term}`, result: `no match (${condition.result})` }));
+            if (inner.result === 'pass') {
+                return { conditions, result };
+            }
+            if (inner.result === 'permerror' || inner.result === 'temperror' || inner.result === 'none') {
+                return { conditions, result: inner.result === 'none' ? 'permerror' : inner.result };
+            }
+        }
+    }
+
+    if (policy.redirect) {
+        const redirected = evaluateAt(policy.redirect, address);
+        return {
+            conditions: [...conditions, ...redirected.conditions],
+            result: redirected.result === 'none' ? 'permerror' : redirected.result,
+        };
+    }
+    return { conditions, result: 'neutral' };
+}
+
+/**
+ * Describes an evaluation as text, e.g. 'pass' or 'if exists:%{i}.example.com then fail, otherwise pass'.
+ * @param {{conditions: Array<Object>, result: string}} evaluation The evaluation.
+ * @returns {string} The description.
+ */
+function describeEvaluation(evaluation) {
+    if (evaluation.conditions.length === 0) {
+        return evaluation.result;
+    }
+    const conditions = evaluation.conditions.map(c => `if ${c.term} then ${c.result}`).join(', ');
+    return `${conditions}, otherwise ${evaluation.result}`;
+}
+
+/**
+ * Collects every address range used by a compiled policy, including its includes and redirect.
+ * @param {Object} policy The compiled policy.
+ * @param {Array<Object>} ranges The list the ranges are added to.
+ * @param {Set} visited Policies already collected.
+ * @returns {Array<Object>} The ranges.
+ */
+function collectRanges(policy, ranges = [], visited = new Set()) {
+    if (!policy || policy.error || visited.has(policy)) {
+        return ranges;
+    }
+    visited.add(policy);
+    for (const rule of policy.rules) {
+        if (rule.kind === 'range') {
+            ranges.push(...rule.ranges);
+        } else if (rule.kind === 'include') {
+            collectRanges(rule.policy, ranges, visited);
+        }
+    }
+    collectRanges(policy.redirect, ranges, visited);
+    return ranges;
+}
+
+/**
+ * Compares the meaning of an SPF record with its flattened form over the whole IPv4 and IPv6 space.
+ * Includes, redirects, 'a' and 'mx' are resolved; 'exists', 'ptr' and macro terms cannot be resolved
+ * statically, so they are compared as conditions in evaluation order. The DNS lookup limit is not applied.
+ * @param {Array<Object>} parsedSpf The original parsed SPF record.
+ * @param {Array<Object>} flattenedSpf The flattened SPF record (from flattenSpf).
+ * @param {string} domain The domain the records are published at.
+ * @returns {Promise<{equivalent: boolean, differences: Array<{range: string, original: string, flattened: string}>}>}
+ * A promise that resolves to whether the records are equivalent and every range where their results differ.
+ */
+async function compareFlattenedSpf(parsedSpf, flattenedSpf, domain) {
+    const cache = new Map();
+    const original = await compilePolicy(parsedSpf, domain, cache, 0);
+    const flattened = await compilePolicy(flattenedSpf, domain, cache, 0);
+    const ranges = [...collectRanges(original), ...collectRanges(flattened)];
+
+    const differences = [];
+    for (const version of [4, 6]) {
+        // Results can only change at the edges of a range, so one address per interval is enough
+        const boundaries = new Set([0n]);
+        ranges.filter(range => range.version === version).forEach(range => {
+            boundaries.add(range.start);
+            if (rangeEnd(range) < MAX_ADDRESS[version]) {
+                boundaries.add(rangeEnd(range) + 1n);
+            }
+        });
+        const starts = [...boundaries].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+        let current = null;
+        starts.forEach((start, i) => {
+            const end = i + 1 < starts.length ? starts[i + 1] - 1n : MAX_ADDRESS[version];
+            const address = { version, value: start };
+            const originalResult = describeEvaluation(evaluateAt(original, address));
+            const flattenedResult = describeEvaluation(evaluateAt(flattened, address));
+
+            if (originalResult === flattenedResult) {
+                current = null;
+            } else if (current && current.original === originalResult && current.flattened === flattenedResult) {
+                current.end = end;
+            } else {
+                current = { version, start, end, original: originalResult, flattened: flattenedResult };
+                differences.push(current);
+            }
+        });
+    }
+
+    return {
+        equivalent: differences.length === 0,
+        differences: differences.flatMap(difference =>
+            intervalToCidrs(difference.version, difference.start, difference.end).map(range => ({
+                range: formatCidr(range),
+                original: difference.original,
+                flattened: difference.flattened,
+            }))),
+    };
+}
+
+module.exports = {
+    compareFlattenedSpf,
+};
@@ -0,0 +1,582 @@
+// spf-export.js
+// This file contains the exporters that turn a flattened record set into DNS provider change sets and RFC 2136 updates.
+const crypto = require('crypto');
+const net = require('net');
+const { normalizeDomain } = require('./spfParser');
+const { lookup } = require('./spf-lookups');
+const { quoteTxtValue, splitTxtValue, formatZoneFragment } = require('./spf-splitter');
+
+const EXPORT_FORMATS = ['bind', 'route53', 'cloudflare'];
+const DEFAULT_TTL = 3600;
+const MAX_CHAINED_RECORDS = 100; // Stops the search for stale `_spfN` records on a zone that answers every name
+
+const OPCODE_UPDATE = 5;
+const TYPE_SOA = 6;
+const TYPE_TXT = 16;
+const TYPE_TSIG = 250;
+const CLASS_IN = 1;
+const CLASS_NONE = 254;
+const CLASS_ANY = 255;
+const HEADER_LENGTH = 12;
+const TSIG_FUDGE = 300;
+const RCODE_NAMES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED', 'YXDOMAIN', 'YXRRSET', 'NXRRSET', 'NOTAUTH', 'NOTZONE'];
+const TSIG_ALGORITHMS = { 'hmac-sha1': 'sha1', 'hmac-sha224': 'sha224', 'hmac-sha256': 'sha256', 'hmac-sha384': 'sha384', 'hmac-sha512': 'sha512' };
+const TSIG_ERROR_NAMES = { 16: 'BADSIG', 17: 'BADKEY', 18: 'BADTIME', 22: 'BADTRUNC' };
+const MAX_NAME_POINTERS = 64; // Stops compression pointers that loop
+
+/**
+ * Checks whether a TXT answer is an SPF record.
+ * @param {Array<string>} strings The character-strings of the answer.
+ * @returns {boolean} True if the answer starts with 'v=spf1'.
+ */
+function isSpfAnswer(strings) {
+    return /^v=spf1( |$)/i.test(strings.join(''));
+}
+
+/**
+ * Queries the TXT records of a name for planRecordChanges.
+ * @param {string} name The name.
+ * @returns {Promise<Array<Array<string>>>} A promise that resolves to the answers, empty if there are none.
+ * @throws {Error} If the query fails, since the published records must be known to plan the changes.
+ */
+async function fetchTxt(name) {
+    const { answers, error } = await lookup('resolveTxt', name);
+    if (error) {
+        throw new Error(`Cannot tell which records are published: ${error}`);
+    }
+    return answers;
+}
+
+/**
+ * Compares the records to publish with the TXT records published now, and plans a change for every name: the
+ * records to create or update, and the chained `_spfN.<domain>` records that are published but no longer
+ * used, which are deleted. Stale chained records are found through the includes of the published root record
+ * and by querying `_spf1`, `_spf2`, ... past the last chained record of the new set until a name has no record.
+ * Must run in a session (see SpfFlattener#changes), since it queries DNS.
+ * @param {string} domain The domain the root record is published at.
+ * @param {Array<{name: string, value: string}>} records The records to publish, root record first (see splitSpfRecord).
+ * @returns {Promise<Array<{name: string, action: string, value: string|null, previous: Array<Array<string>>, others: Array<Array<string>>}>>}
+ * A promise that resolves to one change per name: the action ('create', 'update', 'unchanged' or 'delete'), the
+ * new value (null for deletions), the SPF records published at the name now, as character-strings, and the other
+ * TXT records at the name, which are left alone.
+ * @throws {Error} If a query fails.
+ */
+async function planRecordChanges(domain, records) {
+    const changes = [];
+    const describe = async (name, value) => {
+        const answers = await fetchTxt(name);
+        const previous = answers.filter(isSpfAnswer);
+        const others = answers.filter(answer => !isSpfAnswer(answer));
+        let action;
+        if (value === null) {
+            action = 'delete';
+        } else if (previous.length === 0) {
+            action = 'create';
+        } else {
+            action = previous.length === 1 && previous[0].join('') === value ? 'unchanged' : 'update';
+        }
+        return { name, action, value, previous, others };
+    };
+
+    for (const record of records) {
+        changes.push(await describe(record.name, record.value));
+    }
+
+    const chainedName = new RegExp(`^_spf\\d+\\.${normalizeDomain(domain).replace(/\./g, '\\.')}$`);
+    const planned = new Set(records.map(record => normalizeDomain(record.name)));
+    const addStale = async name => {
+        planned.add(normalizeDomain(name));
+        const change = await describe(name, null);
+        if (change.previous.length > 0) {
+            changes.push(change);
+        }
+        return change;
+    };
+
+    const included = changes[0].previous
+        .flatMap(strings => strings.join('').split(' '))
+        .map(term => /^\+?include:(.+)$/i.exec(term))
+        .filter(match => match && chainedName.test(normalizeDomain(match[1])))
+        .map(match => match[1]);
+    for (const name of included) {
+        if (!planned.has(normalizeDomain(name))) {
+            await addStale(name);
+        }
+    }
+    const chainedCount = records.filter(record => chainedName.test(normalizeDomain(record.name))).length;
+    for (let i = chainedCount + 1; i <= MAX_CHAINED_RECORDS; i++) {
+        const name = `_spf${i}.${domain}`;
+        if (planned.has(normalizeDomain(name))) {
+            continue;
+        }
+        const change = await addStale(name);
+        if (change.previous.length === 0 && change.others.length === 0) {
+            break;
+        }
+    }
+    return changes;
+}
+
+/**
+ * Appends the trailing dot of a fully qualified name.
+ * @param {string} name The name.
+ * @returns {string} The name with a trailing dot.
+ */
+function fqdn(name) {
+    return name.endsWith('.') ? name : `${name}.`;
+}
+
+/**
+ * Quotes the character-strings of a published TXT record, keeping their boundaries, which some providers
+ * compare when deleting.
+ * @param {Array<string>} strings The character-strings.
+ * @returns {string} The quoted strings, separated by spaces.
+ */
+function quoteStrings(strings) {
+    return strings.map(quoteTxtValue).join(' ');
+}
+
+/**
+ * Formats planned changes as a BIND zone fragment: every record of the new set, followed by the stale records
+ * to delete as comments, since a zone file cannot express a deletion.
+ * @param {Array<Object>} changes The changes from planRecordChanges.
+ * @param {Object} [options] Export options.
+ * @param {number} [options.ttl] The TTL of the records. Defaults to 3600.
+ * @returns {string} The zone fragment.
+ */
+function formatBindChanges(changes, { ttl = DEFAULT_TTL } = {}) {
+    const records = changes.filter(change => change.action !== 'delete');
+    const stale = changes.filter(change => change.action === 'delete');
+    let fragment = formatZoneFragment(records, { ttl });
+    if (stale.length > 0) {
+        fragment += '; Stale records to delete:\n' + stale
+            .flatMap(change => change.previous.map(strings => `; ${fqdn(change.name)} IN TXT ${quoteStrings(strings)}\n`))
+            .join('');
+    }
+    return fragment;
+}
+
+/**
+ * Builds an Amazon Route 53 ChangeResourceRecordSets change batch. Route 53 keeps all TXT records of a name in
+ * one record set, so an UPSERT carries the other TXT records of the name along, and a stale name with other TXT
+ * records is rewritten without its SPF record rather than deleted. A DELETE must match the published TTL, which
+ * is assumed to be the TTL of the export, since DNS answers do not tell it.
+ * @param {Array<Object>} changes The changes from planRecordChanges.
+ * @param {Object} [options] Export options.
+ * @param {number} [options.ttl] The TTL of the records. Defaults to 3600.
+ * @param {string} [options.comment] The comment of the change batch.
+ * @returns {{Comment: string, Changes: Array<Object>}} The change batch, for `aws route53 change-resource-record-sets --change-batch`.
+ */
+function buildRoute53ChangeBatch(changes, { ttl = DEFAULT_TTL, comment = 'Flattened SPF records' } = {}) {
+    const recordSet = (name, values) => ({
+        Name: fqdn(name),
+        Type: 'TXT',
+        TTL: ttl,
+        ResourceRecords: values.map(Value => ({ Value })),
+    });
+    const batch = [];
+    changes.forEach(change => {
+        const others = change.others.map(quoteStrings);
+        if (change.action === 'create' || change.action === 'update') {
+            batch.push({ Action: 'UPSERT', ResourceRecordSet: recordSet(change.name, [...others, quoteTxtValue(change.value)]) });
+        } else if (change.action === 'delete' && others.length > 0) {
+            batch.push({ Action: 'UPSERT', ResourceRecordSet: recordSet(change.name, others) });
+        } else if (change.action === 'delete') {
+            batch.push({ Action: 'DELETE', ResourceRecordSet: recordSet(change.name, change.previous.map(quoteStrings)) });
+        }
+    });
+    return { Comment: comment, Changes: batch };
+}
+
+/**
+ * Builds a Cloudflare-style batch payload, with the SPF records to replace or delete in `deletes` and the new
+ * records in `posts`. Cloudflare's batch endpoint deletes records by ID, so each deletion names the record by
+ * its name and content, to be looked up before sending.
+ * @param {Array<Object>} changes The changes from planRecordChanges.
+ * @param {Object} [options] Export options.
+ * @param {number} [options.ttl] The TTL of the records. Defaults to 3600.
+ * @returns {{deletes: Array<Object>, posts: Array<Object>}} The payload.
+ */
+function buildCloudflareBatch(changes, { ttl = DEFAULT_TTL } = {}) {
+    const payload = { deletes: [], posts: [] };
+    changes
+        .filter(change => change.action !== 'unchanged')
+        .forEach(change => {
+            const name = normalizeDomain(change.name);
+            change.previous.forEach(strings => payload.deletes.push({ type: 'TXT', name, content: strings.join('') }));
+            if (change.value !== null) {
+                payload.posts.push({ type: 'TXT', name, content: change.value, ttl });
+            }
+        });
+    return payload;
+}
+
+/**
+ * Formats planned changes in one of the export formats.
+ * @param {string} format 'bind', 'route53' or 'cloudflare'.
+ * @param {Array<Object>} changes The changes from planRecordChanges.
+ * @param {Object} [options] The options of the exporter.
+ * @returns {string} The zone fragment or the JSON document.
+ * @throws {Error} If the format is unknown.
+ */
+function exportChanges(format, changes, options = {}) {
+    switch (format) {
+    case 'bind':
+        return formatBindChanges(changes, options);
+    case 'route53':
+        return `${JSON.stringify(buildRoute53ChangeBatch(changes, options), null, 2)}\n`;
+    case 'cloudflare':
+        return `${JSON.stringify(buildCloudflareBatch(changes, options), null, 2)}\n`;
+    default:
+        throw new Error(`Unknown export format '${format}'. Expected one of ${EXPORT_FORMATS.join(', ')}.`);
+    }
+}
+
+/**
+ * Parses a TSIG key in the form nsupdate -y takes it: `[<algorithm>:]<name>:<base64-secret>`.
+ * @param {string} value The key.
+ * @returns {{algorithm: string, name: string, secret: string}} The key. The algorithm defaults to 'hmac-sha256'.
+ * @throws {Error} If the key is malformed or the algorithm is not supported.
+ */
+function parseTsigKey(value) {
+    const parts = value.split(':');
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => part === '')) {
+        throw new Error('A TSIG key must be given as [<algorithm>:]<name>:<base64-secret>.');
+    }
+    const [algorithm, name, secret] = parts.length === 3 ? parts : ['hmac-sha256', ...parts];
+    if (!TSIG_ALGORITHMS[algorithm.toLowerCase()]) {
+        throw new Error(`Unsupported TSIG algorithm '${algorithm}'. Expected one of ${Object.keys(TSIG_ALGORITHMS).join(', ')}.`);
+    }
+    return { algorithm: algorithm.toLowerCase(), name, secret };
+}
+
+/**
+ * Encodes a domain name in wire format, without compression (RFC 1035 section 3.1).
+ * @param {string} name The name.
+ * @returns {Buffer} The encoded name.
+ * @throws {Error} If a label is empty or longer than 63 bytes.
+ */
+function encodeName(name) {
+    const labels = normalizeDomain(name) === '' ? [] : normalizeDomain(name).split('.');
+    const parts = labels.map(label => {
+        const bytes = Buffer.from(label, 'utf8');
+        if (bytes.length === 0 || bytes.length > 63) {
+            throw new Error(`'${name}' is not a valid domain name.`);
+        }
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Encodes a resource record.
+ * @param {string} name The owner name.
+ * @param {number} type The type.
+ * @param {number} rrClass The class.
+ * @param {number} ttl The TTL.
+ * @param {Buffer} rdata The record data.
+ * @returns {Buffer} The encoded record.
+ */
+function encodeRecord(name, type, rrClass, ttl, rdata) {
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(type, 0);
+    fixed.writeUInt16BE(rrClass, 2);
+    fixed.writeUInt32BE(ttl, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+    return Buffer.concat([encodeName(name), fixed, rdata]);
+}
+
+/**
+ * Encodes the data of a TXT record from its character-strings.
+ * @param {Array<string>} strings The character-strings, each at most 255 bytes.
+ * @returns {Buffer} The record data.
+ */
+function encodeTxt(strings) {
+    return Buffer.concat(strings.map(string => {
+        const bytes = Buffer.from(string, 'utf8');
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    }));
+}
+
+/**
+ * Computes the MAC of a TSIG-signed message (RFC 8945 section 4.3.3). The MAC of a response also covers the MAC
+ * of the request it answers.
+ * @param {{algorithm: string, name: string, secret: string}} key The key (see parseTsigKey).
+ * @param {Buffer} message The message without its TSIG record, with the ID and additional count it had before signing.
+ * @param {Buffer} timeSigned The time signed and fudge fields of the TSIG record.
+ * @param {Object} [options] The other signed fields.
+ * @param {number} [options.error] The TSIG error. Defaults to 0.
+ * @param {Buffer} [options.otherData] The other data of the TSIG record. Defaults to none.
+ * @param {Buffer} [options.requestMac] For a response, the MAC of the request.
+ * @returns {Buffer} The MAC.
+ */
+function computeTsigMac(key, message, timeSigned, { error = 0, otherData = Buffer.alloc(0), requestMac = null } = {}) {
+    const classAndTtl = Buffer.alloc(6);
+    classAndTtl.writeUInt16BE(CLASS_ANY, 0); // The TTL stays 0
+    const errorAndOther = Buffer.alloc(4);
+    errorAndOther.writeUInt16BE(error, 0);
+    errorAndOther.writeUInt16BE(otherData.length, 2);
+    const prefix = [];
+    if (requestMac) {
+        const macSize = Buffer.alloc(2);
+        macSize.writeUInt16BE(requestMac.length, 0);
+        prefix.push(macSize, requestMac);
+    }
+    return crypto.createHmac(TSIG_ALGORITHMS[key.algorithm], Buffer.from(key.secret, 'base64'))
+        .update(Buffer.concat([...prefix, message, encodeName(key.name), classAndTtl, encodeName(key.algorithm), timeSigned, errorAndOther, otherData]))
+        .digest();
+}
+
+/**
+ * Signs a message with TSIG (RFC 8945 section 4) and appends the TSIG record to its additional section.
+ * @param {Buffer} message The message, with an empty additional section.
+ * @param {{algorithm: string, name: string, secret: string}} key The key (see parseTsigKey).
+ * @param {number} time The signing time, in seconds since the epoch.
+ * @returns {Buffer} The signed message.
+ */
+function signMessage(message, key, time) {
+    const timeSigned = Buffer.alloc(8);
+    timeSigned.writeUInt16BE(Math.floor(time / 2 ** 32), 0);
+    timeSigned.writeUInt32BE(time % 2 ** 32, 2);
+    timeSigned.writeUInt16BE(TSIG_FUDGE, 6);
+    const mac = computeTsigMac(key, message, timeSigned);
+
+    const macSize = Buffer.alloc(2);
+    macSize.writeUInt16BE(mac.length, 0);
+    const trailer = Buffer.alloc(6);
+    trailer.writeUInt16BE(message.readUInt16BE(0), 0); // Original ID; error and other length stay 0
+    const rdata = Buffer.concat([encodeName(key.algorithm), timeSigned, macSize, mac, trailer]);
+
+    const signed = Buffer.concat([message, encodeRecord(key.name, TYPE_TSIG, CLASS_ANY, 0, rdata)]);
+    signed.writeUInt16BE(1, 10);
+    return signed;
+}
+
+/**
+ * Reads a domain name from a message, following compression pointers (RFC 1035 section 4.1.4).
+ * @param {Buffer} message The message.
+ * @param {number} offset The offset of the name.
+ * @returns {{name: string, end: number}} The lowercase name, and the offset after it in the message.
+ * @throws {RangeError} If the name runs past the end of the message or its pointers loop.
+ */
+function readName(message, offset) {
+    const labels = [];
+    let position = offset;
+    let end = null;
+    for (let pointers = 0; pointers <= MAX_NAME_POINTERS;) {
+        if (position >= message.length) {
+            throw new RangeError('The name runs past the end of the message.');
+        }
+        const length = message[position];
+        if (length === 0) {
+            return { name: labels.join('.').toLowerCase(), end: end === null ? position + 1 : end };
+        }
+        if ((length & 0xc0) === 0xc0) {
+            end = end === null ? position + 2 : end;
+            position = message.readUInt16BE(position) & 0x3fff;
+            pointers++;
+        } else {
+            labels.push(message.toString('utf8', position + 1, position + 1 + length));
+            position += 1 + length;
+        }
+    }
+    throw new RangeError('The name has too many compression pointers.');
+}
+
+/**
+ * Reads the TSIG record that ends a signed message (RFC 8945 section 4.2).
+ * @param {Buffer} message The message.
+ * @returns {Object|null} The record, or null if the message is not signed: `start` (its offset), `name`,
+ * `algorithm`, `time`, `fudge`, `timeSigned` (both fields as sent), `mac`, `originalId`, `error` and `otherData`.
+ * @throws {RangeError} If the message is malformed.
+ */
+function readTsigRecord(message) {
+    const [questions, answers, authorities, additionals] = [4, 6, 8, 10].map(offset => message.readUInt16BE(offset));
+    if (additionals === 0) {
+        return null;
+    }
+    let offset = HEADER_LENGTH;
+    for (let i = 0; i < questions; i++) {
+        offset = readName(message, offset).end + 4;
+    }
+    for (let i = 0; i < answers + authorities + additionals - 1; i++) {
+        const { end } = readName(message, offset);
+        offset = end + 10 + message.readUInt16BE(end + 8);
+    }
+
+    const start = offset;
+    const { name, end } = readName(message, start);
+    if (message.readUInt16BE(end) !== TYPE_TSIG) {
+        return null;
+    }
+    const algorithm = readName(message, end + 10);
+    const fields = algorithm.end;
+    const macEnd = fields + 10 + message.readUInt16BE(fields + 8);
+    const otherEnd = macEnd + 6 + message.readUInt16BE(macEnd + 4);
+    if (otherEnd > message.length) {
+        throw new RangeError('The TSIG record runs past the end of the message.');
+    }
+    return {
+        start,
+        name,
+        algorithm: algorithm.name,
+        time: message.readUInt16BE(fields) * 2 ** 32 + message.readUInt32BE(fields + 2),
+        fudge: message.readUInt16BE(fields + 6),
+        timeSigned: message.subarray(fields, fields + 8),
+        mac: message.subarray(fields + 10, macEnd),
+        originalId: message.readUInt16BE(macEnd),
+        error: message.readUInt16BE(macEnd + 2),
+        otherData: message.subarray(macEnd + 6, otherEnd),
+    };
+}
+
+/**
+ * Checks the TSIG signature of the response to a signed request (RFC 8945 section 5.3.2). A response that is not
+ * signed, or not signed with the key of the request, must not be trusted.
+ * @param {Buffer} response The response.
+ * @param {Buffer} request The signed request.
+ * @param {{algorithm: string, name: string, secret: string}} key The key the request was signed with.
+ * @param {string} peer The server and port, for error messages.
+ * @throws {Error} If the response is not signed with the key, the server rejected the signature of the request,
+ * or the signature of the response is not valid or was made too long ago.
+ */
+function verifyResponse(response, request, key, peer) {
+    let tsig;
+    try {
+        tsig = readTsigRecord(response);
+    } catch (error) {
+        throw new Error(`${peer} answered the DNS UPDATE with a malformed response: ${error.message}`);
+    }
+    if (!tsig) {
+        throw new Error(`${peer} did not sign its response to the DNS UPDATE, so the result cannot be trusted.`);
+    }
+    if (tsig.error !== 0) {
+        throw new Error(`${peer} rejected the TSIG signature of the DNS UPDATE: ${TSIG_ERROR_NAMES[tsig.error] || `error ${tsig.error}`}.`);
+    }
+    if (tsig.name !== normalizeDomain(key.name) || tsig.algorithm !== key.algorithm) {
+        throw new Error(`${peer} signed its response to the DNS UPDATE with another key than ${key.name}.`);
+    }
+
+    // The MAC covers the response as it was before signing
+    const unsigned = Buffer.from(response.subarray(0, tsig.start));
+    unsigned.writeUInt16BE(tsig.originalId, 0);
+    unsigned.writeUInt16BE(unsigned.readUInt16BE(10) - 1, 10);
+    const expected = computeTsigMac(key, unsigned, tsig.timeSigned,
+        { error: tsig.error, otherData: tsig.otherData, requestMac: readTsigRecord(request).mac });
+    if (tsig.mac.length !== expected.length || !crypto.timingSafeEqual(tsig.mac, expected)) {
+        throw new Error(`The TSIG signature of the response from ${peer} to the DNS UPDATE is not valid.`);
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - tsig.time) > tsig.fudge) {
+        throw new Error(`The TSIG signature of the response from ${peer} to the DNS UPDATE was not made within ${tsig.fudge} seconds of now.`);
+    }
+}
+
+/**
+ * Builds an RFC 2136 UPDATE message for planned changes. The SPF records published now are deleted one by
+ * one, so the other TXT records of a name are left alone, and the new records are added in the same message,
+ * which the server applies atomically.
+ * @param {Array<Object>} changes The changes from planRecordChanges.
+ * @param {Object} options Update options.
+ * @param {string} options.zone The zone the records are in.
+ * @param {number} [options.ttl] The TTL of the added records. Defaults to 3600.
+ * @param {{algorithm: string, name: string, secret: string}} [options.tsig] The key to sign the message with.
+ * @param {number} [options.id] The message ID. Defaults to a random one.
+ * @param {number} [options.time] The TSIG signing time, in seconds since the epoch. Defaults to now.
+ * @returns {Buffer} The message.
+ * @throws {Error} If a record is not in the zone.
+ */
+function buildUpdateMessage(changes, { zone, ttl = DEFAULT_TTL, tsig = null, id = crypto.randomInt(0x10000), time = Math.floor(Date.now() / 1000) }) {
+    const zoneName = normalizeDomain(zone);
+    const updates = [];
+    changes
+        .filter(change => change.action !== 'unchanged')
+        .forEach(change => {
+            const name = normalizeDomain(change.name);
+            if (name !== zoneName && !name.endsWith(`.${zoneName}`)) {
+                throw new Error(`${change.name} is not in the zone ${zone}.`);
+            }
+            // RFC 2136 section 2.5.4: class NONE and TTL 0 delete the one record with this data
+            change.previous.forEach(strings => updates.push(encodeRecord(name, TYPE_TXT, CLASS_NONE, 0, encodeTxt(strings))));
+            if (change.value !== null) {
+                updates.push(encodeRecord(name, TYPE_TXT, CLASS_IN, ttl, encodeTxt(splitTxtValue(change.value))));
+            }
+        });
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(OPCODE_UPDATE << 11, 2);
+    header.writeUInt16BE(1, 4); // Zone count
+    header.writeUInt16BE(updates.length, 8);
+    const zoneSection = Buffer.alloc(4);
+    zoneSection.writeUInt16BE(TYPE_SOA, 0);
+    zoneSection.writeUInt16BE(CLASS_IN, 2);
+
+    const message = Buffer.concat([header, encodeName(zoneName), zoneSection, ...updates]);
+    return tsig ? signMessage(message, tsig, time) : message;
+}
+
+/**
+ * Sends planned changes to a DNS server as an RFC 2136 UPDATE, over TCP.
+ * @param {Array<Object>} changes The changes from planRecordChanges.
+ * @param {Object} options Update options: those of buildUpdateMessage, and:
+ * @param {string} options.server The address of the primary server of the zone.
+ * @param {number} [options.port] The port. Defaults to 53.
+ * @param {number} [options.timeout] How long to wait for the response, in milliseconds. Defaults to 10000.
+ * @returns {Promise<{ok: boolean, rcode: number, rcodeName: string, updates: number}>} A promise that resolves to
+ * the response code of the server and the number of records deleted or added.
+ * @throws {Error} If the server cannot be reached, does not answer in time, or answers with something that is
+ * not a response to the update. With `tsig`, also if the response is not signed with the key or its signature
+ * is not valid.
+ */
+async function sendDnsUpdate(changes, { server, port = 53, timeout = 10000, ...options }) {
+    const message = buildUpdateMessage(changes, options);
+    const id = message.readUInt16BE(0);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(message.length, 0);
+
+    const response = await new Promise((resolve, reject) => {
+        let buffered = Buffer.alloc(0);
+        const socket = net.connect({ host: server, port });
+        socket.setTimeout(timeout, () => {
+            socket.destroy();
+            reject(new Error(`The DNS UPDATE to ${server} port ${port} timed out after ${timeout} ms.`));
+        });
+        socket.on('connect', () => socket.write(Buffer.concat([length, message])));
+        socket.on('data', data => {
+            buffered = Buffer.concat([buffered, data]);
+            // Over TCP, each message is preceded by its length (RFC 1035 section 4.2.2)
+            if (buffered.length >= 2 && buffered.length >= 2 + buffered.readUInt16BE(0)) {
+                socket.end();
+                resolve(buffered.subarray(2, 2 + buffered.readUInt16BE(0)));
+            }
+        });
+        socket.on('error', error => reject(new Error(`The DNS UPDATE to ${server} port ${port} failed: ${error.message}`)));
+        socket.on('close', () => reject(new Error(`${server} port ${port} closed the connection without answering the DNS UPDATE.`)));
+    });
+
+    if (response.length < HEADER_LENGTH || response.readUInt16BE(0) !== id || (response.readUInt16BE(2) & 0x8000) === 0) {
+        throw new Error(`${server} port ${port} did not answer the DNS UPDATE with a response to it.`);
+    }
+    if (options.tsig) {
+        verifyResponse(response, message, options.tsig, `${server} port ${port}`);
+    }
+    const rcode = response.readUInt16BE(2) & 0x0f;
+    return {
+        ok: rcode === 0,
+        rcode,
+        rcodeName: RCODE_NAMES[rcode] || `RCODE${rcode}`,
+        updates: message.readUInt16BE(8),
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    planRecordChanges,
+    formatBindChanges,
+    buildRoute53ChangeBatch,
+    buildCloudflareBatch,
+    exportChanges,
+    parseTsigKey,
+    buildUpdateMessage,
+    sendDnsUpdate,
+};
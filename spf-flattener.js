@@ -0,0 +1,351 @@
+// spf-flattener.js
+// This file contains the SpfFlattener class, the public library API of the SPF tools.
+const {
+    SpfLoopError,
+    SpfTempError,
+    createDnsResolver,
+    parseSpf,
+    flattenSpf,
+    stringifySpf,
+    resolveSpfTxtRecord,
+} = require('./spfParser');
+const { SpfParseError } = require('./spf-tokenizer');
+const { verifySpf, lintSpf } = require('./spf-validator');
+const { checkHost } = require('./spf-check');
+const { compareFlattenedSpf } = require('./spf-equivalence');
+const { splitSpfRecord } = require('./spf-splitter');
+const { buildSpfTree } = require('./spf-tree');
+const { createSnapshot } = require('./spf-drift');
+const { runBatch } = require('./spf-batch');
+const { countSpfLookups, lookup } = require('./spf-lookups');
+const { partialFlattenSpf } = require('./spf-partial');
+const { explainAddress, lowestTtl } = require('./spf-provenance');
+const { planRecordChanges } = require('./spf-export');
+const { parseAddress } = require('./cidr');
+const { CachingResolver } = require('./dns-cache');
+const { createDiagnostic, runInSession } = require('./spf-session');
+
+/**
+ * Turns an error that describes a problem with the SPF records (rather than a bug) into a diagnostic.
+ * @param {Error} error The error.
+ * @param {string} domain The domain being processed.
+ * @param {string} fallbackCode The code for other errors, or null to rethrow them.
+ * @returns {Object} The diagnostic.
+ * @throws {Error} The original error if it is not a record problem and there is no fallback code.
+ */
+function errorToDiagnostic(error, domain, fallbackCode = null) {
+    if (error instanceof SpfLoopError) {
+        return createDiagnostic('INCLUDE_LOOP', 'error', error.message, { domain });
+    }
+    if (error instanceof SpfTempError) {
+        return createDiagnostic('TEMPERROR', 'error', error.message, { domain });
+    }
+    if (error instanceof SpfParseError) {
+        return createDiagnostic('SYNTAX_ERROR', 'error', error.message, { domain });
+    }
+    if (fallbackCode) {
+        return createDiagnostic(fallbackCode, 'error', error.message, { domain });
+    }
+    throw error;
+}
+
+/**
+ * Checks whether a list of diagnostics contains no errors.
+ * @param {Array<Object>} diagnostics The diagnostics.
+ * @returns {boolean} True if no diagnostic has the severity 'error'.
+ */
+function hasNoErrors(diagnostics) {
+    return diagnostics.every(diagnostic => diagnostic.severity !== 'error');
+}
+
+/**
+ * Flattens, verifies and inspects SPF records. Each instance has its own resolver, limits and logger, so
+ * several can be used side by side. No method prints anything: problems with the records, including
+ * loops, temporary DNS failures and syntax errors, are returned as diagnostics
+ * (`{code, severity, message, term, domain}`) and `ok` is false when any of them is an error.
+ */
+class SpfFlattener {
+    /**
+     * @param {Object} [options] Flattener options.
+     * @param {Object} [options.resolver] The DNS resolver, with the methods of dns.promises.Resolver. Defaults to
+     * a new resolver from createDnsResolver.
+     * @param {{lookups?: number, voidLookups?: number}} [options.limits] The lookup limits. Default to the
+     * RFC 7208 limits of 10 lookups and 2 void lookups.
+     * @param {Object} [options.logger] Receives each diagnostic while an operation runs, through its `error`,
+     * `warn` or `info` method, called with the message and the diagnostic.
+     * @param {boolean} [options.cache] Whether to cache DNS answers by TTL for the life of the instance. Defaults to true.
+     */
+    constructor({ resolver = createDnsResolver(), limits = {}, logger = null, cache = true } = {}) {
+        this.resolver = cache && !(resolver instanceof CachingResolver) ? new CachingResolver(resolver) : resolver;
+        this.limits = { ...limits };
+        this.logger = logger;
+    }
+
+    /**
+     * Runs an operation with this instance's resolver, limits and logger.
+     * @param {Function} fn The async operation.
+     * @returns {Promise<{value: *, diagnostics: Array<Object>}>} A promise that resolves to the return value of
+     * the operation and the diagnostics reported while it ran.
+     */
+    async run(fn) {
+        const session = { resolver: this.resolver, limits: this.limits, logger: this.logger };
+        const value = await runInSession(session, fn);
+        return { value, diagnostics: session.diagnostics };
+    }
+
+    /**
+     * Flattens the SPF record published at a domain.
+     * @param {string} domain The domain.
+     * @param {Object} [options] Flattening options.
+     * @param {Object} [options.split] Split the result into chained records (see splitSpfRecord), e.g. `{maxLength: 450}`.
+     * @param {boolean} [options.safe] Compare the flattened record with the original and report any difference
+     * as a 'NOT_EQUIVALENT' error.
+     * @param {Array<string>} [options.keep] Flatten partially, keeping these includes live (see partialFlattenSpf).
+     * @param {number} [options.budget] Flatten partially, only as many includes as needed to fit this many lookups.
+     * @returns {Promise<Object>} A promise that resolves to `{ok, domain, record, parsed, lookups, voidLookups, flattened,
+     * flattenedRecord, flattenedLookups, plan, records, differences, refreshInterval, diagnostics}`: the original
+     * record, its parsed terms and the (void) lookups it costs, the flattened terms and record and the lookups it
+     * needs, the decision for every include when flattening partially (otherwise null), the split records (null
+     * without `split`), the differences found in safe mode, and the lowest TTL of the address records the flattened
+     * record was built from, in seconds (null if unknown).
+     */
+    async flatten(domain, { split = null, safe = false, keep = null, budget } = {}) {
+        const result = {
+            ok: false,
+            domain,
+            record: null,
+            parsed: null,
+            lookups: null,
+            voidLookups: null,
+            flattened: null,
+            flattenedRecord: null,
+            flattenedLookups: null,
+            plan: null,
+            records: null,
+            differences: [],
+            refreshInterval: null,
+            diagnostics: [],
+        };
+
+        const { diagnostics } = await this.run(async () => {
+            try {
+                const { spfRecords } = await resolveSpfTxtRecord(domain, 0);
+                if (spfRecords.length === 0) {
+                    result.diagnostics.push(createDiagnostic('NO_SPF_RECORD', 'error', `No SPF record found for ${domain}.`, { domain }));
+                    return;
+                }
+                if (spfRecords.length > 1) {
+                    result.diagnostics.push(createDiagnostic('MULTIPLE_SPF_RECORDS', 'warning',
+                        `Multiple SPF records found for ${domain}. Using the first one: ${spfRecords[0]}`, { domain }));
+                }
+                result.record = spfRecords[0];
+                result.parsed = parseSpf(result.record);
+                // Problems found while counting are reported by the flattening itself
+                ({ lookups: result.lookups, voidLookups: result.voidLookups } = await countSpfLookups(result.parsed, domain));
+                if (keep || budget !== undefined) {
+                    const partial = await partialFlattenSpf(result.parsed, domain, { keep: keep || [], budget });
+                    result.flattened = partial.flattened;
+                    result.plan = partial.plan;
+                    result.diagnostics.push(...partial.diagnostics);
+                } else {
+                    result.flattened = await flattenSpf(result.parsed, domain);
+                }
+                result.flattenedRecord = stringifySpf(result.flattened);
+                result.flattenedLookups = (await countSpfLookups(result.flattened, domain)).lookups;
+                if (split) {
+                    result.records = splitSpfRecord(result.flattened, domain, { maxLookups: this.limits.lookups, ...split });
+                }
+
+                if (safe) {
+                    const { equivalent, differences } = await compareFlattenedSpf(result.parsed, result.flattened, domain);
+                    result.differences = differences;
+                    if (!equivalent) {
+                        result.diagnostics.push(createDiagnostic('NOT_EQUIVALENT', 'error',
+                            `The flattened record of ${domain} does not match the original for ${differences.length} range(s).`, { domain }));
+                    }
+                }
+            } catch (error) {
+                // Also covers a record that does not fit when split
+                result.diagnostics.push(errorToDiagnostic(error, domain, 'FLATTEN_FAILED'));
+            }
+        });
+
+        result.diagnostics.unshift(...diagnostics);
+        // From this operation's answers only, since the instance may be shared by unrelated domains
+        result.refreshInterval = result.flattened ? lowestTtl(result.flattened) : null;
+        result.ok = result.flattened !== null && hasNoErrors(result.diagnostics);
+        return result;
+    }
+
+    /**
+     * Verifies the SPF record published at a domain against the RFC 7208 rules and this instance's limits.
+     * @param {string} domain The domain.
+     * @param {Object} [options] Verification options.
+     * @param {boolean} [options.dmarc] Also look up and validate the DMARC policy of the domain.
+     * @param {string} [options.ip] A sending IP address to analyze SPF alignment for. Implies `dmarc`.
+     * @param {string} [options.sender] The envelope sender (MAIL FROM) for the alignment analysis.
+     * @returns {Promise<Object>} A promise that resolves to the results of verifySpf, with `ok` added and the
+     * diagnostics reported while querying merged into `diagnostics`.
+     */
+    async verify(domain, { dmarc = false, ip = null, sender = null } = {}) {
+        const { value: results, diagnostics } = await this.run(() => verifySpf(domain, { dmarc, ip, sender }));
+        results.diagnostics = [...diagnostics, ...results.diagnostics];
+        results.ok = hasNoErrors(results.diagnostics);
+        return results;
+    }
+
+    /**
+     * Checks the SPF record published at a domain against the best-practice lint rules (see lintSpf).
+     * @param {string} domain The domain.
+     * @param {Object} [options] Lint options.
+     * @param {Object<string, string>} [options.rules] The severity of each rule to override, by rule ID, or 'off'.
+     * @returns {Promise<{ok: boolean, record: string|null, findings: Array<Object>, fixedRecord: string|null, diagnostics: Array<Object>}>}
+     * A promise that resolves to the record, the lint findings, the record with every fixable finding fixed (null
+     * if there was nothing to fix), and the findings together with the diagnostics reported while querying.
+     * @throws {Error} If the options name an unknown rule or severity.
+     */
+    async lint(domain, { rules = {} } = {}) {
+        const { value, diagnostics } = await this.run(async () => {
+            const { answers, error } = await lookup('resolveTxt', domain);
+            if (error) {
+                const problem = createDiagnostic('DNS_ERROR', 'error', error, { domain });
+                return { record: null, findings: [], fixedRecord: null, problem };
+            }
+            const strings = answers.find(answer => /^v=spf1( |$)/i.test(answer.join('')));
+            if (!strings) {
+                const problem = createDiagnostic('NO_SPF_RECORD', 'error', `No SPF record found for ${domain}.`, { domain });
+                return { record: null, findings: [], fixedRecord: null, problem };
+            }
+            const record = strings.join('');
+            return { record, ...await lintSpf(record, { domain, strings, rules }), problem: null };
+        });
+
+        const { record, findings, fixedRecord, problem } = value;
+        diagnostics.push(...(problem ? [problem] : []), ...findings);
+        return { ok: hasNoErrors(diagnostics), record, findings, fixedRecord, diagnostics };
+    }
+
+    /**
+     * Evaluates the SPF policy of a domain for a connecting IP address, like a receiving mail server would.
+     * @param {string} ip The IP address of the sending server.
+     * @param {string} domain The domain whose policy is evaluated.
+     * @param {Object} [options] Check options.
+     * @param {string} [options.sender] The envelope sender (MAIL FROM).
+     * @param {string} [options.helo] The HELO/EHLO name.
+     * @returns {Promise<Object>} A promise that resolves to the result of checkHost with `ok` and `diagnostics`
+     * added. A permerror or temperror is reported as a 'PERMERROR' or 'TEMPERROR' diagnostic; a fail is a
+     * valid result, not an error.
+     */
+    async check(ip, domain, { sender, helo } = {}) {
+        const { value: result, diagnostics } = await this.run(() => checkHost(ip, domain, sender, helo));
+        if (result.result === 'permerror' || result.result === 'temperror') {
+            diagnostics.push(createDiagnostic(result.result.toUpperCase(), 'error', result.error, { domain: result.domain }));
+        }
+        return { ...result, ok: hasNoErrors(diagnostics), diagnostics };
+    }
+
+    /**
+     * Flattens the SPF record of a domain and tells which term of the result decides the SPF result for an
+     * address, and which include chain that term came from (see explainAddress).
+     * @param {string} ip The IP address.
+     * @param {string} domain The domain.
+     * @param {Object} [options] The flattening options of SpfFlattener#flatten, e.g. `{keep}` to explain a
+     * partially flattened record.
+     * @returns {Promise<{ok: boolean, explanation: Object|null, flattenedRecord: string|null, diagnostics: Array<Object>}>}
+     * A promise that resolves to the explanation (`{ip, result, mechanism, sources, unresolved}`, null if the record
+     * could not be flattened), the flattened record and the diagnostics of the flattening.
+     * @throws {Error} If the address is not a valid IPv4 or IPv6 address.
+     */
+    async explain(ip, domain, options = {}) {
+        // Checked before flattening, so a typo does not cost the queries
+        if (!parseAddress(ip)) {
+            throw new Error(`Invalid IP address: ${ip}`);
+        }
+        const { ok, flattened, flattenedRecord, diagnostics } = await this.flatten(domain, options);
+        return {
+            ok,
+            explanation: flattened ? explainAddress(flattened, ip) : null,
+            flattenedRecord,
+            diagnostics,
+        };
+    }
+
+    /**
+     * Compares records to publish with the TXT records published now (see planRecordChanges), for the exporters
+     * of spf-export.js.
+     * @param {string} domain The domain the root record is published at.
+     * @param {Array<{name: string, value: string}>} records The records to publish, root record first, e.g. the
+     * `records` of SpfFlattener#flatten.
+     * @returns {Promise<{ok: boolean, changes: Array<Object>|null, diagnostics: Array<Object>}>} A promise that
+     * resolves to the planned changes, or null if the published records could not be queried, and the diagnostics.
+     */
+    async changes(domain, records) {
+        let failure = null;
+        const { value: changes, diagnostics } = await this.run(async () => {
+            try {
+                return await planRecordChanges(domain, records);
+            } catch (error) {
+                failure = errorToDiagnostic(error, domain, 'DNS_ERROR');
+                return null;
+            }
+        });
+        if (failure) {
+            diagnostics.push(failure);
+        }
+        return { ok: changes !== null && hasNoErrors(diagnostics), changes, diagnostics };
+    }
+
+    /**
+     * Builds the include/redirect hierarchy of the SPF record published at a domain.
+     * @param {string} domain The domain.
+     * @returns {Promise<{ok: boolean, tree: Object, diagnostics: Array<Object>}>} A promise that resolves to the
+     * root node (see buildSpfTree) and the diagnostics of every node.
+     */
+    async tree(domain) {
+        const { value: tree, diagnostics } = await this.run(() => buildSpfTree(domain));
+        const collect = node => {
+            diagnostics.push(...node.diagnostics);
+            node.children.forEach(collect);
+        };
+        collect(tree);
+        return { ok: hasNoErrors(diagnostics), tree, diagnostics };
+    }
+
+    /**
+     * Flattens the SPF record of a domain into a drift snapshot (see createSnapshot).
+     * @param {string} domain The domain.
+     * @returns {Promise<{ok: boolean, snapshot: Object|null, diagnostics: Array<Object>}>} A promise that resolves
+     * to the snapshot, or null if it could not be taken, and the diagnostics.
+     */
+    async snapshot(domain) {
+        let snapshot = null;
+        let failure = null;
+        const { diagnostics } = await this.run(async () => {
+            try {
+                snapshot = await createSnapshot(domain);
+            } catch (error) {
+                failure = errorToDiagnostic(error, domain, 'SNAPSHOT_FAILED');
+            }
+        });
+        if (failure) {
+            diagnostics.push(failure);
+        }
+        return { ok: snapshot !== null && hasNoErrors(diagnostics), snapshot, diagnostics };
+    }
+
+    /**
+     * Verifies or flattens the SPF records of many domains (see runBatch).
+     * @param {Array<string>} domains The domains.
+     * @param {Object} [options] The batch options of runBatch.
+     * @returns {Promise<{ok: boolean, rows: Array<Object>, diagnostics: Array<Object>}>} A promise that resolves to
+     * the report rows, whether every domain passed, and the diagnostics reported while querying.
+     */
+    async batch(domains, options) {
+        const { value: rows, diagnostics } = await this.run(() => runBatch(domains, options));
+        return { ok: rows.every(row => row.ok), rows, diagnostics };
+    }
+}
+
+module.exports = {
+    SpfFlattener,
+};
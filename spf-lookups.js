@@ -0,0 +1,201 @@
+// spf-lookups.js
+// This file contains the RFC 7208 section 4.6.4 DNS lookup accounting for SPF records.
+const { TEMPORARY_ERROR_CODES, parseSpf, getDnsResolver, stringifyMechanism, SpfLoopError, normalizeDomain, findLoop } = require('./spfParser');
+const { hasMacros } = require('./spf-macro');
+const { createDiagnostic } = require('./spf-session');
+
+const MAX_NAME_LOOKUPS = 10; // Per 'mx' and 'ptr' term
+const MAX_DEPTH = 20; // Guards against include loops while counting
+const LOOKUP_TYPES = ['include', 'a', 'mx', 'ptr', 'exists'];
+
+/**
+ * Runs a DNS query for lookup accounting.
+ * @param {string} method The resolver method, e.g. 'resolveTxt'.
+ * @param {string} name The name to query.
+ * @param {Object} [options] Options passed on to the resolver, e.g. `{ttl: true}` for 'resolve4'.
+ * @returns {Promise<{answers: Array, error: string|null, temporary: boolean}>} A promise that resolves to the answers,
+ * which are empty for "no such name" and "no data", the error message for any other failure, and whether that
+ * failure may succeed when retried later (SERVFAIL, a timeout or a refused connection).
+ */
+async function lookup(method, name, options) {
+    try {
+        const resolver = getDnsResolver();
+        const answers = options ? await resolver[method](name, options) : await resolver[method](name);
+        return { answers, error: null, temporary: false };
+    } catch (error) {
+        if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+            return { answers: [], error: null, temporary: false };
+        }
+        return { answers: [], error: `DNS ${method} query for ${name} failed: ${error.message}`, temporary: TEMPORARY_ERROR_CODES.includes(error.code) };
+    }
+}
+
+/**
+ * Fetches the SPF records published at a domain.
+ * @param {string} hostname The domain to query.
+ * @returns {Promise<{spfRecords: string[], isVoid: boolean, error: string|null, temporary: boolean}>} A promise that
+ * resolves to the SPF records, whether the query returned no answers at all, any DNS error and whether it is temporary.
+ */
+async function fetchSpfRecords(hostname) {
+    const { answers, error, temporary } = await lookup('resolveTxt', hostname);
+    const spfRecords = answers
+        .map(record => record.join(''))
+        .filter(record => /^v=spf1( |$)/i.test(record));
+    return { spfRecords, isVoid: !error && answers.length === 0, error, temporary };
+}
+
+/**
+ * Records a problem with a breakdown entry as a message and as a typed diagnostic.
+ * @param {Object} accounting The running totals (modified in place).
+ * @param {Object} entry The breakdown entry the problem belongs to (modified in place).
+ * @param {string} code The diagnostic code.
+ * @param {string} message The message.
+ */
+function addError(accounting, entry, code, message) {
+    entry.error = message;
+    accounting.errors.push(message);
+    accounting.diagnostics.push(createDiagnostic(code, 'error', message, { term: entry.term, domain: entry.domain }));
+}
+
+/**
+ * Reports more names than a term may look up.
+ * @param {Object} accounting The running totals (modified in place).
+ * @param {Object} entry The breakdown entry of the term (modified in place).
+ * @param {string} type The term type, 'mx' or 'ptr'.
+ * @param {Array} answers The MX records or PTR names.
+ * @param {string} name What the answers were queried for.
+ */
+function checkNameLimit(accounting, entry, type, answers, name) {
+    entry.names = answers.length;
+    if (answers.length <= MAX_NAME_LOOKUPS) {
+        return;
+    }
+    if (type === 'mx') {
+        addError(accounting, entry, 'MX_NAME_LIMIT_EXCEEDED', `${name} has ${answers.length} MX records; only ${MAX_NAME_LOOKUPS} may be looked up.`);
+    } else {
+        // For 'ptr' the extra names are ignored instead of failing the check (RFC 7208 section 4.6.4)
+        accounting.diagnostics.push(createDiagnostic('PTR_NAME_LIMIT_EXCEEDED', 'warning',
+            `${name} has ${answers.length} PTR names; only the first ${MAX_NAME_LOOKUPS} are checked.`, { term: entry.term, domain: entry.domain }));
+    }
+}
+
+/**
+ * Checks the queries made for a term: the first failure is reported as an error, and a term whose queries all
+ * succeeded without answers is a void lookup.
+ * @param {Object} accounting The running totals (modified in place).
+ * @param {Object} entry The breakdown entry of the term (modified in place).
+ * @param {Array<{answers: Array, error: string|null, temporary: boolean}>} results The results of the queries (see lookup).
+ * @returns {number} 1 if the term is a void lookup, otherwise 0.
+ */
+function checkQueries(accounting, entry, results) {
+    const failed = results.find(result => result.error);
+    if (failed) {
+        addError(accounting, entry, failed.temporary ? 'TEMPERROR' : 'DNS_ERROR', failed.error);
+        return 0;
+    }
+    return results.every(result => result.answers.length === 0) ? 1 : 0;
+}
+
+/**
+ * Counts the lookups of one record and, recursively, of the records it includes or redirects to.
+ * @param {Array<Object>} parsedSpf The parsed SPF record.
+ * @param {string} domain The domain the record belongs to.
+ * @param {number} depth The include/redirect depth of the record (0 for the top-level record).
+ * @param {Object} accounting The running totals, breakdown and errors (modified in place).
+ * @param {Array<string>} chain The normalized domains from the top-level record down to this one.
+ * @returns {Promise<void>}
+ */
+async function countRecordLookups(parsedSpf, domain, depth, accounting, chain) {
+    const mechanisms = parsedSpf.filter(term => term.kind === 'mechanism');
+    const redirect = parsedSpf.find(term => term.kind === 'modifier' && term.type === 'redirect');
+    // 'redirect' is ignored when the record contains an 'all' mechanism
+    const terms = redirect && !mechanisms.some(m => m.type === 'all') ? [...mechanisms, redirect] : mechanisms;
+
+    for (const term of terms) {
+        if (!LOOKUP_TYPES.includes(term.type) && term.type !== 'redirect') {
+            continue;
+        }
+
+        const entry = { term: stringifyMechanism(term), domain, depth, lookups: 1, totalLookups: 1, voidLookups: 0 };
+        accounting.breakdown.push(entry);
+        accounting.lookups++;
+        const lookupsBefore = accounting.lookups;
+
+        const target = term.domainSpec || domain;
+        if (hasMacros(target) || (term.type === 'ptr' && !accounting.ip)) {
+            // The answer depends on the message being evaluated, so only the term itself can be counted
+            continue;
+        }
+
+        if (term.type === 'include' || term.type === 'redirect') {
+            const loop = findLoop(chain, target);
+            if (loop) {
+                addError(accounting, entry, 'INCLUDE_LOOP', new SpfLoopError(loop).message);
+                continue;
+            }
+            if (depth + 1 > MAX_DEPTH) {
+                addError(accounting, entry, 'INCLUDE_DEPTH_EXCEEDED', `Stopped counting below ${target}: more than ${MAX_DEPTH} nested includes.`);
+                continue;
+            }
+            const { spfRecords, isVoid, error, temporary } = await fetchSpfRecords(target);
+            entry.voidLookups = isVoid ? 1 : 0;
+            if (error) {
+                addError(accounting, entry, temporary ? 'TEMPERROR' : 'DNS_ERROR', error);
+            } else if (spfRecords.length !== 1) {
+                addError(accounting, entry, spfRecords.length === 0 ? 'NO_SPF_RECORD' : 'MULTIPLE_SPF_RECORDS', spfRecords.length === 0
+                    ? `No SPF record found for ${target}.`
+                    : `Multiple SPF records found for ${target}.`);
+            } else {
+                try {
+                    await countRecordLookups(parseSpf(spfRecords[0]), target, depth + 1, accounting, [...chain, normalizeDomain(target)]);
+                } catch (parseError) {
+                    addError(accounting, entry, 'INVALID_RECORD', `Invalid SPF record for ${target}: ${parseError.message}`);
+                }
+                entry.totalLookups += accounting.lookups - lookupsBefore;
+            }
+        } else if (term.type === 'mx') {
+            const result = await lookup('resolveMx', target);
+            entry.voidLookups = checkQueries(accounting, entry, [result]);
+            checkNameLimit(accounting, entry, 'mx', result.answers, target);
+        } else if (term.type === 'ptr') {
+            const result = await lookup('reverse', accounting.ip);
+            entry.voidLookups = checkQueries(accounting, entry, [result]);
+            checkNameLimit(accounting, entry, 'ptr', result.answers, accounting.ip);
+        } else if (term.type === 'a') {
+            entry.voidLookups = checkQueries(accounting, entry, [await lookup('resolve4', target), await lookup('resolve6', target)]);
+        } else if (term.type === 'exists') {
+            entry.voidLookups = checkQueries(accounting, entry, [await lookup('resolve4', target)]);
+        }
+
+        accounting.voidLookups += entry.voidLookups;
+    }
+}
+
+/**
+ * Counts the DNS lookups an SPF record costs when evaluated, following RFC 7208 section 4.6.4.
+ * Every 'include', 'a', 'mx', 'ptr', 'exists' and 'redirect' term counts once, includes and redirects are
+ * followed, and counting continues past the limit so the true total is reported. Include and redirect loops
+ * are reported as errors and not followed.
+ * @param {Array<Object>} parsedSpf The parsed top-level SPF record.
+ * @param {string} domain The domain the record is published at.
+ * @param {Object} [options] Counting options.
+ * @param {string} [options.ip] The IP address of a sending server. With it, the reverse lookups of 'ptr' terms
+ * are made and checked against the 10 name limit; without it, 'ptr' terms are only counted.
+ * @returns {Promise<{lookups: number, voidLookups: number, breakdown: Array<Object>, errors: Array<string>, diagnostics: Array<Object>}>}
+ * A promise that resolves to the total lookups, the void lookups (queries with no answer), a per-term breakdown
+ * (`{term, domain, depth, lookups, totalLookups, voidLookups, names?, error?}`, where `totalLookups`
+ * includes everything below an include or redirect) in evaluation order, and any problems found, both as
+ * messages and as diagnostics (see spf-session.js).
+ */
+async function countSpfLookups(parsedSpf, domain, { ip = null } = {}) {
+    const accounting = { ip, lookups: 0, voidLookups: 0, breakdown: [], errors: [], diagnostics: [] };
+    await countRecordLookups(parsedSpf, domain, 0, accounting, [normalizeDomain(domain)]);
+    const { ip: _ip, ...totals } = accounting;
+    return totals;
+}
+
+module.exports = {
+    countSpfLookups,
+    fetchSpfRecords,
+    lookup,
+};
@@ -0,0 +1,153 @@
+// spf-macro.js
+// This file contains the RFC 7208 section 7 macro expansion engine.
+const { parseAddress } = require('./cidr');
+
+const MACRO_PATTERN = /%(?:\{([a-zA-Z])(\d*)([rR]?)([.\-+,/_=]*)\}|(.)|$)/g;
+const DOMAIN_LETTERS = 'slodipvh';
+const EXPLANATION_LETTERS = 'crt';
+const DOMAIN_CONTEXT_LETTERS = 'doh'; // The current domain, the sender domain and the HELO name
+const MAX_DOMAIN_LENGTH = 253;
+
+/**
+ * Checks whether a domain-spec depends on the message being evaluated.
+ * Such terms can only be resolved at evaluation time, never flattened statically.
+ * @param {string} text The domain-spec or explanation string.
+ * @returns {boolean} True if the text contains a '%{...}' macro.
+ */
+function hasMacros(text) {
+    return typeof text === 'string' && text.includes('%{');
+}
+
+/**
+ * Checks whether a domain-spec uses the %{d}, %{o} or %{h} macros. Their values are domains of the evaluation,
+ * so a term using them means something else once it is moved to a record published at another domain.
+ * @param {string} text The domain-spec.
+ * @returns {boolean} True if the text uses one of these macros.
+ */
+function usesDomainMacros(text) {
+    return typeof text === 'string'
+        && [...text.matchAll(/%\{([a-zA-Z])/g)].some(match => DOMAIN_CONTEXT_LETTERS.includes(match[1].toLowerCase()));
+}
+
+/**
+ * URL-escapes a value for uppercase macro letters, leaving RFC 3986 unreserved characters as they are.
+ * @param {string} value The expanded value.
+ * @returns {string} The escaped value.
+ */
+function urlEscape(value) {
+    return Array.from(Buffer.from(value))
+        .map(byte => (/[A-Za-z0-9\-._~]/.test(String.fromCharCode(byte))
+            ? String.fromCharCode(byte)
+            : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`))
+        .join('');
+}
+
+/**
+ * Returns the raw value of a macro letter.
+ * @param {string} letter The lowercase macro letter.
+ * @param {Object} context The evaluation context (see expandMacros).
+ * @returns {string} The value before transformers are applied.
+ */
+function macroValue(letter, context) {
+    const sender = context.sender || '';
+    const atIndex = sender.lastIndexOf('@');
+    const localPart = atIndex > 0 ? sender.substring(0, atIndex) : 'postmaster';
+    const senderDomain = atIndex >= 0 ? sender.substring(atIndex + 1) : sender;
+    const client = parseAddress(context.ip || '');
+
+    switch (letter) {
+        case 's':
+            return atIndex > 0 ? sender : `${localPart}@${senderDomain}`;
+        case 'l':
+            return localPart;
+        case 'o':
+            return senderDomain;
+        case 'd':
+            return context.domain || '';
+        case 'i':
+            if (client && client.version === 6) {
+                // IPv6 addresses expand to dot-separated nibbles
+                return client.value.toString(16).padStart(32, '0').split('').join('.');
+            }
+            return context.ip || '';
+        case 'p':
+            return context.validatedDomain || 'unknown';
+        case 'v':
+            return client && client.version === 6 ? 'ip6' : 'in-addr';
+        case 'h':
+            return context.helo || '';
+        case 'c':
+            return context.ip || '';
+        case 'r':
+            return context.receiver || 'unknown';
+        case 't':
+            return String(context.timestamp || Math.floor(Date.now() / 1000));
+        default:
+            return '';
+    }
+}
+
+/**
+ * Expands the macros in a domain-spec or explanation string.
+ * @param {string} text The text to expand, e.g. '%{ir}.%{v}._spf.%{d}'.
+ * @param {Object} context The evaluation context.
+ * @param {string} [context.sender] The envelope sender address.
+ * @param {string} [context.domain] The current domain (for %{d}).
+ * @param {string} [context.ip] The client IP address.
+ * @param {string} [context.helo] The HELO/EHLO name.
+ * @param {string} [context.validatedDomain] The validated reverse name of the client (for %{p}).
+ * @param {string} [context.receiver] The receiving host's domain (for %{r}).
+ * @param {number} [context.timestamp] The current time in seconds (for %{t}).
+ * @param {Object} [options] Expansion options.
+ * @param {boolean} [options.explanation] Whether the text is an explanation string, which allows %{c}, %{r} and %{t}.
+ * @returns {string} The expanded text. Domain-specs longer than 253 characters are shortened from the left.
+ */
+function expandMacros(text, context, options = {}) {
+    const allowedLetters = options.explanation ? DOMAIN_LETTERS + EXPLANATION_LETTERS : DOMAIN_LETTERS;
+
+    const expanded = text.replace(MACRO_PATTERN, (match, letter, digits, reverse, delimiters, escape) => {
+        if (letter === undefined) {
+            if (escape === '%') return '%';
+            if (escape === '_') return ' ';
+            if (escape === '-') return '%20';
+            throw new Error(`Invalid macro '${match}' in '${text}'.`);
+        }
+
+        const lowerLetter = letter.toLowerCase();
+        if (!allowedLetters.includes(lowerLetter)) {
+            throw new Error(`Invalid macro letter '${letter}' in '${text}'.`);
+        }
+        if (digits && parseInt(digits, 10) === 0) {
+            throw new Error(`Invalid macro truncation '${match}' in '${text}'.`);
+        }
+
+        const splitter = new RegExp(`[${(delimiters || '.').replace(/[-/\\\]]/g, '\\$&')}]`);
+        let parts = macroValue(lowerLetter, context).split(splitter);
+        if (reverse) {
+            parts = parts.reverse();
+        }
+        if (digits) {
+            parts = parts.slice(-parseInt(digits, 10));
+        }
+
+        const value = parts.join('.');
+        return letter === lowerLetter ? value : urlEscape(value);
+    });
+
+    if (options.explanation) {
+        return expanded;
+    }
+
+    // Drop leading labels until the domain fits within the DNS name length limit
+    let domain = expanded;
+    while (domain.length > MAX_DOMAIN_LENGTH && domain.includes('.')) {
+        domain = domain.substring(domain.indexOf('.') + 1);
+    }
+    return domain;
+}
+
+module.exports = {
+    hasMacros,
+    usesDomainMacros,
+    expandMacros,
+};
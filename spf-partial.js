@@ -0,0 +1,247 @@
+// spf-partial.js
+// This file contains partial flattening: inlining only as many includes as needed to fit a lookup budget.
+const { parseSpf, stringifyMechanism, recursiveFlattenSpf, normalizeDomain, dependsOnDomain } = require('./spfParser');
+const { optimizeIpMechanisms } = require('./cidr');
+const { hasMacros } = require('./spf-macro');
+const { countSpfLookups } = require('./spf-lookups');
+const { buildSpfTree } = require('./spf-tree');
+const { createDiagnostic, getLimits } = require('./spf-session');
+
+const LOOKUP_TYPES = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+const LITERAL_TERM = /^[+\-~?]?ip[46]:/i;
+// Above this many candidates, the exhaustive search for the fewest includes gives way to a greedy choice
+const MAX_SEARCH_CANDIDATES = 12;
+
+/**
+ * Normalizes a --keep entry or an include term for comparison.
+ * @param {string} text An include term such as 'include:_spf.google.com', or just the domain.
+ * @returns {string} The normalized include term.
+ */
+function normalizeInclude(text) {
+    return `include:${normalizeDomain(text.replace(/^\+?include:/i, ''))}`;
+}
+
+/**
+ * Collects the diagnostics and the lowest TTL of a tree node and everything below it.
+ * @param {Object} node The tree node from buildSpfTree.
+ * @returns {{diagnostics: Array<Object>, ttl: number|null}} The diagnostics and the lowest TTL, or null if no TTL is known.
+ */
+function summarizeSubtree(node) {
+    const diagnostics = [...node.diagnostics];
+    let ttl = node.ttl;
+    for (const child of node.children) {
+        const summary = summarizeSubtree(child);
+        diagnostics.push(...summary.diagnostics);
+        if (summary.ttl !== null && (ttl === null || summary.ttl < ttl)) {
+            ttl = summary.ttl;
+        }
+    }
+    return { diagnostics, ttl };
+}
+
+/**
+ * Works out what flattening one include would cost and save.
+ * @param {Object} term The parsed include term.
+ * @param {string} domain The domain of the top-level record.
+ * @param {number} maxLookups The lookup limit the include has to be flattened within.
+ * @returns {Promise<{mechanisms: Array<Object>|null, savings: number, ranges: number, ttl: number|null, literal: boolean,
+ * reason: string|null}>} A promise that resolves to the mechanisms to inline, the lookups saved by inlining them, the
+ * number of ranges they add, their lowest TTL and whether they all come from literal ip4/ip6 terms, or a reason why
+ * the include cannot be flattened.
+ */
+async function measureInclude(term, domain, maxLookups) {
+    const target = term.domainSpec;
+    const tree = await buildSpfTree(target, [normalizeDomain(domain)]);
+    const { diagnostics, ttl } = summarizeSubtree(tree);
+    if (diagnostics.length > 0) {
+        return { mechanisms: null, savings: 0, ranges: 0, ttl, literal: false, reason: diagnostics[0].message };
+    }
+    if (tree.totalLookups > maxLookups) {
+        return { mechanisms: null, savings: 0, ranges: 0, ttl, literal: false, reason: `${target} needs ${tree.totalLookups} lookups on its own` };
+    }
+
+    const chain = [normalizeDomain(domain), normalizeDomain(target)];
+    const { flattenedMechanisms } = await recursiveFlattenSpf(parseSpf(tree.record), target, 0, chain);
+    // Inlined into the top-level record, these terms would be evaluated for its domain instead of the target
+    if (flattenedMechanisms.some(m => m.type === 'redirect' || dependsOnDomain(m))) {
+        return { mechanisms: null, savings: 0, ranges: 0, ttl, literal: false, reason: `${target} publishes terms that depend on its domain` };
+    }
+    // The 'all' of an included record only ends the included evaluation, so it does not carry over
+    const mechanisms = optimizeIpMechanisms(flattenedMechanisms.filter(m => m.kind === 'mechanism' && m.type !== 'all'));
+    // A '-', '~' or '?' match only makes the include not match, so inlined it would end the whole evaluation
+    if (mechanisms.some(m => m.qualifier !== '+')) {
+        return { mechanisms: null, savings: 0, ranges: 0, ttl, literal: false, reason: `${target} publishes terms that are not '+'` };
+    }
+    const residual = mechanisms.filter(m => LOOKUP_TYPES.includes(m.type)).length; // Terms kept for their macros
+    return {
+        mechanisms,
+        savings: 1 + tree.totalLookups - residual,
+        ranges: mechanisms.filter(m => m.type === 'ip4' || m.type === 'ip6').length,
+        ttl,
+        literal: mechanisms.every(m => (m.type === 'ip4' || m.type === 'ip6') && (m.sources || []).every(source => LITERAL_TERM.test(source.term))),
+        reason: null,
+    };
+}
+
+/**
+ * Orders flattening candidates from most to least suitable: includes that only publish literal ranges first,
+ * then those whose addresses have the longest TTL, then the smallest.
+ * @param {Object} a A candidate.
+ * @param {Object} b Another candidate.
+ * @returns {number} The sort order.
+ */
+function comparePreference(a, b) {
+    if (a.literal !== b.literal) {
+        return a.literal ? -1 : 1;
+    }
+    if (a.ttl !== b.ttl) {
+        // An unknown TTL (a resolver that does not report them) sorts after every known one
+        if (a.ttl === null || b.ttl === null) {
+            return a.ttl === null ? 1 : -1;
+        }
+        return b.ttl - a.ttl;
+    }
+    return a.ranges - b.ranges;
+}
+
+/**
+ * Finds the first combination of a given size, in preference order, that saves enough lookups.
+ * @param {Array<Object>} candidates The candidates, most suitable first.
+ * @param {number} size The number of candidates to choose.
+ * @param {number} needed The lookups that have to be saved.
+ * @param {number} start The index of the first candidate that may be chosen.
+ * @returns {Array<Object>|null} The chosen candidates, or null if no combination saves enough.
+ */
+function findCombination(candidates, size, needed, start) {
+    if (size === 0) {
+        return needed <= 0 ? [] : null;
+    }
+    // Give up early when even the largest remaining savings are not enough
+    const best = candidates.slice(start).map(c => c.savings).sort((a, b) => b - a).slice(0, size);
+    if (best.length < size || best.reduce((sum, savings) => sum + savings, 0) < needed) {
+        return null;
+    }
+    for (let i = start; i <= candidates.length - size; i++) {
+        const rest = findCombination(candidates, size - 1, needed - candidates[i].savings, i + 1);
+        if (rest) {
+            return [candidates[i], ...rest];
+        }
+    }
+    return null;
+}
+
+/**
+ * Chooses the candidates with the largest savings until enough lookups are saved, in preference order on ties.
+ * @param {Array<Object>} candidates The candidates, most suitable first.
+ * @param {number} needed The lookups that have to be saved.
+ * @returns {Array<Object>|null} The chosen candidates, most suitable first, or null if all of them do not save enough.
+ */
+function chooseGreedily(candidates, needed) {
+    const chosen = [];
+    let saved = 0;
+    for (const candidate of [...candidates].sort((a, b) => b.savings - a.savings)) {
+        if (saved >= needed) {
+            break;
+        }
+        chosen.push(candidate);
+        saved += candidate.savings;
+    }
+    return saved >= needed ? candidates.filter(c => chosen.includes(c)) : null;
+}
+
+/**
+ * Flattens only as many includes of a record as needed to fit a lookup budget, keeping the others live so they
+ * keep following their provider's changes. Pinned includes are never flattened. Of the rest, the fewest
+ * includes that fit the budget are flattened, preferring (in this order) includes that only publish literal
+ * ranges, then those with the longest TTL, then the smallest. With many candidates, the includes that save the most
+ * lookups are chosen instead. Only '+' includes without errors whose own terms are all '+' are flattened; 'a', 'mx'
+ * and other terms are left as they are.
+ * @param {Array<Object>} parsedSpf The parsed top-level SPF record.
+ * @param {string} domain The domain the record is published at.
+ * @param {Object} [options] Partial flattening options.
+ * @param {Array<string>} [options.keep] The includes to keep live, e.g. 'include:_spf.google.com' or '_spf.google.com'.
+ * @param {number} [options.budget] The most lookups the result may need. Defaults to the lookup limit of the session.
+ * @returns {Promise<{flattened: Array<Object>, lookups: number, plan: Array<Object>, diagnostics: Array<Object>}>}
+ * A promise that resolves to the resulting terms, the lookups they need, the decision for every include
+ * (`{term, action, reason, lookups, savings, ranges, ttl}`, where `action` is 'keep' or 'flatten'), and
+ * any problems found, such as a budget that cannot be met.
+ */
+async function partialFlattenSpf(parsedSpf, domain, { keep = [], budget = getLimits().lookups } = {}) {
+    const diagnostics = [];
+    const pinned = new Set(keep.map(normalizeInclude));
+    const includes = parsedSpf.filter(term => term.type === 'include');
+    const includeNames = new Set(includes.map(term => normalizeInclude(term.value)));
+    pinned.forEach(name => {
+        if (!includeNames.has(name)) {
+            diagnostics.push(createDiagnostic('KEEP_NOT_FOUND', 'warning', `'${name}' is not an include of the SPF record of ${domain}.`, { term: name, domain }));
+        }
+    });
+
+    const plan = [];
+    const candidates = [];
+    for (const term of includes) {
+        const entry = { term: stringifyMechanism(term), action: 'keep', reason: null, lookups: null, savings: null, ranges: null, ttl: null };
+        plan.push(entry);
+        if (pinned.has(normalizeInclude(term.value))) {
+            entry.reason = 'pinned';
+        } else if (term.qualifier !== '+') {
+            entry.reason = 'only pass includes can be inlined';
+        } else if (hasMacros(term.value)) {
+            entry.reason = 'uses macros';
+        } else {
+            const measured = await measureInclude(term, domain, getLimits().lookups);
+            if (measured.reason) {
+                entry.reason = `cannot be flattened: ${measured.reason}`;
+            } else {
+                Object.assign(entry, { savings: measured.savings, ranges: measured.ranges, ttl: measured.ttl });
+                candidates.push({ term, entry, ...measured });
+            }
+        }
+    }
+
+    const { lookups: originalLookups, breakdown } = await countSpfLookups(parsedSpf, domain);
+    breakdown
+        .filter(item => item.depth === 0 && /^[+\-~?]?include:/i.test(item.term))
+        .forEach((item, i) => {
+            plan[i].lookups = item.totalLookups;
+        });
+
+    candidates.sort(comparePreference);
+    const needed = originalLookups - budget;
+    let chosen = [];
+    if (needed > 0 && candidates.length > MAX_SEARCH_CANDIDATES) {
+        chosen = chooseGreedily(candidates, needed) || [];
+    }
+    for (let size = 1; needed > 0 && candidates.length <= MAX_SEARCH_CANDIDATES && size <= candidates.length && chosen.length === 0; size++) {
+        chosen = findCombination(candidates, size, needed, 0) || [];
+    }
+    if (needed > 0 && chosen.length === 0) {
+        chosen = candidates;
+        const remaining = originalLookups - candidates.reduce((sum, c) => sum + c.savings, 0);
+        diagnostics.push(createDiagnostic('BUDGET_NOT_MET', 'error',
+            `The SPF record of ${domain} still needs ${remaining} lookups after flattening every include that may be flattened; the budget is ${budget}.`,
+            { domain }));
+    }
+
+    plan.filter(entry => entry.reason === null).forEach(entry => {
+        entry.reason = 'not needed to fit the budget';
+    });
+    chosen.forEach(candidate => {
+        Object.assign(candidate.entry, { action: 'flatten', reason: 'flattened to fit the budget' });
+    });
+
+    const flattened = optimizeIpMechanisms(parsedSpf.flatMap(term => {
+        const candidate = chosen.find(c => c.term === term);
+        return candidate ? candidate.mechanisms : [term];
+    }));
+    return {
+        flattened,
+        lookups: originalLookups - chosen.reduce((sum, c) => sum + c.savings, 0),
+        plan,
+        diagnostics,
+    };
+}
+
+module.exports = {
+    partialFlattenSpf,
+};
@@ -0,0 +1,105 @@
+// spf-provenance.js
+// This file contains the provenance helpers that tell which record each flattened term came from.
+const { stringifyMechanism } = require('./spfParser');
+const { parseAddress, parseCidr, cidrContainsAddress } = require('./cidr');
+
+const QUALIFIER_RESULTS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+/**
+ * Formats an include/redirect chain.
+ * @param {Array<string>} chain The domains from the top-level record down.
+ * @returns {string} The chain, e.g. 'example.com → _spf.google.com → _netblocks2.google.com'.
+ */
+function formatChain(chain) {
+    return chain.join(' → ');
+}
+
+/**
+ * Formats one source of a flattened term.
+ * @param {{chain: Array<string>, term: string, ttl: number|null}} source The source.
+ * @returns {string} The source, e.g. 'example.com → mail.example.net: mx (TTL 300)'.
+ */
+function formatSource(source) {
+    return `${formatChain(source.chain)}: ${source.term}${source.ttl === null ? '' : ` (TTL ${source.ttl})`}`;
+}
+
+/**
+ * Finds the flattened term that decides the SPF result for an address, and where that term came from.
+ * Terms that were kept as is, such as includes left live by partial flattening or terms with macros, cannot be
+ * evaluated statically; the ones met before the deciding term are listed in `unresolved`, since any of them may
+ * match first and change the result.
+ * @param {Array<Object>} flattened The flattened terms (from flattenSpf or SpfFlattener#flatten).
+ * @param {string} ip The IPv4 or IPv6 address.
+ * @returns {{ip: string, result: string, mechanism: string|null, sources: Array<Object>, unresolved: Array<string>}}
+ * The result the flattened record gives the address, the deciding term (null if none matches, which gives
+ * 'neutral'), the sources of that term (see recursiveFlattenSpf) and the terms that could not be evaluated.
+ * @throws {Error} If the address is not a valid IPv4 or IPv6 address.
+ */
+function explainAddress(flattened, ip) {
+    if (!parseAddress(ip)) {
+        throw new Error(`Invalid IP address: ${ip}`);
+    }
+
+    const unresolved = [];
+    for (const term of flattened) {
+        if (term.kind !== 'mechanism') {
+            continue;
+        }
+        let matches;
+        if (term.type === 'all') {
+            matches = true;
+        } else if (term.type === 'ip4' || term.type === 'ip6') {
+            const range = parseCidr(term.value, term.type === 'ip4' ? 4 : 6);
+            matches = Boolean(range) && cidrContainsAddress(range, ip);
+        } else {
+            unresolved.push(stringifyMechanism(term));
+            matches = false;
+        }
+        if (matches) {
+            return {
+                ip,
+                result: QUALIFIER_RESULTS[term.qualifier],
+                mechanism: stringifyMechanism(term),
+                sources: term.sources || [],
+                unresolved,
+            };
+        }
+    }
+    return { ip, result: 'neutral', mechanism: null, sources: [], unresolved };
+}
+
+/**
+ * Formats the flattened terms as an annotated listing, each term followed by the records it came from.
+ * @param {Array<Object>} flattened The flattened terms (from flattenSpf or SpfFlattener#flatten).
+ * @returns {string} The listing, one term per line with its sources indented below it.
+ */
+function formatProvenance(flattened) {
+    const lines = [];
+    flattened.filter(term => term.kind !== 'version').forEach(term => {
+        lines.push(stringifyMechanism(term));
+        (term.sources || []).forEach(source => lines.push(`    from ${formatSource(source)}`));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Finds the lowest TTL among the answers a flattened record was built from, after which the record may be out
+ * of date.
+ * @param {Array<Object>} flattened The flattened terms (from flattenSpf or SpfFlattener#flatten).
+ * @returns {number|null} The lowest TTL in seconds, or null if no term has a known TTL.
+ */
+function lowestTtl(flattened) {
+    const ttls = flattened
+        .flatMap(term => term.sources || [])
+        .map(source => source.ttl)
+        .filter(ttl => typeof ttl === 'number');
+    return ttls.length > 0 ? Math.min(...ttls) : null;
+}
+
+module.exports = {
+    lowestTtl,
+    formatChain,
+    formatSource,
+    explainAddress,
+    formatProvenance,
+};
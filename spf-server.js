@@ -0,0 +1,291 @@
+// spf-server.js
+// This file contains the HTTP service mode: JSON endpoints for flattening, verification, checks and lookup trees.
+const http = require('http');
+const { SpfFlattener } = require('./spf-flattener');
+const { getDnsResolver } = require('./spfParser');
+const { parseAddress } = require('./cidr');
+
+const MAX_BODY_LENGTH = 64 * 1024;
+
+/**
+ * Carries an HTTP status code out of request handling.
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Creates a limiter that runs at most `limit` async functions at a time; the others wait in order.
+ * @param {number} limit The maximum number of concurrent calls.
+ * @returns {Function} A function that takes an async function and resolves to its result once it has run.
+ */
+function createLimiter(limit) {
+    let active = 0;
+    const waiting = [];
+    const release = () => {
+        active--;
+        if (waiting.length > 0) {
+            waiting.shift()();
+        }
+    };
+    return async fn => {
+        if (active >= limit) {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        active++;
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    };
+}
+
+/**
+ * Rejects with a 504 error if a promise does not settle in time.
+ * @param {Promise} promise The promise.
+ * @param {number} timeout The timeout in milliseconds.
+ * @returns {Promise} A promise that settles like the given one, or rejects when the timeout runs out first.
+ */
+function withTimeout(promise, timeout) {
+    let timer;
+    const expired = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new HttpError(504, `The request did not finish within ${timeout} ms.`)), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Reads the options of a request: the query string of a GET request, or the JSON body of a POST request.
+ * @param {http.IncomingMessage} request The request.
+ * @param {URL} url The parsed request URL.
+ * @returns {Promise<Object>} A promise that resolves to the options. Repeated query parameters become arrays.
+ * @throws {HttpError} If the method is not allowed or the body is not a JSON object.
+ */
+async function readOptions(request, url) {
+    if (request.method === 'GET') {
+        const options = {};
+        for (const key of new Set(url.searchParams.keys())) {
+            const values = url.searchParams.getAll(key);
+            options[key] = values.length > 1 ? values : values[0];
+        }
+        return options;
+    }
+    if (request.method !== 'POST') {
+        throw new HttpError(405, `Method ${request.method} is not allowed. Use GET or POST.`);
+    }
+
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of request) {
+        length += chunk.length;
+        if (length > MAX_BODY_LENGTH) {
+            throw new HttpError(413, `The request body is larger than ${MAX_BODY_LENGTH} bytes.`);
+        }
+        chunks.push(chunk);
+    }
+    let options;
+    try {
+        options = length === 0 ? {} : JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, `The request body is not valid JSON: ${error.message}`);
+    }
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new HttpError(400, 'The request body must be a JSON object.');
+    }
+    return options;
+}
+
+/**
+ * Reads a required string option.
+ * @param {Object} options The request options.
+ * @param {string} name The option name.
+ * @returns {string} The value.
+ * @throws {HttpError} If the option is missing or not a string.
+ */
+function requiredString(options, name) {
+    const value = options[name];
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new HttpError(400, `Missing '${name}'.`);
+    }
+    return value.trim();
+}
+
+/**
+ * Reads an optional string option.
+ * @param {Object} options The request options.
+ * @param {string} name The option name.
+ * @returns {string|null} The value, or null if it was not given.
+ * @throws {HttpError} If the option is not a string.
+ */
+function optionalString(options, name) {
+    return options[name] === undefined ? null : requiredString(options, name);
+}
+
+/**
+ * Reads an optional boolean option, given as true/false in JSON or as 'true', '1', 'false' or '0' in a query string.
+ * @param {Object} options The request options.
+ * @param {string} name The option name.
+ * @returns {boolean} The value, false if it was not given.
+ * @throws {HttpError} If the value is not a boolean.
+ */
+function booleanOption(options, name) {
+    const value = options[name];
+    if (value === undefined || value === false || value === 'false' || value === '0') {
+        return false;
+    }
+    if (value === true || value === 'true' || value === '1' || value === '') {
+        return true;
+    }
+    throw new HttpError(400, `'${name}' must be true or false.`);
+}
+
+/**
+ * Reads an optional non-negative integer option.
+ * @param {Object} options The request options.
+ * @param {string} name The option name.
+ * @returns {number|undefined} The value, or undefined if it was not given.
+ * @throws {HttpError} If the value is not a non-negative integer.
+ */
+function integerOption(options, name) {
+    const value = options[name];
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(String(value))) {
+        throw new HttpError(400, `'${name}' must be a non-negative integer.`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Reads an optional list option, given as a JSON array or as repeated query parameters.
+ * @param {Object} options The request options.
+ * @param {string} name The option name.
+ * @returns {Array<string>} The values, empty if the option was not given.
+ * @throws {HttpError} If a value is not a string.
+ */
+function listOption(options, name) {
+    const value = options[name];
+    const values = value === undefined ? [] : [].concat(value);
+    if (!values.every(item => typeof item === 'string')) {
+        throw new HttpError(400, `'${name}' must be a list of strings.`);
+    }
+    return values;
+}
+
+/**
+ * The endpoints, by path. Each one checks the request options and returns the call to make on the flattener.
+ */
+const ENDPOINTS = {
+    '/flatten': options => {
+        const domain = requiredString(options, 'domain');
+        const keep = listOption(options, 'keep');
+        const budget = integerOption(options, 'budget');
+        const maxLength = integerOption(options, 'maxLength');
+        const flattenOptions = {
+            safe: booleanOption(options, 'safe'),
+            split: booleanOption(options, 'split') || maxLength !== undefined ? { maxLength } : null,
+            ...(keep.length > 0 || budget !== undefined ? { keep, budget } : {}),
+        };
+        return flattener => flattener.flatten(domain, flattenOptions);
+    },
+    '/verify': options => {
+        const domain = requiredString(options, 'domain');
+        const ip = optionalString(options, 'ip');
+        if (ip !== null && !parseAddress(ip)) {
+            throw new HttpError(400, `Invalid IP address: ${ip}`);
+        }
+        const verifyOptions = {
+            dmarc: booleanOption(options, 'dmarc'),
+            ip,
+            sender: optionalString(options, 'sender'),
+        };
+        return flattener => flattener.verify(domain, verifyOptions);
+    },
+    '/check': options => {
+        const ip = requiredString(options, 'ip');
+        const domain = requiredString(options, 'domain');
+        if (!parseAddress(ip)) {
+            throw new HttpError(400, `Invalid IP address: ${ip}`);
+        }
+        const checkOptions = {
+            sender: optionalString(options, 'sender') || undefined,
+            helo: optionalString(options, 'helo') || undefined,
+        };
+        return flattener => flattener.check(ip, domain, checkOptions);
+    },
+    '/tree': options => {
+        const domain = requiredString(options, 'domain');
+        return flattener => flattener.tree(domain);
+    },
+};
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} response The response.
+ * @param {number} status The HTTP status code.
+ * @param {Object} body The response body.
+ */
+function sendJson(response, status, body) {
+    const text = JSON.stringify(body, null, 2);
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+    response.end(text);
+}
+
+/**
+ * Creates an HTTP server with JSON endpoints for the SPF tools:
+ * `/flatten` (domain, safe, keep, budget, split, maxLength), `/verify` (domain, dmarc, ip, sender),
+ * `/check` (ip, domain, sender, helo), `/tree` (domain) and `/health`. Options are passed as query parameters
+ * of a GET request or as the JSON body of a POST request, and each endpoint responds with the result of the
+ * SpfFlattener method of the same name. All requests share one flattener, so DNS answers are cached across
+ * requests.
+ * @param {Object} [options] Server options.
+ * @param {SpfFlattener} [options.flattener] The flattener. Defaults to one using the resolver set with setDnsResolver.
+ * @param {number} [options.concurrency] How many requests are processed at once; the others wait. Defaults to 4.
+ * @param {number} [options.timeout] The longest a request may take in milliseconds, including the time it waits.
+ * A request may ask for less with its own `timeout` option. Defaults to 10000. A request that times out while it
+ * runs is answered at once, but its DNS queries cannot be cancelled, so it keeps its slot until they finish.
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createSpfServer({ flattener = new SpfFlattener({ resolver: getDnsResolver() }), concurrency = 4, timeout = 10000 } = {}) {
+    const limit = createLimiter(concurrency);
+
+    return http.createServer(async (request, response) => {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            if (url.pathname === '/health') {
+                sendJson(response, 200, { ok: true });
+                return;
+            }
+            const endpoint = ENDPOINTS[url.pathname];
+            if (!endpoint) {
+                throw new HttpError(404, `Unknown endpoint ${url.pathname}. Use ${Object.keys(ENDPOINTS).join(', ')}.`);
+            }
+
+            const options = await readOptions(request, url);
+            const requestTimeout = Math.min(integerOption(options, 'timeout') || timeout, timeout);
+            // The options are checked before waiting for a slot, so a bad request fails at once
+            const operation = endpoint(options);
+            let expired = false;
+            const pending = limit(() => (expired ? null : operation(flattener)));
+            try {
+                sendJson(response, 200, await withTimeout(pending, requestTimeout));
+            } catch (error) {
+                // A request that timed out while waiting gives up its slot; one that is running keeps it until it
+                // finishes in the background, so abandoned work still counts against the concurrency limit
+                expired = true;
+                throw error;
+            }
+        } catch (error) {
+            sendJson(response, error instanceof HttpError ? error.status : 500, { error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    createSpfServer,
+};
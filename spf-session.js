@@ -0,0 +1,89 @@
+// spf-session.js
+// This file contains the per-operation session (resolver, limits and collected diagnostics) and the diagnostic objects.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_LIMITS = { lookups: 10, voidLookups: 2 }; // RFC 7208 section 4.6.4
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const sessionStorage = new AsyncLocalStorage();
+
+/**
+ * Creates a diagnostic: a typed problem report returned by the library instead of being printed.
+ * @param {string} code A stable identifier, e.g. 'INCLUDE_LOOP' or 'LOOKUP_LIMIT_EXCEEDED'.
+ * @param {string} severity 'error', 'warning' or 'info'.
+ * @param {string} message A human-readable description.
+ * @param {Object} [details] Where the problem was found.
+ * @param {string|null} [details.term] The SPF term, e.g. 'include:_spf.example.com'.
+ * @param {string|null} [details.domain] The domain whose record contains the problem.
+ * @returns {{code: string, severity: string, message: string, term: string|null, domain: string|null}} The diagnostic.
+ */
+function createDiagnostic(code, severity, message, { term = null, domain = null } = {}) {
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid diagnostic severity '${severity}'.`);
+    }
+    return { code, severity, message, term, domain };
+}
+
+/**
+ * Runs a function in a session. Everything it calls, including asynchronous work, uses the session's
+ * resolver and limits, and diagnostics reported along the way are collected in `session.diagnostics`.
+ * @param {Object} session The session.
+ * @param {Object} [session.resolver] The DNS resolver; defaults to the one set with setDnsResolver.
+ * @param {{lookups: number, voidLookups: number}} [session.limits] The lookup limits.
+ * @param {Object} [session.logger] Receives each diagnostic as it is reported, through its
+ * `error`, `warn` or `info` method, called with the message and the diagnostic.
+ * @param {Function} fn The function to run.
+ * @returns {*} The return value of `fn`.
+ */
+function runInSession(session, fn) {
+    session.diagnostics = session.diagnostics || [];
+    session.limits = { ...DEFAULT_LIMITS, ...session.limits };
+    return sessionStorage.run(session, fn);
+}
+
+/**
+ * Returns the session of the current operation.
+ * @returns {Object|null} The session, or null outside runInSession.
+ */
+function currentSession() {
+    return sessionStorage.getStore() || null;
+}
+
+/**
+ * Returns the lookup limits of the current operation.
+ * @returns {{lookups: number, voidLookups: number}} The limits.
+ */
+function getLimits() {
+    const session = currentSession();
+    return session ? session.limits : DEFAULT_LIMITS;
+}
+
+/**
+ * Reports a diagnostic found while working. Inside a session it is collected (and passed to the session's
+ * logger); outside one it is dropped, since the library never prints. The SpfFlattener methods always run in a
+ * session; callers of the lower-level functions can use runInSession to collect the diagnostics.
+ * @param {Object} diagnostic The diagnostic from createDiagnostic.
+ */
+function report(diagnostic) {
+    const session = currentSession();
+    if (!session) {
+        return;
+    }
+
+    session.diagnostics.push(diagnostic);
+    if (session.logger) {
+        const method = diagnostic.severity === 'warning' ? 'warn' : diagnostic.severity;
+        if (typeof session.logger[method] === 'function') {
+            session.logger[method](diagnostic.message, diagnostic);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    createDiagnostic,
+    runInSession,
+    currentSession,
+    getLimits,
+    report,
+};
@@ -0,0 +1,138 @@
+// spf-splitter.js
+// This file contains functions for splitting long SPF records into chained TXT records.
+const { stringifyMechanism } = require('./spfParser');
+
+const MAX_DNS_LOOKUPS = 10;
+const DEFAULT_MAX_RECORD_LENGTH = 450; // Keeps each TXT answer within a plain UDP response
+const MAX_CHARACTER_STRING_LENGTH = 255; // RFC 1035 limit for a single TXT character-string
+const LOOKUP_TYPES = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+
+/**
+ * Splits a flattened SPF record into a root record plus chained `_spfN.<domain>` records.
+ * Only '+' ip4 and ip6 terms are moved into chained records: an included record can only ever produce a
+ * match, and every other term either depends on the domain it is evaluated for (e.g. 'ptr' or '%{d}') or is
+ * a modifier that has no effect in an included record. The other terms stay in the root record in their
+ * original order, with the modifiers and 'all' at the end.
+ * @param {Array<Object>} flattenedSpf The flattened SPF mechanisms (from flattenSpf).
+ * @param {string} domain The domain the root record is published at.
+ * @param {Object} [options] Splitting options.
+ * @param {number} [options.maxLength] The maximum length of each record, in bytes.
+ * @param {number} [options.maxLookups] The DNS lookup budget for the whole record set.
+ * @returns {Array<{name: string, value: string}>} The records to publish, root record first.
+ */
+function splitSpfRecord(flattenedSpf, domain, options = {}) {
+    const maxLength = options.maxLength || DEFAULT_MAX_RECORD_LENGTH;
+    const maxLookups = options.maxLookups || MAX_DNS_LOOKUPS;
+
+    const terms = flattenedSpf.filter(mech => mech.type !== 'v');
+    const fullRecord = ['v=spf1', ...terms.map(stringifyMechanism)].join(' ');
+    if (Buffer.byteLength(fullRecord) <= maxLength) {
+        return [{ name: domain, value: fullRecord }];
+    }
+
+    const trailing = terms.filter(mech => mech.type === 'all' || mech.kind === 'modifier');
+    const rootTerms = [];
+    const chainedRecords = [];
+    let currentChunk = null;
+
+    for (const mech of terms) {
+        if (trailing.includes(mech)) {
+            continue;
+        }
+        const term = stringifyMechanism(mech);
+        if (mech.qualifier !== '+' || (mech.type !== 'ip4' && mech.type !== 'ip6')) {
+            rootTerms.push(term);
+            currentChunk = null;
+            continue;
+        }
+        if (Buffer.byteLength(`v=spf1 ${term}`) > maxLength) {
+            throw new Error(`The term '${term}' does not fit in a record of ${maxLength} bytes.`);
+        }
+        if (!currentChunk || Buffer.byteLength(`${currentChunk.value} ${term}`) > maxLength) {
+            const name = `_spf${chainedRecords.length + 1}.${domain}`;
+            currentChunk = { name, value: 'v=spf1' };
+            chainedRecords.push(currentChunk);
+            rootTerms.push(`include:${name}`);
+        }
+        currentChunk.value += ` ${term}`;
+    }
+
+    const rootRecord = ['v=spf1', ...rootTerms, ...trailing.map(stringifyMechanism)].join(' ');
+    if (Buffer.byteLength(rootRecord) > maxLength) {
+        throw new Error(`The root SPF record for ${domain} needs ${Buffer.byteLength(rootRecord)} bytes, more than the ${maxLength} byte limit.`);
+    }
+
+    const records = [{ name: domain, value: rootRecord }, ...chainedRecords];
+    const lookups = countRecordLookups(records);
+    if (lookups > maxLookups) {
+        throw new Error(`The split SPF record set for ${domain} needs ${lookups} DNS lookups, more than the limit of ${maxLookups}.`);
+    }
+
+    return records;
+}
+
+/**
+ * Counts the DNS lookups a set of published records costs when evaluated.
+ * @param {Array<{name: string, value: string}>} records The records to count.
+ * @returns {number} The number of lookup-generating terms across all records.
+ */
+function countRecordLookups(records) {
+    return records.reduce((total, record) => total + record.value.split(' ').filter(term => {
+        const name = term.replace(/^[+\-~?]/, '').split(/[:=/]/)[0].toLowerCase();
+        return LOOKUP_TYPES.includes(name);
+    }).length, 0);
+}
+
+/**
+ * Splits a TXT value into RFC 1035 character-strings of at most 255 bytes each. The value is cut between
+ * characters, so a multi-byte UTF-8 character is never split across two strings.
+ * @param {string} value The TXT value.
+ * @returns {Array<string>} The character-strings; one empty string for an empty value.
+ */
+function splitTxtValue(value) {
+    const strings = [''];
+    let length = 0;
+    for (const character of value) {
+        const size = Buffer.byteLength(character);
+        if (length + size > MAX_CHARACTER_STRING_LENGTH) {
+            strings.push('');
+            length = 0;
+        }
+        strings[strings.length - 1] += character;
+        length += size;
+    }
+    return strings;
+}
+
+/**
+ * Quotes a TXT value as one or more RFC 1035 character-strings of at most 255 bytes each (see splitTxtValue).
+ * @param {string} value The TXT value.
+ * @returns {string} The quoted character-strings, separated by spaces.
+ */
+function quoteTxtValue(value) {
+    return splitTxtValue(value).map(string => `"${string.replace(/[\\"]/g, match => `\\${match}`)}"`).join(' ');
+}
+
+/**
+ * Formats records as a BIND-style zone fragment.
+ * @param {Array<{name: string, value: string}>} records The records to format.
+ * @param {Object} [options] Formatting options.
+ * @param {number} [options.ttl] The TTL written for each record.
+ * @returns {string} The zone fragment, one record per line.
+ */
+function formatZoneFragment(records, options = {}) {
+    const ttl = options.ttl || 3600;
+    const names = records.map(record => (record.name.endsWith('.') ? record.name : `${record.name}.`));
+    const width = Math.max(...names.map(name => name.length));
+    return records.map((record, i) =>
+        `${names[i].padEnd(width)} ${ttl} IN TXT ${quoteTxtValue(record.value)}`
+    ).join('\n') + '\n';
+}
+
+module.exports = {
+    splitSpfRecord,
+    countRecordLookups,
+    quoteTxtValue,
+    splitTxtValue,
+    formatZoneFragment,
+};
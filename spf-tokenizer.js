@@ -0,0 +1,250 @@
+// spf-tokenizer.js
+// This file contains the RFC 7208 section 12 ABNF tokenizer for SPF records.
+const net = require('net');
+
+const MECHANISM_TYPES = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const QUALIFIERS = ['+', '-', '~', '?'];
+
+const MACRO_EXPAND = '%\\{[a-zA-Z]\\d*[rR]?[.\\-+,/_=]*\\}|%%|%_|%-';
+const MACRO_LITERAL = '[\\x21-\\x24\\x26-\\x7e]';
+const MACRO_STRING_PATTERN = new RegExp(`^(?:${MACRO_EXPAND}|${MACRO_LITERAL})*$`);
+const TOPLABEL = '(?:[a-zA-Z0-9]*[a-zA-Z][a-zA-Z0-9]*|[a-zA-Z0-9]+-[a-zA-Z0-9-]*[a-zA-Z0-9])';
+const DOMAIN_END_PATTERN = new RegExp(`(?:\\.${TOPLABEL}\\.?|(?:${MACRO_EXPAND}))$`);
+const CIDR_LENGTH = '(0|[1-9]\\d*)';
+const DUAL_CIDR_PATTERN = new RegExp(`^(.*?)(?:/${CIDR_LENGTH})?(?://${CIDR_LENGTH})?$`);
+
+/**
+ * A syntax error in an SPF record, carrying the column (0-based offset) where it was found.
+ */
+class SpfParseError extends Error {
+    constructor(message, column, term) {
+        super(`${message} (at column ${column})`);
+        this.name = 'SpfParseError';
+        this.column = column;
+        this.term = term;
+    }
+}
+
+/**
+ * Checks whether a string is a valid domain-spec (a macro-string ending in a top label or a macro).
+ * @param {string} domainSpec The domain-spec.
+ * @returns {boolean} True if the domain-spec matches the RFC 7208 grammar.
+ */
+function isValidDomainSpec(domainSpec) {
+    return domainSpec.length > 0 && MACRO_STRING_PATTERN.test(domainSpec) && DOMAIN_END_PATTERN.test(domainSpec);
+}
+
+/**
+ * Parses a CIDR prefix length, checking it against the maximum for its address family.
+ * @param {string|undefined} text The digits of the prefix length, if given.
+ * @param {number} max The maximum prefix length (32 or 128).
+ * @param {string} term The term being parsed, for error messages.
+ * @param {number} column The column of the term.
+ * @returns {number|null} The prefix length, or null if none was given.
+ */
+function parseCidrLength(text, max, term, column) {
+    if (text === undefined) {
+        return null;
+    }
+    const length = parseInt(text, 10);
+    if (length > max) {
+        throw new SpfParseError(`Invalid CIDR length '/${text}' in '${term}'; the maximum is ${max}.`, column + term.lastIndexOf(`/${text}`), term);
+    }
+    return length;
+}
+
+/**
+ * Parses the arguments of a mechanism (the text after its name) into typed fields.
+ * @param {string} type The lowercase mechanism name.
+ * @param {string} args The text following the mechanism name.
+ * @param {string} term The full term, for error messages.
+ * @param {number} column The column of the term.
+ * @param {number} argsOffset The offset of `args` within the term.
+ * @returns {Object} The typed fields of the mechanism, including its `value`.
+ */
+function parseMechanismArgs(type, args, term, column, argsOffset) {
+    const argsColumn = column + argsOffset;
+    const requireDomainSpec = (domainSpec, offset) => {
+        if (!isValidDomainSpec(domainSpec)) {
+            throw new SpfParseError(`Invalid domain-spec '${domainSpec}' in '${term}'.`, argsColumn + offset, term);
+        }
+    };
+
+    switch (type) {
+        case 'all':
+            if (args !== '') {
+                throw new SpfParseError(`Unexpected '${args}' after 'all'.`, argsColumn, term);
+            }
+            return { value: 'all' };
+
+        case 'include':
+        case 'exists': {
+            if (!args.startsWith(':')) {
+                throw new SpfParseError(`The '${type}' mechanism requires a domain-spec.`, argsColumn, term);
+            }
+            const domainSpec = args.substring(1);
+            requireDomainSpec(domainSpec, 1);
+            return { value: domainSpec, domainSpec };
+        }
+
+        case 'ptr': {
+            if (args === '') {
+                return { value: '', domainSpec: '' };
+            }
+            if (!args.startsWith(':')) {
+                throw new SpfParseError(`Unexpected '${args}' after 'ptr'.`, argsColumn, term);
+            }
+            const domainSpec = args.substring(1);
+            requireDomainSpec(domainSpec, 1);
+            return { value: domainSpec, domainSpec };
+        }
+
+        case 'a':
+        case 'mx': {
+            if (args !== '' && !args.startsWith(':') && !args.startsWith('/')) {
+                throw new SpfParseError(`Unexpected '${args}' after '${type}'.`, argsColumn, term);
+            }
+            const match = DUAL_CIDR_PATTERN.exec(args);
+            const domainPart = match[1];
+            if (domainPart !== '' && !domainPart.startsWith(':')) {
+                throw new SpfParseError(`Invalid CIDR length in '${term}'.`, argsColumn, term);
+            }
+            const domainSpec = domainPart.substring(1);
+            if (domainPart !== '') {
+                requireDomainSpec(domainSpec, 1);
+            }
+            return {
+                value: args.startsWith(':') ? args.substring(1) : args,
+                domainSpec,
+                ip4Cidr: parseCidrLength(match[2], 32, term, column),
+                ip6Cidr: parseCidrLength(match[3], 128, term, column),
+            };
+        }
+
+        case 'ip4':
+        case 'ip6': {
+            if (!args.startsWith(':')) {
+                throw new SpfParseError(`The '${type}' mechanism requires an address.`, argsColumn, term);
+            }
+            const value = args.substring(1);
+            const slashIndex = value.indexOf('/');
+            const address = slashIndex === -1 ? value : value.substring(0, slashIndex);
+            const lengthText = slashIndex === -1 ? undefined : value.substring(slashIndex + 1);
+            const isValidAddress = type === 'ip4' ? net.isIPv4(address) : net.isIPv6(address);
+            if (!isValidAddress) {
+                throw new SpfParseError(`Invalid ${type} address '${address}'.`, argsColumn + 1, term);
+            }
+            if (lengthText !== undefined && !new RegExp(`^${CIDR_LENGTH}$`).test(lengthText)) {
+                throw new SpfParseError(`Invalid CIDR length '/${lengthText}' in '${term}'.`, argsColumn + 1 + slashIndex, term);
+            }
+            const cidr = parseCidrLength(lengthText, type === 'ip4' ? 32 : 128, term, column);
+            return type === 'ip4'
+                ? { value, address, ip4Cidr: cidr }
+                : { value, address, ip6Cidr: cidr };
+        }
+
+        default:
+            return { value: args };
+    }
+}
+
+/**
+ * Parses a single term of an SPF record into a typed node.
+ * @param {string} term The term text, e.g. '-ip4:192.0.2.0/24' or 'redirect=_spf.example.com'.
+ * @param {number} [column] The column of the term within its record.
+ * @returns {Object} The typed node. Every node has `kind` ('version', 'mechanism' or 'modifier'),
+ * `qualifier`, `type` (the lowercase name), `value`, `raw` and `column`; mechanisms and modifiers
+ * add `domainSpec`, `address`, `ip4Cidr` and `ip6Cidr` where the grammar allows them.
+ */
+function parseTerm(term, column = 0) {
+    if (/^v=spf1$/i.test(term)) {
+        return { kind: 'version', qualifier: '+', type: 'v', value: 'spf1', raw: term, column };
+    }
+
+    let qualifier = '+';
+    let offset = 0;
+    if (QUALIFIERS.includes(term[0])) {
+        qualifier = term[0];
+        offset = 1;
+    }
+
+    const nameMatch = /^[a-zA-Z][a-zA-Z0-9\-_.]*/.exec(term.substring(offset));
+    if (!nameMatch) {
+        throw new SpfParseError(`Invalid term '${term}'.`, column + offset, term);
+    }
+    const name = nameMatch[0];
+    const type = name.toLowerCase();
+    const rest = term.substring(offset + name.length);
+
+    if (rest.startsWith('=')) {
+        if (offset > 0) {
+            throw new SpfParseError(`The modifier '${name}' cannot have a qualifier.`, column, term);
+        }
+        const value = rest.substring(1);
+        const valueColumn = column + name.length + 1;
+        const node = { kind: 'modifier', qualifier: '+', type, value, raw: term, column };
+        if (type === 'redirect' || type === 'exp') {
+            if (!isValidDomainSpec(value)) {
+                throw new SpfParseError(`Invalid domain-spec '${value}' in '${term}'.`, valueColumn, term);
+            }
+            node.domainSpec = value;
+        } else if (!MACRO_STRING_PATTERN.test(value)) {
+            throw new SpfParseError(`Invalid value '${value}' for the modifier '${name}'.`, valueColumn, term);
+        }
+        return node;
+    }
+
+    if (!MECHANISM_TYPES.includes(type)) {
+        throw new SpfParseError(`Unknown mechanism '${name}'.`, column + offset, term);
+    }
+
+    const fields = parseMechanismArgs(type, rest, term, column, offset + name.length);
+    return { kind: 'mechanism', qualifier, type, ...fields, raw: term, column };
+}
+
+/**
+ * Tokenizes an SPF record into typed nodes, following the RFC 7208 ABNF.
+ * @param {string} record The SPF record string.
+ * @returns {Array<Object>} The typed nodes (see parseTerm), starting with the version node.
+ * @throws {SpfParseError} If the record does not match the grammar.
+ */
+function tokenizeSpf(record) {
+    const nodes = [];
+    const termPattern = /[^ ]+/g;
+    let match;
+    while ((match = termPattern.exec(record)) !== null) {
+        const node = parseTerm(match[0], match.index);
+        if (nodes.length === 0 && node.kind !== 'version') {
+            throw new SpfParseError("The SPF record must start with 'v=spf1'.", match.index, match[0]);
+        }
+        nodes.push(node);
+    }
+    if (nodes.length === 0) {
+        throw new SpfParseError("The SPF record must start with 'v=spf1'.", 0, '');
+    }
+    return nodes;
+}
+
+/**
+ * Creates a mechanism node from its parts, as used for terms produced by flattening.
+ * @param {string} qualifier The qualifier ('+', '-', '~' or '?').
+ * @param {string} type The mechanism name.
+ * @param {string} value The mechanism value, e.g. '192.0.2.0/24'.
+ * @returns {Object} The typed node, without `raw` and `column` since it does not come from a record.
+ */
+function createMechanism(qualifier, type, value) {
+    const separator = !value || value.startsWith('/') || type === 'all' ? '' : ':';
+    const text = `${qualifier}${type}${separator}${type === 'all' ? '' : value}`;
+    const node = parseTerm(text);
+    delete node.raw;
+    delete node.column;
+    return node;
+}
+
+module.exports = {
+    SpfParseError,
+    isValidDomainSpec,
+    parseTerm,
+    tokenizeSpf,
+    createMechanism,
+};
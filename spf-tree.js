@@ -0,0 +1,231 @@
+// spf-tree.js
+// This file contains the include/redirect hierarchy of an SPF record and its text, JSON and DOT renderings.
+const { parseSpf, stringifyMechanism, SpfLoopError, normalizeDomain, findLoop } = require('./spfParser');
+const { hasMacros } = require('./spf-macro');
+const { fetchSpfRecords, lookup } = require('./spf-lookups');
+const { createDiagnostic } = require('./spf-session');
+
+const MAX_DEPTH = 20; // Guards against include loops while building the tree
+const LOOKUP_TYPES = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+
+/**
+ * Resolves the addresses an 'a' or 'mx' mechanism points to, with their TTLs where the resolver reports them.
+ * @param {Object} mechanism The parsed 'a' or 'mx' mechanism.
+ * @param {string} target The domain the mechanism refers to.
+ * @returns {Promise<{addresses: number, ttls: Array<number>, errors: Array<string>}>} A promise that resolves to
+ * the number of addresses, the TTLs seen and any DNS errors.
+ */
+async function resolveAddresses(mechanism, target) {
+    const result = { addresses: 0, ttls: [], errors: [] };
+    let hostnames = [target];
+    if (mechanism.type === 'mx') {
+        const { answers, error } = await lookup('resolveMx', target);
+        if (error) {
+            result.errors.push(error);
+        }
+        hostnames = answers.map(record => record.exchange);
+    }
+
+    for (const host of hostnames) {
+        for (const method of ['resolve4', 'resolve6']) {
+            const { answers, error } = await lookup(method, host, { ttl: true });
+            if (error) {
+                result.errors.push(error);
+            }
+            result.addresses += answers.length;
+            // Resolvers without TTL support answer with plain address strings
+            answers.filter(answer => typeof answer.ttl === 'number').forEach(answer => result.ttls.push(answer.ttl));
+        }
+    }
+    return result;
+}
+
+/**
+ * Records a problem with a node as a message and as a typed diagnostic.
+ * @param {Object} node The tree node (modified in place).
+ * @param {string} code The diagnostic code.
+ * @param {string} message The message.
+ * @param {string|null} term The term the problem belongs to, or null for the record itself.
+ */
+function addError(node, code, message, term) {
+    node.errors.push(message);
+    node.diagnostics.push(createDiagnostic(code, 'error', message, { term, domain: node.domain }));
+}
+
+/**
+ * Builds the tree node for one domain and, recursively, for the domains it includes or redirects to.
+ * @param {string} domain The domain to fetch.
+ * @param {string|null} via The term that led to this domain, e.g. 'include:_spf.example.com', or null for the root.
+ * @param {number} depth The include/redirect depth of the domain.
+ * @param {Array<string>} chain The normalized domains from the top-level record down to the one that led here.
+ * @returns {Promise<Object>} A promise that resolves to the node (see buildSpfTree).
+ */
+async function buildNode(domain, via, depth, chain) {
+    const node = {
+        domain,
+        via,
+        record: null,
+        lookups: 0,
+        totalLookups: 0,
+        ipCount: 0,
+        totalIpCount: 0,
+        ttl: null,
+        errors: [],
+        diagnostics: [],
+        children: [],
+    };
+
+    const loop = findLoop(chain, domain);
+    if (loop) {
+        addError(node, 'INCLUDE_LOOP', new SpfLoopError(loop).message, via);
+        return node;
+    }
+
+    const { spfRecords, error } = await fetchSpfRecords(domain);
+    if (error) {
+        addError(node, 'DNS_ERROR', error, via);
+        return node;
+    }
+    if (spfRecords.length !== 1) {
+        addError(node, spfRecords.length === 0 ? 'NO_SPF_RECORD' : 'MULTIPLE_SPF_RECORDS', spfRecords.length === 0
+            ? `No SPF record found for ${domain}.`
+            : `Multiple SPF records found for ${domain}.`, via);
+        return node;
+    }
+    node.record = spfRecords[0];
+
+    let parsedSpf;
+    try {
+        parsedSpf = parseSpf(node.record);
+    } catch (parseError) {
+        addError(node, 'INVALID_RECORD', `Invalid SPF record for ${domain}: ${parseError.message}`, via);
+        return node;
+    }
+
+    const ttls = [];
+    const mechanisms = parsedSpf.filter(term => term.kind === 'mechanism');
+    const redirect = parsedSpf.find(term => term.kind === 'modifier' && term.type === 'redirect');
+    // 'redirect' is ignored when the record contains an 'all' mechanism
+    const terms = redirect && !mechanisms.some(m => m.type === 'all') ? [...mechanisms, redirect] : mechanisms;
+
+    for (const term of terms) {
+        if (term.type === 'ip4' || term.type === 'ip6') {
+            node.ipCount++;
+            continue;
+        }
+        if (!LOOKUP_TYPES.includes(term.type)) {
+            continue;
+        }
+        node.lookups++;
+
+        const target = term.domainSpec || domain;
+        if (hasMacros(target) || term.type === 'ptr' || term.type === 'exists') {
+            continue;
+        }
+
+        if (term.type === 'a' || term.type === 'mx') {
+            const { addresses, ttls: addressTtls, errors } = await resolveAddresses(term, target);
+            node.ipCount += addresses;
+            ttls.push(...addressTtls);
+            errors.forEach(message => addError(node, 'DNS_ERROR', message, stringifyMechanism(term)));
+        } else if (depth + 1 > MAX_DEPTH) {
+            addError(node, 'INCLUDE_DEPTH_EXCEEDED', `Stopped below ${target}: more than ${MAX_DEPTH} nested includes.`, stringifyMechanism(term));
+        } else {
+            node.children.push(await buildNode(target, stringifyMechanism(term), depth + 1, [...chain, normalizeDomain(domain)]));
+        }
+    }
+
+    node.totalLookups = node.lookups + node.children.reduce((sum, child) => sum + child.totalLookups, 0);
+    node.totalIpCount = node.ipCount + node.children.reduce((sum, child) => sum + child.totalIpCount, 0);
+    node.ttl = ttls.length > 0 ? Math.min(...ttls) : null;
+    return node;
+}
+
+/**
+ * Builds the full include/redirect hierarchy of the SPF record published at a domain.
+ * Each node has the fields `{domain, via, record, lookups, totalLookups, ipCount, totalIpCount, ttl, errors, diagnostics, children}`,
+ * where `diagnostics` holds the `errors` of the node as typed diagnostics (see spf-session.js).
+ * `lookups` and `ipCount` cover the record's own terms, the `total` variants add everything below it. `ipCount`
+ * counts ip4/ip6 ranges and the addresses of 'a' and 'mx' terms. `ttl` is the lowest TTL of those addresses, or
+ * null if the resolver does not report one. A domain that includes or redirects back to one of its ancestors
+ * gets a node with a loop error instead of being fetched again.
+ * @param {string} domain The domain to start from.
+ * @param {Array<string>} [ancestors] The normalized domains that lead to this one, when it is part of a larger
+ * tree, so that includes back to them are reported as loops.
+ * @returns {Promise<Object>} A promise that resolves to the root node.
+ */
+async function buildSpfTree(domain, ancestors = []) {
+    return buildNode(domain, null, 0, ancestors);
+}
+
+/**
+ * Summarizes the numbers of a node on one line.
+ * @param {Object} node The tree node.
+ * @returns {string} The summary, e.g. 'lookups: 1 (4 total), IPs: 0 (12 total), TTL: 300'.
+ */
+function describeNode(node) {
+    const lookups = node.children.length > 0 ? `${node.lookups} (${node.totalLookups} total)` : `${node.lookups}`;
+    const ips = node.children.length > 0 ? `${node.ipCount} (${node.totalIpCount} total)` : `${node.ipCount}`;
+    return `lookups: ${lookups}, IPs: ${ips}, TTL: ${node.ttl === null ? '-' : node.ttl}`;
+}
+
+/**
+ * Renders a tree as indented text for the terminal.
+ * @param {Object} tree The root node from buildSpfTree.
+ * @returns {string} The rendered tree.
+ */
+function formatTree(tree) {
+    const lines = [];
+    const renderNode = (node, prefix, connector, childPrefix) => {
+        lines.push(`${prefix}${connector}${node.via || node.domain} [${describeNode(node)}]`);
+        if (node.record) {
+            lines.push(`${prefix}${childPrefix}${node.children.length > 0 ? '│ ' : '  '} ${node.record}`);
+        }
+        node.errors.forEach(error => lines.push(`${prefix}${childPrefix}${node.children.length > 0 ? '│ ' : '  '} ! ${error}`));
+        node.children.forEach((child, i) => {
+            const last = i === node.children.length - 1;
+            renderNode(child, prefix + childPrefix, last ? '└─ ' : '├─ ', last ? '   ' : '│  ');
+        });
+    };
+    renderNode(tree, '', '', '');
+    return lines.join('\n');
+}
+
+/**
+ * Escapes a string for use inside a quoted DOT label.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeDot(text) {
+    return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Renders a tree as a Graphviz DOT graph, with one box per record and edges labelled with the include or redirect term.
+ * @param {Object} tree The root node from buildSpfTree.
+ * @returns {string} The DOT source.
+ */
+function treeToDot(tree) {
+    const lines = ['digraph spf {', '    node [shape=box, fontname="monospace"];'];
+    let nextId = 0;
+    const renderNode = node => {
+        const id = `n${nextId++}`;
+        const label = [node.domain, describeNode(node), ...node.errors].map(escapeDot).join('\\n');
+        const color = node.errors.length > 0 ? ', color=red' : '';
+        lines.push(`    ${id} [label="${label}"${color}];`);
+        node.children.forEach(child => {
+            const childId = renderNode(child);
+            lines.push(`    ${id} -> ${childId} [label="${escapeDot(child.via)}"];`);
+        });
+        return id;
+    };
+    renderNode(tree);
+    lines.push('}');
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildSpfTree,
+    formatTree,
+    treeToDot,
+};
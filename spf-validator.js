@@ -1,95 +1,431 @@
 // spf-validator.js
 // This file will contain functions for validating SPF records.
-const { resolveSpfTxtRecord, parseSpf, recursiveFlattenSpf } = require('./spfParser');
+const { resolveSpfTxtRecord, parseSpf, SpfTempError } = require('./spfParser');
+const { SpfParseError, parseTerm } = require('./spf-tokenizer');
+const { countSpfLookups, fetchSpfRecords } = require('./spf-lookups');
+const { createDiagnostic, getLimits } = require('./spf-session');
+const { parseCidr, cidrCovers } = require('./cidr');
+const { hasMacros } = require('./spf-macro');
+const { quoteTxtValue } = require('./spf-splitter');
+const { analyzeDmarc } = require('./spf-dmarc');
 
-const MAX_DNS_LOOKUPS = 10;
+const MAX_CHARACTER_STRING_LENGTH = 255; // RFC 1035 limit for a single TXT character-string
+const LINT_SEVERITIES = ['error', 'warning', 'info', 'off'];
 
 /**
- * Validates the syntax of a parsed SPF record.
+ * Validates the structure of a parsed SPF record.
+ * Grammar errors are reported by parseSpf itself; this checks the rules that span several terms.
  * @param {Array<Object>} parsedSpf The parsed SPF record.
  * @returns {Array<string>} An array of syntax error messages.
  */
 function validateSpfSyntax(parsedSpf) {
     const errors = [];
-    const mechanisms = parsedSpf.map(m => m.type);
+    const mechanisms = parsedSpf.filter(term => term.kind === 'mechanism').map(m => m.type);
+    const modifiers = parsedSpf.filter(term => term.kind === 'modifier').map(m => m.type);
 
     // Check for v=spf1 at the beginning
-    if (mechanisms[0] !== 'v' || parsedSpf[0].value !== 'spf1') {
+    if (parsedSpf.length === 0 || parsedSpf[0].kind !== 'version') {
         errors.push("The SPF record must start with 'v=spf1'.");
     }
 
-    // Check for invalid characters
-    const allowedChars = /^[a-zA-Z0-9-._=:\/+\?~ ]*$/;
-    const rawSpf = parsedSpf.map(m => (m.qualifier !== '+' ? m.qualifier : '') + m.type + (m.value ? `:${m.value}` : '')).join(' ');
-    if (!allowedChars.test(rawSpf)) {
-        errors.push("The SPF record contains invalid characters.");
+    // Check for multiple 'redirect', 'exp' or 'all'
+    if (modifiers.filter(m => m === 'redirect').length > 1) {
+        errors.push("Multiple 'redirect' modifiers found. Only one is allowed.");
     }
-
-    // Check for multiple 'redirect' or 'all'
-    if (mechanisms.filter(m => m === 'redirect').length > 1) {
-        errors.push("Multiple 'redirect' mechanisms found. Only one is allowed.");
+    if (modifiers.filter(m => m === 'exp').length > 1) {
+        errors.push("Multiple 'exp' modifiers found. Only one is allowed.");
     }
     if (mechanisms.filter(m => m === 'all').length > 1) {
         errors.push("Multiple 'all' mechanisms found. Only one is allowed.");
     }
 
-    // Check for 'all' mechanism at the end
+    // Check for 'all' mechanism at the end (modifiers may still follow it)
     if (mechanisms.includes('all') && mechanisms[mechanisms.length - 1] !== 'all') {
         errors.push("The 'all' mechanism must be the last mechanism in the SPF record.");
     }
 
-    // Check if 'redirect' is used with other mechanisms
-    if (mechanisms.includes('redirect') && mechanisms.length > 2) { // > 2 to account for v=spf1 and redirect
-        errors.push("The 'redirect' mechanism cannot be used with other mechanisms.");
-    }
+    // 'redirect' may follow mechanisms (RFC 7208 section 6.1); next to 'all' it is ignored, which the
+    // 'all-with-redirect' lint rule reports
 
     return errors;
 }
 
+/**
+ * Records a verification problem both as a message and as a typed diagnostic.
+ * @param {Object} results The verification results (modified in place).
+ * @param {string} list The message list, 'errors' or 'syntaxErrors'.
+ * @param {string} code The diagnostic code.
+ * @param {string} message The message.
+ * @param {Object} [details] The term and domain of the diagnostic.
+ */
+function addError(results, list, code, message, details) {
+    results[list].push(message);
+    results.diagnostics.push(createDiagnostic(code, 'error', message, details));
+}
 
 /**
  * Verifies if an SPF record meets SPF standards.
+ * The lookup limits are those of the current session (see spf-session.js), by default the RFC 7208 limits.
  * @param {string} domain The domain to verify.
- * @returns {Promise<Object>} A promise that resolves to an object containing verification results.
+ * @param {Object} [options] Verification options.
+ * @param {boolean} [options.dmarc] Also look up and validate the DMARC policy of the domain (see analyzeDmarc).
+ * @param {string} [options.ip] The IP address of a sending server. Implies `dmarc` and reports whether SPF would
+ * produce an aligned pass for it. Its reverse names are also checked against the name limit of 'ptr' terms.
+ * @param {string} [options.sender] The envelope sender (MAIL FROM) for the alignment analysis.
+ * @returns {Promise<Object>} A promise that resolves to an object containing verification results. Every
+ * message in `errors` and `syntaxErrors` is also in `diagnostics`, with a code such as 'NO_SPF_RECORD',
+ * 'SYNTAX_ERROR', 'INCLUDE_LOOP', 'TEMPERROR' or 'LOOKUP_LIMIT_EXCEEDED'. `dmarc` is the DMARC report, or
+ * null if it was not requested; its problems are in `dmarc.errors` and `diagnostics`.
  */
-async function verifySpf(domain) {
+async function verifySpf(domain, { dmarc = false, ip = null, sender = null } = {}) {
     const results = {
         hasSpfRecord: false,
+        record: null,
+        parsed: null,
         dnsLookups: 0,
         lookupLimitExceeded: false,
+        voidLookups: 0,
+        voidLookupLimitExceeded: false,
+        lookupBreakdown: [],
         errors: [],
         syntaxErrors: [],
+        diagnostics: [],
+        dmarc: null,
     };
 
-    const { spfRecords, newLookupCount } = await resolveSpfTxtRecord(domain, 0);
-    results.dnsLookups = newLookupCount;
+    await verifySpfRecord(domain, results, ip);
+    if (dmarc || ip) {
+        const { diagnostics, ...report } = await analyzeDmarc(domain, { ip, sender });
+        results.dmarc = report;
+        results.diagnostics.push(...diagnostics);
+    }
+    return results;
+}
+
+/**
+ * Runs the SPF checks of verifySpf.
+ * @param {string} domain The domain to verify.
+ * @param {Object} results The verification results (modified in place).
+ * @param {string|null} ip The IP address of a sending server, for the name limit of 'ptr' terms.
+ * @returns {Promise<void>} A promise that resolves when the checks are done.
+ */
+async function verifySpfRecord(domain, results, ip) {
+    const limits = getLimits();
+
+    // The query for the record itself does not count towards the limit
+    let spfRecords;
+    try {
+        ({ spfRecords } = await resolveSpfTxtRecord(domain, 0));
+    } catch (error) {
+        if (error instanceof SpfTempError) {
+            addError(results, 'errors', 'TEMPERROR', error.message, { domain });
+            return;
+        }
+        throw error;
+    }
 
     if (spfRecords.length > 0) {
         results.hasSpfRecord = true;
+        results.record = spfRecords[0];
     } else {
-        results.errors.push(`No SPF record found for ${domain}.`);
-        return results;
+        addError(results, 'errors', 'NO_SPF_RECORD', `No SPF record found for ${domain}.`, { domain });
+        return;
     }
 
     if (spfRecords.length > 1) {
-        results.errors.push(`Multiple SPF records found for ${domain}. Only one is allowed.`);
+        addError(results, 'errors', 'MULTIPLE_SPF_RECORDS', `Multiple SPF records found for ${domain}. Only one is allowed.`, { domain });
     }
 
-    const parsedSpf = parseSpf(spfRecords[0]);
-    results.syntaxErrors = validateSpfSyntax(parsedSpf);
-
-    const { newLookupCount: finalLookupCount } = await recursiveFlattenSpf(parsedSpf, domain, results.dnsLookups);
+    let parsedSpf;
+    try {
+        parsedSpf = parseSpf(spfRecords[0]);
+    } catch (error) {
+        if (error instanceof SpfParseError) {
+            addError(results, 'syntaxErrors', 'SYNTAX_ERROR', error.message, { domain });
+            return;
+        }
+        throw error;
+    }
+    results.parsed = parsedSpf;
+    validateSpfSyntax(parsedSpf).forEach(message => addError(results, 'syntaxErrors', 'SYNTAX_ERROR', message, { domain }));
 
-    results.dnsLookups = finalLookupCount;
+    const accounting = await countSpfLookups(parsedSpf, domain, { ip });
+    results.dnsLookups = accounting.lookups;
+    results.voidLookups = accounting.voidLookups;
+    results.lookupBreakdown = accounting.breakdown;
+    results.errors.push(...accounting.errors);
+    results.diagnostics.push(...accounting.diagnostics);
 
-    if (results.dnsLookups > MAX_DNS_LOOKUPS) {
+    if (results.dnsLookups > limits.lookups) {
         results.lookupLimitExceeded = true;
-        results.errors.push(`SPF record for ${domain} exceeds the 10 DNS lookup limit. Found ${results.dnsLookups} lookups.`);
+        addError(results, 'errors', 'LOOKUP_LIMIT_EXCEEDED',
+            `SPF record for ${domain} exceeds the ${limits.lookups} DNS lookup limit. Found ${results.dnsLookups} lookups.`, { domain });
     }
 
-    return results;
+    if (results.voidLookups > limits.voidLookups) {
+        results.voidLookupLimitExceeded = true;
+        addError(results, 'errors', 'VOID_LOOKUP_LIMIT_EXCEEDED',
+            `SPF record for ${domain} exceeds the ${limits.voidLookups} void lookup limit. Found ${results.voidLookups} void lookups.`, { domain });
+    }
+}
+
+/**
+ * Tells which lint rule a term that does not parse breaks.
+ * @param {SpfParseError} error The parse error of the term.
+ * @returns {string} 'invalid-cidr', 'invalid-domain-spec' or 'syntax'.
+ */
+function parseErrorRule(error) {
+    if (/^Invalid (CIDR length|ip[46] address)/.test(error.message)) {
+        return 'invalid-cidr';
+    }
+    if (/^Invalid domain-spec|requires a domain-spec/.test(error.message)) {
+        return 'invalid-domain-spec';
+    }
+    return 'syntax';
+}
+
+/**
+ * Creates a term for a lint fix to add to the record.
+ * @param {string} text The term text.
+ * @returns {{text: string, node: Object, error: null}} The term.
+ */
+function lintTerm(text) {
+    return { text, node: parseTerm(text), error: null };
+}
+
+/**
+ * The lint rules, in the order they are checked. Each check returns the rule's findings for a record as
+ * `{message, term, fix}`, where `fix` (if the problem can be fixed automatically) maps the record's terms
+ * to fixed ones, and `suggestion` (if given instead) is a fixed form of the record that is not a term change.
+ */
+const LINT_RULES = [
+    {
+        id: 'syntax',
+        severity: 'error',
+        description: 'Terms that do not follow the RFC 7208 grammar.',
+        check: ({ terms }) => [
+            ...(terms.length === 0 || !terms[0].node || terms[0].node.kind !== 'version'
+                ? [{ message: "The SPF record must start with 'v=spf1'.", term: null }]
+                : []),
+            ...terms
+                .filter(term => term.error && parseErrorRule(term.error) === 'syntax')
+                .map(term => ({ message: term.error.message, term: term.text })),
+        ],
+    },
+    {
+        id: 'invalid-cidr',
+        severity: 'error',
+        description: 'Addresses with invalid octets and CIDR prefix lengths out of range.',
+        check: ({ terms }) => terms
+            .filter(term => term.error && parseErrorRule(term.error) === 'invalid-cidr')
+            .map(term => ({ message: term.error.message, term: term.text })),
+    },
+    {
+        id: 'invalid-domain-spec',
+        severity: 'error',
+        description: 'Malformed domain names in include, exists, a, mx, ptr, redirect and exp.',
+        check: ({ terms }) => terms
+            .filter(term => term.error && parseErrorRule(term.error) === 'invalid-domain-spec')
+            .map(term => ({ message: term.error.message, term: term.text })),
+    },
+    {
+        id: 'no-ptr',
+        severity: 'warning',
+        description: "The 'ptr' mechanism, which RFC 7208 says should not be used.",
+        check: ({ terms }) => terms
+            .filter(term => term.node && term.node.type === 'ptr')
+            .map(term => ({
+                message: `'${term.text}' uses the deprecated 'ptr' mechanism, which is slow and may be ignored by receivers.`,
+                term: term.text,
+                fix: all => all.filter(other => other !== term),
+            })),
+    },
+    {
+        id: 'permissive-all',
+        severity: 'error',
+        description: "'+all' or '?all', which let anyone send mail for the domain.",
+        check: ({ terms }) => terms
+            .filter(term => term.node && term.node.type === 'all' && ['+', '?'].includes(term.node.qualifier))
+            .map(term => ({
+                message: `'${term.text}' allows any server to send mail for the domain.`,
+                term: term.text,
+                fix: all => all.map(other => (other === term ? lintTerm('~all') : other)),
+            })),
+    },
+    {
+        id: 'missing-all',
+        severity: 'warning',
+        description: "Records that end without an 'all' mechanism or a 'redirect' modifier.",
+        check: ({ terms }) => {
+            if (terms.some(term => term.node && (term.node.type === 'all' || term.node.type === 'redirect'))) {
+                return [];
+            }
+            return [{
+                message: "The record has no terminal 'all' mechanism or 'redirect' modifier, so unlisted servers get a neutral result.",
+                term: null,
+                fix: all => {
+                    const lastMechanism = all.map(term => Boolean(term.node && term.node.kind !== 'modifier')).lastIndexOf(true);
+                    return [...all.slice(0, lastMechanism + 1), lintTerm('~all'), ...all.slice(lastMechanism + 1)];
+                },
+            }];
+        },
+    },
+    {
+        id: 'all-with-redirect',
+        severity: 'warning',
+        description: "A 'redirect' modifier next to an 'all' mechanism, which makes it ignored.",
+        check: ({ terms }) => {
+            if (!terms.some(term => term.node && term.node.type === 'all')) {
+                return [];
+            }
+            return terms
+                .filter(term => term.node && term.node.type === 'redirect')
+                .map(term => ({
+                    message: `'${term.text}' is ignored because the record has an 'all' mechanism.`,
+                    term: term.text,
+                    fix: all => all.filter(other => other !== term),
+                }));
+        },
+    },
+    {
+        id: 'overlapping-ranges',
+        severity: 'warning',
+        description: 'ip4/ip6 ranges that repeat or are covered by another range.',
+        check: ({ terms }) => {
+            const ranges = terms
+                .filter(term => term.node && (term.node.type === 'ip4' || term.node.type === 'ip6'))
+                .map(term => ({ term, range: parseCidr(term.node.value, term.node.type === 'ip4' ? 4 : 6) }))
+                .filter(({ range }) => range);
+            const findings = [];
+            const redundant = new Set();
+            ranges.forEach((current, i) => {
+                for (const earlier of ranges.slice(0, i)) {
+                    if (redundant.has(earlier.term)) {
+                        continue;
+                    }
+                    // A range after one that covers it can never match; one before a wider range with the
+                    // same qualifier gives the same result as the wider range
+                    let covered = null;
+                    if (cidrCovers(earlier.range, current.range)) {
+                        covered = { term: current.term, by: earlier.term };
+                    } else if (cidrCovers(current.range, earlier.range) && earlier.term.node.qualifier === current.term.node.qualifier) {
+                        covered = { term: earlier.term, by: current.term };
+                    }
+                    if (covered && !redundant.has(covered.term)) {
+                        redundant.add(covered.term);
+                        findings.push({
+                            message: `'${covered.term.text}' is ${covered.term.node.value === covered.by.node.value ? 'a duplicate of' : 'covered by'} '${covered.by.text}'.`,
+                            term: covered.term.text,
+                            fix: all => all.filter(other => other !== covered.term),
+                        });
+                    }
+                    if (redundant.has(current.term)) {
+                        break;
+                    }
+                }
+            });
+            return findings;
+        },
+    },
+    {
+        id: 'long-string',
+        severity: 'warning',
+        description: 'TXT character-strings longer than 255 bytes, which cannot be published.',
+        check: ({ record, strings }) => strings
+            .filter(text => Buffer.byteLength(text) > MAX_CHARACTER_STRING_LENGTH)
+            .map(text => ({
+                message: `A TXT character-string of the record is ${Buffer.byteLength(text)} bytes; each string may be at most ${MAX_CHARACTER_STRING_LENGTH} bytes.`,
+                term: null,
+                suggestion: quoteTxtValue(record),
+            })),
+    },
+    {
+        id: 'include-no-spf',
+        severity: 'error',
+        description: 'include and redirect targets that publish no SPF record, a permerror for receivers.',
+        check: async ({ terms, domain }) => {
+            if (!domain) {
+                return [];
+            }
+            const findings = [];
+            for (const term of terms) {
+                if (!term.node || !['include', 'redirect'].includes(term.node.type) || hasMacros(term.node.domainSpec)) {
+                    continue;
+                }
+                const { spfRecords, error } = await fetchSpfRecords(term.node.domainSpec);
+                if (!error && spfRecords.length === 0) {
+                    findings.push({
+                        message: `'${term.text}' points to ${term.node.domainSpec}, which has no SPF record. Receivers treat this as a permerror.`,
+                        term: term.text,
+                        fix: all => all.filter(other => other !== term),
+                    });
+                }
+            }
+            return findings;
+        },
+    },
+];
+
+/**
+ * Checks an SPF record against best-practice lint rules. Unlike parseSpf, a term that does not parse does not
+ * stop the other terms from being checked.
+ * @param {string} record The SPF record string.
+ * @param {Object} [options] Lint options.
+ * @param {string} [options.domain] The domain the record is published at. Without it, rules that need DNS
+ * ('include-no-spf') are skipped.
+ * @param {Array<string>} [options.strings] The TXT character-strings the record was published as. Defaults to
+ * the record as a single string.
+ * @param {Object<string, string>} [options.rules] The severity of each rule to override, by rule ID: 'error',
+ * 'warning', 'info', or 'off' to disable it (see LINT_RULES for the IDs and defaults).
+ * @returns {Promise<{findings: Array<Object>, fixedRecord: string|null}>} A promise that resolves to the findings
+ * (diagnostics with a `rule` and, where the problem can be fixed, a `suggestion`: the record with that problem
+ * fixed) and the record with every fixable problem fixed, or null if there was nothing to fix.
+ * @throws {Error} If the options name an unknown rule or severity.
+ */
+async function lintSpf(record, { domain = null, strings = [record], rules = {} } = {}) {
+    Object.entries(rules).forEach(([id, severity]) => {
+        if (!LINT_RULES.some(rule => rule.id === id)) {
+            throw new Error(`Unknown lint rule '${id}'.`);
+        }
+        if (!LINT_SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity '${severity}' for the lint rule '${id}'.`);
+        }
+    });
+
+    const terms = (record.match(/[^ ]+/g) || []).map(text => {
+        try {
+            return { text, node: parseTerm(text), error: null };
+        } catch (error) {
+            if (error instanceof SpfParseError) {
+                return { text, node: null, error };
+            }
+            throw error;
+        }
+    });
+    const stringify = list => list.map(term => term.text).join(' ');
+
+    const findings = [];
+    let fixedTerms = terms;
+    for (const rule of LINT_RULES) {
+        const severity = rules[rule.id] || rule.severity;
+        if (severity === 'off') {
+            continue;
+        }
+        for (const finding of await rule.check({ record, domain, strings, terms })) {
+            const suggestion = finding.fix ? stringify(finding.fix(terms)) : finding.suggestion || null;
+            const code = `LINT_${rule.id.toUpperCase().replace(/-/g, '_')}`;
+            findings.push({ ...createDiagnostic(code, severity, finding.message, { term: finding.term, domain }), rule: rule.id, suggestion });
+            if (finding.fix) {
+                fixedTerms = finding.fix(fixedTerms);
+            }
+        }
+    }
+    return { findings, fixedRecord: fixedTerms === terms ? null : stringify(fixedTerms) };
 }
 
 module.exports = {
+    LINT_RULES,
+    lintSpf,
+    validateSpfSyntax,
     verifySpf,
 };
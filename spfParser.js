@@ -1,150 +1,512 @@
 // spfParser.js
 // This file will contain functions for parsing SPF records.
 const { Resolver } = require('dns').promises;
+const { optimizeIpMechanisms } = require('./cidr');
+const { hasMacros, usesDomainMacros } = require('./spf-macro');
+const { tokenizeSpf, createMechanism, SpfParseError } = require('./spf-tokenizer');
+const { createDiagnostic, currentSession, getLimits, report } = require('./spf-session');
 
-let dnsResolver = new Resolver();
-dnsResolver.setServers(['8.8.8.8', '1.1.1.1']); // Use Google's and Cloudflare's DNS
+const DEFAULT_SERVERS = ['8.8.8.8', '1.1.1.1']; // Use Google's and Cloudflare's DNS
+const TEMPORARY_ERROR_CODES = ['ESERVFAIL', 'ETIMEOUT', 'ECONNREFUSED']; // Failures that may succeed when retried later
+
+/**
+ * Creates a DNS resolver for the SPF tools.
+ * @param {Object} [options] Resolver options.
+ * @param {Array<string>} [options.servers] The nameservers to query. Defaults to Google's and Cloudflare's public DNS.
+ * @param {number} [options.timeout] The timeout of each query attempt, in milliseconds. Defaults to the Node.js default.
+ * @param {number} [options.retries] How often a timed out query is retried. Defaults to the Node.js default.
+ * @returns {Object} The resolver, suitable for setDnsResolver.
+ */
+function createDnsResolver({ servers = DEFAULT_SERVERS, timeout, retries } = {}) {
+    const resolverOptions = {};
+    if (timeout !== undefined) {
+        resolverOptions.timeout = timeout;
+    }
+    if (retries !== undefined) {
+        resolverOptions.tries = retries + 1;
+    }
+    const resolver = new Resolver(resolverOptions);
+    resolver.setServers(servers);
+    return resolver;
+}
+
+let dnsResolver = createDnsResolver();
 
 function setDnsResolver(resolver) {
     dnsResolver = resolver;
 }
 
-const MAX_DNS_LOOKUPS = 10; // SPF RFC specifies a limit of 10 DNS lookups
+/**
+ * Returns the resolver currently used for DNS queries: the resolver of the current session (see
+ * runInSession in spf-session.js) if it has one, otherwise the one set with setDnsResolver.
+ * @returns {Object} The active resolver.
+ */
+function getDnsResolver() {
+    const session = currentSession();
+    return (session && session.resolver) || dnsResolver;
+}
+
+/**
+ * Error thrown when an include or redirect chain leads back to a domain that is already being evaluated.
+ * RFC 7208 evaluation of such a record ends in a permerror, so it cannot be flattened.
+ */
+class SpfLoopError extends Error {
+    constructor(path) {
+        super(`permerror: include loop detected: ${path.join(' → ')}`);
+        this.name = 'SpfLoopError';
+        this.result = 'permerror';
+        this.path = path;
+    }
+}
+
+/**
+ * Error thrown when a DNS query fails in a way that may succeed later, such as SERVFAIL or a timeout.
+ * RFC 7208 evaluation ends in a temperror in this case, so the answer must not be treated as "no record".
+ */
+class SpfTempError extends Error {
+    constructor(message) {
+        super(`temperror: ${message}`);
+        this.name = 'SpfTempError';
+        this.result = 'temperror';
+    }
+}
+
+/**
+ * Normalizes a domain name for comparison: lowercase and without a trailing dot.
+ * @param {string} name The domain name.
+ * @returns {string} The normalized name.
+ */
+function normalizeDomain(name) {
+    return name.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Checks whether following an include or redirect to a target would revisit a domain in the current chain.
+ * @param {Array<string>} chain The normalized domains from the top-level record down to the current one.
+ * @param {string} target The include or redirect target.
+ * @returns {Array<string>|null} The full path ending in the repeated domain, or null if there is no loop.
+ */
+function findLoop(chain, target) {
+    const normalized = normalizeDomain(target);
+    return chain.includes(normalized) ? [...chain, normalized] : null;
+}
 
 /**
  * Resolves SPF TXT records for a given hostname.
  * @param {string} hostname The hostname to query.
  * @param {number} currentDnsLookups The current count of DNS lookups.
+ * @param {Map} [prefetched] TXT queries already started by prefetchSpfRecords, by normalized hostname.
  * @returns {Promise<{spfRecords: string[], newLookupCount: number}>} A promise that resolves to an array of SPF record strings and the updated lookup count.
+ * @throws {SpfTempError} If the query fails with SERVFAIL, a timeout or a refused connection.
  */
-async function resolveSpfTxtRecord(hostname, currentDnsLookups) {
-    if (currentDnsLookups >= MAX_DNS_LOOKUPS) {
-        console.warn(`Maximum DNS lookup limit (${MAX_DNS_LOOKUPS}) exceeded for ${hostname}.`);
+async function resolveSpfTxtRecord(hostname, currentDnsLookups, prefetched) {
+    const maxLookups = getLimits().lookups;
+    if (currentDnsLookups >= maxLookups) {
+        report(createDiagnostic('LOOKUP_LIMIT_EXCEEDED', 'warning',
+            `Maximum DNS lookup limit (${maxLookups}) exceeded for ${hostname}.`, { domain: hostname }));
         return { spfRecords: [], newLookupCount: currentDnsLookups };
     }
     try {
-        const records = await dnsResolver.resolveTxt(hostname);
+        const key = normalizeDomain(hostname);
+        const records = prefetched && prefetched.has(key)
+            ? await prefetched.get(key)
+            : await getDnsResolver().resolveTxt(hostname);
         const spfRecords = records
             .map(record => record.join(''))
             .filter(record => record.startsWith('v=spf1'));
         return { spfRecords, newLookupCount: currentDnsLookups + 1 };
     } catch (error) {
+        if (TEMPORARY_ERROR_CODES.includes(error.code)) {
+            throw new SpfTempError(`DNS TXT lookup for ${hostname} failed: ${error.message}`);
+        }
         // Handle NXDOMAIN (no such domain) or other DNS errors gracefully
-        if (error.code === 'ENOTFOUND' || error.code === 'ESERVFAIL' || error.code === 'ENODATA') {
-            console.warn(`DNS lookup for ${hostname} failed: ${error.message}. Skipping this record.`);
+        if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+            report(createDiagnostic('DNS_NO_DATA', 'warning',
+                `DNS lookup for ${hostname} failed: ${error.message}. Skipping this record.`, { domain: hostname }));
         } else {
-            console.error(`DNS TXT lookup failed for ${hostname}:`, error.message);
+            report(createDiagnostic('DNS_ERROR', 'error',
+                `DNS TXT lookup failed for ${hostname}: ${error.message}`, { domain: hostname }));
         }
         return { spfRecords: [], newLookupCount: currentDnsLookups + 1 };
     }
 }
 
+/**
+ * Starts fetching the records of every include and redirect target below a record at once, so that sibling
+ * includes are resolved concurrently. Only targets that could still be reached within the lookup limit are
+ * fetched: the position of a term is at least the number of lookup terms before it. The flattener then
+ * consumes the answers in record order, so its output and lookup accounting do not depend on timing.
+ * @param {Array<Object>} parsedSpf The parsed SPF record.
+ * @param {number} lookupsBefore The lowest lookup count the record can be reached with.
+ * @param {Array<string>} chain The normalized domains from the top-level record down to this one.
+ * @param {Map} prefetched The started TXT queries by normalized hostname (modified in place).
+ */
+function prefetchSpfRecords(parsedSpf, lookupsBefore, chain, prefetched) {
+    // A redirect is ignored by a record with an 'all' mechanism
+    const followsRedirect = !parsedSpf.some(term => term.type === 'all');
+    const lookupTerms = parsedSpf.filter(term => ['include', 'a', 'mx'].includes(term.type) || (term.type === 'redirect' && followsRedirect));
+    lookupTerms.forEach((term, index) => {
+        const position = lookupsBefore + index;
+        if ((term.type !== 'include' && term.type !== 'redirect') || hasMacros(term.value) || position >= getLimits().lookups) {
+            return;
+        }
+        const key = normalizeDomain(term.domainSpec);
+        if (prefetched.has(key) || findLoop(chain, key)) {
+            return;
+        }
+        const resolver = getDnsResolver();
+        const query = Promise.resolve().then(() => resolver.resolveTxt(term.domainSpec));
+        prefetched.set(key, query);
+        query.then(records => {
+            let subParsedSpf = null;
+            try {
+                const record = records.map(parts => parts.join('')).find(text => text.startsWith('v=spf1'));
+                subParsedSpf = record ? parseSpf(record) : null;
+            } catch (error) {
+                // The flattener reports unusable answers when it reaches them
+            }
+            if (subParsedSpf) {
+                prefetchSpfRecords(subParsedSpf, position + 1, [...chain, key], prefetched);
+            }
+        }, () => {
+            // Failed queries are reported when the flattener consumes them
+        });
+    });
+}
+
+/**
+ * Runs an address or MX query, treating "no such name" and "no data" answers as an empty result.
+ * @param {Function} query A function performing the DNS query.
+ * @param {string} recordType The record type being queried, used in log messages.
+ * @param {string} hostname The hostname being queried.
+ * @returns {Promise<Array>} A promise that resolves to the answers, or an empty array on failure.
+ * @throws {SpfTempError} If the query fails with SERVFAIL, a timeout or a refused connection.
+ */
+async function queryOrEmpty(query, recordType, hostname) {
+    try {
+        return await query();
+    } catch (error) {
+        if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+            return [];
+        }
+        if (TEMPORARY_ERROR_CODES.includes(error.code)) {
+            throw new SpfTempError(`DNS ${recordType} lookup for ${hostname} failed: ${error.message}`);
+        }
+        report(createDiagnostic('DNS_ERROR', 'error',
+            `DNS ${recordType} lookup failed for ${hostname}: ${error.message}`, { domain: hostname }));
+        return [];
+    }
+}
+
+/**
+ * Resolves the A and AAAA records of a hostname.
+ * @param {string} hostname The hostname to query.
+ * @returns {Promise<{ip4: Array<{address: string, ttl: number|null}>, ip6: Array<{address: string, ttl: number|null}>}>}
+ * A promise that resolves to the IPv4 and IPv6 addresses with their TTLs, or a null TTL where the resolver does not report one.
+ */
+async function resolveHostAddresses(hostname) {
+    // Resolvers without TTL support answer with plain address strings
+    const withTtl = answers => answers.map(answer => (typeof answer === 'string' ? { address: answer, ttl: null } : answer));
+    const [ip4, ip6] = await Promise.all([
+        queryOrEmpty(() => getDnsResolver().resolve4(hostname, { ttl: true }), 'A', hostname),
+        queryOrEmpty(() => getDnsResolver().resolve6(hostname, { ttl: true }), 'AAAA', hostname),
+    ]);
+    return { ip4: withTtl(ip4), ip6: withTtl(ip6) };
+}
+
+/**
+ * Copies a term and records where it came from (see recursiveFlattenSpf).
+ * @param {Object} mechanism The parsed term.
+ * @param {Array<string>} chain The normalized domains from the top-level record down to the one holding the term.
+ * @param {number|null} [ttl] The TTL of the DNS answer the term was built from, if known.
+ * @param {string} [term] The term as written in that record. Defaults to the term itself.
+ * @returns {Object} The copy, with a `sources` list of one `{chain, term, ttl}` entry.
+ */
+function withSource(mechanism, chain, ttl = null, term = stringifyMechanism(mechanism)) {
+    return { ...mechanism, sources: [{ chain, term, ttl }] };
+}
+
+/**
+ * Resolves an 'a' or 'mx' mechanism into equivalent 'ip4' and 'ip6' mechanisms.
+ * The original qualifier is kept and the dual-CIDR prefix lengths are applied to every address.
+ * Each resulting mechanism records the 'a' or 'mx' term it came from and the TTL of its address in `sources`.
+ * @param {Object} mechanism The parsed 'a' or 'mx' mechanism.
+ * @param {string} domain The domain of the record the mechanism belongs to, used when no target is given.
+ * @param {number} currentDnsLookups The current count of DNS lookups.
+ * @param {Array<string>} [chain] The normalized domains from the top-level record down to the one holding the mechanism.
+ * @returns {Promise<{mechanisms: Array<Object>, newLookupCount: number}>} A promise that resolves to the ip4/ip6 mechanisms and the updated lookup count.
+ */
+async function resolveAddressMechanism(mechanism, domain, currentDnsLookups, chain = [normalizeDomain(domain)]) {
+    const target = mechanism.domainSpec || domain;
+    const ip4Cidr = mechanism.ip4Cidr === null ? 32 : mechanism.ip4Cidr;
+    const ip6Cidr = mechanism.ip6Cidr === null ? 128 : mechanism.ip6Cidr;
+
+    const maxLookups = getLimits().lookups;
+    if (currentDnsLookups >= maxLookups) {
+        report(createDiagnostic('LOOKUP_LIMIT_EXCEEDED', 'warning',
+            `Maximum DNS lookup limit (${maxLookups}) exceeded for ${target}.`,
+            { term: stringifyMechanism(mechanism), domain }));
+        return { mechanisms: [], newLookupCount: currentDnsLookups };
+    }
+
+    let hostnames = [target];
+    if (mechanism.type === 'mx') {
+        const mxRecords = await queryOrEmpty(() => getDnsResolver().resolveMx(target), 'MX', target);
+        hostnames = mxRecords
+            .sort((a, b) => a.priority - b.priority)
+            .map(record => record.exchange);
+    }
+
+    const term = stringifyMechanism(mechanism);
+    const mechanisms = [];
+    const addresses = await Promise.all(hostnames.map(resolveHostAddresses));
+    for (const { ip4, ip6 } of addresses) {
+        ip4.forEach(({ address, ttl }) => mechanisms.push(withSource(
+            createMechanism(mechanism.qualifier, 'ip4', ip4Cidr === 32 ? address : `${address}/${ip4Cidr}`), chain, ttl, term
+        )));
+        ip6.forEach(({ address, ttl }) => mechanisms.push(withSource(
+            createMechanism(mechanism.qualifier, 'ip6', ip6Cidr === 128 ? address : `${address}/${ip6Cidr}`), chain, ttl, term
+        )));
+    }
+
+    return { mechanisms, newLookupCount: currentDnsLookups + 1 };
+}
+
 /**
  * Parses an SPF record string into a structured representation.
  * @param {string} spfRecord The SPF record string.
- * @returns {Array<Object>} An array of SPF mechanism objects.
+ * @returns {Array<Object>} An array of typed SPF nodes (see tokenizeSpf in spf-tokenizer.js).
+ * @throws {SpfParseError} If the record does not follow the RFC 7208 grammar.
  */
 function parseSpf(spfRecord) {
     if (!spfRecord || typeof spfRecord !== 'string') {
         throw new Error("Invalid SPF record provided. Must be a non-empty string.");
     }
 
-    const mechanisms = spfRecord.split(/\s+/).filter(part => part.length > 0);
-    const parsedMechanisms = [];
-
-    mechanisms.forEach(mechanismString => {
-        let qualifier = '+'; // Default qualifier
-        let type = mechanismString;
-        let value = '';
+    return tokenizeSpf(spfRecord);
+}
 
-        // Check for qualifier
-        if (['+', '-', '~', '?'].includes(mechanismString[0])) {
-            qualifier = mechanismString[0];
-            type = mechanismString.substring(1);
+/**
+ * Parses a record fetched while flattening, skipping it with a warning if it is malformed.
+ * @param {string} spfRecord The SPF record string.
+ * @param {string} hostname The hostname the record was fetched from.
+ * @returns {Array<Object>|null} The parsed record, or null if it could not be parsed.
+ */
+function parseFetchedSpf(spfRecord, hostname) {
+    try {
+        return parseSpf(spfRecord);
+    } catch (error) {
+        if (error instanceof SpfParseError) {
+            report(createDiagnostic('INVALID_RECORD', 'warning',
+                `Invalid SPF record for ${hostname}: ${error.message}. Skipping this record.`, { domain: hostname }));
+            return null;
         }
+        throw error;
+    }
+}
 
-        const parts = type.split(':');
-        if (parts.length > 1) {
-            type = parts[0];
-            value = parts.slice(1).join(':');
-        } else {
-            // Handle mechanisms like 'all' which might not have a ':'
-            // or 'v=spf1' or 'redirect=' which use '='
-            if (type.includes('=')) {
-                const partsWithEquals = type.split('=');
-                type = partsWithEquals[0];
-                value = partsWithEquals[1];
-            } else if (type === 'all') { // Handle 'all' mechanism
-                value = 'all'; // Value is implicitly 'all'
-            }
-        }
-        
-        parsedMechanisms.push({ qualifier, type, value });
-    });
+/**
+ * Serializes a single parsed SPF mechanism or modifier back into its textual form.
+ * Terms parsed from a record are written exactly as they appeared.
+ * @param {Object} mechanism The parsed mechanism.
+ * @returns {string} The textual term, e.g. '-ip4:192.0.2.0/24' or 'redirect=_spf.example.com'.
+ */
+function stringifyMechanism(mechanism) {
+    if (mechanism.raw) {
+        return mechanism.raw;
+    }
+    if (mechanism.kind === 'version' || mechanism.kind === 'modifier') {
+        return `${mechanism.type}=${mechanism.value}`;
+    }
+    let output = mechanism.qualifier === '+' ? '' : mechanism.qualifier;
+    output += mechanism.type;
+    if (mechanism.value && mechanism.type !== 'all') {
+        output += mechanism.value.startsWith('/') ? mechanism.value : ':' + mechanism.value;
+    }
+    return output;
+}
 
-    return parsedMechanisms;
+/**
+ * Checks whether a term depends on the domain of the record it is evaluated in: a 'ptr', 'a' or 'mx' without a
+ * domain-spec, or a term using the %{d}, %{o} or %{h} macros. Such a term changes meaning when it is copied into a
+ * record published at another domain.
+ * @param {Object} term The parsed term.
+ * @returns {boolean} True if the term depends on the domain.
+ */
+function dependsOnDomain(term) {
+    if (['ptr', 'a', 'mx'].includes(term.type) && !term.domainSpec) {
+        return true;
+    }
+    return term.type !== 'exp' && usesDomainMacros(term.value);
 }
 
 /**
- * Recursively flattens an SPF record by resolving 'include' and 'redirect' mechanisms.
+ * Serializes parsed SPF mechanisms into a space-separated SPF record string.
+ * @param {Array<Object>} mechanisms The parsed mechanisms.
+ * @returns {string} The SPF record string.
+ */
+function stringifySpf(mechanisms) {
+    return mechanisms.map(stringifyMechanism).join(' ');
+}
+
+/**
+ * Checks whether an include or redirect has to be kept as is because the flattened record of its target has a term
+ * that only means the same inside that record: a term that depends on its domain (see dependsOnDomain), or a
+ * redirect kept as is. Reports the term that is kept.
+ * @param {Object} mechanism The include or redirect term.
+ * @param {string} hostname The target of the term.
+ * @param {Array<Object>} subFlattened The flattened terms of the target's record.
+ * @param {string} domain The domain of the record holding the term.
+ * @returns {boolean} True if the term has to be kept.
+ */
+function mustKeepTarget(mechanism, hostname, subFlattened, domain) {
+    const bound = subFlattened.find(m => m.type === 'redirect' || dependsOnDomain(m));
+    if (!bound) {
+        return false;
+    }
+    const term = stringifyMechanism(mechanism);
+    report(createDiagnostic('INCLUDE_NOT_FLATTENED', 'warning',
+        `'${term}' is kept as is: '${stringifyMechanism(bound)}' in the SPF record of ${hostname} depends on the domain it is evaluated for.`,
+        { term, domain }));
+    return true;
+}
+
+/**
+ * Flattens the target of a redirect modifier. A redirect with macros, or one that has to be kept (see
+ * mustKeepTarget), is returned as is.
+ * @param {Object} mechanism The parsed redirect modifier.
+ * @param {string} domain The domain of the record holding the redirect.
+ * @param {number} currentDnsLookups The current count of DNS lookups.
+ * @param {Array<string>} chain The normalized domains from the top-level record down to the one holding the redirect.
+ * @param {Map} prefetched TXT queries already started (see prefetchSpfRecords).
+ * @returns {Promise<{mechanisms: Array<Object>, newLookupCount: number}>} A promise that resolves to the terms that
+ * replace the redirect, including the target's 'all', and the updated lookup count.
+ * @throws {SpfLoopError} If the redirect leads back to a domain in the chain.
+ * @throws {SpfTempError} If a DNS query fails temporarily.
+ */
+async function flattenRedirect(mechanism, domain, currentDnsLookups, chain, prefetched) {
+    const term = stringifyMechanism(mechanism);
+    if (hasMacros(mechanism.value)) {
+        report(createDiagnostic('MACRO_NOT_FLATTENED', 'warning',
+            `'${term}' in the SPF record of ${domain} uses macros and cannot be flattened. Keeping it as is.`, { term, domain }));
+        return { mechanisms: [withSource(mechanism, chain)], newLookupCount: currentDnsLookups };
+    }
+
+    const hostnameToLookup = mechanism.domainSpec;
+    const loop = findLoop(chain, hostnameToLookup);
+    if (loop) {
+        throw new SpfLoopError(loop);
+    }
+    const { spfRecords: resolvedSpfRecords, newLookupCount } = await resolveSpfTxtRecord(hostnameToLookup, currentDnsLookups, prefetched);
+
+    // For redirect, we take the *first* SPF record found
+    const subParsedSpf = resolvedSpfRecords.length > 0 ? parseFetchedSpf(resolvedSpfRecords[0], hostnameToLookup) : null;
+    if (!subParsedSpf) {
+        return { mechanisms: [], newLookupCount }; // If redirect target has no SPF, return empty
+    }
+    const { flattenedMechanisms: subFlattened, newLookupCount: subNewLookupCount } =
+        await recursiveFlattenSpf(subParsedSpf, hostnameToLookup, newLookupCount, [...chain, normalizeDomain(hostnameToLookup)], prefetched);
+    if (mustKeepTarget(mechanism, hostnameToLookup, subFlattened, domain)) {
+        return { mechanisms: [withSource(mechanism, chain)], newLookupCount: subNewLookupCount };
+    }
+    // Only mechanisms carry over; the modifiers of the target do not apply to the flattened record
+    return { mechanisms: subFlattened.filter(m => m.kind === 'mechanism'), newLookupCount: subNewLookupCount };
+}
+
+/**
+ * Recursively flattens an SPF record by resolving 'include' and 'redirect' mechanisms,
+ * and replacing 'a' and 'mx' mechanisms with the addresses they resolve to.
+ * The returned terms are copies that record their provenance in `sources`: a list of `{chain, term, ttl}`
+ * entries giving the include/redirect chain of the record the term came from, the term as written there
+ * (e.g. 'mx' for the addresses it resolved to), and the TTL of the A/AAAA answer it was built from. The TTL is
+ * null for terms taken as is from a TXT record, since Node.js does not report the TTL of TXT answers.
+ * A term that several records contribute lists all of them.
  * @param {Array<Object>} parsedSpf The parsed SPF record (from parseSpf function).
  * @param {string} domain The domain for which the SPF record is being flattened.
  * @param {number} currentDnsLookups The current count of DNS lookups.
+ * @param {Array<string>} [chain] The normalized domains from the top-level record down to this one.
+ * @param {Map} [prefetched] TXT queries already started for the records below this one (see prefetchSpfRecords).
  * @returns {Promise<{flattenedMechanisms: Array<Object>, newLookupCount: number}>} A promise that resolves to the flattened SPF mechanisms and the updated lookup count.
+ * @throws {SpfLoopError} If an include or redirect leads back to a domain in the chain.
+ * @throws {SpfTempError} If a DNS query fails temporarily.
  */
-async function recursiveFlattenSpf(parsedSpf, domain, currentDnsLookups) {
+async function recursiveFlattenSpf(parsedSpf, domain, currentDnsLookups, chain = [normalizeDomain(domain)], prefetched = new Map()) {
     let flattenedMechanisms = [];
     let dnsLookups = currentDnsLookups;
     let finalAllMechanism = null;
+    let redirect = null;
+
+    prefetchSpfRecords(parsedSpf, dnsLookups, chain, prefetched);
 
     for (const mechanism of parsedSpf) {
-        if (mechanism.type === 'v') {
+        if (mechanism.kind === 'version') {
             // 'v=spf1' should only appear once at the beginning of the final flattened record
             // We'll add it back at the very end of the main flattenSpf function.
             continue;
         }
 
         if (mechanism.type === 'redirect') {
-            const hostnameToLookup = mechanism.value;
-            const { spfRecords: resolvedSpfRecords, newLookupCount } = await resolveSpfTxtRecord(hostnameToLookup, dnsLookups);
-            dnsLookups = newLookupCount;
-
-            if (resolvedSpfRecords.length > 0) {
-                // For redirect, we take the *first* SPF record found and stop processing the current record
-                const subParsedSpf = parseSpf(resolvedSpfRecords[0]);
-                const { flattenedMechanisms: subFlattened, newLookupCount: subNewLookupCount } =
-                    await recursiveFlattenSpf(subParsedSpf, hostnameToLookup, dnsLookups);
-                dnsLookups = subNewLookupCount;
-                return { flattenedMechanisms: subFlattened, newLookupCount: dnsLookups };
-            }
-            return { flattenedMechanisms: [], newLookupCount: dnsLookups }; // If redirect target has no SPF, return empty
+            // The redirect is only followed after every mechanism, and only if the record has no 'all'
+            redirect = mechanism;
+        } else if (mechanism.type !== 'exp' && hasMacros(mechanism.value)) {
+            // Macro-dependent terms depend on the message being evaluated and cannot be resolved statically
+            const term = stringifyMechanism(mechanism);
+            report(createDiagnostic('MACRO_NOT_FLATTENED', 'warning',
+                `'${term}' in the SPF record of ${domain} uses macros and cannot be flattened. Keeping it as is.`, { term, domain }));
+            flattenedMechanisms.push(withSource(mechanism, chain));
         } else if (mechanism.type === 'include') {
-            const hostnameToLookup = mechanism.value;
-            const { spfRecords: resolvedSpfRecords, newLookupCount } = await resolveSpfTxtRecord(hostnameToLookup, dnsLookups);
+            const hostnameToLookup = mechanism.domainSpec;
+            const loop = findLoop(chain, hostnameToLookup);
+            if (loop) {
+                throw new SpfLoopError(loop);
+            }
+            const { spfRecords: resolvedSpfRecords, newLookupCount } = await resolveSpfTxtRecord(hostnameToLookup, dnsLookups, prefetched);
             dnsLookups = newLookupCount;
 
             for (const record of resolvedSpfRecords) {
-                const subParsedSpf = parseSpf(record);
+                const subParsedSpf = parseFetchedSpf(record, hostnameToLookup);
+                if (!subParsedSpf) {
+                    continue;
+                }
                 const { flattenedMechanisms: subFlattened, newLookupCount: subNewLookupCount } =
-                    await recursiveFlattenSpf(subParsedSpf, hostnameToLookup, dnsLookups);
+                    await recursiveFlattenSpf(subParsedSpf, hostnameToLookup, dnsLookups, [...chain, normalizeDomain(hostnameToLookup)], prefetched);
                 dnsLookups = subNewLookupCount;
-                flattenedMechanisms.push(...subFlattened.filter(m => m.type !== 'v')); // Exclude 'v=spf1' from included records
+                if (mustKeepTarget(mechanism, hostnameToLookup, subFlattened, domain)) {
+                    flattenedMechanisms.push(withSource(mechanism, chain));
+                    continue;
+                }
+                // Only mechanisms carry over; 'v=spf1' and modifiers of included records do not apply here
+                flattenedMechanisms.push(...subFlattened.filter(m => m.kind === 'mechanism'));
             }
+        } else if (mechanism.type === 'a' || mechanism.type === 'mx') {
+            const { mechanisms: resolved, newLookupCount } = await resolveAddressMechanism(mechanism, domain, dnsLookups, chain);
+            dnsLookups = newLookupCount;
+            flattenedMechanisms.push(...resolved);
         } else if (mechanism.type === 'all') {
-            finalAllMechanism = mechanism; // Keep track of the last 'all'
+            finalAllMechanism = withSource(mechanism, chain); // Keep track of the last 'all'
         } else {
-            flattenedMechanisms.push(mechanism);
+            flattenedMechanisms.push(withSource(mechanism, chain));
         }
     }
 
+    if (redirect && !finalAllMechanism) {
+        const { mechanisms: redirected, newLookupCount } = await flattenRedirect(redirect, domain, dnsLookups, chain, prefetched);
+        dnsLookups = newLookupCount;
+        // The target is evaluated after the record's own mechanisms, and its 'all' ends the whole record
+        flattenedMechanisms = [...flattenedMechanisms.filter(m => m.type !== 'all'), ...redirected.filter(m => m.type !== 'all')];
+        finalAllMechanism = redirected.find(m => m.type === 'all') || null;
+    }
+
     // Remove duplicates (except for 'all' which is handled separately)
     let uniqueMechanisms = [];
-    const seen = new Set();
+    const seen = new Map();
     for (const mech of flattenedMechanisms) {
-        const mechString = JSON.stringify(mech);
+        const mechString = `${mech.qualifier}${mech.type}:${mech.value}`.toLowerCase();
         if (!seen.has(mechString)) {
             uniqueMechanisms.push(mech);
-            seen.add(mechString);
+            seen.set(mechString, mech);
+        } else {
+            seen.get(mechString).sources.push(...mech.sources);
         }
     }
 
@@ -159,25 +521,41 @@ async function recursiveFlattenSpf(parsedSpf, domain, currentDnsLookups) {
 }
 
 /**
- * Flattens an SPF record by resolving 'include' and 'redirect' mechanisms.
+ * Flattens an SPF record by resolving 'include', 'redirect', 'a' and 'mx' mechanisms.
+ * The resulting ip4/ip6 ranges are normalized and aggregated into the smallest set of CIDRs.
  * @param {Array<Object>} parsedSpf The parsed SPF record (from parseSpf function).
  * @param {string} domain The domain for which the SPF record is being flattened.
  * @returns {Promise<Array<Object>>} A promise that resolves to the flattened SPF mechanisms.
+ * @throws {SpfLoopError} If the record includes or redirects to itself, directly or through a chain.
+ * @throws {SpfTempError} If a DNS query fails temporarily.
  */
 async function flattenSpf(parsedSpf, domain) {
     const initialDnsLookups = 0;
-    const { flattenedMechanisms, newLookupCount } = await recursiveFlattenSpf(parsedSpf, domain, initialDnsLookups);
-    
+    const { flattenedMechanisms: resolvedMechanisms } = await recursiveFlattenSpf(parsedSpf, domain, initialDnsLookups);
+    const flattenedMechanisms = optimizeIpMechanisms(resolvedMechanisms);
+
     // Add the 'v=spf1' mechanism back at the beginning of the flattened record
-    const vSpf1 = parsedSpf.find(mech => mech.type === 'v' && mech.value === 'spf1');
+    const vSpf1 = parsedSpf.find(mech => mech.kind === 'version');
     return vSpf1 ? [vSpf1, ...flattenedMechanisms] : flattenedMechanisms;
 }
 
 module.exports = {
+    TEMPORARY_ERROR_CODES,
+    SpfLoopError,
+    SpfTempError,
+    createDnsResolver,
+    normalizeDomain,
+    findLoop,
+    dependsOnDomain,
     parseSpf,
+    stringifyMechanism,
+    stringifySpf,
     flattenSpf,
     resolveSpfTxtRecord,
+    resolveHostAddresses,
+    resolveAddressMechanism,
     setDnsResolver,
+    getDnsResolver,
     dnsResolver,
     recursiveFlattenSpf,
 };
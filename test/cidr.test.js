@@ -0,0 +1,64 @@
+// test/cidr.test.js
+const { expect } = require('chai');
+const { parseSpf, stringifySpf } = require('../spfParser');
+const { parseCidr, formatCidr, aggregateCidrs, cidrContainsAddress, optimizeIpMechanisms } = require('../cidr');
+
+// Optimizes the terms of a record and serializes the result
+const optimize = record => stringifySpf(optimizeIpMechanisms(parseSpf(record).slice(1)));
+
+describe('parseCidr', () => {
+    it('should clear host bits and keep the prefix length', () => {
+        expect(formatCidr(parseCidr('192.0.2.77/24'))).to.equal('192.0.2.0/24');
+        expect(formatCidr(parseCidr('2001:0DB8:0000::0001/32'))).to.equal('2001:db8::/32');
+        expect(formatCidr(parseCidr('::ffff:192.0.2.1'))).to.equal('::ffff:c000:201');
+    });
+
+    it('should reject invalid addresses, prefix lengths and versions', () => {
+        expect(parseCidr('192.0.2.256')).to.be.null;
+        expect(parseCidr('192.0.2.0/33')).to.be.null;
+        expect(parseCidr('192.0.2.0/')).to.be.null;
+        expect(parseCidr('2001:db8::/24', 4)).to.be.null;
+    });
+
+    it('should test whether an address falls inside a range', () => {
+        const range = parseCidr('2001:db8::/32');
+        expect(cidrContainsAddress(range, '2001:db8:ffff::1')).to.be.true;
+        expect(cidrContainsAddress(range, '2001:db9::1')).to.be.false;
+        expect(cidrContainsAddress(range, '192.0.2.1')).to.be.false;
+    });
+});
+
+describe('aggregateCidrs', () => {
+    it('should merge adjacent and overlapping ranges into the smallest CIDR set', () => {
+        const ranges = ['10.0.0.0/25', '10.0.0.128/25', '10.0.1.0/24', '10.0.2.5', '10.0.0.9']
+            .map(text => parseCidr(text));
+        expect(aggregateCidrs(ranges).map(formatCidr)).to.deep.equal(['10.0.0.0/23', '10.0.2.5']);
+    });
+
+    it('should split unaligned intervals into aligned blocks', () => {
+        const ranges = ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4'].map(text => parseCidr(text));
+        expect(aggregateCidrs(ranges).map(formatCidr)).to.deep.equal(['10.0.0.1', '10.0.0.2/31', '10.0.0.4']);
+    });
+
+    it('should aggregate IPv6 ranges', () => {
+        const ranges = ['2001:db8::/33', '2001:db8:8000::/33'].map(text => parseCidr(text));
+        expect(aggregateCidrs(ranges).map(formatCidr)).to.deep.equal(['2001:db8::/32']);
+    });
+});
+
+describe('optimizeIpMechanisms', () => {
+    it('should not merge ranges across other mechanisms', () => {
+        expect(optimize('v=spf1 ip4:10.0.0.0/25 -exists:blocked.example.com ip4:10.0.0.128/25'))
+            .to.equal('ip4:10.0.0.0/25 -exists:blocked.example.com ip4:10.0.0.128/25');
+    });
+
+    it('should only merge consecutive ranges when qualifiers overlap', () => {
+        expect(optimize('v=spf1 -ip4:10.0.0.5 ip4:10.0.0.0/25 ip4:10.0.0.128/25 -ip4:10.0.0.4'))
+            .to.equal('-ip4:10.0.0.5 ip4:10.0.0.0/24');
+    });
+
+    it('should group non-overlapping ranges by qualifier', () => {
+        expect(optimize('v=spf1 ip4:10.0.0.0/25 ~ip4:192.0.2.1 ip4:10.0.0.128/25'))
+            .to.equal('ip4:10.0.0.0/24 ~ip4:192.0.2.1');
+    });
+});
@@ -0,0 +1,141 @@
+// test/dns-cache.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const spfParser = require('../spfParser');
+const { CachingResolver } = require('../dns-cache');
+
+describe('CachingResolver', () => {
+    let resolver;
+    let now;
+    let cache;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(() => {
+        now = 1000000;
+        resolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+            reverse: sinon.stub().rejects(noData()),
+        };
+        resolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 -all']]);
+        resolver.resolve4.withArgs('mail.example.com').resolves([{ address: '192.0.2.1', ttl: 120 }, { address: '192.0.2.2', ttl: 60 }]);
+        cache = new CachingResolver(resolver, { defaultTtl: 300, now: () => now });
+    });
+
+    it('should answer repeated queries from the cache', async () => {
+        expect(await cache.resolveTxt('example.com')).to.deep.equal([['v=spf1 -all']]);
+        expect(await cache.resolveTxt('Example.COM.')).to.deep.equal([['v=spf1 -all']]);
+        expect(resolver.resolveTxt.callCount).to.equal(1);
+    });
+
+    it('should share one request between concurrent queries', async () => {
+        await Promise.all([cache.resolveTxt('example.com'), cache.resolveTxt('example.com')]);
+        expect(resolver.resolveTxt.callCount).to.equal(1);
+    });
+
+    it('should query again once the TTL has expired', async () => {
+        await cache.resolve4('mail.example.com');
+        now += 59000;
+        await cache.resolve4('mail.example.com');
+        expect(resolver.resolve4.callCount).to.equal(1);
+
+        now += 1000;
+        await cache.resolve4('mail.example.com');
+        expect(resolver.resolve4.callCount).to.equal(2);
+    });
+
+    it('should always ask for TTLs but only return them when requested', async () => {
+        expect(await cache.resolve4('mail.example.com')).to.deep.equal(['192.0.2.1', '192.0.2.2']);
+        expect(await cache.resolve4('mail.example.com', { ttl: true })).to.deep.equal([
+            { address: '192.0.2.1', ttl: 120 },
+            { address: '192.0.2.2', ttl: 60 },
+        ]);
+        expect(resolver.resolve4.firstCall.args).to.deep.equal(['mail.example.com', { ttl: true }]);
+    });
+
+    it('should report the lowest TTL seen', async () => {
+        expect(cache.minimumTtl).to.be.null;
+        await cache.resolveTxt('example.com');
+        expect(cache.minimumTtl).to.be.null;
+        await cache.resolve4('mail.example.com');
+        expect(cache.minimumTtl).to.equal(60);
+    });
+
+    it('should cache negative answers but not failures', async () => {
+        resolver.resolveTxt.withArgs('broken.example.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+
+        for (let i = 0; i < 2; i++) {
+            try {
+                await cache.resolveTxt('missing.example.com');
+                expect.fail('Expected ENODATA');
+            } catch (error) {
+                expect(error.code).to.equal('ENODATA');
+            }
+            try {
+                await cache.resolveTxt('broken.example.com');
+                expect.fail('Expected ESERVFAIL');
+            } catch (error) {
+                expect(error.code).to.equal('ESERVFAIL');
+            }
+        }
+        expect(resolver.resolveTxt.withArgs('missing.example.com').callCount).to.equal(1);
+        expect(resolver.resolveTxt.withArgs('broken.example.com').callCount).to.equal(2);
+    });
+
+    it('should persist unexpired entries between runs', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dns-cache-'));
+        const file = path.join(directory, 'cache.json');
+        try {
+            await cache.resolveTxt('example.com');
+            await cache.resolve4('mail.example.com');
+            await cache.save(file);
+
+            now += 100000; // The A records (TTL 60) have expired, the TXT record (default 300) has not
+            const nextRun = new CachingResolver(resolver, { now: () => now });
+            await nextRun.load(file);
+            await nextRun.resolveTxt('example.com');
+            await nextRun.resolve4('mail.example.com');
+
+            expect(resolver.resolveTxt.callCount).to.equal(1);
+            expect(resolver.resolve4.callCount).to.equal(2);
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('should name the file when a cache file is corrupt', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dns-cache-'));
+        const file = path.join(directory, 'cache.json');
+        try {
+            await fs.writeFile(file, '{"version": 1, "entries": ');
+
+            try {
+                await cache.load(file);
+                expect.fail('load should have thrown');
+            } catch (error) {
+                expect(error.message).to.match(/cache\.json is not a valid DNS cache file: /);
+            }
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('should serve the SPF tools through setDnsResolver', async () => {
+        const originalDnsResolver = spfParser.getDnsResolver();
+        spfParser.setDnsResolver(cache);
+        try {
+            await spfParser.resolveSpfTxtRecord('example.com', 0);
+            const { spfRecords } = await spfParser.resolveSpfTxtRecord('example.com', 0);
+            expect(spfRecords).to.deep.equal(['v=spf1 -all']);
+            expect(resolver.resolveTxt.callCount).to.equal(1);
+        } finally {
+            spfParser.setDnsResolver(originalDnsResolver);
+        }
+    });
+});
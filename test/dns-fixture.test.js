@@ -0,0 +1,115 @@
+// test/dns-fixture.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { RecordingResolver, ReplayResolver } = require('../dns-fixture');
+const { SpfFlattener } = require('../spf-flattener');
+
+describe('DNS fixtures', () => {
+    let resolver;
+    let directory;
+    let file;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(async () => {
+        resolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        resolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:provider.com mx -all']]);
+        resolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+        resolver.resolveTxt.withArgs('broken.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+        resolver.resolveMx.withArgs('example.com').resolves([{ exchange: 'mail.example.com', priority: 10 }]);
+        resolver.resolve4.withArgs('mail.example.com').resolves([{ address: '198.51.100.25', ttl: 300 }]);
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dns-fixture-'));
+        file = path.join(directory, 'fixture.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    const record = async fn => {
+        const recorder = new RecordingResolver(resolver);
+        const value = await fn(new SpfFlattener({ resolver: recorder }));
+        recorder.save(file);
+        return value;
+    };
+
+    it('should record every query with its answer or error', async () => {
+        await record(async flattener => {
+            await flattener.flatten('example.com');
+            await flattener.verify('broken.com');
+        });
+
+        const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+
+        expect(fixture.version).to.equal(1);
+        expect(Object.keys(fixture.queries)).to.deep.equal([
+            'resolve4:mail.example.com',
+            'resolve6:mail.example.com',
+            'resolveMx:example.com',
+            'resolveTxt:broken.com',
+            'resolveTxt:example.com',
+            'resolveTxt:provider.com',
+        ]);
+        expect(fixture.queries['resolveTxt:broken.com']).to.deep.equal({ error: { code: 'ESERVFAIL', message: 'queryTxt ESERVFAIL' } });
+        expect(fixture.queries['resolve6:mail.example.com']).to.deep.equal({ error: { code: 'ENODATA', message: 'queryTxt ENODATA' } });
+    });
+
+    it('should replay flattening, verification and checks without the network', async () => {
+        const flattened = await record(async flattener => {
+            await flattener.verify('example.com');
+            await flattener.check('192.0.2.1', 'example.com');
+            return flattener.flatten('example.com');
+        });
+        const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+
+        const replay = new SpfFlattener({ resolver: await ReplayResolver.load(file) });
+        const replayed = await replay.flatten('example.com');
+
+        expect(fixture.queries['resolve4:mail.example.com']).to.deep.equal({ answers: [{ address: '198.51.100.25', ttl: 300 }] });
+        expect(replayed.flattenedRecord).to.equal(flattened.flattenedRecord);
+        expect(replayed.refreshInterval).to.equal(300);
+        expect((await replay.verify('example.com')).ok).to.be.true;
+        expect(await replay.check('192.0.2.1', 'example.com')).to.include({ result: 'pass' });
+    });
+
+    it('should replay recorded errors', async () => {
+        await record(flattener => flattener.verify('broken.com'));
+
+        const replay = new SpfFlattener({ resolver: await ReplayResolver.load(file) });
+        const results = await replay.verify('broken.com');
+
+        expect(results.errors).to.deep.equal(['temperror: DNS TXT lookup for broken.com failed: queryTxt ESERVFAIL']);
+    });
+
+    it('should fail on queries the fixture has no answer for', async () => {
+        await record(flattener => flattener.verify('provider.com'));
+        const replayResolver = await ReplayResolver.load(file);
+        const replay = new SpfFlattener({ resolver: replayResolver });
+
+        const result = await replay.flatten('example.com');
+
+        expect(result.ok).to.be.false;
+        expect(result.diagnostics[0].message).to.equal('DNS TXT lookup failed for example.com: The DNS fixture has no answer for resolveTxt example.com.');
+        expect(replayResolver.unrecorded).to.deep.equal(['resolveTxt:example.com']);
+        expect(resolver.resolveTxt.withArgs('example.com').called).to.be.false;
+    });
+
+    it('should reject files that are not fixtures', async () => {
+        await fs.writeFile(file, JSON.stringify({ version: 1, entries: {} }));
+
+        try {
+            await ReplayResolver.load(file);
+            expect.fail('load should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal(`${file} is not a version 1 DNS fixture.`);
+        }
+    });
+});
@@ -0,0 +1,110 @@
+// test/spf-batch.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { parseDomainList, runBatch, formatBatchTable, formatBatchCsv } = require('../spf-batch');
+
+describe('spf-batch', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        spfParser.setDnsResolver(mockResolver);
+        sinon.stub(console, 'warn');
+
+        mockResolver.resolveTxt.withArgs('good.com').resolves([['v=spf1 include:provider.com -all']]);
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+        mockResolver.resolveTxt.withArgs('bad.com').resolves([['v=spf1 include:missing.com -all']]);
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+        sinon.restore();
+    });
+
+    describe('parseDomainList', () => {
+        it('should skip blank lines, comments and duplicates', () => {
+            expect(parseDomainList('good.com\n\n# staging\nbad.com  # legacy\r\ngood.com\n')).to.deep.equal(['good.com', 'bad.com']);
+        });
+    });
+
+    describe('runBatch', () => {
+        it('should verify every domain and keep the input order', async () => {
+            const rows = await runBatch(['bad.com', 'good.com', 'none.com'], { concurrency: 2 });
+
+            expect(rows.map(row => [row.domain, row.ok, row.lookups])).to.deep.equal([
+                ['bad.com', false, 1],
+                ['good.com', true, 1],
+                ['none.com', false, 0],
+            ]);
+            expect(rows[0].errors).to.deep.equal(['No SPF record found for missing.com.']);
+            expect(rows[1]).to.include({ recordLength: 32, flattened: null });
+        });
+
+        it('should flatten every domain', async () => {
+            const rows = await runBatch(['good.com', 'none.com'], { mode: 'flatten' });
+
+            expect(rows[0]).to.deep.equal({
+                domain: 'good.com',
+                ok: true,
+                lookups: 1,
+                recordLength: 32,
+                flattenedLength: 28,
+                errors: [],
+                flattened: 'v=spf1 ip4:192.0.2.0/24 -all',
+            });
+            expect(rows[1]).to.include({ domain: 'none.com', ok: false });
+            expect(rows[1].errors).to.deep.equal(['No SPF record found for none.com.']);
+        });
+
+        it('should not run more domains at once than the concurrency limit', async () => {
+            let active = 0;
+            let maxActive = 0;
+            mockResolver.resolveTxt.callsFake(async () => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                await new Promise(resolve => setImmediate(resolve));
+                active--;
+                return [['v=spf1 -all']];
+            });
+
+            const domains = Array.from({ length: 6 }, (_, i) => `domain${i}.com`);
+            const rows = await runBatch(domains, { concurrency: 2 });
+
+            expect(rows.every(row => row.ok)).to.be.true;
+            expect(maxActive).to.equal(2);
+        });
+    });
+
+    describe('report formats', () => {
+        const rows = [
+            { domain: 'good.com', ok: true, lookups: 1, recordLength: 33, flattenedLength: null, errors: [], flattened: null },
+            { domain: 'bad.com', ok: false, lookups: 12, recordLength: 40, flattenedLength: null, errors: ['Too many, really', 'Second'], flattened: null },
+        ];
+
+        it('should format an aligned table', () => {
+            expect(formatBatchTable(rows).split('\n')).to.deep.equal([
+                'domain    ok     lookups  recordLength  flattenedLength  errors',
+                'good.com  true   1        33            -',
+                'bad.com   false  12       40            -                Too many, really; Second',
+            ]);
+        });
+
+        it('should format quoted CSV', () => {
+            expect(formatBatchCsv(rows).split('\r\n')).to.deep.equal([
+                'domain,ok,lookups,recordLength,flattenedLength,errors,flattened',
+                'good.com,true,1,33,,,',
+                'bad.com,false,12,40,,"Too many, really; Second",',
+            ]);
+        });
+    });
+});
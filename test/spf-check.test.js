@@ -0,0 +1,141 @@
+// test/spf-check.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { checkHost } = require('../spf-check');
+
+describe('checkHost', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+            reverse: sinon.stub().rejects(noData()),
+        };
+        spfParser.setDnsResolver(mockResolver);
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should return the qualifier of the first matching mechanism', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 -ip4:192.0.2.1 ip4:192.0.2.0/24 ~all']]);
+
+        expect(await checkHost('192.0.2.1', 'example.com')).to.deep.equal({ result: 'fail', mechanism: '-ip4:192.0.2.1', domain: 'example.com' });
+        expect(await checkHost('192.0.2.2', 'example.com')).to.deep.equal({ result: 'pass', mechanism: 'ip4:192.0.2.0/24', domain: 'example.com' });
+        expect(await checkHost('198.51.100.1', 'example.com')).to.deep.equal({ result: 'softfail', mechanism: '~all', domain: 'example.com' });
+    });
+
+    it('should return none when there is no SPF record', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['google-site-verification=abc']]);
+        expect((await checkHost('192.0.2.1', 'example.com')).result).to.equal('none');
+    });
+
+    it('should return permerror for multiple SPF records', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 -all'], ['v=spf1 +all']]);
+        expect((await checkHost('192.0.2.1', 'example.com')).result).to.equal('permerror');
+    });
+
+    it('should only match includes that pass', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:provider.com -all']]);
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 ~all']]);
+
+        expect(await checkHost('192.0.2.9', 'example.com')).to.deep.equal({ result: 'pass', mechanism: 'include:provider.com', domain: 'example.com' });
+        // The include's own ~all does not leak out; the outer -all applies
+        expect(await checkHost('198.51.100.1', 'example.com')).to.deep.equal({ result: 'fail', mechanism: '-all', domain: 'example.com' });
+    });
+
+    it('should return permerror when an include has no SPF record', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:missing.com -all']]);
+        const result = await checkHost('192.0.2.1', 'example.com');
+        expect(result.result).to.equal('permerror');
+        expect(result.error).to.equal('Included domain missing.com has no SPF record.');
+    });
+
+    it('should return temperror when a DNS server fails', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:broken.com -all']]);
+        mockResolver.resolveTxt.withArgs('broken.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+        expect((await checkHost('192.0.2.1', 'example.com')).result).to.equal('temperror');
+    });
+
+    it('should follow redirect only when nothing matches', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 ip4:192.0.2.1 redirect=_spf.example.net']]);
+        mockResolver.resolveTxt.withArgs('_spf.example.net').resolves([['v=spf1 ip6:2001:db8::/32 -all']]);
+
+        expect((await checkHost('192.0.2.1', 'example.com')).domain).to.equal('example.com');
+        expect(await checkHost('2001:db8::25', 'example.com')).to.deep.equal({ result: 'pass', mechanism: 'ip6:2001:db8::/32', domain: '_spf.example.net' });
+        expect((await checkHost('198.51.100.1', 'example.com')).result).to.equal('fail');
+    });
+
+    it('should match a and mx mechanisms with dual-CIDR lengths', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 a/24 mx:mail.example.org//64 -all']]);
+        mockResolver.resolve4.withArgs('example.com').resolves(['192.0.2.1']);
+        mockResolver.resolveMx.withArgs('mail.example.org').resolves([{ exchange: 'mx.example.org', priority: 10 }]);
+        mockResolver.resolve6.withArgs('mx.example.org').resolves(['2001:db8:1:1::1']);
+
+        expect((await checkHost('192.0.2.200', 'example.com')).mechanism).to.equal('a/24');
+        expect((await checkHost('2001:db8:1:1:ffff::1', 'example.com')).mechanism).to.equal('mx:mail.example.org//64');
+        expect((await checkHost('2001:db8:1:2::1', 'example.com')).result).to.equal('fail');
+    });
+
+    it('should evaluate IPv4-mapped IPv6 clients as IPv4', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+        expect((await checkHost('::ffff:192.0.2.5', 'example.com')).result).to.equal('pass');
+    });
+
+    it('should return permerror past the DNS lookup limit', async () => {
+        const includes = Array.from({ length: 11 }, (_, i) => `include:d${i}.example.com`).join(' ');
+        mockResolver.resolveTxt.withArgs('example.com').resolves([[`v=spf1 ${includes} -all`]]);
+        for (let i = 0; i < 11; i++) {
+            mockResolver.resolveTxt.withArgs(`d${i}.example.com`).resolves([['v=spf1 ip4:198.51.100.1']]);
+        }
+        const result = await checkHost('192.0.2.1', 'example.com');
+        expect(result.result).to.equal('permerror');
+        expect(result.error).to.equal('More than 10 DNS lookups.');
+    });
+
+    it('should return permerror after more than two void lookups', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 a:a.example.com a:b.example.com a:c.example.com -all']]);
+        expect((await checkHost('192.0.2.1', 'example.com')).error).to.equal('More than 2 void DNS lookups.');
+    });
+
+    it('should expand macros in exists and include targets', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 exists:%{ir}.%{l1-}.allow.%{d} -all']]);
+        mockResolver.resolve4.withArgs('1.2.0.192.bob.allow.example.com').resolves(['127.0.0.2']);
+
+        const allowed = await checkHost('192.0.2.1', 'example.com', 'jane-bob@example.com');
+        expect(allowed).to.deep.equal({ result: 'pass', mechanism: 'exists:%{ir}.%{l1-}.allow.%{d}', domain: 'example.com' });
+        expect((await checkHost('192.0.2.1', 'example.com', 'jane-alice@example.com')).result).to.equal('fail');
+    });
+
+    it('should return permerror for malformed macros', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:%{z}.example.com -all']]);
+        expect((await checkHost('192.0.2.1', 'example.com')).result).to.equal('permerror');
+    });
+
+    it('should expand the explanation of a fail result', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 -all exp=explain.%{d}']]);
+        mockResolver.resolveTxt.withArgs('explain.example.com').resolves([['%{i} is not one of %{d}\'s designated mail servers.']]);
+
+        expect(await checkHost('192.0.2.1', 'example.com')).to.deep.equal({
+            result: 'fail',
+            mechanism: '-all',
+            domain: 'example.com',
+            explanation: "192.0.2.1 is not one of example.com's designated mail servers."
+        });
+    });
+
+    it('should reject invalid client addresses', async () => {
+        let error;
+        await checkHost('not-an-ip', 'example.com').catch(e => { error = e; });
+        expect(error.message).to.equal('Invalid IP address: not-an-ip');
+    });
+});
@@ -0,0 +1,187 @@
+// test/spf-config.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { SpfConfigError, validateConfig, loadConfig, runConfig } = require('../spf-config');
+const { SpfFlattener } = require('../spf-flattener');
+
+describe('Config files', () => {
+    const errorsOf = config => {
+        try {
+            validateConfig(config);
+        } catch (error) {
+            expect(error).to.be.instanceOf(SpfConfigError);
+            return error.errors;
+        }
+        throw new Error('validateConfig should have thrown');
+    };
+
+    describe('validateConfig', () => {
+        it('should apply the defaults to every domain', () => {
+            const settings = validateConfig({
+                version: 1,
+                defaults: { all: '-all', ttl: 600, outputs: [{ type: 'zone', path: 'out/{domain}.zone' }] },
+                domains: [{ domain: 'example.com' }, { domain: 'example.org', all: '~all', keep: ['_spf.google.com'] }],
+            });
+
+            expect(settings[0]).to.include({ domain: 'example.com', all: '-all', ttl: 600 });
+            expect(settings[0].outputs).to.deep.equal([{ type: 'zone', path: 'out/example.com.zone' }]);
+            expect(settings[1]).to.include({ all: '~all' });
+            expect(settings[1].keep).to.deep.equal(['_spf.google.com']);
+        });
+
+        it('should point at the exact field of every problem', () => {
+            expect(errorsOf({
+                version: 2,
+                domains: [
+                    { domain: 'example.com', extraRanges: ['192.0.2.0/24', '192.0.2.300'], all: '+all' },
+                    { domain: 'example..org', budget: 1.5, resolver: { servers: ['dns.google'] }, outputs: [{ type: 'bind' }] },
+                    { maxLenght: 400 },
+                ],
+            })).to.deep.equal([
+                { path: 'version', message: 'must be 1.' },
+                { path: 'domains[0].extraRanges[1]', message: "'192.0.2.300' is not a valid IPv4 or IPv6 range." },
+                { path: 'domains[0].all', message: "must be one of '-all', '~all'." },
+                { path: 'domains[1].domain', message: '"example..org" is not a valid domain name.' },
+                { path: 'domains[1].budget', message: 'must be a non-negative integer.' },
+                { path: 'domains[1].resolver.servers[0]', message: "'dns.google' is not an IP address." },
+                { path: 'domains[1].outputs[0].path', message: 'is required.' },
+                { path: 'domains[1].outputs[0].type', message: 'must be one of record, zone, json.' },
+                { path: 'domains[2].domain', message: 'is required.' },
+                {
+                    path: 'domains[2].maxLenght',
+                    message: 'is not a known field. Expected one of domain, keep, extraRanges, all, budget, maxLength, ttl, resolver, outputs.',
+                },
+            ]);
+        });
+
+        it('should reject repeated domains and outputs that overwrite each other', () => {
+            expect(errorsOf({
+                version: 1,
+                defaults: { outputs: [{ type: 'record', path: 'spf.txt' }] },
+                domains: [{ domain: 'example.com' }, { domain: 'Example.com.', outputs: [] }, { domain: 'example.org' }],
+            })).to.deep.equal([
+                { path: 'domains[1].domain', message: "'Example.com.' is already listed at domains[0]." },
+                { path: 'domains[2].outputs[0].path', message: "'spf.txt' is also written by domains[0].outputs[0].path." },
+            ]);
+        });
+    });
+
+    describe('runConfig', () => {
+        let mockResolver;
+        let flattener;
+        let directory;
+
+        const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+        const run = (config, options = {}) => runConfig(validateConfig({ version: 1, ...config }), { baseDir: directory, flattener, ...options });
+
+        beforeEach(async () => {
+            mockResolver = {
+                resolveTxt: sinon.stub().rejects(noData()),
+                resolve4: sinon.stub().rejects(noData()),
+                resolve6: sinon.stub().rejects(noData()),
+                resolveMx: sinon.stub().rejects(noData()),
+            };
+            mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:provider.com include:other.net ~all']]);
+            mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+            mockResolver.resolveTxt.withArgs('other.net').resolves([['v=spf1 ip6:2001:db8::/32 -all']]);
+            mockResolver.resolveTxt.withArgs('redirected.com').resolves([['v=spf1 include:provider.com redirect=other.net']]);
+            flattener = new SpfFlattener({ resolver: mockResolver });
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'spf-config-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it('should flatten, apply the policy and write every output', async () => {
+            const report = await run({
+                domains: [{
+                    domain: 'example.com',
+                    extraRanges: ['198.51.100.0/25', '198.51.100.128/25'],
+                    all: '-all',
+                    ttl: 300,
+                    outputs: [
+                        { type: 'record', path: 'out/spf.txt' },
+                        { type: 'zone', path: 'out/spf.zone' },
+                        { type: 'json', path: 'out/spf.json' },
+                    ],
+                }],
+            });
+
+            const record = 'v=spf1 ip4:192.0.2.0/24 ip4:198.51.100.0/24 ip6:2001:db8::/32 -all';
+            expect(report.ok).to.be.true;
+            expect(report.domains[0]).to.include({ ok: true, flattenedRecord: record });
+            expect(report.domains[0].outputs.map(output => path.relative(directory, output.path))).to.deep.equal([
+                path.join('out', 'spf.txt'), path.join('out', 'spf.zone'), path.join('out', 'spf.json'),
+            ]);
+            expect(await fs.readFile(path.join(directory, 'out', 'spf.txt'), 'utf8')).to.equal(`${record}\n`);
+            expect(await fs.readFile(path.join(directory, 'out', 'spf.zone'), 'utf8')).to.equal(`example.com. 300 IN TXT "${record}"\n`);
+            expect(JSON.parse(await fs.readFile(path.join(directory, 'out', 'spf.json'), 'utf8'))).to.include({ domain: 'example.com', lookups: 2 });
+        });
+
+        it('should keep includes and split records over the size budget', async () => {
+            const partial = await run({ domains: [{ domain: 'example.com', keep: ['include:other.net'], budget: 1 }] });
+            const split = await run({ domains: [{ domain: 'example.com', maxLength: 45, outputs: [{ type: 'zone', path: 'split.zone' }] }] });
+
+            expect(partial.domains[0].flattenedRecord).to.equal('v=spf1 ip4:192.0.2.0/24 include:other.net ~all');
+            expect(split.domains[0].records).to.deep.equal([
+                { name: 'example.com', value: 'v=spf1 include:_spf1.example.com ~all' },
+                { name: '_spf1.example.com', value: 'v=spf1 ip4:192.0.2.0/24 ip6:2001:db8::/32' },
+            ]);
+            expect(await fs.readFile(path.join(directory, 'split.zone'), 'utf8')).to.include('_spf1.example.com. 3600 IN TXT');
+        });
+
+        it('should not write the outputs of a domain with errors', async () => {
+            const report = await run({
+                domains: [
+                    { domain: 'missing.com', outputs: [{ type: 'record', path: 'missing.txt' }] },
+                    { domain: 'redirected.com', all: '-all', outputs: [{ type: 'record', path: 'redirected.txt' }] },
+                    { domain: 'example.com', keep: [], maxLength: 45, outputs: [{ type: 'record', path: 'split.txt' }] },
+                ],
+                defaults: { keep: ['other.net'] },
+            });
+
+            expect(report.ok).to.be.false;
+            expect(report.domains.map(domain => domain.diagnostics.map(d => d.code))).to.deep.equal([
+                ['DNS_NO_DATA', 'NO_SPF_RECORD'],
+                ['KEEP_NOT_FOUND', 'POLICY_CONFLICT'],
+                ['OUTPUT_FAILED'],
+            ]);
+            expect(await fs.readdir(directory)).to.be.empty;
+        });
+
+        it('should use a separate flattener for each set of resolver settings', async () => {
+            const createFlattener = sinon.stub().returns(flattener);
+
+            await run({
+                domains: [
+                    { domain: 'example.com', resolver: { servers: ['192.0.2.53'] } },
+                    { domain: 'provider.com', resolver: { servers: ['192.0.2.53'] } },
+                    { domain: 'other.net' },
+                ],
+            }, { createFlattener });
+
+            expect(createFlattener.callCount).to.equal(1);
+            expect(createFlattener.firstCall.args).to.deep.equal([{ servers: ['192.0.2.53'] }]);
+        });
+    });
+
+    it('should name the file in the errors of loadConfig', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'spf-config-'));
+        const file = path.join(directory, 'spf.json');
+        try {
+            await fs.writeFile(file, '{ "version": 1, "domains": [{ "domain": 42 }] }');
+            const error = await loadConfig(file).catch(e => e);
+            expect(error.message).to.equal(`${file}: domains[0].domain: 42 is not a valid domain name.`);
+
+            await fs.writeFile(file, '{ "version": 1,');
+            expect((await loadConfig(file).catch(e => e)).message).to.match(/^.*spf\.json: Invalid JSON: /);
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
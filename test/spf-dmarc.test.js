@@ -0,0 +1,126 @@
+// test/spf-dmarc.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { parseDmarc, organizationalDomain, checkSpfAlignment, analyzeDmarc } = require('../spf-dmarc');
+const { verifySpf } = require('../spf-validator');
+
+describe('DMARC', () => {
+    describe('parseDmarc', () => {
+        it('should parse the policy tags', () => {
+            const { policy, errors } = parseDmarc('v=DMARC1; p=Reject; sp=none; aspf=s; pct=50; rua=mailto:a@example.com, mailto:b@example.net');
+
+            expect(errors).to.be.empty;
+            expect(policy).to.deep.equal({
+                p: 'reject', sp: 'none', adkim: 'r', aspf: 's', rua: ['mailto:a@example.com', 'mailto:b@example.net'], pct: 50,
+            });
+        });
+
+        it('should apply the defaults for missing tags', () => {
+            const { policy } = parseDmarc('v=DMARC1; p=quarantine');
+
+            expect(policy).to.deep.equal({ p: 'quarantine', sp: 'quarantine', adkim: 'r', aspf: 'r', rua: [], pct: 100 });
+        });
+
+        it('should report syntax errors', () => {
+            const { policy, errors } = parseDmarc('p=block; v=DMARC1; aspf=x; pct=150; pct=10; rua=dmarc@example.com; junk');
+
+            expect(errors).to.deep.equal([
+                "The DMARC record must start with 'v=DMARC1'.",
+                "Duplicate DMARC tag 'pct'.",
+                "Invalid DMARC tag 'junk'.",
+                "Invalid value 'block' for the DMARC tag 'p'. Expected one of none, quarantine, reject.",
+                "Invalid value 'x' for the DMARC tag 'aspf'. Expected one of r, s.",
+                "Invalid report URI 'dmarc@example.com' in the DMARC tag 'rua'.",
+                "Invalid value '150' for the DMARC tag 'pct'. Expected a number from 0 to 100.",
+            ]);
+            expect(policy).to.include({ p: null, aspf: 'r', pct: 100 });
+        });
+    });
+
+    describe('alignment', () => {
+        it('should find the organizational domain', () => {
+            expect(organizationalDomain('mail.Example.com.')).to.equal('example.com');
+            expect(organizationalDomain('bounce.example.co.uk')).to.equal('example.co.uk');
+            expect(organizationalDomain('example.com')).to.equal('example.com');
+        });
+
+        it('should align subdomains only in relaxed mode', () => {
+            expect(checkSpfAlignment('pass', 'bounce.example.com', 'example.com', 'r').aligned).to.be.true;
+            expect(checkSpfAlignment('pass', 'bounce.example.com', 'example.com', 's').aligned).to.be.false;
+            expect(checkSpfAlignment('pass', 'example.com', 'example.com', 's').aligned).to.be.true;
+            expect(checkSpfAlignment('pass', 'mailer.net', 'example.com', 'r').aligned).to.be.false;
+            expect(checkSpfAlignment('softfail', 'example.com', 'example.com', 'r')).to.deep.equal({
+                aligned: false,
+                reason: 'SPF does not pass (softfail), so it cannot produce an aligned pass.',
+            });
+        });
+    });
+
+    describe('analyzeDmarc', () => {
+        let originalDnsResolver;
+        let mockResolver;
+
+        const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+        beforeEach(() => {
+            originalDnsResolver = spfParser.getDnsResolver();
+            mockResolver = {
+                resolveTxt: sinon.stub().rejects(noData()),
+                resolve4: sinon.stub().rejects(noData()),
+                resolve6: sinon.stub().rejects(noData()),
+                resolveMx: sinon.stub().rejects(noData()),
+            };
+            spfParser.setDnsResolver(mockResolver);
+            mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+            mockResolver.resolveTxt.withArgs('bounce.example.com').resolves([['v=spf1 ip4:198.51.100.0/24 -all']]);
+            mockResolver.resolveTxt.withArgs('_dmarc.example.com').resolves([['v=DMARC1; p=reject; aspf=s; rua=mailto:dmarc@example.com']]);
+        });
+
+        afterEach(() => {
+            spfParser.setDnsResolver(originalDnsResolver);
+        });
+
+        it('should fall back to the DMARC record of the organizational domain', async () => {
+            const report = await analyzeDmarc('news.example.com');
+
+            expect(report).to.include({ recordDomain: 'example.com', alignment: null });
+            expect(report.policy).to.include({ p: 'reject', aspf: 's' });
+            expect(report.diagnostics).to.be.empty;
+        });
+
+        it('should report whether SPF produces an aligned pass', async () => {
+            const aligned = await analyzeDmarc('example.com', { ip: '192.0.2.10' });
+            const unaligned = await analyzeDmarc('example.com', { ip: '198.51.100.10', sender: 'bounces@bounce.example.com' });
+
+            expect(aligned.alignment).to.include({ mailFromDomain: 'example.com', spfResult: 'pass', mode: 'strict', aligned: true });
+            expect(unaligned.alignment).to.include({ mailFromDomain: 'bounce.example.com', spfResult: 'pass', aligned: false });
+            expect(unaligned.diagnostics.map(d => d.code)).to.deep.equal(['SPF_NOT_ALIGNED']);
+        });
+
+        it('should report missing and broken DMARC records', async () => {
+            mockResolver.resolveTxt.withArgs('_dmarc.broken.com').resolves([['v=DMARC1; p=reject'], ['v=DMARC1; p=none']]);
+            mockResolver.resolveTxt.withArgs('_dmarc.failing.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+
+            const missing = await analyzeDmarc('missing.com');
+            const broken = await analyzeDmarc('broken.com');
+            const failing = await analyzeDmarc('failing.com');
+
+            expect(missing.diagnostics.map(d => d.code)).to.deep.equal(['NO_DMARC_RECORD']);
+            expect(missing.errors).to.be.empty;
+            expect(broken.errors).to.deep.equal(['Multiple DMARC records found at _dmarc.broken.com. Receivers ignore them all.']);
+            expect(failing.diagnostics.map(d => d.code)).to.deep.equal(['DNS_ERROR']);
+        });
+
+        it('should be included in verifySpf on request', async () => {
+            const plain = await verifySpf('example.com');
+            const results = await verifySpf('example.com', { ip: '203.0.113.1' });
+
+            expect(plain.dmarc).to.be.null;
+            expect(results.errors).to.be.empty;
+            expect(results.dmarc.policy).to.include({ p: 'reject' });
+            expect(results.dmarc.alignment).to.include({ spfResult: 'fail', aligned: false });
+            expect(results.diagnostics.map(d => d.code)).to.deep.equal(['SPF_NOT_ALIGNED']);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+// test/spf-dns-server.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const dns = require('dns');
+const net = require('net');
+const spfParser = require('../spfParser');
+const { SpfDnsResponder } = require('../spf-dns-server');
+
+describe('SpfDnsResponder', () => {
+    let originalDnsResolver;
+    let mockResolver;
+    let responder;
+    let resolver;
+    let address;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    // A DNS query message with one question, as sent over TCP without its length prefix
+    const buildQuery = (name, type = 16) => {
+        const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+        const header = Buffer.from([0x12, 0x34, 0x01, 0x00, 0, 1, 0, 0, 0, 0, 0, 0]);
+        return Buffer.concat([header, ...labels, Buffer.from([0, type >> 8, type & 0xff, 0, 1])]);
+    };
+
+    beforeEach(async () => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        mockResolver.resolveTxt.withArgs('senders.example.com').resolves([['v=spf1 include:provider.com -ip4:192.0.2.128/25 ip4:192.0.2.0/24 -all']]);
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:198.51.100.0/24 ip6:2001:db8::/32 -all']]);
+        spfParser.setDnsResolver(mockResolver);
+
+        responder = new SpfDnsResponder({ source: 'senders.example.com', zone: '_spf.example.com' });
+        address = await responder.start({ port: 0 });
+        resolver = new dns.promises.Resolver();
+        resolver.setServers([`${address.host}:${address.port}`]);
+    });
+
+    afterEach(async () => {
+        await responder.stop();
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should answer with a pass record for authorized IPs', async () => {
+        expect(await resolver.resolveTxt('198.51.100.7._spf.example.com')).to.deep.equal([['v=spf1 ip4:198.51.100.7 -all']]);
+        expect(await resolver.resolveTxt('192.0.2.1._spf.Example.com')).to.deep.equal([['v=spf1 ip4:192.0.2.1 -all']]);
+    });
+
+    it('should answer with a fail record for other IPs', async () => {
+        expect(await resolver.resolveTxt('203.0.113.1._spf.example.com')).to.deep.equal([['v=spf1 -all']]);
+        // Excluded by the '-ip4' term that comes first
+        expect(await resolver.resolveTxt('192.0.2.200._spf.example.com')).to.deep.equal([['v=spf1 -all']]);
+    });
+
+    it('should read IPv6 addresses in the nibble format of %{i}', async () => {
+        const nibbles = '2.0.0.1.0.d.b.8.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.1';
+
+        expect(await resolver.resolveTxt(`${nibbles}._spf.example.com`)).to.deep.equal([['v=spf1 ip6:2001:db8::1 -all']]);
+    });
+
+    it('should reject names that are not addresses or not in its zone', async () => {
+        const errorCode = async name => {
+            try {
+                await resolver.resolveTxt(name);
+                return null;
+            } catch (error) {
+                return error.code;
+            }
+        };
+
+        expect(await errorCode('not-an-ip._spf.example.com')).to.equal('ENOTFOUND');
+        expect(await errorCode('192.0.2.1.other.com')).to.equal('EREFUSED');
+        expect(await errorCode('_spf.example.com')).to.equal('ENODATA');
+    });
+
+    it('should include the SOA of the zone in negative answers', async () => {
+        const nameError = responder.answer(buildQuery('not-an-ip._spf.example.com'));
+        const noData = responder.answer(buildQuery('192.0.2.1._spf.example.com', 1));
+
+        expect(nameError.readUInt16BE(2) & 0x0f).to.equal(3);
+        expect([nameError.readUInt16BE(6), nameError.readUInt16BE(8)]).to.deep.equal([0, 1]);
+        expect([noData.readUInt16BE(6), noData.readUInt16BE(8)]).to.deep.equal([0, 1]);
+        // The minimum field, the last of the record, is the negative caching TTL
+        expect(nameError.readUInt32BE(nameError.length - 4)).to.equal(60);
+        expect(await resolver.resolveSoa('_spf.example.com')).to.include({ nsname: '_spf.example.com', hostmaster: 'hostmaster._spf.example.com', minttl: 60 });
+    });
+
+    it('should close open TCP connections when stopping', async () => {
+        const socket = await new Promise((resolve, reject) => {
+            const connection = net.connect(address.port, address.host, () => resolve(connection));
+            connection.on('error', reject);
+        });
+        const closed = new Promise(resolve => socket.on('close', resolve));
+
+        await responder.stop();
+
+        await closed;
+        expect(responder.connections.size).to.equal(0);
+    });
+
+    it('should answer over TCP', async () => {
+        const query = buildQuery('198.51.100.7._spf.example.com');
+        const length = Buffer.from([query.length >> 8, query.length & 0xff]);
+
+        const response = await new Promise((resolve, reject) => {
+            const socket = net.connect(address.port, address.host, () => socket.write(Buffer.concat([length, query])));
+            let received = Buffer.alloc(0);
+            socket.on('data', data => {
+                received = Buffer.concat([received, data]);
+                if (received.length >= 2 && received.length >= 2 + received.readUInt16BE(0)) {
+                    socket.end();
+                    resolve(received.subarray(2));
+                }
+            });
+            socket.on('error', reject);
+        });
+
+        expect(response.readUInt16BE(0)).to.equal(0x1234);
+        expect(response.readUInt16BE(2) & 0x8400).to.equal(0x8400); // An authoritative response
+        expect(response.readUInt16BE(6)).to.equal(1);
+        expect(response.toString('latin1')).to.include('v=spf1 ip4:198.51.100.7 -all');
+    });
+
+    it('should keep the previous ranges when a refresh fails', async () => {
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:203.0.113.0/24 -all']]);
+        await responder.refresh();
+        expect(await resolver.resolveTxt('203.0.113.1._spf.example.com')).to.deep.equal([['v=spf1 ip4:203.0.113.1 -all']]);
+
+        mockResolver.resolveTxt.withArgs('senders.example.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+        const result = await responder.refresh();
+
+        expect(result.ok).to.be.false;
+        expect(responder.authorizes('203.0.113.1')).to.be.true;
+    });
+
+    it('should refresh on schedule', async () => {
+        await responder.stop();
+        const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        try {
+            responder = new SpfDnsResponder({ source: 'senders.example.com', zone: '_spf.example.com', refreshInterval: 60 });
+            await responder.start({ port: 0 });
+            mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:203.0.113.0/24 -all']]);
+
+            await clock.tickAsync(60 * 1000);
+
+            expect(responder.authorizes('203.0.113.1')).to.be.true;
+            expect(responder.authorizes('198.51.100.7')).to.be.false;
+        } finally {
+            clock.restore();
+        }
+    });
+});
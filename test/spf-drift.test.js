@@ -0,0 +1,146 @@
+// test/spf-drift.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const spfParser = require('../spfParser');
+const { createSnapshot, diffSnapshots, readSnapshot, writeSnapshot } = require('../spf-drift');
+const { runInSession } = require('../spf-session');
+
+describe('spf-drift', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        spfParser.setDnsResolver(mockResolver);
+
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 ip4:203.0.113.7 include:provider.com mx -all']]);
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 include:_spf.provider.com -all']]);
+        mockResolver.resolveTxt.withArgs('_spf.provider.com').resolves([['v=spf1 ip6:2001:db8::/32 -all']]);
+        mockResolver.resolveMx.withArgs('example.com').resolves([{ exchange: 'mail.example.com', priority: 10 }]);
+        mockResolver.resolve4.withArgs('mail.example.com').resolves(['198.51.100.25']);
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    describe('createSnapshot', () => {
+        it('should group the flattened ranges by the term they came from', async () => {
+            const snapshot = await createSnapshot('example.com');
+
+            expect(snapshot).to.include({ version: 1, domain: 'example.com' });
+            expect(snapshot.record).to.equal('v=spf1 ip4:192.0.2.0/24 ip4:198.51.100.25 ip4:203.0.113.7 ip6:2001:db8::/32 -all');
+            expect(snapshot.sources).to.deep.equal({
+                'example.com': ['203.0.113.7'],
+                'include:provider.com': ['192.0.2.0/24', '2001:db8::/32'],
+                'mx': ['198.51.100.25'],
+            });
+        });
+
+        it('should fail instead of reporting removed ranges when an include cannot be resolved', async () => {
+            mockResolver.resolveTxt.withArgs('provider.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+
+            try {
+                await createSnapshot('example.com');
+                expect.fail('Expected createSnapshot to fail');
+            } catch (error) {
+                expect(error.message).to.equal('temperror: DNS TXT lookup for provider.com failed: queryTxt ESERVFAIL');
+            }
+
+            mockResolver.resolveTxt.withArgs('provider.com').rejects(noData());
+            try {
+                await createSnapshot('example.com');
+                expect.fail('Expected createSnapshot to fail');
+            } catch (error) {
+                expect(error.message).to.equal('DNS lookup for provider.com failed: queryTxt ENODATA. Skipping this record.');
+            }
+        });
+
+        it('should keep macro terms under their own text without querying them', async () => {
+            mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:%{i}._spf.example.com include:provider.com -all']]);
+
+            const session = {};
+            const snapshot = await runInSession(session, () => createSnapshot('example.com'));
+
+            expect(session.diagnostics.map(d => d.code)).to.deep.equal(['MACRO_NOT_FLATTENED']);
+            expect(snapshot.record).to.equal('v=spf1 include:%{i}._spf.example.com ip4:192.0.2.0/24 ip6:2001:db8::/32 -all');
+            expect(snapshot.sources).to.deep.equal({
+                'include:%{i}._spf.example.com': [],
+                'include:provider.com': ['192.0.2.0/24', '2001:db8::/32'],
+            });
+            expect(mockResolver.resolveTxt.calledWith('%{i}._spf.example.com')).to.be.false;
+        });
+
+        it('should query every record of the include tree once', async () => {
+            await createSnapshot('example.com');
+
+            expect(mockResolver.resolveTxt.withArgs('provider.com').callCount).to.equal(1);
+            expect(mockResolver.resolveMx.callCount).to.equal(1);
+        });
+    });
+
+    describe('diffSnapshots', () => {
+        it('should report no changes for identical snapshots', async () => {
+            const snapshot = await createSnapshot('example.com');
+            expect(diffSnapshots(snapshot, await createSnapshot('example.com'))).to.deep.equal({ changed: false, recordChanged: false, sources: [] });
+        });
+
+        it('should report added and removed ranges per source', async () => {
+            const previous = await createSnapshot('example.com');
+            mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/25 ip4:198.18.0.0/15 -all']]);
+            const current = await createSnapshot('example.com');
+
+            const diff = diffSnapshots(previous, current);
+
+            expect(diff.changed).to.be.true;
+            expect(diff.recordChanged).to.be.true;
+            expect(diff.sources).to.deep.equal([
+                { source: 'include:provider.com', added: ['192.0.2.0/25', '198.18.0.0/15'], removed: ['192.0.2.0/24', '2001:db8::/32'] },
+            ]);
+        });
+    });
+
+    describe('readSnapshot and writeSnapshot', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'spf-drift-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it('should round-trip a snapshot and return null for a missing file', async () => {
+            const file = path.join(directory, 'example.com.json');
+            expect(await readSnapshot(file)).to.be.null;
+
+            const snapshot = await createSnapshot('example.com');
+            await writeSnapshot(file, snapshot);
+            expect(await readSnapshot(file)).to.deep.equal(snapshot);
+        });
+
+        it('should reject files that are not snapshots', async () => {
+            const file = path.join(directory, 'other.json');
+            await fs.writeFile(file, '{"hello": "world"}');
+
+            try {
+                await readSnapshot(file);
+                expect.fail('Expected readSnapshot to fail');
+            } catch (error) {
+                expect(error.message).to.equal(`${file} is not a version 1 SPF snapshot.`);
+            }
+        });
+    });
+});
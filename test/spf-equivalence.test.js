@@ -0,0 +1,89 @@
+// test/spf-equivalence.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { compareFlattenedSpf } = require('../spf-equivalence');
+
+describe('compareFlattenedSpf', () => {
+    let originalDnsResolver;
+    let resolveTxtStub;
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        resolveTxtStub = sinon.stub().resolves([]);
+        spfParser.setDnsResolver({ resolveTxt: resolveTxtStub });
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should accept a faithful flattening', async () => {
+        resolveTxtStub.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/25 ip4:192.0.2.128/25 ip6:2001:db8::/32 ~all']]);
+        const parsedSpf = spfParser.parseSpf('v=spf1 include:provider.com -all');
+        const flattened = await spfParser.flattenSpf(parsedSpf, 'example.com');
+
+        expect(await compareFlattenedSpf(parsedSpf, flattened, 'example.com')).to.deep.equal({ equivalent: true, differences: [] });
+    });
+
+    it('should report ranges of an include whose qualifier was dropped', async () => {
+        resolveTxtStub.withArgs('blocked.com').resolves([['v=spf1 ip4:198.51.100.0/24']]);
+        const parsedSpf = spfParser.parseSpf('v=spf1 -include:blocked.com ip4:192.0.2.1 ~all');
+        const flattened = await spfParser.flattenSpf(parsedSpf, 'example.com');
+
+        const { equivalent, differences } = await compareFlattenedSpf(parsedSpf, flattened, 'example.com');
+        expect(equivalent).to.be.false;
+        expect(differences).to.deep.equal([
+            { range: '198.51.100.0/24', original: 'fail', flattened: 'pass' }
+        ]);
+    });
+
+    it('should report an all mechanism taken from an include', async () => {
+        resolveTxtStub.withArgs('provider.com').resolves([['v=spf1 ip6:2001:db8::/32 -all']]);
+        const parsedSpf = spfParser.parseSpf('v=spf1 include:provider.com');
+        const flattened = await spfParser.flattenSpf(parsedSpf, 'example.com');
+
+        const { differences } = await compareFlattenedSpf(parsedSpf, flattened, 'example.com');
+        expect(differences[0]).to.deep.equal({ range: '0.0.0.0/0', original: 'neutral', flattened: 'fail' });
+        expect(differences.every(d => d.original === 'neutral' && d.flattened === 'fail')).to.be.true;
+        expect(differences.map(d => d.range)).to.not.include('2001:db8::/32');
+    });
+
+    it('should compare exists and ptr terms by position', async () => {
+        const parsedSpf = spfParser.parseSpf('v=spf1 ip4:192.0.2.0/24 -exists:%{i}.bl.example.com ~all');
+        const reordered = spfParser.parseSpf('v=spf1 -exists:%{i}.bl.example.com ip4:192.0.2.0/24 ~all');
+
+        const { differences } = await compareFlattenedSpf(parsedSpf, reordered, 'example.com');
+        expect(differences).to.have.length(1);
+        expect(differences[0]).to.deep.equal({
+            range: '192.0.2.0/24',
+            original: 'pass',
+            flattened: 'if exists:%{i}.bl.example.com then fail, otherwise pass'
+        });
+    });
+
+    it('should report terms that depend on the domain when they are moved out of an include', async () => {
+        resolveTxtStub.withArgs('x.com').resolves([['v=spf1 exists:%{i}._spf.%{d} ptr ip4:192.0.2.2 -all']]);
+        const parsedSpf = spfParser.parseSpf('v=spf1 include:x.com -all');
+        const inlined = spfParser.parseSpf('v=spf1 exists:%{i}._spf.%{d} ptr ip4:192.0.2.2 -all');
+
+        const { equivalent, differences } = await compareFlattenedSpf(parsedSpf, inlined, 'example.com');
+        expect(equivalent).to.be.false;
+        expect(differences[0]).to.deep.equal({
+            range: '0.0.0.0/1',
+            original: 'if exists:%{i}._spf.%{d} for x.com then pass, if ptr for x.com then pass, otherwise fail',
+            flattened: 'if exists:%{i}._spf.%{d} for example.com then pass, if ptr for example.com then pass, otherwise fail'
+        });
+
+        const flattened = await spfParser.flattenSpf(parsedSpf, 'example.com');
+        expect(await compareFlattenedSpf(parsedSpf, flattened, 'example.com')).to.deep.equal({ equivalent: true, differences: [] });
+    });
+
+    it('should not loop on records that include themselves', async () => {
+        resolveTxtStub.withArgs('example.com').resolves([['v=spf1 include:example.com ip4:192.0.2.1 -all']]);
+        const parsedSpf = spfParser.parseSpf('v=spf1 include:example.com ip4:192.0.2.1 -all');
+
+        const { equivalent } = await compareFlattenedSpf(parsedSpf, parsedSpf, 'example.com');
+        expect(equivalent).to.be.true;
+    });
+});
@@ -0,0 +1,318 @@
+// test/spf-export.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const net = require('net');
+const {
+    exportChanges,
+    buildRoute53ChangeBatch,
+    buildCloudflareBatch,
+    buildUpdateMessage,
+    parseTsigKey,
+    sendDnsUpdate,
+} = require('../spf-export');
+const { SpfFlattener } = require('../spf-flattener');
+
+/**
+ * Reads an uncompressed name from a message.
+ * @returns {{name: string, end: number}} The name and the offset after it.
+ */
+function readName(message, offset) {
+    const labels = [];
+    while (message[offset] !== 0) {
+        labels.push(message.toString('utf8', offset + 1, offset + 1 + message[offset]));
+        offset += 1 + message[offset];
+    }
+    return { name: labels.join('.'), end: offset + 1 };
+}
+
+/**
+ * Decodes the zone and update sections of an UPDATE message, and its TSIG record if there is one.
+ */
+function decodeUpdate(message) {
+    const zone = readName(message, 12);
+    let offset = zone.end + 4;
+    const readRecord = () => {
+        const { name, end } = readName(message, offset);
+        const length = message.readUInt16BE(end + 8);
+        const record = {
+            name,
+            type: message.readUInt16BE(end),
+            class: message.readUInt16BE(end + 2),
+            ttl: message.readUInt32BE(end + 4),
+            rdata: message.subarray(end + 10, end + 10 + length),
+            start: offset,
+        };
+        offset = end + 10 + length;
+        return record;
+    };
+    const updates = Array.from({ length: message.readUInt16BE(8) }, readRecord).map(record => {
+        const strings = [];
+        for (let i = 0; i < record.rdata.length; i += 1 + record.rdata[i]) {
+            strings.push(record.rdata.toString('utf8', i + 1, i + 1 + record.rdata[i]));
+        }
+        return { name: record.name, class: record.class, ttl: record.ttl, strings };
+    });
+    const tsig = message.readUInt16BE(10) === 1 ? readRecord() : null;
+    return { opcode: (message.readUInt16BE(2) >> 11) & 0x0f, zone: zone.name, updates, tsig };
+}
+
+/**
+ * Signs a response to a signed request the way a server does (RFC 8945 section 4.3.1).
+ */
+function signResponse(response, request, secret) {
+    const { tsig } = decodeUpdate(request);
+    const algorithm = readName(tsig.rdata, 0);
+    const requestMacSize = tsig.rdata.readUInt16BE(algorithm.end + 8);
+    const keyName = request.subarray(tsig.start, tsig.start + 'update-key'.length + 2);
+    const algorithmName = tsig.rdata.subarray(0, algorithm.end);
+    const timeSigned = Buffer.alloc(8);
+    timeSigned.writeUInt32BE(Math.floor(Date.now() / 1000), 2);
+    timeSigned.writeUInt16BE(300, 6);
+
+    const mac = crypto.createHmac('sha256', Buffer.from(secret, 'base64')).update(Buffer.concat([
+        tsig.rdata.subarray(algorithm.end + 8, algorithm.end + 10 + requestMacSize), // Request MAC size and MAC
+        response,
+        keyName,
+        Buffer.from([0, 255, 0, 0, 0, 0]), // Class ANY and TTL 0
+        algorithmName,
+        timeSigned,
+        Buffer.from([0, 0, 0, 0]), // Error and other length
+    ])).digest();
+    const rdata = Buffer.concat([algorithmName, timeSigned, Buffer.from([0, mac.length]), mac, response.subarray(0, 2), Buffer.from([0, 0, 0, 0])]);
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(250, 0);
+    fixed.writeUInt16BE(255, 2);
+    fixed.writeUInt16BE(rdata.length, 8);
+    const signed = Buffer.concat([response, keyName, fixed, rdata]);
+    signed.writeUInt16BE(1, 10);
+    return signed;
+}
+
+describe('Exporting record changes', () => {
+    let mockResolver;
+    let flattener;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    const records = [
+        { name: 'example.com', value: 'v=spf1 include:_spf1.example.com -all' },
+        { name: '_spf1.example.com', value: 'v=spf1 ip4:192.0.2.0/24 ip4:198.51.100.0/24' },
+    ];
+
+    beforeEach(() => {
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        mockResolver.resolveTxt.withArgs('example.com').resolves([
+            ['google-site-verification=abc'],
+            ['v=spf1 include:_spf1.example.com include:_spf2.example.com include:_spf3.example.com -all'],
+        ]);
+        mockResolver.resolveTxt.withArgs('_spf1.example.com').resolves([['v=spf1 ip4:192.0.2.0/24']]);
+        mockResolver.resolveTxt.withArgs('_spf2.example.com').resolves([['v=spf1 ip4:203.0.113.0/24']]);
+        mockResolver.resolveTxt.withArgs('_spf4.example.com').resolves([['v=spf1 ip6:2001:db8::/32']]);
+        flattener = new SpfFlattener({ resolver: mockResolver });
+    });
+
+    it('should plan updates and the deletion of stale chained records', async () => {
+        const { ok, changes } = await flattener.changes('example.com', records);
+
+        expect(ok).to.be.true;
+        expect(changes.map(change => [change.name, change.action])).to.deep.equal([
+            ['example.com', 'update'],
+            ['_spf1.example.com', 'update'],
+            ['_spf2.example.com', 'delete'],
+            ['_spf4.example.com', 'delete'],
+        ]);
+        expect(changes[0].others).to.deep.equal([['google-site-verification=abc']]);
+        expect(mockResolver.resolveTxt.calledWith('_spf5.example.com')).to.be.true;
+        expect(mockResolver.resolveTxt.calledWith('_spf6.example.com')).to.be.false;
+    });
+
+    it('should report records that cannot be queried', async () => {
+        mockResolver.resolveTxt.withArgs('_spf2.example.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+
+        const { ok, changes, diagnostics } = await flattener.changes('example.com', records);
+
+        expect(ok).to.be.false;
+        expect(changes).to.be.null;
+        expect(diagnostics.map(d => d.code)).to.deep.equal(['DNS_ERROR']);
+    });
+
+    it('should export a zone fragment, a Route 53 change batch and a Cloudflare payload', async () => {
+        const { changes } = await flattener.changes('example.com', records);
+
+        expect(exportChanges('bind', changes, { ttl: 300 })).to.equal([
+            'example.com.       300 IN TXT "v=spf1 include:_spf1.example.com -all"',
+            '_spf1.example.com. 300 IN TXT "v=spf1 ip4:192.0.2.0/24 ip4:198.51.100.0/24"',
+            '; Stale records to delete:',
+            '; _spf2.example.com. IN TXT "v=spf1 ip4:203.0.113.0/24"',
+            '; _spf4.example.com. IN TXT "v=spf1 ip6:2001:db8::/32"',
+            '',
+        ].join('\n'));
+
+        const batch = buildRoute53ChangeBatch(changes, { ttl: 300 });
+        expect(batch.Changes.map(change => `${change.Action} ${change.ResourceRecordSet.Name}`)).to.deep.equal([
+            'UPSERT example.com.', 'UPSERT _spf1.example.com.', 'DELETE _spf2.example.com.', 'DELETE _spf4.example.com.',
+        ]);
+        expect(batch.Changes[0].ResourceRecordSet).to.deep.equal({
+            Name: 'example.com.',
+            Type: 'TXT',
+            TTL: 300,
+            ResourceRecords: [{ Value: '"google-site-verification=abc"' }, { Value: '"v=spf1 include:_spf1.example.com -all"' }],
+        });
+
+        const payload = buildCloudflareBatch(changes, { ttl: 300 });
+        expect(payload.deletes.map(record => record.name)).to.deep.equal(['example.com', '_spf1.example.com', '_spf2.example.com', '_spf4.example.com']);
+        expect(payload.posts).to.deep.equal(records.map(record => ({ type: 'TXT', name: record.name, content: record.value, ttl: 300 })));
+        expect(() => exportChanges('powerdns', changes)).to.throw("Unknown export format 'powerdns'");
+    });
+
+    it('should leave unchanged records out of the change sets', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([[records[0].value]]);
+        mockResolver.resolveTxt.withArgs('_spf1.example.com').resolves([[records[1].value]]);
+        mockResolver.resolveTxt.withArgs('_spf4.example.com').rejects(noData());
+
+        const { changes } = await flattener.changes('example.com', records);
+
+        expect(changes.map(change => change.action)).to.deep.equal(['unchanged', 'unchanged', 'delete']);
+        expect(buildRoute53ChangeBatch(changes).Changes).to.have.lengthOf(1);
+        expect(buildCloudflareBatch(changes).posts).to.be.empty;
+        expect(decodeUpdate(buildUpdateMessage(changes, { zone: 'example.com' })).updates).to.have.lengthOf(1);
+    });
+
+    it('should parse TSIG keys like nsupdate -y', () => {
+        expect(parseTsigKey('update-key:c2VjcmV0')).to.deep.equal({ algorithm: 'hmac-sha256', name: 'update-key', secret: 'c2VjcmV0' });
+        expect(parseTsigKey('HMAC-SHA512:update-key:c2VjcmV0')).to.include({ algorithm: 'hmac-sha512' });
+        expect(() => parseTsigKey('c2VjcmV0')).to.throw('[<algorithm>:]<name>:<base64-secret>');
+        expect(() => parseTsigKey('hmac-md5:update-key:c2VjcmV0')).to.throw("Unsupported TSIG algorithm 'hmac-md5'");
+    });
+
+    describe('RFC 2136 UPDATE', () => {
+        let server;
+        let received;
+        let rcode;
+        let sign;
+
+        // A stand-in primary server that records each UPDATE and answers with `rcode`, passing the answer through `sign`
+        beforeEach(async () => {
+            received = [];
+            rcode = 0;
+            sign = response => response;
+            server = net.createServer(socket => {
+                let buffered = Buffer.alloc(0);
+                socket.on('data', data => {
+                    buffered = Buffer.concat([buffered, data]);
+                    if (buffered.length >= 2 && buffered.length >= 2 + buffered.readUInt16BE(0)) {
+                        const message = buffered.subarray(2, 2 + buffered.readUInt16BE(0));
+                        received.push(message);
+                        const header = Buffer.from(message.subarray(0, 12));
+                        header.writeUInt16BE(0x8000 | (5 << 11) | rcode, 2);
+                        header.fill(0, 4);
+                        const response = sign(header, message);
+                        const length = Buffer.alloc(2);
+                        length.writeUInt16BE(response.length, 0);
+                        socket.end(Buffer.concat([length, response]));
+                    }
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const send = async options => {
+            const { changes } = await flattener.changes('example.com', records);
+            return sendDnsUpdate(changes, { server: '127.0.0.1', port: server.address().port, zone: 'example.com', ttl: 300, ...options });
+        };
+
+        it('should delete the replaced and stale SPF records and add the new ones in one update', async () => {
+            const result = await send();
+            const update = decodeUpdate(received[0]);
+
+            expect(result).to.deep.equal({ ok: true, rcode: 0, rcodeName: 'NOERROR', updates: 6 });
+            expect(update).to.include({ opcode: 5, zone: 'example.com', tsig: null });
+            expect(update.updates.map(record => `${record.class} ${record.ttl} ${record.name} ${record.strings.join('')}`)).to.deep.equal([
+                '254 0 example.com v=spf1 include:_spf1.example.com include:_spf2.example.com include:_spf3.example.com -all',
+                '1 300 example.com v=spf1 include:_spf1.example.com -all',
+                '254 0 _spf1.example.com v=spf1 ip4:192.0.2.0/24',
+                '1 300 _spf1.example.com v=spf1 ip4:192.0.2.0/24 ip4:198.51.100.0/24',
+                '254 0 _spf2.example.com v=spf1 ip4:203.0.113.0/24',
+                '254 0 _spf4.example.com v=spf1 ip6:2001:db8::/32',
+            ]);
+        });
+
+        it('should sign the update with TSIG', async () => {
+            const secret = crypto.randomBytes(32).toString('base64');
+            sign = (response, request) => signResponse(response, request, secret);
+
+            expect(await send({ tsig: parseTsigKey(`update-key:${secret}`) })).to.include({ ok: true });
+            const message = received[0];
+            const { tsig } = decodeUpdate(message);
+
+            expect(tsig).to.include({ name: 'update-key', type: 250, class: 255, ttl: 0 });
+            const algorithm = readName(tsig.rdata, 0);
+            expect(algorithm.name).to.equal('hmac-sha256');
+            const macSize = tsig.rdata.readUInt16BE(algorithm.end + 8);
+            const mac = tsig.rdata.subarray(algorithm.end + 10, algorithm.end + 10 + macSize);
+
+            // RFC 8945 section 4.3.3: the MAC covers the message without TSIG and the TSIG variables
+            const unsigned = Buffer.from(message.subarray(0, tsig.start));
+            unsigned.writeUInt16BE(0, 10);
+            const variables = Buffer.concat([
+                message.subarray(tsig.start, tsig.start + 'update-key'.length + 2), // Key name
+                Buffer.from([0, 255, 0, 0, 0, 0]), // Class ANY and TTL 0
+                tsig.rdata.subarray(0, algorithm.end + 8), // Algorithm, time signed and fudge
+                Buffer.from([0, 0, 0, 0]), // Error and other length
+            ]);
+            const expected = crypto.createHmac('sha256', Buffer.from(secret, 'base64')).update(Buffer.concat([unsigned, variables])).digest();
+            expect(mac.equals(expected)).to.be.true;
+        });
+
+        it('should reject responses to a signed update that are not signed with its key', async () => {
+            const secret = crypto.randomBytes(32).toString('base64');
+            const tsig = parseTsigKey(`update-key:${secret}`);
+            const sendAndFail = async () => {
+                try {
+                    await send({ tsig });
+                } catch (error) {
+                    return error.message.replace(/port \d+/, 'port <port>');
+                }
+                return expect.fail('sendDnsUpdate should have thrown');
+            };
+
+            expect(await sendAndFail()).to.equal('127.0.0.1 port <port> did not sign its response to the DNS UPDATE, so the result cannot be trusted.');
+
+            sign = (response, request) => signResponse(response, request, crypto.randomBytes(32).toString('base64'));
+            expect(await sendAndFail()).to.equal('The TSIG signature of the response from 127.0.0.1 port <port> to the DNS UPDATE is not valid.');
+
+            sign = (response, request) => {
+                const signed = signResponse(response, request, secret);
+                signed.writeUInt16BE(16, signed.length - 4); // BADSIG
+                return signed;
+            };
+            expect(await sendAndFail()).to.equal('127.0.0.1 port <port> rejected the TSIG signature of the DNS UPDATE: BADSIG.');
+        });
+
+        it('should report the response code of a refused update', async () => {
+            rcode = 9;
+
+            expect(await send()).to.include({ ok: false, rcodeName: 'NOTAUTH' });
+        });
+
+        it('should refuse records outside the zone', async () => {
+            try {
+                await send({ zone: 'example.org' });
+                expect.fail('sendDnsUpdate should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('example.com is not in the zone example.org.');
+            }
+            expect(received).to.be.empty;
+        });
+    });
+});
@@ -0,0 +1,179 @@
+// test/spf-flattener.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { SpfFlattener } = require('../index');
+
+describe('SpfFlattener', () => {
+    let resolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(() => {
+        resolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+            reverse: sinon.stub().rejects(noData()),
+        };
+        resolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:provider.com -all']]);
+        resolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+        resolver.resolveTxt.withArgs('loop.com').resolves([['v=spf1 include:loop.com -all']]);
+        resolver.resolveTxt.withArgs('macro.com').resolves([['v=spf1 exists:%{i}.spf.macro.com -all']]);
+        sinon.spy(console, 'warn');
+        sinon.spy(console, 'error');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should flatten a domain without printing anything', async () => {
+        const result = await new SpfFlattener({ resolver }).flatten('example.com');
+
+        expect(result.ok).to.be.true;
+        expect(result.record).to.equal('v=spf1 include:provider.com -all');
+        expect(result.flattenedRecord).to.equal('v=spf1 ip4:192.0.2.0/24 -all');
+        expect(result.diagnostics).to.be.empty;
+        expect(console.warn.called || console.error.called).to.be.false;
+    });
+
+    it('should report the parsed terms and lookup cost of the original record', async () => {
+        const flattener = new SpfFlattener({ resolver });
+
+        const result = await flattener.flatten('example.com');
+        const results = await flattener.verify('example.com');
+
+        expect(result).to.include({ lookups: 1, voidLookups: 0 });
+        expect(result.parsed.map(term => term.type)).to.deep.equal(['v', 'include', 'all']);
+        expect(results.parsed).to.deep.equal(result.parsed);
+    });
+
+    it('should flatten partially when includes are pinned', async () => {
+        const result = await new SpfFlattener({ resolver }).flatten('example.com', { keep: ['provider.com'] });
+
+        expect(result.flattenedRecord).to.equal('v=spf1 include:provider.com -all');
+        expect(result.flattenedLookups).to.equal(1);
+        expect(result.plan).to.deep.equal([{
+            term: 'include:provider.com', action: 'keep', reason: 'pinned', lookups: 1, savings: null, ranges: null, ttl: null,
+        }]);
+    });
+
+    it('should return typed diagnostics for warnings', async () => {
+        const result = await new SpfFlattener({ resolver }).flatten('macro.com');
+
+        expect(result.ok).to.be.true;
+        expect(result.diagnostics).to.deep.equal([{
+            code: 'MACRO_NOT_FLATTENED',
+            severity: 'warning',
+            message: "'exists:%{i}.spf.macro.com' in the SPF record of macro.com uses macros and cannot be flattened. Keeping it as is.",
+            term: 'exists:%{i}.spf.macro.com',
+            domain: 'macro.com',
+        }]);
+        expect(console.warn.called).to.be.false;
+    });
+
+    it('should return loops, temporary failures and missing records as errors instead of throwing', async () => {
+        resolver.resolveTxt.withArgs('broken.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+        const flattener = new SpfFlattener({ resolver });
+
+        const loop = await flattener.flatten('loop.com');
+        const broken = await flattener.flatten('broken.com');
+        const missing = await flattener.flatten('missing.com');
+
+        expect(loop.ok).to.be.false;
+        expect(loop.diagnostics.map(d => d.code)).to.deep.equal(['INCLUDE_LOOP']);
+        expect(broken.diagnostics.map(d => d.code)).to.deep.equal(['TEMPERROR']);
+        expect(missing.diagnostics.map(d => d.code)).to.deep.equal(['DNS_NO_DATA', 'NO_SPF_RECORD']);
+        expect(missing.flattenedRecord).to.be.null;
+    });
+
+    it('should report a record that does not fit when split as a diagnostic', async () => {
+        const result = await new SpfFlattener({ resolver }).flatten('example.com', { split: { maxLength: 20 } });
+
+        expect(result.ok).to.be.false;
+        expect(result.records).to.be.null;
+        expect(result.diagnostics).to.deep.equal([{
+            code: 'FLATTEN_FAILED',
+            severity: 'error',
+            message: "The term 'ip4:192.0.2.0/24' does not fit in a record of 20 bytes.",
+            term: null,
+            domain: 'example.com',
+        }]);
+    });
+
+    it('should report the refresh interval of each domain when the instance is shared', async () => {
+        resolver.resolveTxt.withArgs('short.com').resolves([['v=spf1 a:mail.short.com -all']]);
+        resolver.resolveTxt.withArgs('long.com').resolves([['v=spf1 a:mail.long.com -all']]);
+        resolver.resolve4.withArgs('mail.short.com').resolves([{ address: '192.0.2.1', ttl: 60 }]);
+        resolver.resolve4.withArgs('mail.long.com').resolves([{ address: '192.0.2.2', ttl: 3600 }]);
+        const flattener = new SpfFlattener({ resolver });
+
+        const short = await flattener.flatten('short.com');
+        const long = await flattener.flatten('long.com');
+        const literal = await flattener.flatten('example.com');
+
+        expect([short.refreshInterval, long.refreshInterval, literal.refreshInterval]).to.deep.equal([60, 3600, null]);
+    });
+
+    it('should pass diagnostics to the logger as they are reported', async () => {
+        const logger = { warn: sinon.spy(), error: sinon.spy() };
+        await new SpfFlattener({ resolver, logger }).flatten('macro.com');
+
+        expect(logger.warn.calledOnce).to.be.true;
+        expect(logger.warn.firstCall.args[1]).to.include({ code: 'MACRO_NOT_FLATTENED' });
+    });
+
+    it('should apply its own limits', async () => {
+        resolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:provider.com mx -all']]);
+        const results = await new SpfFlattener({ resolver, limits: { lookups: 1 } }).verify('example.com');
+
+        expect(results.ok).to.be.false;
+        expect(results.lookupLimitExceeded).to.be.true;
+        expect(results.diagnostics.map(d => d.code)).to.deep.equal(['LOOKUP_LIMIT_EXCEEDED']);
+        expect(results.errors).to.deep.equal(['SPF record for example.com exceeds the 1 DNS lookup limit. Found 2 lookups.']);
+    });
+
+    it('should report verification problems with their term and domain', async () => {
+        resolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:missing.com -all']]);
+        const results = await new SpfFlattener({ resolver }).verify('example.com');
+
+        expect(results.diagnostics).to.deep.include({
+            code: 'NO_SPF_RECORD',
+            severity: 'error',
+            message: 'No SPF record found for missing.com.',
+            term: 'include:missing.com',
+            domain: 'example.com',
+        });
+    });
+
+    it('should use its own resolver instead of the global one', async () => {
+        const globalResolver = { resolveTxt: sinon.stub().rejects(noData()) };
+        const originalDnsResolver = spfParser.getDnsResolver();
+        spfParser.setDnsResolver(globalResolver);
+        try {
+            const [first, second] = await Promise.all([
+                new SpfFlattener({ resolver }).flatten('example.com'),
+                new SpfFlattener({ resolver: { ...resolver, resolveTxt: sinon.stub().resolves([['v=spf1 ip4:198.51.100.1 -all']]) } }).flatten('example.com'),
+            ]);
+            expect(first.flattenedRecord).to.equal('v=spf1 ip4:192.0.2.0/24 -all');
+            expect(second.flattenedRecord).to.equal('v=spf1 ip4:198.51.100.1 -all');
+            expect(globalResolver.resolveTxt.called).to.be.false;
+        } finally {
+            spfParser.setDnsResolver(originalDnsResolver);
+        }
+    });
+
+    it('should report check and tree problems as diagnostics', async () => {
+        const flattener = new SpfFlattener({ resolver });
+
+        const check = await flattener.check('192.0.2.1', 'loop.com');
+        const { tree, diagnostics } = await flattener.tree('loop.com');
+
+        expect(check).to.include({ result: 'permerror', ok: false });
+        expect(check.diagnostics.map(d => d.code)).to.deep.equal(['PERMERROR']);
+        expect(tree.children[0].errors).to.have.lengthOf(1);
+        expect(diagnostics.map(d => d.code)).to.deep.equal(['INCLUDE_LOOP']);
+    });
+});
@@ -0,0 +1,235 @@
+// test/spf-lookups.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { countSpfLookups } = require('../spf-lookups');
+const { verifySpf } = require('../spf-validator');
+
+describe('countSpfLookups', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+            reverse: sinon.stub().rejects(noData()),
+        };
+        spfParser.setDnsResolver(mockResolver);
+        sinon.stub(console, 'warn');
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+        sinon.restore();
+    });
+
+    it('should count every lookup term once and ignore ip4, ip6 and all', async () => {
+        mockResolver.resolve4.withArgs('example.com').resolves(['192.0.2.1']);
+        mockResolver.resolveMx.withArgs('example.com').resolves([{ exchange: 'mail.example.com', priority: 10 }]);
+        mockResolver.resolve4.withArgs('exists.example.com').resolves(['127.0.0.2']);
+
+        const accounting = await countSpfLookups(
+            spfParser.parseSpf('v=spf1 ip4:192.0.2.0/24 a mx ptr exists:exists.example.com ip6:2001:db8::/32 -all'),
+            'example.com'
+        );
+
+        expect(accounting.lookups).to.equal(4);
+        expect(accounting.voidLookups).to.equal(0);
+        expect(accounting.breakdown.map(entry => entry.term)).to.deep.equal(['a', 'mx', 'ptr', 'exists:exists.example.com']);
+        expect(accounting.errors).to.be.empty;
+    });
+
+    it('should follow includes and report the depth and nested cost of each term', async () => {
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 include:_spf.provider.com a -all']]);
+        mockResolver.resolveTxt.withArgs('_spf.provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+        mockResolver.resolve4.withArgs('provider.com').resolves(['192.0.2.1']);
+
+        const accounting = await countSpfLookups(spfParser.parseSpf('v=spf1 include:provider.com -all'), 'example.com');
+
+        expect(accounting.lookups).to.equal(3);
+        expect(accounting.breakdown.map(({ term, domain, depth, totalLookups }) => ({ term, domain, depth, totalLookups }))).to.deep.equal([
+            { term: 'include:provider.com', domain: 'example.com', depth: 0, totalLookups: 3 },
+            { term: 'include:_spf.provider.com', domain: 'provider.com', depth: 1, totalLookups: 1 },
+            { term: 'a', domain: 'provider.com', depth: 1, totalLookups: 1 },
+        ]);
+    });
+
+    it('should keep counting past the limit to report the true total', async () => {
+        const includes = Array.from({ length: 12 }, (_, i) => `include:spf${i}.example.com`);
+        includes.forEach((include, i) => {
+            mockResolver.resolveTxt.withArgs(`spf${i}.example.com`).resolves([[`v=spf1 ip4:192.0.2.${i} -all`]]);
+        });
+
+        const accounting = await countSpfLookups(spfParser.parseSpf(`v=spf1 ${includes.join(' ')} -all`), 'example.com');
+
+        expect(accounting.lookups).to.equal(12);
+    });
+
+    it('should count void lookups', async () => {
+        const accounting = await countSpfLookups(
+            spfParser.parseSpf('v=spf1 a:gone.example.com mx:gone.example.com exists:gone.example.com -all'),
+            'example.com'
+        );
+
+        expect(accounting.voidLookups).to.equal(3);
+        expect(accounting.breakdown.every(entry => entry.voidLookups === 1)).to.be.true;
+    });
+
+    it('should not count failed queries as void lookups', async () => {
+        mockResolver.resolve4.rejects(Object.assign(new Error('queryA ESERVFAIL'), { code: 'ESERVFAIL' }));
+
+        const accounting = await countSpfLookups(spfParser.parseSpf('v=spf1 exists:broken.example.com -all'), 'example.com');
+
+        expect(accounting.voidLookups).to.equal(0);
+    });
+
+    it('should report MX records beyond the 10 name limit', async () => {
+        const exchanges = Array.from({ length: 11 }, (_, i) => ({ exchange: `mx${i}.example.com`, priority: i }));
+        mockResolver.resolveMx.withArgs('example.com').resolves(exchanges);
+
+        const accounting = await countSpfLookups(spfParser.parseSpf('v=spf1 mx -all'), 'example.com');
+
+        expect(accounting.lookups).to.equal(1);
+        expect(accounting.breakdown[0].names).to.equal(11);
+        expect(accounting.errors).to.deep.equal(['example.com has 11 MX records; only 10 may be looked up.']);
+    });
+
+    it('should check the PTR names of a given IP against the 10 name limit', async () => {
+        const names = Array.from({ length: 11 }, (_, i) => `host${i}.example.com`);
+        mockResolver.reverse.withArgs('192.0.2.1').resolves(names);
+        const parsedSpf = spfParser.parseSpf('v=spf1 ptr -all');
+
+        const counted = await countSpfLookups(parsedSpf, 'example.com');
+        const checked = await countSpfLookups(parsedSpf, 'example.com', { ip: '192.0.2.1' });
+
+        expect(mockResolver.reverse.callCount).to.equal(1);
+        expect(counted.breakdown[0]).to.not.have.property('names');
+        expect(checked.lookups).to.equal(1);
+        expect(checked.breakdown[0].names).to.equal(11);
+        // The extra names are ignored, so this is not an error
+        expect(checked.errors).to.be.empty;
+        expect(checked.diagnostics.map(d => [d.code, d.severity, d.message])).to.deep.equal([
+            ['PTR_NAME_LIMIT_EXCEEDED', 'warning', '192.0.2.1 has 11 PTR names; only the first 10 are checked.'],
+        ]);
+    });
+
+    it('should report temporary DNS failures as temperrors', async () => {
+        mockResolver.resolveTxt.withArgs('provider.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL'), { code: 'ESERVFAIL' }));
+        mockResolver.resolveTxt.withArgs('broken.com').rejects(Object.assign(new Error('queryTxt EBADRESP'), { code: 'EBADRESP' }));
+
+        const accounting = await countSpfLookups(spfParser.parseSpf('v=spf1 include:provider.com include:broken.com -all'), 'example.com');
+
+        expect(accounting.diagnostics.map(d => d.code)).to.deep.equal(['TEMPERROR', 'DNS_ERROR']);
+    });
+
+    it('should report failed queries of a, mx, ptr and exists terms', async () => {
+        const servfail = () => Object.assign(new Error('query ESERVFAIL'), { code: 'ESERVFAIL' });
+        mockResolver.resolve4.withArgs('a.example.com').rejects(servfail());
+        mockResolver.resolveMx.withArgs('mx.example.com').rejects(servfail());
+        mockResolver.reverse.withArgs('192.0.2.1').rejects(servfail());
+        mockResolver.resolve4.withArgs('exists.example.com').rejects(servfail());
+        mockResolver.resolve6.withArgs('refused.example.com').rejects(Object.assign(new Error('queryAaaa EREFUSED'), { code: 'EREFUSED' }));
+
+        const accounting = await countSpfLookups(
+            spfParser.parseSpf('v=spf1 a:a.example.com mx:mx.example.com ptr exists:exists.example.com a:refused.example.com -all'),
+            'example.com',
+            { ip: '192.0.2.1' }
+        );
+
+        expect(accounting.lookups).to.equal(5);
+        expect(accounting.voidLookups).to.equal(0);
+        expect(accounting.diagnostics.map(d => [d.code, d.term])).to.deep.equal([
+            ['TEMPERROR', 'a:a.example.com'],
+            ['TEMPERROR', 'mx:mx.example.com'],
+            ['TEMPERROR', 'ptr'],
+            ['TEMPERROR', 'exists:exists.example.com'],
+            ['DNS_ERROR', 'a:refused.example.com'],
+        ]);
+        expect(accounting.errors).to.deep.equal([
+            'DNS resolve4 query for a.example.com failed: query ESERVFAIL',
+            'DNS resolveMx query for mx.example.com failed: query ESERVFAIL',
+            'DNS reverse query for 192.0.2.1 failed: query ESERVFAIL',
+            'DNS resolve4 query for exists.example.com failed: query ESERVFAIL',
+            'DNS resolve6 query for refused.example.com failed: queryAaaa EREFUSED',
+        ]);
+    });
+
+    it('should only count a redirect when the record has no all mechanism', async () => {
+        mockResolver.resolveTxt.withArgs('_spf.example.com').resolves([['v=spf1 a -all']]);
+
+        expect((await countSpfLookups(spfParser.parseSpf('v=spf1 redirect=_spf.example.com'), 'example.com')).lookups).to.equal(2);
+        expect((await countSpfLookups(spfParser.parseSpf('v=spf1 -all redirect=_spf.example.com'), 'example.com')).lookups).to.equal(0);
+    });
+
+    it('should report include loops without following them', async () => {
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 include:Example.COM. -all']]);
+
+        const accounting = await countSpfLookups(spfParser.parseSpf('v=spf1 include:provider.com -all'), 'example.com');
+
+        expect(accounting.lookups).to.equal(2);
+        expect(accounting.errors).to.deep.equal(['permerror: include loop detected: example.com → provider.com → example.com']);
+        expect(accounting.breakdown[1].error).to.equal(accounting.errors[0]);
+    });
+
+    describe('verifySpf', () => {
+        it('should report lookup and void lookup limits', async () => {
+            const includes = Array.from({ length: 11 }, (_, i) => `include:spf${i}.example.com`);
+            mockResolver.resolveTxt.withArgs('example.com').resolves([[`v=spf1 ${includes.join(' ')} -all`]]);
+            for (let i = 0; i < 8; i++) {
+                mockResolver.resolveTxt.withArgs(`spf${i}.example.com`).resolves([[`v=spf1 ip4:192.0.2.${i} -all`]]);
+            }
+
+            const results = await verifySpf('example.com');
+
+            expect(results.dnsLookups).to.equal(11);
+            expect(results.lookupLimitExceeded).to.be.true;
+            expect(results.voidLookups).to.equal(3);
+            expect(results.voidLookupLimitExceeded).to.be.true;
+            expect(results.lookupBreakdown).to.have.lengthOf(11);
+            expect(results.errors).to.include('SPF record for example.com exceeds the 10 DNS lookup limit. Found 11 lookups.');
+            expect(results.errors).to.include('SPF record for example.com exceeds the 2 void lookup limit. Found 3 void lookups.');
+        });
+
+        it('should mark failed queries in the breakdown', async () => {
+            mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 mx a:gone.example.com -all']]);
+            mockResolver.resolveMx.withArgs('example.com').rejects(Object.assign(new Error('queryMx ETIMEOUT'), { code: 'ETIMEOUT' }));
+
+            const results = await verifySpf('example.com');
+
+            expect(results.dnsLookups).to.equal(2);
+            expect(results.voidLookups).to.equal(1);
+            expect(results.lookupBreakdown.map(({ term, voidLookups, error }) => ({ term, voidLookups, error }))).to.deep.equal([
+                { term: 'mx', voidLookups: 0, error: 'DNS resolveMx query for example.com failed: queryMx ETIMEOUT' },
+                { term: 'a:gone.example.com', voidLookups: 1, error: undefined },
+            ]);
+            expect(results.errors).to.include('DNS resolveMx query for example.com failed: queryMx ETIMEOUT');
+        });
+
+        it('should accept a redirect after other mechanisms', async () => {
+            mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 ip4:192.0.2.0/24 redirect=_spf.example.com']]);
+            mockResolver.resolveTxt.withArgs('_spf.example.com').resolves([['v=spf1 ip4:198.51.100.0/24 -all']]);
+
+            const results = await verifySpf('example.com');
+
+            expect(results.syntaxErrors).to.be.empty;
+            expect(results.errors).to.be.empty;
+        });
+
+        it('should list redirect loops as errors', async () => {
+            mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 redirect=_spf.example.com']]);
+            mockResolver.resolveTxt.withArgs('_spf.example.com').resolves([['v=spf1 redirect=example.com']]);
+
+            const results = await verifySpf('example.com');
+
+            expect(results.dnsLookups).to.equal(2);
+            expect(results.lookupLimitExceeded).to.be.false;
+            expect(results.errors).to.deep.equal(['permerror: include loop detected: example.com → _spf.example.com → example.com']);
+        });
+    });
+});
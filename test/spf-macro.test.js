@@ -0,0 +1,75 @@
+// test/spf-macro.test.js
+const { expect } = require('chai');
+const { hasMacros, expandMacros } = require('../spf-macro');
+
+describe('expandMacros', () => {
+    // The examples from RFC 7208 section 7.4
+    const context = {
+        sender: 'strong-bad@email.example.com',
+        domain: 'email.example.com',
+        ip: '192.0.2.3',
+        helo: 'mx.example.org',
+    };
+
+    it('should expand the RFC 7208 examples', () => {
+        expect(expandMacros('%{s}', context)).to.equal('strong-bad@email.example.com');
+        expect(expandMacros('%{o}', context)).to.equal('email.example.com');
+        expect(expandMacros('%{d}', context)).to.equal('email.example.com');
+        expect(expandMacros('%{d4}', context)).to.equal('email.example.com');
+        expect(expandMacros('%{d3}', context)).to.equal('email.example.com');
+        expect(expandMacros('%{d2}', context)).to.equal('example.com');
+        expect(expandMacros('%{d1}', context)).to.equal('com');
+        expect(expandMacros('%{dr}', context)).to.equal('com.example.email');
+        expect(expandMacros('%{d2r}', context)).to.equal('example.email');
+        expect(expandMacros('%{l}', context)).to.equal('strong-bad');
+        expect(expandMacros('%{l-}', context)).to.equal('strong.bad');
+        expect(expandMacros('%{lr}', context)).to.equal('strong-bad');
+        expect(expandMacros('%{lr-}', context)).to.equal('bad.strong');
+        expect(expandMacros('%{l1r-}', context)).to.equal('strong');
+        expect(expandMacros('%{ir}.%{v}._spf.%{d2}', context)).to.equal('3.2.0.192.in-addr._spf.example.com');
+        expect(expandMacros('%{lr-}.lp._spf.%{d2}', context)).to.equal('bad.strong.lp._spf.example.com');
+        expect(expandMacros('%{lr-}.lp.%{ir}.%{v}._spf.%{d2}', context))
+            .to.equal('bad.strong.lp.3.2.0.192.in-addr._spf.example.com');
+        expect(expandMacros('%{ir}.%{v}.%{l1r-}.lp._spf.%{d2}', context))
+            .to.equal('3.2.0.192.in-addr.strong.lp._spf.example.com');
+        expect(expandMacros('%{d2}.trusted-domains.example.net', context)).to.equal('example.com.trusted-domains.example.net');
+    });
+
+    it('should expand IPv6 addresses as nibbles', () => {
+        const ipv6Context = { ...context, ip: '2001:db8::cb01' };
+        expect(expandMacros('%{ir}.%{v}._spf.%{d2}', ipv6Context)).to.equal(
+            '1.0.b.c.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6._spf.example.com');
+    });
+
+    it('should URL-escape uppercase macros and expand escapes', () => {
+        expect(expandMacros('%{L}', { sender: 'a b@example.com' })).to.equal('a%20b');
+        expect(expandMacros('100%% %_%-', context, { explanation: true })).to.equal('100%  %20');
+    });
+
+    it('should only allow c, r and t in explanations', () => {
+        expect(() => expandMacros('%{c}.example.com', context)).to.throw("Invalid macro letter 'c'");
+        expect(expandMacros('%{c} is not allowed by %{r}', { ...context, receiver: 'mx.example.net' }, { explanation: true }))
+            .to.equal('192.0.2.3 is not allowed by mx.example.net');
+    });
+
+    it('should reject malformed macros', () => {
+        expect(() => expandMacros('%{x}', context)).to.throw("Invalid macro letter 'x'");
+        expect(() => expandMacros('%{d0}', context)).to.throw('Invalid macro truncation');
+        expect(() => expandMacros('%a', context)).to.throw("Invalid macro '%a'");
+        expect(() => expandMacros('trailing%', context)).to.throw('Invalid macro');
+    });
+
+    it('should shorten domains longer than 253 characters from the left', () => {
+        const longSender = `${'x'.repeat(63)}.${'y'.repeat(63)}.${'z'.repeat(63)}.${'w'.repeat(63)}@example.com`;
+        const expanded = expandMacros('%{l}.example.com', { sender: longSender });
+        expect(expanded).to.equal(`${'y'.repeat(63)}.${'z'.repeat(63)}.${'w'.repeat(63)}.example.com`);
+    });
+});
+
+describe('hasMacros', () => {
+    it('should detect macro-dependent domain-specs', () => {
+        expect(hasMacros('%{i}.spf.example.org')).to.be.true;
+        expect(hasMacros('_spf.example.org')).to.be.false;
+        expect(hasMacros(undefined)).to.be.false;
+    });
+});
@@ -0,0 +1,127 @@
+// test/spf-partial.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { partialFlattenSpf } = require('../spf-partial');
+
+describe('partialFlattenSpf', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+    const record = spfParser.parseSpf('v=spf1 include:a.com include:b.com include:c.com include:d.com -all');
+    const decisions = plan => plan.map(entry => `${entry.action} ${entry.term}`);
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        spfParser.setDnsResolver(mockResolver);
+
+        // 8 lookups in total: a.com costs 3, b.com and d.com 2 each, c.com 1
+        mockResolver.resolveTxt.withArgs('a.com').resolves([['v=spf1 include:a1.com include:a2.com -all']]);
+        mockResolver.resolveTxt.withArgs('a1.com').resolves([['v=spf1 ip4:192.0.2.0/25 -all']]);
+        mockResolver.resolveTxt.withArgs('a2.com').resolves([['v=spf1 ip4:192.0.2.192/26 -all']]);
+        mockResolver.resolveTxt.withArgs('b.com').resolves([['v=spf1 a -all']]);
+        mockResolver.resolve4.withArgs('b.com').callsFake(async (name, options) =>
+            (options && options.ttl ? [{ address: '198.51.100.10', ttl: 60 }] : ['198.51.100.10']));
+        mockResolver.resolveTxt.withArgs('c.com').resolves([['v=spf1 ip4:198.51.100.0/25 -all']]);
+        mockResolver.resolveTxt.withArgs('d.com').resolves([['v=spf1 include:d1.com -all']]);
+        mockResolver.resolveTxt.withArgs('d1.com').resolves([['v=spf1 ip4:203.0.113.0/24 -all']]);
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should flatten nothing when the record already fits the budget', async () => {
+        const { flattened, lookups, plan } = await partialFlattenSpf(record, 'example.com', { budget: 8 });
+
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 include:a.com include:b.com include:c.com include:d.com -all');
+        expect(lookups).to.equal(8);
+        expect(plan.every(entry => entry.action === 'keep' && entry.reason === 'not needed to fit the budget')).to.be.true;
+        expect(plan.map(entry => entry.lookups)).to.deep.equal([3, 2, 1, 2]);
+    });
+
+    it('should flatten the fewest includes that fit the budget, preferring stable and small ones', async () => {
+        const { flattened, lookups, plan } = await partialFlattenSpf(record, 'example.com', { budget: 6 });
+
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 include:a.com include:b.com include:c.com ip4:203.0.113.0/24 -all');
+        expect(lookups).to.equal(6);
+        expect(decisions(plan)).to.deep.equal(['keep include:a.com', 'keep include:b.com', 'keep include:c.com', 'flatten include:d.com']);
+        expect(plan[3]).to.include({ savings: 2, ranges: 1, ttl: null });
+    });
+
+    it('should never flatten pinned includes', async () => {
+        const { flattened, plan } = await partialFlattenSpf(record, 'example.com', { budget: 6, keep: ['include:d.com'] });
+
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 ip4:192.0.2.0/25 ip4:192.0.2.192/26 include:b.com include:c.com include:d.com -all');
+        expect(plan[3]).to.include({ action: 'keep', reason: 'pinned' });
+    });
+
+    it('should flatten includes with short TTLs last', async () => {
+        const { lookups, plan } = await partialFlattenSpf(record, 'example.com', { budget: 1 });
+
+        expect(lookups).to.equal(1);
+        expect(decisions(plan)).to.deep.equal(['flatten include:a.com', 'flatten include:b.com', 'keep include:c.com', 'flatten include:d.com']);
+    });
+
+    it('should report a budget that cannot be met and unknown pinned includes', async () => {
+        const { lookups, diagnostics } = await partialFlattenSpf(record, 'example.com', { budget: 1, keep: ['A.com', 'missing.com'] });
+
+        expect(lookups).to.equal(3);
+        expect(diagnostics.map(d => d.code)).to.deep.equal(['KEEP_NOT_FOUND', 'BUDGET_NOT_MET']);
+        expect(diagnostics[1].message).to.equal('The SPF record of example.com still needs 3 lookups after flattening every include that may be flattened; the budget is 1.');
+    });
+
+    it('should keep includes with errors live', async () => {
+        mockResolver.resolveTxt.withArgs('c.com').resolves([['v=spf1 include:example.com -all']]);
+
+        const { plan } = await partialFlattenSpf(record, 'example.com', { budget: 1 });
+
+        expect(plan[2]).to.include({ action: 'keep', reason: 'cannot be flattened: permerror: include loop detected: example.com → c.com → example.com' });
+    });
+
+    it('should keep includes with terms that are not pass live', async () => {
+        mockResolver.resolveTxt.withArgs('c.com').resolves([['v=spf1 -ip4:1.2.3.4 ip4:0.0.0.0/0']]);
+
+        const { flattened, plan } = await partialFlattenSpf(record, 'example.com', { budget: 1 });
+
+        expect(plan[2]).to.include({ action: 'keep', reason: "cannot be flattened: c.com publishes terms that are not '+'" });
+        expect(spfParser.stringifySpf(flattened)).to.not.include('0.0.0.0/0');
+    });
+
+    it('should keep includes with terms that depend on their domain live', async () => {
+        mockResolver.resolveTxt.withArgs('c.com').resolves([['v=spf1 exists:%{i}._spf.%{d} ip4:198.51.100.0/25 -all']]);
+
+        const { flattened, plan } = await partialFlattenSpf(record, 'example.com', { budget: 1 });
+
+        expect(plan[2]).to.include({ action: 'keep', reason: 'cannot be flattened: c.com publishes terms that depend on its domain' });
+        expect(spfParser.stringifySpf(flattened)).to.not.include('%{d}');
+    });
+
+    it('should prefer literal ranges to addresses whose TTL is unknown', async () => {
+        mockResolver.resolve4.withArgs('b.com').resolves(['198.51.100.10']);
+
+        const { plan } = await partialFlattenSpf(record, 'example.com', { budget: 6, keep: ['d.com'] });
+
+        expect(decisions(plan)).to.deep.equal(['flatten include:a.com', 'keep include:b.com', 'keep include:c.com', 'keep include:d.com']);
+    });
+
+    it('should choose the includes that save the most when there are many candidates', async () => {
+        const names = Array.from({ length: 12 }, (_, i) => `i${i}.com`);
+        names.forEach((name, i) => {
+            mockResolver.resolveTxt.withArgs(name).resolves([[`v=spf1 ip4:203.0.113.${i}`]]);
+        });
+        const large = spfParser.parseSpf(`v=spf1 ${names.map(name => `include:${name}`).join(' ')} include:a.com -all`);
+
+        const { lookups, plan } = await partialFlattenSpf(large, 'example.com', { budget: 12 });
+
+        expect(lookups).to.equal(12);
+        expect(plan.filter(entry => entry.action === 'flatten').map(entry => entry.term)).to.deep.equal(['include:a.com']);
+    });
+});
@@ -0,0 +1,120 @@
+// test/spf-provenance.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { explainAddress, formatProvenance } = require('../spf-provenance');
+const { SpfFlattener } = require('../spf-flattener');
+
+describe('Provenance', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    const flatten = record => spfParser.flattenSpf(spfParser.parseSpf(record), 'example.com');
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        mockResolver.resolveTxt.withArgs('_spf.provider.com').resolves([['v=spf1 include:_netblocks.provider.com ~all']]);
+        mockResolver.resolveTxt.withArgs('_netblocks.provider.com').resolves([['v=spf1 ip4:192.0.2.0/25 ip4:192.0.2.128/25 ~all']]);
+        mockResolver.resolveTxt.withArgs('other.net').resolves([['v=spf1 ip4:192.0.2.0/25 -all']]);
+        mockResolver.resolveMx.withArgs('example.com').resolves([{ exchange: 'mail.example.com', priority: 10 }]);
+        mockResolver.resolve4.withArgs('mail.example.com').callsFake(async (name, options) =>
+            (options && options.ttl ? [{ address: '198.51.100.25', ttl: 300 }] : ['198.51.100.25']));
+        spfParser.setDnsResolver(mockResolver);
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should record the include chain and TTL of every flattened term', async () => {
+        const flattened = await flatten('v=spf1 mx include:_spf.provider.com -all');
+
+        expect(flattened.map(term => term.sources)).to.deep.equal([
+            undefined,
+            [
+                { chain: ['example.com', '_spf.provider.com', '_netblocks.provider.com'], term: 'ip4:192.0.2.0/25', ttl: null },
+                { chain: ['example.com', '_spf.provider.com', '_netblocks.provider.com'], term: 'ip4:192.0.2.128/25', ttl: null },
+            ],
+            [{ chain: ['example.com'], term: 'mx', ttl: 300 }],
+            [{ chain: ['example.com'], term: '-all', ttl: null }],
+        ]);
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 ip4:192.0.2.0/24 ip4:198.51.100.25 -all');
+    });
+
+    it('should list every record that contributes the same term', async () => {
+        const flattened = await flatten('v=spf1 include:other.net include:_netblocks.provider.com -all');
+
+        expect(flattened[1].sources.map(source => source.chain.join(' '))).to.deep.equal([
+            'example.com other.net',
+            'example.com _netblocks.provider.com',
+            'example.com _netblocks.provider.com',
+        ]);
+    });
+
+    it('should not change the parsed record', async () => {
+        const parsed = spfParser.parseSpf('v=spf1 ip4:203.0.113.1 -all');
+
+        await spfParser.flattenSpf(parsed, 'example.com');
+
+        expect(parsed.some(term => term.sources)).to.be.false;
+    });
+
+    it('should explain which term and include decide the result for an address', async () => {
+        const flattened = await flatten('v=spf1 mx include:_spf.provider.com -all');
+
+        const included = explainAddress(flattened, '192.0.2.200');
+        const other = explainAddress(flattened, '203.0.113.1');
+
+        expect(included).to.include({ result: 'pass', mechanism: 'ip4:192.0.2.0/24' });
+        expect(included.sources[1].term).to.equal('ip4:192.0.2.128/25');
+        expect(other).to.include({ result: 'fail', mechanism: '-all' });
+        expect(() => explainAddress(flattened, '192.0.2')).to.throw('Invalid IP address: 192.0.2');
+    });
+
+    it('should list the terms that cannot be evaluated before the match', async () => {
+        const flattened = await flatten('v=spf1 exists:%{i}.spf.example.com ip4:203.0.113.0/24');
+
+        expect(explainAddress(flattened, '203.0.113.1')).to.deep.include({ result: 'pass', unresolved: ['exists:%{i}.spf.example.com'] });
+        expect(explainAddress(flattened, '192.0.2.1')).to.include({ result: 'neutral', mechanism: null });
+    });
+
+    it('should format an annotated listing', async () => {
+        const flattened = await flatten('v=spf1 mx include:_spf.provider.com -all');
+
+        expect(formatProvenance(flattened)).to.equal([
+            'ip4:192.0.2.0/24',
+            '    from example.com → _spf.provider.com → _netblocks.provider.com: ip4:192.0.2.0/25',
+            '    from example.com → _spf.provider.com → _netblocks.provider.com: ip4:192.0.2.128/25',
+            'ip4:198.51.100.25',
+            '    from example.com: mx (TTL 300)',
+            '-all',
+            '    from example.com: -all',
+        ].join('\n'));
+    });
+
+    it('should explain addresses through the SpfFlattener', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:_spf.provider.com -all']]);
+        const flattener = new SpfFlattener({ resolver: mockResolver });
+
+        const result = await flattener.explain('192.0.2.1', 'example.com');
+        const missing = await flattener.explain('192.0.2.1', 'missing.com');
+
+        expect(result).to.include({ ok: true, flattenedRecord: 'v=spf1 ip4:192.0.2.0/24 -all' });
+        expect(result.explanation).to.include({ result: 'pass', mechanism: 'ip4:192.0.2.0/24' });
+        expect(missing).to.include({ ok: false, explanation: null });
+        try {
+            await flattener.explain('not-an-ip', 'example.com');
+            expect.fail('explain should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal('Invalid IP address: not-an-ip');
+        }
+    });
+});
@@ -0,0 +1,132 @@
+// test/spf-server.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { createSpfServer } = require('../spf-server');
+
+describe('createSpfServer', () => {
+    let originalDnsResolver;
+    let mockResolver;
+    let server;
+    let baseUrl;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    const start = async options => {
+        server = createSpfServer(options);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    };
+
+    const request = async (path, body) => {
+        const response = await fetch(`${baseUrl}${path}`, body === undefined
+            ? {}
+            : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+        };
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:provider.com -all']]);
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+        spfParser.setDnsResolver(mockResolver);
+    });
+
+    afterEach(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should flatten, verify, check and build trees', async () => {
+        await start();
+
+        const flatten = await request('/flatten?domain=example.com&safe=true');
+        const verify = await request('/verify', { domain: 'example.com' });
+        const check = await request('/check?ip=192.0.2.1&domain=example.com');
+        const tree = await request('/tree?domain=example.com');
+
+        expect(flatten.status).to.equal(200);
+        expect(flatten.body).to.include({ ok: true, flattenedRecord: 'v=spf1 ip4:192.0.2.0/24 -all', lookups: 1 });
+        expect(verify.body).to.include({ ok: true, dnsLookups: 1 });
+        expect(check.body).to.include({ result: 'pass', mechanism: 'include:provider.com' });
+        expect(tree.body.tree.children[0]).to.include({ domain: 'provider.com' });
+    });
+
+    it('should share the DNS cache across requests', async () => {
+        await start();
+
+        await request('/flatten?domain=example.com');
+        await request('/verify?domain=example.com');
+
+        expect(mockResolver.resolveTxt.withArgs('provider.com').callCount).to.equal(1);
+    });
+
+    it('should pass the options on', async () => {
+        await start();
+
+        const partial = await request('/flatten', { domain: 'example.com', keep: ['provider.com'] });
+        const repeated = await request('/flatten?domain=example.com&keep=provider.com&keep=other.com');
+
+        expect(partial.body.flattenedRecord).to.equal('v=spf1 include:provider.com -all');
+        expect(partial.body.plan[0]).to.include({ action: 'keep', reason: 'pinned' });
+        expect(repeated.body.diagnostics.map(d => d.code)).to.deep.equal(['KEEP_NOT_FOUND']);
+    });
+
+    it('should reject bad requests', async () => {
+        await start();
+
+        expect(await request('/flatten')).to.deep.equal({ status: 400, body: { error: "Missing 'domain'." } });
+        expect((await request('/check?ip=300.1.1.1&domain=example.com')).status).to.equal(400);
+        expect(await request('/verify?domain=example.com&ip=not-an-ip')).to.deep.equal({ status: 400, body: { error: 'Invalid IP address: not-an-ip' } });
+        expect((await request('/flatten?domain=example.com&budget=many')).body).to.deep.equal({ error: "'budget' must be a non-negative integer." });
+        expect((await request('/unknown')).status).to.equal(404);
+
+        const invalid = await fetch(`${baseUrl}/verify`, { method: 'POST', body: 'not json' });
+        const put = await fetch(`${baseUrl}/verify`, { method: 'PUT' });
+        expect(invalid.status).to.equal(400);
+        expect(put.status).to.equal(405);
+    });
+
+    it('should time out slow requests', async () => {
+        mockResolver.resolveTxt.withArgs('slow.com').returns(new Promise(resolve => setTimeout(() => resolve([['v=spf1 -all']]), 200)));
+        await start({ timeout: 1000 });
+
+        const response = await request('/verify?domain=slow.com&timeout=20');
+
+        expect(response).to.deep.equal({ status: 504, body: { error: 'The request did not finish within 20 ms.' } });
+    });
+
+    it('should keep the slot of a timed-out request until its work finishes', async () => {
+        mockResolver.resolveTxt.withArgs('slow.com').returns(new Promise(resolve => setTimeout(() => resolve([['v=spf1 -all']]), 200)));
+        await start({ concurrency: 1 });
+
+        expect((await request('/verify?domain=slow.com&timeout=20')).status).to.equal(504);
+        expect((await request('/verify?domain=example.com&timeout=20')).status).to.equal(504);
+        expect((await request('/verify?domain=example.com')).status).to.equal(200);
+    });
+
+    it('should limit how many requests run at once', async () => {
+        let active = 0;
+        let maxActive = 0;
+        mockResolver.resolveTxt.callsFake(async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+            return [['v=spf1 ip4:192.0.2.1 -all']];
+        });
+        await start({ concurrency: 2 });
+
+        const responses = await Promise.all(['a.com', 'b.com', 'c.com', 'd.com', 'e.com'].map(domain => request(`/verify?domain=${domain}`)));
+
+        expect(responses.every(response => response.status === 200)).to.be.true;
+        expect(maxActive).to.equal(2);
+    });
+});
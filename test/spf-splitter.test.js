@@ -0,0 +1,85 @@
+// test/spf-splitter.test.js
+const { expect } = require('chai');
+const { parseSpf } = require('../spfParser');
+const { splitSpfRecord, quoteTxtValue, splitTxtValue, formatZoneFragment } = require('../spf-splitter');
+
+describe('splitSpfRecord', () => {
+    const ranges = Array.from({ length: 40 }, (_, i) => `ip4:198.51.${i}.0/24`).join(' ');
+
+    it('should return a single record when it fits', () => {
+        const flattened = parseSpf('v=spf1 ip4:192.0.2.1 -all');
+        expect(splitSpfRecord(flattened, 'example.com')).to.deep.equal([
+            { name: 'example.com', value: 'v=spf1 ip4:192.0.2.1 -all' }
+        ]);
+    });
+
+    it('should chain records that stay under the size limit', () => {
+        const flattened = parseSpf(`v=spf1 ${ranges} ~all`);
+        const records = splitSpfRecord(flattened, 'example.com', { maxLength: 255 });
+
+        expect(records[0]).to.deep.equal({
+            name: 'example.com',
+            value: 'v=spf1 include:_spf1.example.com include:_spf2.example.com include:_spf3.example.com include:_spf4.example.com ~all'
+        });
+        expect(records.map(r => r.name)).to.deep.equal([
+            'example.com', '_spf1.example.com', '_spf2.example.com', '_spf3.example.com', '_spf4.example.com'
+        ]);
+        records.forEach(record => expect(Buffer.byteLength(record.value)).to.be.at.most(255));
+
+        const chainedTerms = records.slice(1).flatMap(r => r.value.split(' ').slice(1));
+        expect(chainedTerms.join(' ')).to.equal(ranges);
+    });
+
+    it('should keep non-pass terms in the root record in order', () => {
+        const flattened = parseSpf(`v=spf1 -ip4:203.0.113.1 ${ranges} ~all`);
+        const records = splitSpfRecord(flattened, 'example.com', { maxLength: 450 });
+        expect(records[0].value).to.equal('v=spf1 -ip4:203.0.113.1 include:_spf1.example.com include:_spf2.example.com ~all');
+    });
+
+    it('should keep modifiers and terms that depend on the domain in the root record', () => {
+        const flattened = parseSpf(`v=spf1 exists:%{i}._spf.%{d} ${ranges} ptr include:_spf.example.net exp=explain.%{d} ~all`);
+        const records = splitSpfRecord(flattened, 'example.com', { maxLength: 200 });
+
+        expect(records[0].value).to.equal('v=spf1 exists:%{i}._spf.%{d} include:_spf1.example.com include:_spf2.example.com '
+            + 'include:_spf3.example.com include:_spf4.example.com ptr include:_spf.example.net exp=explain.%{d} ~all');
+        const chainedTerms = records.slice(1).flatMap(r => r.value.split(' ').slice(1));
+        expect(chainedTerms.join(' ')).to.equal(ranges);
+    });
+
+    it('should refuse record sets over the lookup budget', () => {
+        const flattened = parseSpf(`v=spf1 ${ranges} ~all`);
+        expect(() => splitSpfRecord(flattened, 'example.com', { maxLength: 255, maxLookups: 3 }))
+            .to.throw('needs 4 DNS lookups, more than the limit of 3');
+    });
+});
+
+describe('formatZoneFragment', () => {
+    it('should split TXT values into quoted 255-byte strings', () => {
+        const value = 'v=spf1 ' + 'a'.repeat(300);
+        const quoted = quoteTxtValue(value);
+        expect(quoted).to.equal(`"${value.substring(0, 255)}" "${value.substring(255)}"`);
+        expect(quoteTxtValue('say "hi" \\o/')).to.equal('"say \\"hi\\" \\\\o/"');
+    });
+
+    it('should never cut a multi-byte character in two', () => {
+        // 'é' is 2 bytes in UTF-8, so byte 255 falls in the middle of the 128th one
+        const value = `x${'é'.repeat(200)}`;
+        const strings = splitTxtValue(value);
+
+        expect(strings.join('')).to.equal(value);
+        expect(strings.map(string => Buffer.byteLength(string))).to.deep.equal([255, 146]);
+        expect(splitTxtValue('')).to.deep.equal(['']);
+        expect(quoteTxtValue(value)).to.equal(`"${strings[0]}" "${strings[1]}"`);
+    });
+
+    it('should write fully-qualified names with TTL and class', () => {
+        const fragment = formatZoneFragment([
+            { name: 'example.com', value: 'v=spf1 include:_spf1.example.com -all' },
+            { name: '_spf1.example.com', value: 'v=spf1 ip4:192.0.2.0/24' }
+        ], { ttl: 300 });
+        expect(fragment).to.equal(
+            'example.com.       300 IN TXT "v=spf1 include:_spf1.example.com -all"\n' +
+            '_spf1.example.com. 300 IN TXT "v=spf1 ip4:192.0.2.0/24"\n'
+        );
+    });
+});
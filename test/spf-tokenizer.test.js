@@ -0,0 +1,62 @@
+// test/spf-tokenizer.test.js
+const { expect } = require('chai');
+const { tokenizeSpf, SpfParseError } = require('../spf-tokenizer');
+const { stringifySpf } = require('../spfParser');
+
+describe('tokenizeSpf', () => {
+    it('should return typed nodes with columns', () => {
+        expect(tokenizeSpf('v=spf1 -ip4:192.0.2.0/24 include:_spf.example.com redirect=_spf.example.net')).to.deep.equal([
+            { kind: 'version', qualifier: '+', type: 'v', value: 'spf1', raw: 'v=spf1', column: 0 },
+            { kind: 'mechanism', qualifier: '-', type: 'ip4', value: '192.0.2.0/24', address: '192.0.2.0', ip4Cidr: 24, raw: '-ip4:192.0.2.0/24', column: 7 },
+            { kind: 'mechanism', qualifier: '+', type: 'include', value: '_spf.example.com', domainSpec: '_spf.example.com', raw: 'include:_spf.example.com', column: 25 },
+            { kind: 'modifier', qualifier: '+', type: 'redirect', value: '_spf.example.net', domainSpec: '_spf.example.net', raw: 'redirect=_spf.example.net', column: 50 }
+        ]);
+    });
+
+    it('should parse dual-CIDR lengths with and without a domain-spec', () => {
+        const [, a, mx, ip6] = tokenizeSpf('v=spf1 a/24//64 mx:mail.example.com//96 ip6:2001:db8::/32');
+        expect(a).to.include({ type: 'a', domainSpec: '', ip4Cidr: 24, ip6Cidr: 64 });
+        expect(mx).to.include({ type: 'mx', domainSpec: 'mail.example.com', ip4Cidr: null, ip6Cidr: 96 });
+        expect(ip6).to.include({ type: 'ip6', address: '2001:db8::', ip6Cidr: 32 });
+    });
+
+    it('should tell unknown modifiers from mechanisms', () => {
+        const [, modifier] = tokenizeSpf('v=spf1 moo.cow-far_out=man:dog/cat');
+        expect(modifier).to.include({ kind: 'modifier', type: 'moo.cow-far_out', value: 'man:dog/cat' });
+        expect(() => tokenizeSpf('v=spf1 foo:bar -all')).to.throw(SpfParseError, "Unknown mechanism 'foo'. (at column 7)");
+    });
+
+    it('should report the column of the offending part of a term', () => {
+        const cases = [
+            ['v=spf1 ip4:192.0.2.300', 'Invalid ip4 address', 11],
+            ['v=spf1 ip4:192.0.2.0/33', "Invalid CIDR length '/33'", 20],
+            ['v=spf1 a:example.com/024', "Invalid domain-spec 'example.com/024'", 9],
+            ['v=spf1 include:localhost', "Invalid domain-spec 'localhost'", 15],
+            ['v=spf1 -redirect=example.com', 'cannot have a qualifier', 7],
+            ['v=spf1 -all:foo', "Unexpected ':foo' after 'all'", 11],
+            ['ip4:192.0.2.1 v=spf1', "must start with 'v=spf1'", 0]
+        ];
+        for (const [record, message, column] of cases) {
+            let error;
+            try {
+                tokenizeSpf(record);
+            } catch (e) {
+                error = e;
+            }
+            expect(error, record).to.be.instanceOf(SpfParseError);
+            expect(error.message, record).to.include(message);
+            expect(error.column, record).to.equal(column);
+        }
+    });
+
+    it('should accept macros in domain-specs', () => {
+        const [, exists, exp] = tokenizeSpf('v=spf1 exists:%{ir}.%{l1r+-}._spf.%{d} exp=explain.%{d}');
+        expect(exists).to.include({ type: 'exists', domainSpec: '%{ir}.%{l1r+-}._spf.%{d}' });
+        expect(exp).to.include({ kind: 'modifier', type: 'exp', domainSpec: 'explain.%{d}' });
+    });
+
+    it('should round-trip records exactly', () => {
+        const record = 'v=spf1 +A/24//64 -MX:mail.example.com ?ptr ip6:2001:DB8::/32 redirect=_spf.example.com exp=explain.%{d}';
+        expect(stringifySpf(tokenizeSpf(record))).to.equal(record);
+    });
+});
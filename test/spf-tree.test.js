@@ -0,0 +1,90 @@
+// test/spf-tree.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { buildSpfTree, formatTree, treeToDot } = require('../spf-tree');
+
+describe('buildSpfTree', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+            resolve4: sinon.stub().rejects(noData()),
+            resolve6: sinon.stub().rejects(noData()),
+            resolveMx: sinon.stub().rejects(noData()),
+            reverse: sinon.stub().rejects(noData()),
+        };
+        spfParser.setDnsResolver(mockResolver);
+
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:provider.com mx -all']]);
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 ip6:2001:db8::/32 redirect=_spf.provider.com']]);
+        mockResolver.resolveTxt.withArgs('_spf.provider.com').resolves([['v=spf1 a -all']]);
+        mockResolver.resolve4.withArgs('_spf.provider.com').resolves([{ address: '198.51.100.1', ttl: 300 }, { address: '198.51.100.2', ttl: 60 }]);
+        mockResolver.resolveMx.withArgs('example.com').resolves([{ exchange: 'mail.example.com', priority: 10 }]);
+        mockResolver.resolve4.withArgs('mail.example.com').resolves([{ address: '203.0.113.5', ttl: 3600 }]);
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should build the include and redirect hierarchy with costs per node', async () => {
+        const tree = await buildSpfTree('example.com');
+
+        expect(tree).to.include({ domain: 'example.com', via: null, lookups: 2, totalLookups: 4, ipCount: 1, totalIpCount: 5, ttl: 3600 });
+        expect(tree.children).to.have.lengthOf(1);
+
+        const [provider] = tree.children;
+        expect(provider).to.include({ domain: 'provider.com', via: 'include:provider.com', lookups: 1, totalLookups: 2, ipCount: 2 });
+        expect(provider.children[0]).to.include({ domain: '_spf.provider.com', via: 'redirect=_spf.provider.com', lookups: 1, ipCount: 2, ttl: 60 });
+        expect(provider.children[0].record).to.equal('v=spf1 a -all');
+    });
+
+    it('should record errors on the node where they occur', async () => {
+        mockResolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 include:missing.com -all']]);
+
+        const tree = await buildSpfTree('example.com');
+
+        expect(tree.errors).to.be.empty;
+        expect(tree.children[0].errors).to.deep.equal(['No SPF record found for missing.com.']);
+        expect(tree.children[0].diagnostics.map(d => [d.code, d.term])).to.deep.equal([['NO_SPF_RECORD', 'include:missing.com']]);
+        expect(tree.children[0].record).to.be.null;
+    });
+
+    it('should stop at include loops with an error node', async () => {
+        mockResolver.resolveTxt.withArgs('_spf.provider.com').resolves([['v=spf1 include:provider.com -all']]);
+
+        const tree = await buildSpfTree('example.com');
+        const loopNode = tree.children[0].children[0].children[0];
+
+        expect(loopNode).to.include({ domain: 'provider.com', via: 'include:provider.com', record: null });
+        expect(loopNode.errors).to.deep.equal(['permerror: include loop detected: example.com → provider.com → _spf.provider.com → provider.com']);
+    });
+
+    it('should render the tree as indented text', async () => {
+        const text = formatTree(await buildSpfTree('example.com'));
+
+        expect(text.split('\n')).to.deep.equal([
+            'example.com [lookups: 2 (4 total), IPs: 1 (5 total), TTL: 3600]',
+            '│  v=spf1 include:provider.com mx -all',
+            '└─ include:provider.com [lookups: 1 (2 total), IPs: 2 (4 total), TTL: -]',
+            '   │  v=spf1 ip4:192.0.2.0/24 ip6:2001:db8::/32 redirect=_spf.provider.com',
+            '   └─ redirect=_spf.provider.com [lookups: 1, IPs: 2, TTL: 60]',
+            '         v=spf1 a -all',
+        ]);
+    });
+
+    it('should render the tree as a DOT graph', async () => {
+        const dot = treeToDot(await buildSpfTree('example.com'));
+
+        expect(dot).to.match(/^digraph spf \{/);
+        expect(dot).to.include('n0 -> n1 [label="include:provider.com"];');
+        expect(dot).to.include('n1 -> n2 [label="redirect=_spf.provider.com"];');
+        expect(dot).to.include('n2 [label="_spf.provider.com\\nlookups: 1, IPs: 2, TTL: 60"];');
+    });
+});
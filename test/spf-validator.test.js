@@ -0,0 +1,134 @@
+// test/spf-validator.test.js
+const { expect } = require('chai');
+const sinon = require('sinon');
+const spfParser = require('../spfParser');
+const { lintSpf } = require('../spf-validator');
+const { SpfFlattener } = require('../index');
+
+describe('lintSpf', () => {
+    let originalDnsResolver;
+    let mockResolver;
+
+    const noData = () => Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' });
+    const rulesOf = findings => findings.map(finding => finding.rule);
+
+    beforeEach(() => {
+        originalDnsResolver = spfParser.getDnsResolver();
+        mockResolver = {
+            resolveTxt: sinon.stub().rejects(noData()),
+        };
+        spfParser.setDnsResolver(mockResolver);
+    });
+
+    afterEach(() => {
+        spfParser.setDnsResolver(originalDnsResolver);
+    });
+
+    it('should find nothing in a clean record', async () => {
+        const { findings, fixedRecord } = await lintSpf('v=spf1 ip4:192.0.2.0/24 mx -all');
+
+        expect(findings).to.be.empty;
+        expect(fixedRecord).to.be.null;
+    });
+
+    it('should flag ptr, permissive all and an ignored redirect with suggested fixes', async () => {
+        const { findings, fixedRecord } = await lintSpf('v=spf1 ptr ?all redirect=example.net');
+
+        expect(rulesOf(findings)).to.deep.equal(['no-ptr', 'permissive-all', 'all-with-redirect']);
+        expect(findings[1]).to.include({
+            code: 'LINT_PERMISSIVE_ALL',
+            severity: 'error',
+            term: '?all',
+            suggestion: 'v=spf1 ptr ~all redirect=example.net',
+        });
+        expect(fixedRecord).to.equal('v=spf1 ~all');
+    });
+
+    it('should suggest a terminal all before trailing modifiers', async () => {
+        const { findings } = await lintSpf('v=spf1 ip4:192.0.2.1 exp=explain.example.com');
+
+        expect(findings).to.have.lengthOf(1);
+        expect(findings[0]).to.include({ rule: 'missing-all', severity: 'warning', suggestion: 'v=spf1 ip4:192.0.2.1 ~all exp=explain.example.com' });
+    });
+
+    it('should flag duplicate and covered ranges', async () => {
+        const { findings, fixedRecord } = await lintSpf(
+            'v=spf1 ip4:192.0.2.5 ip4:192.0.2.0/24 ip4:192.0.2.0/24 -ip4:192.0.2.128/25 ip6:2001:db8::/32 ip6:2001:db8:1::/48 -all');
+
+        expect(findings.map(finding => finding.message)).to.deep.equal([
+            "'ip4:192.0.2.5' is covered by 'ip4:192.0.2.0/24'.",
+            "'ip4:192.0.2.0/24' is a duplicate of 'ip4:192.0.2.0/24'.",
+            "'-ip4:192.0.2.128/25' is covered by 'ip4:192.0.2.0/24'.",
+            "'ip6:2001:db8:1::/48' is covered by 'ip6:2001:db8::/32'.",
+        ]);
+        expect(fixedRecord).to.equal('v=spf1 ip4:192.0.2.0/24 ip6:2001:db8::/32 -all');
+    });
+
+    it('should keep checking the other terms when some do not parse', async () => {
+        const { findings } = await lintSpf('v=spf1 ip4:192.0.2.300 ip6:2001:db8::/129 include:bad_domain foo:bar ptr -all');
+
+        expect(rulesOf(findings)).to.deep.equal(['syntax', 'invalid-cidr', 'invalid-cidr', 'invalid-domain-spec', 'no-ptr']);
+        expect(findings.slice(0, 4).every(finding => finding.severity === 'error' && finding.suggestion === null)).to.be.true;
+    });
+
+    it('should flag character-strings over 255 bytes and suggest a split', async () => {
+        const record = `v=spf1 ${Array.from({ length: 20 }, (_, i) => `ip4:192.0.2.${i * 10}`).join(' ')} -all`;
+        const { findings } = await lintSpf(record);
+        const published = await lintSpf(record, { strings: [record.slice(0, 200), record.slice(200)] });
+
+        expect(rulesOf(findings)).to.deep.equal(['long-string']);
+        expect(findings[0].suggestion).to.match(/^"v=spf1 .*" ".*"$/);
+        expect(published.findings).to.be.empty;
+    });
+
+    it('should flag includes of domains without an SPF record', async () => {
+        mockResolver.resolveTxt.withArgs('provider.com').resolves([['v=spf1 ip4:192.0.2.0/24 -all']]);
+        mockResolver.resolveTxt.withArgs('nospf.com').resolves([['google-site-verification=abc']]);
+
+        const { findings, fixedRecord } = await lintSpf('v=spf1 include:provider.com include:nospf.com include:gone.com -all', { domain: 'example.com' });
+
+        expect(findings.map(finding => finding.term)).to.deep.equal(['include:nospf.com', 'include:gone.com']);
+        expect(findings[0]).to.include({ code: 'LINT_INCLUDE_NO_SPF', domain: 'example.com' });
+        expect(fixedRecord).to.equal('v=spf1 include:provider.com -all');
+    });
+
+    it('should apply configured severities and disabled rules', async () => {
+        const { findings } = await lintSpf('v=spf1 ptr +all', { rules: { 'no-ptr': 'off', 'permissive-all': 'info' } });
+
+        expect(findings).to.have.lengthOf(1);
+        expect(findings[0]).to.include({ rule: 'permissive-all', severity: 'info' });
+    });
+
+    it('should reject unknown rules and severities', async () => {
+        let error = null;
+        try {
+            await lintSpf('v=spf1 -all', { rules: { 'no-such-rule': 'off' } });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an('error').with.property('message', "Unknown lint rule 'no-such-rule'.");
+
+        error = null;
+        try {
+            await lintSpf('v=spf1 -all', { rules: { 'no-ptr': 'fatal' } });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an('error').with.property('message', "Invalid severity 'fatal' for the lint rule 'no-ptr'.");
+    });
+
+    it('should lint the record published at a domain with SpfFlattener', async () => {
+        const resolver = { resolveTxt: sinon.stub().rejects(noData()) };
+        resolver.resolveTxt.withArgs('example.com').resolves([['v=spf1 ', 'include:gone.com +all'], ['other']]);
+
+        const result = await new SpfFlattener({ resolver }).lint('example.com', { rules: { 'include-no-spf': 'warning' } });
+
+        expect(result.ok).to.be.false;
+        expect(result.record).to.equal('v=spf1 include:gone.com +all');
+        expect(result.diagnostics.map(d => d.code)).to.deep.equal(['LINT_PERMISSIVE_ALL', 'LINT_INCLUDE_NO_SPF']);
+        expect(result.fixedRecord).to.equal('v=spf1 ~all');
+
+        const missing = await new SpfFlattener({ resolver }).lint('missing.com');
+        expect(missing.diagnostics.map(d => d.code)).to.deep.equal(['NO_SPF_RECORD']);
+    });
+});
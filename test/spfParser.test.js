@@ -1,6 +1,10 @@
 // test/spfParser.test.js
 const { expect } = require('chai');
 const sinon = require('sinon');
+const { runInSession } = require('../spf-session');
+
+// Reduces typed SPF nodes to the fields that describe each term
+const summarize = nodes => nodes.map(({ qualifier, type, value }) => ({ qualifier, type, value }));
 
 describe('parseSpf', () => {
     const { parseSpf } = require('../spfParser');
@@ -11,7 +15,7 @@ describe('parseSpf', () => {
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '~', type: 'all', value: 'all' }
         ];
-        expect(parseSpf(spfRecord)).to.deep.equal(expected);
+        expect(summarize(parseSpf(spfRecord))).to.deep.equal(expected);
     });
 
     it('should parse an SPF record with include mechanism', () => {
@@ -21,7 +25,7 @@ describe('parseSpf', () => {
             { qualifier: '+', type: 'include', value: '_spf.google.com' },
             { qualifier: '~', type: 'all', value: 'all' }
         ];
-        expect(parseSpf(spfRecord)).to.deep.equal(expected);
+        expect(summarize(parseSpf(spfRecord))).to.deep.equal(expected);
     });
 
     it('should parse an SPF record with ip4 mechanism', () => {
@@ -31,7 +35,7 @@ describe('parseSpf', () => {
             { qualifier: '+', type: 'ip4', value: '192.0.2.1/24' },
             { qualifier: '-', type: 'all', value: 'all' }
         ];
-        expect(parseSpf(spfRecord)).to.deep.equal(expected);
+        expect(summarize(parseSpf(spfRecord))).to.deep.equal(expected);
     });
 
     it('should handle different qualifiers', () => {
@@ -43,7 +47,7 @@ describe('parseSpf', () => {
             { qualifier: '-', type: 'ptr', value: '' }, // 'ptr' mechanism without value
             { qualifier: '~', type: 'all', value: 'all' }
         ];
-        expect(parseSpf(spfRecord)).to.deep.equal(expected);
+        expect(summarize(parseSpf(spfRecord))).to.deep.equal(expected);
     });
 
     it('should handle mechanisms with no explicit value', () => {
@@ -54,7 +58,18 @@ describe('parseSpf', () => {
             { qualifier: '+', type: 'mx', value: '' },
             { qualifier: '-', type: 'all', value: 'all' }
         ];
-        expect(parseSpf(spfRecord)).to.deep.equal(expected);
+        expect(summarize(parseSpf(spfRecord))).to.deep.equal(expected);
+    });
+
+    it('should parse dual-CIDR suffixes on a and mx mechanisms', () => {
+        const spfRecord = "v=spf1 a/24 mx:mail.example.com//64 ~all";
+        const expected = [
+            { qualifier: '+', type: 'v', value: 'spf1' },
+            { qualifier: '+', type: 'a', value: '/24' },
+            { qualifier: '+', type: 'mx', value: 'mail.example.com//64' },
+            { qualifier: '~', type: 'all', value: 'all' }
+        ];
+        expect(summarize(parseSpf(spfRecord))).to.deep.equal(expected);
     });
 
     it('should throw an error for invalid input', () => {
@@ -77,7 +92,17 @@ describe('parseSpf', () => {
             { qualifier: '+', type: 'exists', value: '%{i}.spf.example.org' },
             { qualifier: '~', type: 'all', value: 'all' }
         ];
-        expect(parseSpf(spfRecord)).to.deep.equal(expected);
+        expect(summarize(parseSpf(spfRecord))).to.deep.equal(expected);
+    });
+});
+
+describe('stringifySpf', () => {
+    const { parseSpf, stringifySpf } = require('../spfParser');
+
+    it('should serialize mechanisms and modifiers back into a record', () => {
+        const spfRecord = "v=spf1 -ip4:192.0.2.0/24 a/24 mx:mail.example.com//64 ~all";
+        expect(stringifySpf(parseSpf(spfRecord))).to.equal(spfRecord);
+        expect(stringifySpf(parseSpf("v=spf1 redirect=_spf.example.com"))).to.equal("v=spf1 redirect=_spf.example.com");
     });
 });
 
@@ -106,10 +131,17 @@ describe('flattenSpf', () => {
         delete require.cache[require.resolve('../spfParser')];
     });
 
+    // Flattens in a session, so the diagnostics reported along the way can be checked
+    const flattenInSession = async (parsedSpf, domain) => {
+        const session = {};
+        const flattened = await runInSession(session, () => spfParser.flattenSpf(parsedSpf, domain));
+        return { flattened, diagnostics: session.diagnostics };
+    };
+
     it('should return the original parsed SPF if no includes or redirects', async () => {
         const parsedSpf = spfParser.parseSpf("v=spf1 ip4:1.2.3.4 ~all");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '1.2.3.4' },
             { qualifier: '~', type: 'all', value: 'all' }
@@ -122,7 +154,7 @@ describe('flattenSpf', () => {
 
         const parsedSpf = spfParser.parseSpf("v=spf1 include:included.com ~all");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '5.6.7.8' },
             { qualifier: '~', type: 'all', value: 'all' }
@@ -135,7 +167,7 @@ describe('flattenSpf', () => {
 
         const parsedSpf = spfParser.parseSpf("v=spf1 redirect=redirected.com");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '9.10.11.12' },
             { qualifier: '?', type: 'all', value: 'all' }
@@ -143,6 +175,32 @@ describe('flattenSpf', () => {
         expect(resolveTxtStub.calledOnceWith('redirected.com')).to.be.true;
     });
 
+    it('should add the redirect target after the mechanisms of the record', async () => {
+        resolveTxtStub.withArgs('t.com').resolves([['v=spf1 ip4:2.2.2.2 -all']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 redirect=t.com ip4:1.1.1.1");
+        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 ip4:1.1.1.1 ip4:2.2.2.2 -all');
+    });
+
+    it('should ignore a redirect when the record has an all mechanism', async () => {
+        resolveTxtStub.withArgs('t.com').resolves([['v=spf1 ip4:2.2.2.2 -all']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 ip4:1.1.1.1 redirect=t.com ~all");
+        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 ip4:1.1.1.1 ~all');
+        expect(resolveTxtStub.notCalled).to.be.true;
+    });
+
+    it('should keep a redirect whose target depends on its domain', async () => {
+        resolveTxtStub.withArgs('t.com').resolves([['v=spf1 ptr -all']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 ip4:1.1.1.1 redirect=t.com");
+        const { flattened, diagnostics } = await flattenInSession(parsedSpf, "example.com");
+        expect(diagnostics.map(d => d.code)).to.deep.equal(['INCLUDE_NOT_FLATTENED']);
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 ip4:1.1.1.1 redirect=t.com');
+    });
+
     it('should handle nested includes', async () => {
         resolveTxtStub.withArgs('level1.com').resolves([['v=spf1 include:level2.com']]);
         resolveTxtStub.withArgs('level2.com').resolves([['v=spf1 ip4:10.0.0.1 ~all']]);
@@ -150,7 +208,7 @@ describe('flattenSpf', () => {
         const parsedSpf = spfParser.parseSpf("v=spf1 include:level1.com -all");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
 
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '10.0.0.1' },
             { qualifier: '-', type: 'all', value: 'all' }
@@ -167,7 +225,7 @@ describe('flattenSpf', () => {
         const parsedSpf = spfParser.parseSpf("v=spf1 include:inc1.com include:inc2.com ~all");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
 
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '1.1.1.1' },
             { qualifier: '+', type: 'ip4', value: '2.2.2.2' },
@@ -181,22 +239,23 @@ describe('flattenSpf', () => {
     it('should respect the DNS lookup limit', async () => {
         // Set up 10 stubs for lookup, the 11th should trigger the limit warning
         for (let i = 0; i < 10; i++) {
-            resolveTxtStub.withArgs(`domain${i}.com`).resolves([[`v=spf1 ip4:1.1.1.${i}`]]);
+            resolveTxtStub.withArgs(`domain${i}.com`).resolves([[`v=spf1 ip4:1.1.${i}.1`]]);
         }
         resolveTxtStub.withArgs('overlimit.com').resolves([['v=spf1 ip4:9.9.9.9']]); // This should not be resolved
 
         const includes = Array.from({ length: 10 }, (_, i) => `include:domain${i}.com`).join(' ');
         const spfRecord = `v=spf1 ${includes} include:overlimit.com ~all`; // 10 includes plus one more
         const parsedSpf = spfParser.parseSpf(spfRecord);
-        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        
+        const { flattened, diagnostics } = await flattenInSession(parsedSpf, "example.com");
+
+        expect(diagnostics.map(d => d.message)).to.deep.equal(['Maximum DNS lookup limit (10) exceeded for overlimit.com.']);
         expect(flattened).to.have.length(12); // v=spf1 + 10 ip4s + ~all
         // Check if ip4s from domain0.com to domain9.com are present
         for (let i = 0; i < 10; i++) {
-            expect(flattened).to.deep.include({ qualifier: '+', type: 'ip4', value: `1.1.1.${i}` });
+            expect(summarize(flattened)).to.deep.include({ qualifier: '+', type: 'ip4', value: `1.1.${i}.1` });
         }
         // The last include (overlimit.com) should not have resulted in an ip4
-        expect(flattened).to.not.deep.include({ qualifier: '+', type: 'ip4', value: '9.9.9.9' });
+        expect(summarize(flattened)).to.not.deep.include({ qualifier: '+', type: 'ip4', value: '9.9.9.9' });
         expect(resolveTxtStub.callCount).to.equal(10); // Only 10 lookups should occur
     });
 
@@ -207,7 +266,7 @@ describe('flattenSpf', () => {
         const parsedSpf = spfParser.parseSpf("v=spf1 include:empty.com include:no-record.com ~all");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
 
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '~', type: 'all', value: 'all' }
         ]);
@@ -222,7 +281,7 @@ describe('flattenSpf', () => {
         // Outer record has ~all, included has -all. ~all should win.
         const parsedSpf = spfParser.parseSpf("v=spf1 include:included.com ~all");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '5.6.7.8' },
             { qualifier: '~', type: 'all', value: 'all' }
@@ -235,7 +294,7 @@ describe('flattenSpf', () => {
         // No 'all' in the main record, so the one from included.com should be kept.
         const parsedSpf = spfParser.parseSpf("v=spf1 include:included.com");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '5.6.7.8' },
             { qualifier: '-', type: 'all', value: 'all' }
@@ -247,7 +306,7 @@ describe('flattenSpf', () => {
 
         const parsedSpf = spfParser.parseSpf("v=spf1 ip4:1.2.3.4 include:included.com ~all");
         const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        expect(flattened).to.deep.equal([
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '+', type: 'ip4', value: '1.2.3.4' },
             { qualifier: '~', type: 'all', value: 'all' }
@@ -255,16 +314,191 @@ describe('flattenSpf', () => {
         expect(resolveTxtStub.calledOnce).to.be.true;
     });
 
+    it('should drop ranges covered by a broader range and merge adjacent ones', async () => {
+        resolveTxtStub.withArgs('included.com').resolves([['v=spf1 ip4:192.0.2.0/25 ip4:192.0.2.128/25 ip4:192.0.2.7']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:included.com ip6:2001:DB8:0:0::1 ip6:2001:db8::/48 ~all");
+        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
+        expect(summarize(flattened)).to.deep.equal([
+            { qualifier: '+', type: 'v', value: 'spf1' },
+            { qualifier: '+', type: 'ip4', value: '192.0.2.0/24' },
+            { qualifier: '+', type: 'ip6', value: '2001:db8::/48' },
+            { qualifier: '~', type: 'all', value: 'all' }
+        ]);
+    });
+
+    it('should keep macro-dependent terms verbatim', async () => {
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:%{ir}.%{v}._spf.example.com exists:%{i}.spf.example.org ~all");
+        const { flattened, diagnostics } = await flattenInSession(parsedSpf, "example.com");
+        expect(diagnostics.map(d => d.code)).to.deep.equal(['MACRO_NOT_FLATTENED', 'MACRO_NOT_FLATTENED']);
+        expect(summarize(flattened)).to.deep.equal([
+            { qualifier: '+', type: 'v', value: 'spf1' },
+            { qualifier: '+', type: 'include', value: '%{ir}.%{v}._spf.example.com' },
+            { qualifier: '+', type: 'exists', value: '%{i}.spf.example.org' },
+            { qualifier: '~', type: 'all', value: 'all' }
+        ]);
+        expect(resolveTxtStub.notCalled).to.be.true;
+    });
+
+    it('should keep includes whose terms depend on the included domain', async () => {
+        resolveTxtStub.withArgs('level1.com').resolves([['v=spf1 include:x.com ip4:192.0.2.1']]);
+        resolveTxtStub.withArgs('x.com').resolves([['v=spf1 exists:%{i}._spf.%{d} ptr ip4:192.0.2.2 -all']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:level1.com -all");
+        const { flattened, diagnostics } = await flattenInSession(parsedSpf, "example.com");
+        expect(diagnostics.map(d => d.code)).to.deep.equal(['MACRO_NOT_FLATTENED', 'INCLUDE_NOT_FLATTENED']);
+        expect(diagnostics[1].message).to.equal(
+            "'include:x.com' is kept as is: 'exists:%{i}._spf.%{d}' in the SPF record of x.com depends on the domain it is evaluated for.");
+        expect(summarize(flattened)).to.deep.equal([
+            { qualifier: '+', type: 'v', value: 'spf1' },
+            { qualifier: '+', type: 'include', value: 'x.com' },
+            { qualifier: '+', type: 'ip4', value: '192.0.2.1' },
+            { qualifier: '-', type: 'all', value: 'all' }
+        ]);
+    });
+
+    it('should inline macro terms of includes that do not depend on the included domain', async () => {
+        resolveTxtStub.withArgs('x.com').resolves([['v=spf1 exists:%{i}._spf.example.org ip4:192.0.2.2']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:x.com -all");
+        const { flattened, diagnostics } = await flattenInSession(parsedSpf, "example.com");
+        expect(diagnostics.map(d => d.code)).to.deep.equal(['MACRO_NOT_FLATTENED']);
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 exists:%{i}._spf.example.org ip4:192.0.2.2 -all');
+    });
+
     it('should handle DNS lookup errors gracefully', async () => {
         resolveTxtStub.withArgs('error.com').rejects(new Error('DNS lookup failed'));
         
         const parsedSpf = spfParser.parseSpf("v=spf1 include:error.com ~all");
-        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
-        
-        expect(flattened).to.deep.equal([
+        const { flattened, diagnostics } = await flattenInSession(parsedSpf, "example.com");
+
+        expect(diagnostics.map(d => [d.code, d.message])).to.deep.equal([['DNS_ERROR', 'DNS TXT lookup failed for error.com: DNS lookup failed']]);
+        expect(summarize(flattened)).to.deep.equal([
             { qualifier: '+', type: 'v', value: 'spf1' },
             { qualifier: '~', type: 'all', value: 'all' }
         ]);
         expect(resolveTxtStub.calledOnce).to.be.true;
     });
-});
\ No newline at end of file
+
+    it('should resolve a mechanisms to ip4 and ip6 using the current domain', async () => {
+        mockResolver.resolve4 = sinon.stub().withArgs('included.com').resolves(['192.0.2.10']);
+        mockResolver.resolve6 = sinon.stub().withArgs('included.com').resolves(['2001:db8::10']);
+        resolveTxtStub.withArgs('included.com').resolves([['v=spf1 -a/24//64']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:included.com ~all");
+        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
+        expect(summarize(flattened)).to.deep.equal([
+            { qualifier: '+', type: 'v', value: 'spf1' },
+            { qualifier: '-', type: 'ip4', value: '192.0.2.0/24' },
+            { qualifier: '-', type: 'ip6', value: '2001:db8::/64' },
+            { qualifier: '~', type: 'all', value: 'all' }
+        ]);
+    });
+
+    it('should resolve mx mechanisms to the addresses of their exchanges', async () => {
+        mockResolver.resolveMx = sinon.stub().withArgs('example.org').resolves([
+            { exchange: 'mx2.example.org', priority: 20 },
+            { exchange: 'mx1.example.org', priority: 10 }
+        ]);
+        mockResolver.resolve4 = sinon.stub();
+        mockResolver.resolve4.withArgs('mx1.example.org').resolves(['198.51.100.1']);
+        mockResolver.resolve4.withArgs('mx2.example.org').resolves(['198.51.100.2']);
+        const noData = Object.assign(new Error('queryAaaa ENODATA'), { code: 'ENODATA' });
+        mockResolver.resolve6 = sinon.stub().rejects(noData);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 ?mx:example.org -all");
+        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
+        expect(summarize(flattened)).to.deep.equal([
+            { qualifier: '+', type: 'v', value: 'spf1' },
+            { qualifier: '?', type: 'ip4', value: '198.51.100.1' },
+            { qualifier: '?', type: 'ip4', value: '198.51.100.2' },
+            { qualifier: '-', type: 'all', value: 'all' }
+        ]);
+    });
+
+    it('should reject include loops instead of returning a partial record', async () => {
+        resolveTxtStub.withArgs('loop-a.com').resolves([['v=spf1 ip4:10.0.0.1 include:LOOP-B.com. -all']]);
+        resolveTxtStub.withArgs('LOOP-B.com.').resolves([['v=spf1 include:example.com -all']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:loop-a.com -all");
+        try {
+            await spfParser.flattenSpf(parsedSpf, "Example.com.");
+            expect.fail('Expected an include loop error');
+        } catch (error) {
+            expect(error).to.be.instanceOf(spfParser.SpfLoopError);
+            expect(error.result).to.equal('permerror');
+            expect(error.path).to.deep.equal(['example.com', 'loop-a.com', 'loop-b.com', 'example.com']);
+            expect(error.message).to.equal('permerror: include loop detected: example.com → loop-a.com → loop-b.com → example.com');
+        }
+    });
+
+    it('should reject a redirect back to the same domain', async () => {
+        const parsedSpf = spfParser.parseSpf("v=spf1 redirect=example.com");
+        try {
+            await spfParser.flattenSpf(parsedSpf, "example.com");
+            expect.fail('Expected an include loop error');
+        } catch (error) {
+            expect(error).to.be.instanceOf(spfParser.SpfLoopError);
+            expect(resolveTxtStub.called).to.be.false;
+        }
+    });
+
+    it('should allow the same domain to be included from separate branches', async () => {
+        resolveTxtStub.withArgs('a.com').resolves([['v=spf1 include:shared.com']]);
+        resolveTxtStub.withArgs('b.com').resolves([['v=spf1 include:shared.com']]);
+        resolveTxtStub.withArgs('shared.com').resolves([['v=spf1 ip4:10.0.0.1']]);
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:a.com include:b.com -all");
+        const flattened = await spfParser.flattenSpf(parsedSpf, "example.com");
+        expect(spfParser.stringifySpf(flattened)).to.equal('v=spf1 ip4:10.0.0.1 -all');
+    });
+
+    it('should resolve sibling includes concurrently and keep their order', async () => {
+        const pending = {};
+        ['a.com', 'b.com'].forEach(name => {
+            resolveTxtStub.withArgs(name).returns(new Promise(resolve => { pending[name] = resolve; }));
+        });
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:a.com include:b.com -all");
+        const flattening = runInSession({}, () => spfParser.recursiveFlattenSpf(parsedSpf, "example.com", 0));
+        await new Promise(resolve => setImmediate(resolve));
+
+        // Both queries are in flight before either has answered
+        expect(resolveTxtStub.calledWith('a.com')).to.be.true;
+        expect(resolveTxtStub.calledWith('b.com')).to.be.true;
+
+        pending['b.com']([['v=spf1 ip4:10.0.0.2']]);
+        pending['a.com']([['v=spf1 ip4:10.0.0.9']]);
+        const { flattenedMechanisms, newLookupCount } = await flattening;
+        expect(spfParser.stringifySpf(flattenedMechanisms)).to.equal('ip4:10.0.0.9 ip4:10.0.0.2 -all');
+        expect(newLookupCount).to.equal(2);
+        expect(resolveTxtStub.callCount).to.equal(2);
+    });
+
+    it('should report a SERVFAIL as a temperror instead of a missing record', async () => {
+        resolveTxtStub.withArgs('flaky.com').rejects(Object.assign(new Error('queryTxt ESERVFAIL flaky.com'), { code: 'ESERVFAIL' }));
+
+        const parsedSpf = spfParser.parseSpf("v=spf1 include:flaky.com -all");
+        try {
+            await spfParser.flattenSpf(parsedSpf, "example.com");
+            expect.fail('Expected a temperror');
+        } catch (error) {
+            expect(error).to.be.instanceOf(spfParser.SpfTempError);
+            expect(error.result).to.equal('temperror');
+            expect(error.message).to.equal('temperror: DNS TXT lookup for flaky.com failed: queryTxt ESERVFAIL flaky.com');
+        }
+    });
+});
+
+describe('createDnsResolver', () => {
+    const { createDnsResolver } = require('../spfParser');
+
+    it('should use the given nameservers', () => {
+        const resolver = createDnsResolver({ servers: ['192.0.2.53', '192.0.2.54'], timeout: 500, retries: 2 });
+        expect(resolver.getServers()).to.deep.equal(['192.0.2.53', '192.0.2.54']);
+    });
+
+    it('should default to public nameservers', () => {
+        expect(createDnsResolver().getServers()).to.deep.equal(['8.8.8.8', '1.1.1.1']);
+    });
+});